@@ -0,0 +1,13 @@
+/**
+ * The `items` a useBatchSubmit chunk was posted with, or null when the field
+ * isn't a JSON array, so actions can answer with `{ error }` instead of
+ * throwing on a malformed request.
+ */
+export function parseBatchItems(formData) {
+  try {
+    const items = JSON.parse(formData.get("items") || "[]");
+    return Array.isArray(items) ? items : null;
+  } catch {
+    return null;
+  }
+}
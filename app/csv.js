@@ -0,0 +1,65 @@
+// Spreadsheet apps run cells starting with these characters as formulas.
+const FORMULA_PREFIX = /^[=+\-@\t\r]/;
+
+function escapeCsvValue(value) {
+  if (value === null || value === undefined) return "";
+  if (typeof value === "number") return String(value);
+
+  let text = String(value);
+  if (FORMULA_PREFIX.test(text) && isNaN(Number(text))) text = `'${text}`;
+
+  return /[",\r\n]/.test(text) ? `"${text.replace(/"/g, '""')}"` : text;
+}
+
+export function toCsvRow(values) {
+  return `${values.map(escapeCsvValue).join(",")}\r\n`;
+}
+
+/**
+ * Parses CSV text into an array of rows, each an array of strings. Handles
+ * quoted fields with embedded commas, quotes and line breaks, CRLF line
+ * endings and a leading byte order mark. Blank lines are skipped.
+ */
+export function parseCsv(text) {
+  const rows = [];
+  let row = [];
+  let field = "";
+  let quoted = false;
+  let i = text.charCodeAt(0) === 0xfeff ? 1 : 0;
+
+  const endRow = () => {
+    row.push(field);
+    if (row.length > 1 || row[0] !== "") rows.push(row);
+    row = [];
+    field = "";
+  };
+
+  for (; i < text.length; i++) {
+    const char = text[i];
+
+    if (quoted) {
+      if (char === '"' && text[i + 1] === '"') {
+        field += '"';
+        i++;
+      } else if (char === '"') {
+        quoted = false;
+      } else {
+        field += char;
+      }
+    } else if (char === '"') {
+      quoted = true;
+    } else if (char === ",") {
+      row.push(field);
+      field = "";
+    } else if (char === "\n" || char === "\r") {
+      if (char === "\r" && text[i + 1] === "\n") i++;
+      endRow();
+    } else {
+      field += char;
+    }
+  }
+
+  if (field !== "" || row.length > 0) endRow();
+
+  return rows;
+}
@@ -0,0 +1,36 @@
+import { toCsvRow } from "./csv";
+
+/**
+ * Streams a CSV download. `rows` is an async iterable that yields batches of
+ * rows, each row an array of values, so large exports are written out as
+ * each page is fetched.
+ */
+export function csvResponse(filename, headers, rows) {
+  const encoder = new TextEncoder();
+  const iterator = rows[Symbol.asyncIterator]();
+
+  const stream = new ReadableStream({
+    start(controller) {
+      // The byte order mark makes Excel read the file as UTF-8.
+      controller.enqueue(encoder.encode(`\uFEFF${toCsvRow(headers)}`));
+    },
+    async pull(controller) {
+      const { value, done } = await iterator.next();
+      if (done) {
+        controller.close();
+      } else {
+        controller.enqueue(encoder.encode(value.map(toCsvRow).join("")));
+      }
+    },
+    async cancel() {
+      await iterator.return?.();
+    },
+  });
+
+  return new Response(stream, {
+    headers: {
+      "Content-Type": "text/csv; charset=utf-8",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    },
+  });
+}
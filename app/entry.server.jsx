@@ -4,6 +4,11 @@ import { ServerRouter } from "react-router";
 import { createReadableStreamFromReadable } from "@react-router/node";
 import { isbot } from "isbot";
 import { addDocumentResponseHeaders } from "./shopify.server";
+import { startDigestScheduler } from "./models/digest.server";
+import { startRfmScheduler } from "./models/rfm.server";
+
+startDigestScheduler();
+startRfmScheduler();
 
 export const streamTimeout = 5000;
 
@@ -0,0 +1,84 @@
+import { useCallback, useEffect, useRef, useState } from "react";
+import { useFetcher } from "react-router";
+
+/**
+ * Submits a large list of items to the current route's action in chunks, one
+ * request at a time, so long-running bulk work can report progress.
+ *
+ * Each chunk is posted as JSON in an `items` field alongside `fields`. The
+ * action should return `{ results }` with one entry per item, or `{ error }`
+ * when the whole chunk is rejected. A rejected or failed request stops the
+ * job and sets `error`; items already processed keep their results.
+ */
+export function useBatchSubmit({ chunkSize = 25 } = {}) {
+  const fetcher = useFetcher();
+  const [job, setJob] = useState(null);
+  // The response that was current when the last chunk was sent, so a stale
+  // response isn't counted as the result of the next chunk.
+  const previousData = useRef();
+  // Whether the last chunk's request has started, so a request that ends
+  // without a new response can be told apart from one not yet sent.
+  const requestStarted = useRef(false);
+
+  useEffect(() => {
+    if (!job || job.done) return;
+    if (fetcher.state !== "idle") {
+      requestStarted.current = true;
+      return;
+    }
+
+    if (job.awaiting) {
+      if (fetcher.data === previousData.current) {
+        // The action threw, so the request finished with no new data.
+        if (requestStarted.current) {
+          setJob((current) => ({ ...current, awaiting: false, done: true, error: "The request failed. Try again." }));
+        }
+        return;
+      }
+      previousData.current = fetcher.data;
+      if (!Array.isArray(fetcher.data?.results)) {
+        setJob((current) => ({
+          ...current,
+          awaiting: false,
+          done: true,
+          error: fetcher.data?.error || "The request failed. Try again.",
+        }));
+        return;
+      }
+      setJob((current) => ({
+        ...current,
+        awaiting: false,
+        results: [...current.results, ...fetcher.data.results],
+      }));
+      return;
+    }
+
+    if (job.nextIndex >= job.items.length) {
+      setJob((current) => ({ ...current, done: true }));
+      return;
+    }
+
+    const chunk = job.items.slice(job.nextIndex, job.nextIndex + chunkSize);
+    previousData.current = fetcher.data;
+    requestStarted.current = false;
+    fetcher.submit({ ...job.fields, items: JSON.stringify(chunk) }, { method: "post" });
+    setJob((current) => ({ ...current, awaiting: true, nextIndex: current.nextIndex + chunk.length }));
+  }, [job, fetcher, chunkSize]);
+
+  const start = useCallback((items, fields = {}) => {
+    setJob({ items, fields, nextIndex: 0, results: [], awaiting: false, done: false, error: null });
+  }, []);
+
+  const reset = useCallback(() => setJob(null), []);
+
+  return {
+    start,
+    reset,
+    running: Boolean(job && !job.done),
+    done: Boolean(job?.done),
+    processed: job?.results.length ?? 0,
+    total: job?.items.length ?? 0,
+    results: job?.results ?? [],
+    error: job?.error ?? null,
+  };
+}
@@ -0,0 +1,36 @@
+import { useCallback, useState } from "react";
+
+/**
+ * Downloads a file from one of the app's resource routes. The file is fetched
+ * rather than linked to so the request carries the App Bridge session token.
+ */
+export function useDownload() {
+  const [downloading, setDownloading] = useState(false);
+  const [error, setError] = useState(null);
+
+  const download = useCallback(async (url, filename) => {
+    setDownloading(true);
+    setError(null);
+    try {
+      const response = await fetch(url);
+      if (!response.ok) throw new Error(await response.text());
+
+      const objectUrl = URL.createObjectURL(await response.blob());
+      const link = document.createElement("a");
+      link.href = objectUrl;
+      link.download = filename;
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+      URL.revokeObjectURL(objectUrl);
+      return true;
+    } catch (downloadError) {
+      setError(downloadError.message || "The download failed");
+      return false;
+    } finally {
+      setDownloading(false);
+    }
+  }, []);
+
+  return { download, downloading, error };
+}
@@ -0,0 +1,17 @@
+import { useCallback } from "react";
+import { useRouteLoaderData } from "react-router";
+import { formatMoney } from "../money";
+
+/**
+ * Returns `formatMoney(amount, currencyCode)` bound to the merchant's admin
+ * locale, which the app layout's loader reads from the request. Using the
+ * loader's locale keeps server and browser rendering the same text.
+ */
+export function useMoneyFormat() {
+  const { locale } = useRouteLoaderData("routes/app") || {};
+
+  return useCallback(
+    (amount, currencyCode) => formatMoney(amount, currencyCode, locale),
+    [locale],
+  );
+}
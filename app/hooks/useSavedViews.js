@@ -0,0 +1,118 @@
+import { useCallback, useEffect, useRef } from "react";
+import { useFetcher, useSearchParams } from "react-router";
+
+/**
+ * Wires an IndexFilters to the views saved for a dashboard. Returns the props
+ * that drive its tabs, "save" / "save as" and cancel actions.
+ *
+ * `filterKeys` are the dashboard's filter URL params, and `onApply` is called
+ * with a view (or null for "All") so the dashboard can reset its local filter
+ * state before the URL changes. `error` is the message from the last view
+ * action that was rejected, for the dashboard to show.
+ */
+export function useSavedViews({ views, filterKeys, onApply }) {
+  const fetcher = useFetcher();
+  const [searchParams, setSearchParams] = useSearchParams();
+  // The response that has already been handled, so switching views when the
+  // URL changes doesn't handle it again.
+  const previousData = useRef(fetcher.data);
+
+  const viewId = searchParams.get("view");
+  const selected = views.findIndex((view) => String(view.id) === viewId) + 1;
+  const selectedView = selected > 0 ? views[selected - 1] : null;
+
+  const applyView = useCallback((view) => {
+    onApply(view);
+    setSearchParams((previous) => {
+      const next = new URLSearchParams(previous);
+      [...filterKeys, "query", "sort", "view", "after", "before"].forEach((key) => next.delete(key));
+
+      if (view) {
+        Object.entries({ ...view.filters, query: view.query, sort: view.sort }).forEach(([key, value]) => {
+          if (value) next.set(key, value);
+        });
+        next.set("view", view.id);
+      }
+      return next;
+    });
+  }, [filterKeys, onApply, setSearchParams]);
+
+  const submit = useCallback(async (intent, data = {}) => {
+    await fetcher.submit(
+      { intent, params: searchParams.toString(), ...data },
+      { method: "post" },
+    );
+    return true;
+  }, [fetcher, searchParams]);
+
+  // Switch to views as soon as they are created, and back to "All" when the
+  // selected view is deleted.
+  useEffect(() => {
+    if (fetcher.state !== "idle" || fetcher.data === previousData.current) return;
+    previousData.current = fetcher.data;
+    if (!fetcher.data) return;
+
+    if (fetcher.data.view) {
+      applyView(fetcher.data.view);
+    } else if (fetcher.data.deletedViewId && String(fetcher.data.deletedViewId) === viewId) {
+      applyView(null);
+    }
+  }, [fetcher.state, fetcher.data, applyView, viewId]);
+
+  const errors = fetcher.state === "idle" ? fetcher.data?.errors : null;
+
+  const tabs = [
+    {
+      content: "All",
+      index: 0,
+      id: "all-0",
+      isLocked: true,
+      actions: [],
+    },
+    ...views.map((view, index) => ({
+      content: view.name,
+      index: index + 1,
+      id: `view-${view.id}`,
+      actions: [
+        {
+          type: "rename",
+          onPrimaryAction: (name) => submit("renameView", { id: view.id, name }),
+        },
+        {
+          type: "duplicate",
+          onPrimaryAction: (name) => submit("duplicateView", { id: view.id, name }),
+        },
+        {
+          type: "delete",
+          onPrimaryAction: () => submit("deleteView", { id: view.id }),
+        },
+      ],
+    })),
+  ];
+
+  return {
+    error: errors ? Object.values(errors).join(" ") : null,
+    tabs,
+    selected,
+    onSelect: (index) => applyView(index > 0 ? views[index - 1] : null),
+    onCreateNewView: (name) => submit("createView", { name }),
+    primaryAction: selectedView
+      ? {
+          type: "save",
+          onAction: () => submit("updateView", { id: selectedView.id }),
+          disabled: false,
+          loading: fetcher.state !== "idle",
+        }
+      : {
+          type: "save-as",
+          onAction: (name) => submit("createView", { name }),
+          disabled: false,
+          loading: fetcher.state !== "idle",
+        },
+    cancelAction: {
+      onAction: () => applyView(selectedView),
+      disabled: false,
+      loading: false,
+    },
+  };
+}
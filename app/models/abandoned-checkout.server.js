@@ -0,0 +1,338 @@
+import db from "../db.server";
+import { getSyncState, updateSyncState } from "./mirror.server";
+
+export const CHECKOUTS_PAGE_SIZE = 50;
+
+export const RECOVERY_STATUSES = ["all", "open", "recovered"];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// The first read goes this far back; later reads only fetch checkouts
+// updated since the previous one.
+const BACKFILL_DAYS = 90;
+
+// Each checkout brings its line items along, so pages are kept small to stay
+// within the Admin API's query cost limit.
+const SYNC_PAGE_SIZE = 25;
+const SYNC_LINE_ITEMS = 25;
+
+// A sync that has held the shop this long is assumed to have stopped.
+const SYNC_CLAIM_TIMEOUT_MS = 10 * 60 * 1000;
+
+export const RECOVERY_WEEKS = 12;
+
+function toDate(value) {
+  return value ? new Date(value) : null;
+}
+
+function checkoutFromNode(shop, node) {
+  const { customer } = node;
+  const lineItems = node.lineItems.nodes.map((item) => ({
+    title: item.title,
+    variantTitle: item.variantTitle,
+    sku: item.sku || null,
+    quantity: item.quantity,
+    price: parseFloat(item.originalUnitPriceSet?.shopMoney?.amount || 0),
+    productId: item.product?.id ?? null,
+  }));
+
+  return {
+    id: node.id,
+    shop,
+    name: node.name,
+    email: customer?.email ?? null,
+    customerId: customer?.id ?? null,
+    customerName: customer ? `${customer.firstName || ""} ${customer.lastName || ""}`.trim() || null : null,
+    totalPrice: parseFloat(node.totalPriceSet?.shopMoney?.amount || 0),
+    currencyCode: node.totalPriceSet?.shopMoney?.currencyCode ?? null,
+    itemCount: node.lineItemsQuantity ?? lineItems.reduce((sum, item) => sum + item.quantity, 0),
+    lineItems: JSON.stringify(lineItems),
+    recoveryUrl: node.abandonedCheckoutUrl,
+    createdAt: toDate(node.createdAt),
+    updatedAt: toDate(node.updatedAt),
+    completedAt: toDate(node.completedAt),
+  };
+}
+
+// Copies checkouts changed since the last successful read. A failed read is
+// kept in the sync state, so the pages can say their data may be out of
+// date, and the next read retries it from the same point.
+async function readChangedCheckouts(admin, shop) {
+  const state = await getSyncState(shop);
+  const startedAt = new Date();
+  const query = state?.checkoutsSyncedAt
+    ? `updated_at:>='${state.checkoutsSyncedAt.toISOString()}'`
+    : `created_at:>='${new Date(startedAt.getTime() - BACKFILL_DAYS * DAY_MS).toISOString()}'`;
+  let after = null;
+
+  try {
+    do {
+      const response = await admin.graphql(
+        `#graphql
+        query AbandonedCheckouts($first: Int!, $after: String, $query: String, $lineItems: Int!) {
+          abandonedCheckouts(first: $first, after: $after, query: $query) {
+            nodes {
+              id
+              name
+              createdAt
+              updatedAt
+              completedAt
+              abandonedCheckoutUrl
+              lineItemsQuantity
+              customer {
+                id
+                firstName
+                lastName
+                email
+              }
+              totalPriceSet {
+                shopMoney {
+                  amount
+                  currencyCode
+                }
+              }
+              lineItems(first: $lineItems) {
+                nodes {
+                  title
+                  variantTitle
+                  sku
+                  quantity
+                  originalUnitPriceSet {
+                    shopMoney {
+                      amount
+                    }
+                  }
+                  product {
+                    id
+                  }
+                }
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }`,
+        { variables: { first: SYNC_PAGE_SIZE, after, query, lineItems: SYNC_LINE_ITEMS } },
+      );
+
+      const { data } = await response.json();
+      for (const node of data.abandonedCheckouts.nodes) {
+        const { id, ...checkout } = checkoutFromNode(shop, node);
+        await db.abandonedCheckout.upsert({
+          where: { id },
+          create: { id, ...checkout },
+          update: checkout,
+        });
+      }
+
+      const { pageInfo } = data.abandonedCheckouts;
+      after = pageInfo.hasNextPage ? pageInfo.endCursor : null;
+    } while (after);
+  } catch (error) {
+    console.warn(`Could not sync abandoned checkouts for ${shop}: ${error.message}`);
+    await updateSyncState(shop, { checkoutsSyncError: error.message });
+    return;
+  }
+
+  await updateSyncState(shop, { checkoutsSyncedAt: startedAt, checkoutsSyncError: null });
+}
+
+/**
+ * Copies abandoned checkouts created or updated since the last sync into the
+ * local table. Runs after the initial import and from the checkout webhooks,
+ * never while a page loads.
+ *
+ * Only one sync runs per shop at a time: a sync claims the shop by setting
+ * `checkoutsSyncStartedAt` only if no other sync holds it. A sync that finds
+ * the shop claimed leaves `checkoutsSyncPending` set instead, and the running
+ * sync reads again once it's done, so later changes aren't missed. Claims
+ * older than SYNC_CLAIM_TIMEOUT_MS are taken over, in case a server stopped
+ * mid-sync.
+ */
+export async function syncAbandonedCheckouts(admin, shop) {
+  const claimedAt = new Date();
+  await db.syncState.upsert({ where: { shop }, create: { shop }, update: {} });
+
+  const { count } = await db.syncState.updateMany({
+    where: {
+      shop,
+      OR: [
+        { checkoutsSyncStartedAt: null },
+        { checkoutsSyncStartedAt: { lt: new Date(claimedAt.getTime() - SYNC_CLAIM_TIMEOUT_MS) } },
+      ],
+    },
+    data: { checkoutsSyncStartedAt: claimedAt, checkoutsSyncPending: false },
+  });
+  if (count !== 1) {
+    await db.syncState.updateMany({ where: { shop }, data: { checkoutsSyncPending: true } });
+    return;
+  }
+
+  try {
+    let pending;
+    do {
+      await readChangedCheckouts(admin, shop);
+      // Clear the flag as it's read, so a request made during the next read
+      // sets it again.
+      pending = (await db.syncState.updateMany({
+        where: { shop, checkoutsSyncStartedAt: claimedAt, checkoutsSyncPending: true },
+        data: { checkoutsSyncPending: false },
+      })).count === 1;
+    } while (pending);
+  } finally {
+    await db.syncState.updateMany({
+      where: { shop, checkoutsSyncStartedAt: claimedAt },
+      data: { checkoutsSyncStartedAt: null },
+    });
+  }
+}
+
+/** The message from the last failed checkout sync, or null if it succeeded. */
+export async function getCheckoutSyncError(shop) {
+  const state = await getSyncState(shop);
+  return state?.checkoutsSyncError ?? null;
+}
+
+export function parseCheckoutFilters(searchParams) {
+  const status = searchParams.get("status");
+  return {
+    query: searchParams.get("query")?.trim() || "",
+    status: RECOVERY_STATUSES.includes(status) ? status : "all",
+  };
+}
+
+function checkoutWhere(shop, { query, status }) {
+  const where = { shop };
+
+  if (query) {
+    where.OR = [
+      { name: { contains: query } },
+      { email: { contains: query } },
+      { customerName: { contains: query } },
+    ];
+  }
+  if (status === "open") where.completedAt = null;
+  if (status === "recovered") where.completedAt = { not: null };
+
+  return where;
+}
+
+// Checkouts are linked to the customer dashboard when the customer is in the
+// mirror, either by the checkout's customer or by a customer with the same
+// email, since guests often have an account from an earlier order.
+async function linkCustomers(shop, checkouts) {
+  const ids = checkouts.map((checkout) => checkout.customerId).filter(Boolean);
+  const emails = checkouts.map((checkout) => checkout.email).filter(Boolean);
+  if (ids.length === 0 && emails.length === 0) return new Map();
+
+  const customers = await db.customer.findMany({
+    where: { shop, OR: [{ id: { in: ids } }, { email: { in: emails } }] },
+    select: { id: true, email: true, firstName: true, lastName: true },
+  });
+
+  const byId = new Map(customers.map((customer) => [customer.id, customer]));
+  const byEmail = new Map(customers.filter((customer) => customer.email).map((customer) => [customer.email, customer]));
+
+  return new Map(checkouts.map((checkout) => [
+    checkout.id,
+    byId.get(checkout.customerId) || byEmail.get(checkout.email) || null,
+  ]));
+}
+
+/**
+ * Reads one page of synced abandoned checkouts, newest first, with their
+ * carts and the mirrored customer each belongs to. Pass `after` to page
+ * forward or `before` to page backward.
+ */
+export async function listAbandonedCheckouts({ shop, filters, after, before }) {
+  const where = checkoutWhere(shop, filters);
+  const cursor = after || before;
+  // Fetch one extra row to find out whether there is another page.
+  const take = (before ? -1 : 1) * (CHECKOUTS_PAGE_SIZE + 1);
+
+  const [rows, filteredCount] = await Promise.all([
+    db.abandonedCheckout.findMany({
+      where,
+      orderBy: [{ createdAt: "desc" }, { id: "desc" }],
+      take,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    }),
+    db.abandonedCheckout.count({ where }),
+  ]);
+
+  const hasMore = rows.length > CHECKOUTS_PAGE_SIZE;
+  const page = before
+    ? rows.slice(hasMore ? 1 : 0)
+    : rows.slice(0, CHECKOUTS_PAGE_SIZE);
+  const customers = await linkCustomers(shop, page);
+
+  return {
+    checkouts: page.map((row) => {
+      const customer = customers.get(row.id);
+      return {
+        ...row,
+        lineItems: JSON.parse(row.lineItems),
+        customer: customer
+          ? { id: customer.id, name: `${customer.firstName || ""} ${customer.lastName || ""}`.trim() || customer.email }
+          : null,
+      };
+    }),
+    pageInfo: {
+      hasNextPage: before ? true : hasMore,
+      hasPreviousPage: before ? hasMore : Boolean(after),
+      startCursor: page[0]?.id ?? null,
+      endCursor: page[page.length - 1]?.id ?? null,
+    },
+    filteredCount,
+  };
+}
+
+function recoveryRate(abandoned, recovered) {
+  return abandoned > 0 ? (recovered / abandoned) * 100 : 0;
+}
+
+/**
+ * Recovery over the last `weeks` weeks: how many checkouts were abandoned,
+ * how many of those were later completed, and the value recovered and still
+ * outstanding, overall and per week (oldest first). Checkouts count towards
+ * the week they were started in.
+ */
+export async function getCheckoutRecovery(shop, weeks = RECOVERY_WEEKS) {
+  const now = new Date();
+  const start = new Date(now.getTime() - weeks * 7 * DAY_MS);
+
+  const rows = await db.abandonedCheckout.findMany({
+    where: { shop, createdAt: { gte: start } },
+    select: { createdAt: true, completedAt: true, totalPrice: true, currencyCode: true },
+  });
+
+  const trend = Array.from({ length: weeks }, (_, index) => ({
+    start: new Date(start.getTime() + index * 7 * DAY_MS).toISOString(),
+    abandoned: 0,
+    recovered: 0,
+  }));
+
+  const totals = { abandoned: 0, recovered: 0, recoveredValue: 0, openValue: 0 };
+  rows.forEach((row) => {
+    const week = Math.min(Math.floor((row.createdAt - start) / (7 * DAY_MS)), weeks - 1);
+    trend[week].abandoned++;
+    totals.abandoned++;
+    if (row.completedAt) {
+      trend[week].recovered++;
+      totals.recovered++;
+      totals.recoveredValue += row.totalPrice;
+    } else {
+      totals.openValue += row.totalPrice;
+    }
+  });
+
+  return {
+    weeks,
+    currencyCode: rows.find((row) => row.currencyCode)?.currencyCode ?? null,
+    ...totals,
+    rate: recoveryRate(totals.abandoned, totals.recovered),
+    trend: trend.map((bucket) => ({ ...bucket, rate: recoveryRate(bucket.abandoned, bucket.recovered) })),
+  };
+}
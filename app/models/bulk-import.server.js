@@ -0,0 +1,312 @@
+import { Readable } from "node:stream";
+import { createInterface } from "node:readline";
+import db from "../db.server";
+import {
+  customerFromNode,
+  getSyncState,
+  lineItemFromNode,
+  orderFromNode,
+  updateSyncState,
+  upsertCustomer,
+  upsertOrder,
+} from "./mirror.server";
+import { refreshRfmScores } from "./rfm.server";
+import { syncAbandonedCheckouts } from "./abandoned-checkout.server";
+
+// How many records to import between progress updates.
+const PROGRESS_INTERVAL = 250;
+
+const BULK_QUERIES = {
+  customers: `#graphql
+    {
+      customers {
+        edges {
+          node {
+            id
+            firstName
+            lastName
+            email
+            defaultAddress {
+              country
+            }
+            tags
+            numberOfOrders
+            amountSpent {
+              amount
+              currencyCode
+            }
+            lastOrder {
+              processedAt
+            }
+            createdAt
+            updatedAt
+          }
+        }
+      }
+    }`,
+  orders: `#graphql
+    {
+      orders {
+        edges {
+          node {
+            id
+            name
+            email
+            processedAt
+            createdAt
+            updatedAt
+            cancelledAt
+            cancelReason
+            displayFinancialStatus
+            displayFulfillmentStatus
+            totalPriceSet {
+              shopMoney {
+                amount
+                currencyCode
+              }
+              presentmentMoney {
+                amount
+                currencyCode
+              }
+            }
+            totalRefundedSet {
+              shopMoney {
+                amount
+              }
+            }
+            customer {
+              id
+              firstName
+              lastName
+            }
+            risk {
+              recommendation
+              assessments {
+                riskLevel
+              }
+            }
+            lineItems {
+              edges {
+                node {
+                  id
+                  title
+                  quantity
+                  sku
+                  originalUnitPriceSet {
+                    shopMoney {
+                      amount
+                    }
+                  }
+                  product {
+                    id
+                  }
+                  variant {
+                    id
+                  }
+                }
+              }
+            }
+          }
+        }
+      }
+    }`,
+};
+
+// Customers are imported first so order imports can refer to them.
+const NEXT_STAGE = {
+  customers: "orders",
+  orders: null,
+};
+
+async function runBulkQuery(admin, shop, stage) {
+  const response = await admin.graphql(
+    `#graphql
+    mutation BulkImport($query: String!) {
+      bulkOperationRunQuery(query: $query) {
+        bulkOperation {
+          id
+          status
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    { variables: { query: BULK_QUERIES[stage] } },
+  );
+
+  const { data } = await response.json();
+  const { bulkOperation, userErrors } = data.bulkOperationRunQuery;
+
+  if (userErrors.length > 0) {
+    return updateSyncState(shop, {
+      status: "failed",
+      error: userErrors.map((error) => error.message).join(", "),
+    });
+  }
+
+  return updateSyncState(shop, {
+    status: "running",
+    stage,
+    bulkOperationId: bulkOperation.id,
+    objectCount: 0,
+  });
+}
+
+/**
+ * Starts a full import of the shop's customers and orders. Shopify runs the
+ * queries in the background and sends `bulk_operations/finish` when each one
+ * is ready to download.
+ */
+export async function startBulkImport(admin, shop) {
+  await updateSyncState(shop, {
+    status: "running",
+    customersSynced: 0,
+    ordersSynced: 0,
+    error: null,
+    startedAt: new Date(),
+  });
+
+  return runBulkQuery(admin, shop, "customers");
+}
+
+/** Current status of the running bulk operation, as reported by Shopify. */
+export async function getBulkOperation(admin, id) {
+  const response = await admin.graphql(
+    `#graphql
+    query BulkOperation($id: ID!) {
+      node(id: $id) {
+        ... on BulkOperation {
+          id
+          status
+          errorCode
+          objectCount
+          url
+        }
+      }
+    }`,
+    { variables: { id } },
+  );
+
+  const { data } = await response.json();
+  return data.node;
+}
+
+async function* readJsonLines(url) {
+  const response = await fetch(url);
+  if (!response.ok) {
+    throw new Error(`Failed to download bulk operation result: ${response.status}`);
+  }
+
+  const lines = createInterface({
+    input: Readable.fromWeb(response.body),
+    crlfDelay: Infinity,
+  });
+
+  for await (const line of lines) {
+    if (line) yield JSON.parse(line);
+  }
+}
+
+async function importCustomers(shop, url, onProgress) {
+  let imported = 0;
+
+  for await (const node of readJsonLines(url)) {
+    await upsertCustomer(customerFromNode(shop, node));
+    if (++imported % PROGRESS_INTERVAL === 0) await onProgress(imported);
+  }
+
+  return imported;
+}
+
+// Line items are listed after their parent order, each with a `__parentId`,
+// so an order is written once the next order (or the end of file) is reached.
+// Progress is reported in lines read, which is what the operation's
+// objectCount counts, and the number of orders is returned at the end.
+async function importOrders(shop, url, onProgress) {
+  let imported = 0;
+  let lines = 0;
+  let current = null;
+
+  const flush = async () => {
+    if (!current) return;
+    await upsertOrder(current);
+    imported++;
+  };
+
+  for await (const node of readJsonLines(url)) {
+    if (++lines % PROGRESS_INTERVAL === 0) await onProgress(lines);
+
+    if (!node.__parentId) {
+      await flush();
+      current = orderFromNode(shop, node);
+    } else if (current?.order.id === node.__parentId) {
+      current.lineItems.push(lineItemFromNode(node));
+    } else {
+      const item = { ...lineItemFromNode(node), orderId: node.__parentId };
+      await db.lineItem.upsert({ where: { id: item.id }, create: item, update: item });
+    }
+  }
+  await flush();
+
+  return imported;
+}
+
+const IMPORTERS = {
+  customers: { run: importCustomers, counter: "customersSynced" },
+  orders: { run: importOrders, counter: "ordersSynced" },
+};
+
+/**
+ * Handles a finished bulk operation: streams its JSONL result into the mirror
+ * and starts the next stage, or marks the import complete after the last one.
+ */
+export async function processBulkOperation(admin, shop, bulkOperationId) {
+  try {
+    // Webhooks can be delivered more than once; only the first delivery for
+    // the current operation moves it from "running" to "importing".
+    const { count } = await db.syncState.updateMany({
+      where: { shop, bulkOperationId, status: "running" },
+      data: { status: "importing" },
+    });
+    if (count === 0) return;
+
+    const { stage } = await getSyncState(shop);
+    const importer = IMPORTERS[stage];
+
+    const operation = await getBulkOperation(admin, bulkOperationId);
+    if (operation.status !== "COMPLETED") {
+      throw new Error(`Bulk operation ${operation.status.toLowerCase()}: ${operation.errorCode}`);
+    }
+
+    await updateSyncState(shop, { objectCount: Number(operation.objectCount) });
+
+    // A bulk operation that matched nothing has no result file.
+    const imported = operation.url
+      ? await importer.run(shop, operation.url, (count) =>
+          updateSyncState(shop, { [importer.counter]: count }),
+        )
+      : 0;
+    await updateSyncState(shop, { [importer.counter]: imported });
+
+    const nextStage = NEXT_STAGE[stage];
+    if (nextStage) {
+      await runBulkQuery(admin, shop, nextStage);
+    } else {
+      await updateSyncState(shop, {
+        status: "completed",
+        stage: null,
+        bulkOperationId: null,
+        completedAt: new Date(),
+      });
+      await refreshRfmScores(shop);
+      // Checkouts aren't part of the bulk export; the first sync backfills
+      // them and the checkout webhooks keep them current from then on.
+      await syncAbandonedCheckouts(admin, shop);
+    }
+  } catch (error) {
+    console.error(`Bulk import failed for ${shop}`, error);
+    await updateSyncState(shop, { status: "failed", error: error.message });
+  }
+}
@@ -0,0 +1,83 @@
+import db from "../db.server";
+
+export const COHORT_RANGES = [6, 12, 24];
+export const DEFAULT_COHORT_RANGE = 12;
+
+// "2026-03" for any date in March 2026, in UTC so cohorts don't shift with
+// the server's timezone.
+function monthKey(date) {
+  return `${date.getUTCFullYear()}-${String(date.getUTCMonth() + 1).padStart(2, "0")}`;
+}
+
+function monthsBetween(from, to) {
+  return (to.getUTCFullYear() - from.getUTCFullYear()) * 12 + to.getUTCMonth() - from.getUTCMonth();
+}
+
+export function parseCohortRange(searchParams) {
+  const months = Number(searchParams.get("months"));
+  return COHORT_RANGES.includes(months) ? months : DEFAULT_COHORT_RANGE;
+}
+
+/**
+ * Groups customers by the month of their first order and counts how many of
+ * each cohort ordered again in every following month. Cancelled orders and
+ * guest checkouts are left out.
+ *
+ * `retention[n]` is the number of cohort customers who ordered `n` months
+ * after their first order, so `retention[0]` is always the cohort size.
+ */
+export async function getCohortRetention(shop, months = DEFAULT_COHORT_RANGE) {
+  const now = new Date();
+  const start = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth() - (months - 1), 1));
+  const orderWhere = { shop, customerId: { not: null }, cancelledAt: null };
+
+  // A customer's cohort depends on their first order ever, which may be
+  // older than the range being shown.
+  const firstOrders = await db.order.groupBy({
+    by: ["customerId"],
+    where: orderWhere,
+    _min: { processedAt: true },
+    having: { processedAt: { _min: { gte: start } } },
+  });
+
+  const firstOrderAt = new Map(
+    firstOrders.map((row) => [row.customerId, row._min.processedAt]),
+  );
+
+  const orders = await db.order.findMany({
+    where: { ...orderWhere, customerId: { in: [...firstOrderAt.keys()] } },
+    select: { customerId: true, processedAt: true, totalPrice: true, totalRefunded: true },
+  });
+
+  const cohorts = new Map();
+  for (let offset = 0; offset < months; offset++) {
+    const month = monthKey(new Date(Date.UTC(start.getUTCFullYear(), start.getUTCMonth() + offset, 1)));
+    cohorts.set(month, {
+      month,
+      customers: 0,
+      orders: 0,
+      revenue: 0,
+      // Sets of customer ids per month offset, turned into counts below.
+      active: Array.from({ length: months - offset }, () => new Set()),
+    });
+  }
+
+  firstOrderAt.forEach((date) => {
+    cohorts.get(monthKey(date)).customers += 1;
+  });
+
+  orders.forEach((order) => {
+    const first = firstOrderAt.get(order.customerId);
+    const cohort = cohorts.get(monthKey(first));
+    cohort.orders += 1;
+    cohort.revenue += order.totalPrice - order.totalRefunded;
+    cohort.active[monthsBetween(first, order.processedAt)]?.add(order.customerId);
+  });
+
+  return [...cohorts.values()].map(({ active, ...cohort }) => ({
+    ...cohort,
+    revenue: Math.round(cohort.revenue * 100) / 100,
+    revenuePerCustomer: cohort.customers > 0 ? cohort.revenue / cohort.customers : 0,
+    retention: active.map((customers) => customers.size),
+  }));
+}
@@ -0,0 +1,243 @@
+// Customer fields a CSV column can be mapped to. `aliases` are lower-cased
+// header names that are mapped automatically.
+export const CUSTOMER_IMPORT_FIELDS = [
+  { key: "email", label: "Email", aliases: ["email", "email address", "e-mail"] },
+  { key: "firstName", label: "First name", aliases: ["first name", "firstname", "first_name", "given name"] },
+  { key: "lastName", label: "Last name", aliases: ["last name", "lastname", "last_name", "surname", "family name"] },
+  { key: "phone", label: "Phone", aliases: ["phone", "phone number", "mobile", "telephone"] },
+  { key: "tags", label: "Tags", aliases: ["tags", "tag", "labels"] },
+  { key: "note", label: "Note", aliases: ["note", "notes", "comment", "comments"] },
+];
+
+// Imports larger than this should go through Shopify's own customer import.
+export const MAX_IMPORT_ROWS = 5000;
+
+const LOOKUP_BATCH_SIZE = 50;
+const MAX_TAG_LENGTH = 255;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+const PHONE_PATTERN = /^\+?[0-9 ().-]{7,20}$/;
+
+function splitTagCell(value) {
+  return (value || "").split(",").map((tag) => tag.trim()).filter(Boolean);
+}
+
+// Records arrive as JSON from the browser, so cells that aren't strings are
+// treated as empty rather than trusted.
+function cellText(value) {
+  return typeof value === "string" ? value.trim() : "";
+}
+
+function normalize(record) {
+  return {
+    row: Number.isInteger(record?.row) ? record.row : null,
+    email: cellText(record?.email).toLowerCase(),
+    firstName: cellText(record?.firstName),
+    lastName: cellText(record?.lastName),
+    phone: cellText(record?.phone),
+    tags: splitTagCell(cellText(record?.tags)),
+    note: cellText(record?.note),
+  };
+}
+
+function validationErrors(record, seenEmails) {
+  const errors = [];
+
+  if (record.row === null) {
+    errors.push("The row couldn't be read");
+  }
+
+  if (!record.email && !record.phone) {
+    errors.push("An email or phone number is required");
+  }
+  if (record.email && !EMAIL_PATTERN.test(record.email)) {
+    errors.push(`"${record.email}" is not a valid email address`);
+  }
+  if (record.email && seenEmails.has(record.email)) {
+    errors.push(`Duplicate of row ${seenEmails.get(record.email)}`);
+  }
+  if (record.phone && !PHONE_PATTERN.test(record.phone)) {
+    errors.push(`"${record.phone}" is not a valid phone number`);
+  }
+  if (record.tags.some((tag) => tag.length > MAX_TAG_LENGTH)) {
+    errors.push(`Tags must be ${MAX_TAG_LENGTH} characters or fewer`);
+  }
+
+  return errors;
+}
+
+// Looks up existing customers by email so matching rows update them instead
+// of failing as duplicates. Returns a map of email to customer ID.
+async function findCustomersByEmail(admin, emails) {
+  const existing = new Map();
+
+  for (let i = 0; i < emails.length; i += LOOKUP_BATCH_SIZE) {
+    const batch = emails.slice(i, i + LOOKUP_BATCH_SIZE);
+    const response = await admin.graphql(
+      `#graphql
+      query CustomersByEmail($first: Int!, $query: String!) {
+        customers(first: $first, query: $query) {
+          edges {
+            node {
+              id
+              email
+            }
+          }
+        }
+      }`,
+      {
+        variables: {
+          first: LOOKUP_BATCH_SIZE,
+          query: batch.map((email) => `email:"${email.replace(/"/g, '\\"')}"`).join(" OR "),
+        },
+      },
+    );
+
+    const { data } = await response.json();
+    data.customers.edges.forEach(({ node }) => {
+      if (node.email) existing.set(node.email.toLowerCase(), node.id);
+    });
+  }
+
+  return existing;
+}
+
+/**
+ * Validates mapped CSV records and works out whether each one creates a new
+ * customer or updates an existing one with the same email. Returns one entry
+ * per record; entries with `errors` are skipped by the import.
+ */
+export async function previewCustomerImport(admin, records) {
+  const normalized = records.map(normalize);
+  const seenEmails = new Map();
+
+  const checked = normalized.map((record) => {
+    const errors = validationErrors(record, seenEmails);
+    if (record.email && !seenEmails.has(record.email)) seenEmails.set(record.email, record.row);
+    return { ...record, errors };
+  });
+
+  const emails = [...new Set(checked.filter((r) => r.errors.length === 0 && r.email).map((r) => r.email))];
+  const existing = await findCustomersByEmail(admin, emails);
+
+  return checked.map((record) => ({
+    ...record,
+    customerId: existing.get(record.email) || null,
+    action: existing.has(record.email) ? "update" : "create",
+  }));
+}
+
+function userErrorMessage(userErrors) {
+  return userErrors.map((error) => error.message).join(", ");
+}
+
+async function createCustomer(admin, record) {
+  const response = await admin.graphql(
+    `#graphql
+    mutation ImportCustomerCreate($input: CustomerInput!) {
+      customerCreate(input: $input) {
+        customer {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    {
+      variables: {
+        input: {
+          email: record.email || null,
+          firstName: record.firstName || null,
+          lastName: record.lastName || null,
+          phone: record.phone || null,
+          note: record.note || null,
+          tags: record.tags,
+        },
+      },
+    },
+  );
+
+  const { data } = await response.json();
+  return data.customerCreate.userErrors;
+}
+
+// Only the fields present in the CSV are changed, and tags are added to the
+// customer's existing tags rather than replacing them.
+async function updateCustomer(admin, record) {
+  const input = { id: record.customerId };
+  ["firstName", "lastName", "phone", "note"].forEach((key) => {
+    if (record[key]) input[key] = record[key];
+  });
+
+  const response = await admin.graphql(
+    `#graphql
+    mutation ImportCustomerUpdate($input: CustomerInput!) {
+      customerUpdate(input: $input) {
+        customer {
+          id
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    { variables: { input } },
+  );
+
+  const { data } = await response.json();
+  if (data.customerUpdate.userErrors.length > 0 || record.tags.length === 0) {
+    return data.customerUpdate.userErrors;
+  }
+
+  const tagsResponse = await admin.graphql(
+    `#graphql
+    mutation ImportCustomerTags($id: ID!, $tags: [String!]!) {
+      tagsAdd(id: $id, tags: $tags) {
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    { variables: { id: record.customerId, tags: record.tags } },
+  );
+
+  const { data: tagsData } = await tagsResponse.json();
+  return tagsData.tagsAdd.userErrors;
+}
+
+/**
+ * Creates or updates each mapped CSV record, one at a time so a failure only
+ * affects its own row. Records are validated and matched to existing
+ * customers again here rather than trusting the preview the browser sent, so
+ * invalid rows come back as failed results. Returns one result per record,
+ * keyed by row number. The mirror picks the changes up from the
+ * customers/create and customers/update webhooks.
+ */
+export async function runCustomerImport(admin, records) {
+  const results = [];
+
+  for (const record of await previewCustomerImport(admin, records)) {
+    if (record.errors.length > 0) {
+      results.push({ id: record.row, ok: false, error: record.errors.join("; ") });
+      continue;
+    }
+
+    try {
+      const userErrors = record.customerId
+        ? await updateCustomer(admin, record)
+        : await createCustomer(admin, record);
+
+      results.push(userErrors.length > 0
+        ? { id: record.row, ok: false, error: userErrorMessage(userErrors) }
+        : { id: record.row, ok: true });
+    } catch (error) {
+      results.push({ id: record.row, ok: false, error: error.message });
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,204 @@
+import db from "../db.server";
+import { splitTags } from "./mirror.server";
+
+const ORDERS_PAGE_SIZE = 100;
+
+export function toCustomerGid(id) {
+  return `gid://shopify/Customer/${id}`;
+}
+
+async function fetchCustomerOrders(admin, id) {
+  const orders = [];
+  let after = null;
+
+  do {
+    const response = await admin.graphql(
+      `#graphql
+      query CustomerOrders($id: ID!, $first: Int!, $after: String) {
+        customer(id: $id) {
+          orders(first: $first, after: $after, sortKey: PROCESSED_AT, reverse: true) {
+            edges {
+              node {
+                id
+                name
+                processedAt
+                cancelledAt
+                cancelReason
+                displayFinancialStatus
+                displayFulfillmentStatus
+                totalPriceSet {
+                  shopMoney {
+                    amount
+                    currencyCode
+                  }
+                }
+                refunds {
+                  id
+                  createdAt
+                  note
+                  totalRefundedSet {
+                    shopMoney {
+                      amount
+                      currencyCode
+                    }
+                  }
+                }
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      }`,
+      { variables: { id, first: ORDERS_PAGE_SIZE, after } },
+    );
+
+    const { data } = await response.json();
+    const connection = data.customer.orders;
+    orders.push(...connection.edges.map((edge) => edge.node));
+    after = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (after);
+
+  return orders;
+}
+
+/**
+ * Loads a customer's profile, addresses and full order history from the Admin
+ * API. Returns null when the customer doesn't exist.
+ */
+export async function fetchCustomerDetail(admin, id) {
+  const response = await admin.graphql(
+    `#graphql
+    query CustomerDetail($id: ID!) {
+      customer(id: $id) {
+        id
+        firstName
+        lastName
+        email
+        phone
+        note
+        tags
+        createdAt
+        numberOfOrders
+        amountSpent {
+          amount
+          currencyCode
+        }
+        defaultAddress {
+          id
+        }
+        addressesV2(first: 20) {
+          edges {
+            node {
+              id
+              formatted
+            }
+          }
+        }
+      }
+    }`,
+    { variables: { id } },
+  );
+
+  const { data } = await response.json();
+  if (!data.customer) return null;
+
+  const { addressesV2, ...customer } = data.customer;
+
+  return {
+    ...customer,
+    numberOfOrders: Number(customer.numberOfOrders || 0),
+    addresses: addressesV2.edges.map((edge) => edge.node),
+    orders: await fetchCustomerOrders(admin, id),
+  };
+}
+
+export async function addCustomerNote(shop, customerId, body) {
+  return db.customerNote.create({ data: { shop, customerId, body } });
+}
+
+/**
+ * Merges a customer's orders, cancellations, refunds, tag changes and internal
+ * notes into one list of events, newest first.
+ */
+export async function getCustomerTimeline(shop, customer) {
+  const [notes, tagEvents] = await Promise.all([
+    db.customerNote.findMany({ where: { shop, customerId: customer.id } }),
+    db.customerTagEvent.findMany({ where: { shop, customerId: customer.id } }),
+  ]);
+
+  const events = [
+    {
+      id: `created-${customer.id}`,
+      type: "customer",
+      date: customer.createdAt,
+      title: "Customer created",
+    },
+  ];
+
+  customer.orders.forEach((order) => {
+    events.push({
+      id: `order-${order.id}`,
+      type: "order",
+      date: order.processedAt,
+      title: `Placed order ${order.name}`,
+      orderId: order.id,
+      amount: order.totalPriceSet.shopMoney,
+      status: order.displayFinancialStatus,
+    });
+
+    if (order.cancelledAt) {
+      events.push({
+        id: `cancelled-${order.id}`,
+        type: "cancellation",
+        date: order.cancelledAt,
+        title: `Order ${order.name} cancelled`,
+        orderId: order.id,
+        description: order.cancelReason ? `Reason: ${order.cancelReason.toLowerCase()}` : null,
+      });
+    }
+
+    order.refunds.forEach((refund) => {
+      events.push({
+        id: `refund-${refund.id}`,
+        type: "refund",
+        date: refund.createdAt,
+        title: `Refund on order ${order.name}`,
+        orderId: order.id,
+        amount: refund.totalRefundedSet.shopMoney,
+        description: refund.note,
+      });
+    });
+  });
+
+  tagEvents.forEach((event) => {
+    const added = splitTags(event.added);
+    const removed = splitTags(event.removed);
+    const changes = [
+      added.length > 0 && `added ${added.join(", ")}`,
+      removed.length > 0 && `removed ${removed.join(", ")}`,
+    ].filter(Boolean);
+
+    events.push({
+      id: `tags-${event.id}`,
+      type: "tags",
+      date: event.createdAt.toISOString(),
+      title: "Tags changed",
+      description: changes.join("; "),
+    });
+  });
+
+  notes.forEach((note) => {
+    events.push({
+      id: `note-${note.id}`,
+      type: "note",
+      date: note.createdAt.toISOString(),
+      title: "Internal note",
+      description: note.body,
+    });
+  });
+
+  return events.sort((a, b) => new Date(b.date) - new Date(a.date));
+}
@@ -0,0 +1,423 @@
+import db from "../db.server";
+import { isMirrorReady, splitTags, updateMirroredTags } from "./mirror.server";
+
+export const CUSTOMERS_PAGE_SIZE = 50;
+
+// The Admin API caps a single connection page at 250 nodes.
+const MAX_PAGE_SIZE = 250;
+
+const SORT_KEYS = {
+  name: "NAME",
+  date: "CREATED_AT",
+};
+
+const CUSTOMER_FIELDS = `#graphql
+  fragment CustomerListFields on Customer {
+    id
+    firstName
+    lastName
+    email
+    defaultAddress {
+      country
+    }
+    tags
+    numberOfOrders
+    amountSpent {
+      amount
+      currencyCode
+    }
+    lastOrder {
+      processedAt
+    }
+    createdAt
+  }
+`;
+
+// "Last order before" takes a calendar date, as sent by the date field.
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export function parseCustomerFilters(searchParams) {
+  return {
+    query: searchParams.get("query")?.trim() || "",
+    tag: searchParams.get("tag")?.trim() || "",
+    country: searchParams.get("country")?.trim() || "",
+    orderCount: searchParams.get("orderCount")?.trim() || "",
+    segment: searchParams.get("segment") || "",
+    lastOrderBefore: DATE_PATTERN.test(searchParams.get("lastOrderBefore") || "")
+      ? searchParams.get("lastOrderBefore")
+      : "",
+    sort: searchParams.get("sort") || "date desc",
+  };
+}
+
+function formatDate(value) {
+  return value ? new Date(value).toISOString().slice(0, 10) : "";
+}
+
+// Columns available in the customer CSV export, in their default order.
+export const CUSTOMER_CSV_COLUMNS = [
+  { key: "id", label: "ID", value: (c) => c.id.split("/").pop() },
+  { key: "firstName", label: "First Name", value: (c) => c.firstName },
+  { key: "lastName", label: "Last Name", value: (c) => c.lastName },
+  { key: "email", label: "Email", value: (c) => c.email },
+  { key: "country", label: "Country", value: (c) => c.defaultAddress?.country },
+  { key: "tags", label: "Tags", value: (c) => c.tags.join(", ") },
+  { key: "orders", label: "Orders", value: (c) => c.numberOfOrders },
+  { key: "amountSpent", label: "Amount Spent", value: (c) => c.amountSpent?.amount },
+  { key: "currency", label: "Currency", value: (c) => c.amountSpent?.currencyCode },
+  { key: "segment", label: "Segment", value: (c) => c.rfm?.segment },
+  { key: "lastOrder", label: "Last Order Date", value: (c) => formatDate(c.lastOrder?.processedAt) },
+  { key: "createdAt", label: "Joined Date", value: (c) => formatDate(c.createdAt) },
+];
+
+// Values are wrapped in double quotes so tags and countries containing spaces
+// ("United States", "VIP customer") are matched as a single term.
+function quote(value) {
+  return `"${value.replace(/(["\\])/g, "\\$1")}"`;
+}
+
+export function buildCustomerSearchQuery({ query, tag, country, orderCount, lastOrderBefore }) {
+  const terms = [];
+
+  if (query) terms.push(query);
+  if (tag) terms.push(`tag:${quote(tag)}`);
+  if (country) terms.push(`country:${quote(country)}`);
+
+  const minOrders = parseInt(orderCount, 10);
+  if (!isNaN(minOrders)) terms.push(`orders_count:>=${minOrders}`);
+
+  // No order from the start of the day (UTC) on means the last order was
+  // before it. Customers who never ordered match too, as they do in the mirror.
+  if (lastOrderBefore) terms.push(`-order_date:>='${lastOrderBefore}T00:00:00Z'`);
+
+  return terms.join(" AND ");
+}
+
+function parseSort(sort) {
+  const [key, direction] = sort.split(" ");
+  return {
+    sortKey: SORT_KEYS[key] || SORT_KEYS.date,
+    reverse: direction === "desc",
+  };
+}
+
+function toCustomer(node) {
+  return {
+    ...node,
+    numberOfOrders: Number(node.numberOfOrders || 0),
+  };
+}
+
+// RFM segments only exist in the mirror, so the Admin API fallback ignores
+// the segment filter.
+function customerWhere(shop, { query, tag, country, orderCount, segment, lastOrderBefore }) {
+  const where = { shop };
+
+  if (query) {
+    where.OR = [
+      { firstName: { contains: query } },
+      { lastName: { contains: query } },
+      { email: { contains: query } },
+    ];
+  }
+  // `OR` is taken by the search query, so these are nested under `AND`.
+  const and = [];
+
+  // Tags are stored as a ", "-separated list, so an exact tag is the whole
+  // list, its first or last entry, or an entry in the middle.
+  if (tag) {
+    and.push({
+      OR: [
+        { tags: tag },
+        { tags: { startsWith: `${tag}, ` } },
+        { tags: { endsWith: `, ${tag}` } },
+        { tags: { contains: `, ${tag}, ` } },
+      ],
+    });
+  }
+  if (country) where.country = { contains: country };
+
+  const minOrders = parseInt(orderCount, 10);
+  if (!isNaN(minOrders)) where.numberOfOrders = { gte: minOrders };
+
+  if (segment) where.rfmSegment = segment;
+
+  // Same boundary as the Admin API query: before the start of the day in UTC.
+  if (lastOrderBefore) {
+    and.push({
+      OR: [{ lastOrderAt: null }, { lastOrderAt: { lt: new Date(`${lastOrderBefore}T00:00:00Z`) } }],
+    });
+  }
+
+  if (and.length) where.AND = and;
+
+  return where;
+}
+
+function customerOrderBy(sort) {
+  const [key, direction] = sort.split(" ");
+  const order = direction === "asc" ? "asc" : "desc";
+
+  // The ID tie-breaker keeps cursor pagination stable across equal values.
+  return key === "name"
+    ? [{ firstName: order }, { lastName: order }, { id: order }]
+    : [{ createdAt: order }, { id: order }];
+}
+
+// Mirror rows are returned in the same shape as the Admin API nodes so the
+// dashboard renders both sources the same way.
+function fromMirror(row) {
+  return {
+    id: row.id,
+    firstName: row.firstName,
+    lastName: row.lastName,
+    email: row.email,
+    defaultAddress: row.country ? { country: row.country } : null,
+    tags: splitTags(row.tags),
+    numberOfOrders: row.numberOfOrders,
+    amountSpent: { amount: String(row.amountSpent), currencyCode: row.currencyCode },
+    lastOrder: row.lastOrderAt ? { processedAt: row.lastOrderAt.toISOString() } : null,
+    createdAt: row.createdAt.toISOString(),
+    rfm: row.rfmSegment
+      ? {
+          segment: row.rfmSegment,
+          recency: row.rfmRecency,
+          frequency: row.rfmFrequency,
+          monetary: row.rfmMonetary,
+        }
+      : null,
+  };
+}
+
+async function findMirrorCustomerPage(shop, { filters, after, before }) {
+  const where = customerWhere(shop, filters);
+  const cursor = after || before;
+  // Fetch one extra row to find out whether there is another page.
+  const take = (before ? -1 : 1) * (CUSTOMERS_PAGE_SIZE + 1);
+
+  const [rows, filteredCount, totalCount] = await Promise.all([
+    db.customer.findMany({
+      where,
+      orderBy: customerOrderBy(filters.sort),
+      take,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    }),
+    db.customer.count({ where }),
+    db.customer.count({ where: { shop } }),
+  ]);
+
+  const hasMore = rows.length > CUSTOMERS_PAGE_SIZE;
+  const page = before
+    ? rows.slice(hasMore ? 1 : 0)
+    : rows.slice(0, CUSTOMERS_PAGE_SIZE);
+
+  return {
+    customers: page.map(fromMirror),
+    pageInfo: {
+      hasNextPage: before ? true : hasMore,
+      hasPreviousPage: before ? hasMore : Boolean(after),
+      startCursor: page[0]?.id ?? null,
+      endCursor: page[page.length - 1]?.id ?? null,
+    },
+    filteredCount,
+    totalCount,
+  };
+}
+
+/**
+ * Lists one page of customers, reading from the local mirror once it has been
+ * backfilled and from the Admin API until then.
+ */
+export async function listCustomers({ admin, shop, filters, after, before }) {
+  if (await isMirrorReady(shop)) {
+    return findMirrorCustomerPage(shop, { filters, after, before });
+  }
+  return fetchCustomerPage(admin, { filters, after, before });
+}
+
+/**
+ * Yields every customer matching `filters` a page at a time, from the same
+ * source as `listCustomers`, so exports never hold the whole list in memory.
+ */
+export async function* iterateCustomers({ admin, shop, filters }) {
+  if (!(await isMirrorReady(shop))) {
+    yield* fetchCustomerPages(admin, filters);
+    return;
+  }
+
+  const where = customerWhere(shop, filters);
+  let cursor = null;
+
+  do {
+    const rows = await db.customer.findMany({
+      where,
+      orderBy: customerOrderBy(filters.sort),
+      take: MAX_PAGE_SIZE,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    });
+    if (rows.length > 0) yield rows.map(fromMirror);
+    cursor = rows.length === MAX_PAGE_SIZE ? rows[rows.length - 1].id : null;
+  } while (cursor);
+}
+
+/**
+ * Fetches one page of customers matching `filters`, together with the number
+ * of matching customers and the number of customers in the whole store.
+ * Pass `after` to page forward or `before` to page backward.
+ */
+async function fetchCustomerPage(admin, { filters, after, before }) {
+  const { sortKey, reverse } = parseSort(filters.sort);
+  const pageArgs = before
+    ? { last: CUSTOMERS_PAGE_SIZE, before }
+    : { first: CUSTOMERS_PAGE_SIZE, after: after || null };
+
+  const response = await admin.graphql(
+    `#graphql
+    ${CUSTOMER_FIELDS}
+    query CustomersPage($first: Int, $last: Int, $after: String, $before: String, $query: String, $sortKey: CustomerSortKeys, $reverse: Boolean) {
+      customers(first: $first, last: $last, after: $after, before: $before, query: $query, sortKey: $sortKey, reverse: $reverse) {
+        edges {
+          node {
+            ...CustomerListFields
+          }
+        }
+        pageInfo {
+          hasNextPage
+          hasPreviousPage
+          startCursor
+          endCursor
+        }
+      }
+      filteredCount: customersCount(query: $query, limit: null) {
+        count
+      }
+      totalCount: customersCount(limit: null) {
+        count
+      }
+    }`,
+    {
+      variables: {
+        ...pageArgs,
+        query: buildCustomerSearchQuery(filters) || null,
+        sortKey,
+        reverse,
+      },
+    },
+  );
+
+  const { data } = await response.json();
+
+  return {
+    customers: data.customers.edges.map((edge) => toCustomer(edge.node)),
+    pageInfo: data.customers.pageInfo,
+    filteredCount: data.filteredCount.count,
+    totalCount: data.totalCount.count,
+  };
+}
+
+/**
+ * Pages through every customer matching `filters`. Intended for exports, so
+ * it uses the largest page size the API allows.
+ */
+async function* fetchCustomerPages(admin, filters) {
+  const { sortKey, reverse } = parseSort(filters.sort);
+  const query = buildCustomerSearchQuery(filters) || null;
+  let after = null;
+
+  do {
+    const response = await admin.graphql(
+      `#graphql
+      ${CUSTOMER_FIELDS}
+      query AllCustomers($first: Int!, $after: String, $query: String, $sortKey: CustomerSortKeys, $reverse: Boolean) {
+        customers(first: $first, after: $after, query: $query, sortKey: $sortKey, reverse: $reverse) {
+          edges {
+            node {
+              ...CustomerListFields
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }`,
+      {
+        variables: { first: MAX_PAGE_SIZE, after, query, sortKey, reverse },
+      },
+    );
+
+    const { data } = await response.json();
+    yield data.customers.edges.map((edge) => toCustomer(edge.node));
+    after = data.customers.pageInfo.hasNextPage
+      ? data.customers.pageInfo.endCursor
+      : null;
+  } while (after);
+}
+
+const TAG_MUTATIONS = {
+  add: {
+    field: "tagsAdd",
+    mutation: `#graphql
+      mutation CustomerTagsAdd($id: ID!, $tags: [String!]!) {
+        tagsAdd(id: $id, tags: $tags) {
+          node {
+            id
+            ... on Customer {
+              tags
+            }
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+  },
+  remove: {
+    field: "tagsRemove",
+    mutation: `#graphql
+      mutation CustomerTagsRemove($id: ID!, $tags: [String!]!) {
+        tagsRemove(id: $id, tags: $tags) {
+          node {
+            id
+            ... on Customer {
+              tags
+            }
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+  },
+};
+
+/**
+ * Adds or removes `tags` on each customer in `ids`. Customers are updated one
+ * at a time so a failure only affects its own row; returns one result per ID.
+ */
+export async function updateCustomerTags(admin, shop, { ids, tags, operation }) {
+  const { field, mutation } = TAG_MUTATIONS[operation];
+  const results = [];
+
+  for (const id of ids) {
+    try {
+      const response = await admin.graphql(mutation, { variables: { id, tags } });
+      const { data } = await response.json();
+      const { node, userErrors } = data[field];
+
+      if (userErrors.length > 0) {
+        results.push({ id, ok: false, error: userErrors.map((error) => error.message).join(", ") });
+        continue;
+      }
+
+      await updateMirroredTags(shop, id, node.tags);
+      results.push({ id, ok: true });
+    } catch (error) {
+      results.push({ id, ok: false, error: error.message });
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,241 @@
+import db from "../db.server";
+import { getMailTransport, isMailConfigured } from "../mail.server";
+import { formatMoney } from "../money";
+import { joinTags, splitTags } from "./mirror.server";
+import { getStoreHealth } from "./store-health.server";
+
+const HOUR_MS = 60 * 60 * 1000;
+const DAY_MS = 24 * HOUR_MS;
+
+// How often the scheduler looks for digests that are due.
+const CHECK_INTERVAL_MS = 15 * 60 * 1000;
+
+const MAX_RECIPIENTS = 20;
+const LIST_LIMIT = 10;
+
+const EMAIL_PATTERN = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+export const DIGEST_FREQUENCIES = ["daily", "weekly"];
+
+const DEFAULT_SCHEDULE = {
+  enabled: false,
+  frequency: "weekly",
+  weekday: 1,
+  hour: 8,
+  recipients: [],
+  lastSentAt: null,
+};
+
+function toSchedule(row) {
+  return {
+    enabled: row.enabled,
+    frequency: row.frequency,
+    weekday: row.weekday,
+    hour: row.hour,
+    recipients: splitTags(row.recipients),
+    lastSentAt: row.lastSentAt,
+  };
+}
+
+export async function getDigestSchedule(shop) {
+  const row = await db.digestSchedule.findUnique({ where: { shop } });
+  return row ? toSchedule(row) : { ...DEFAULT_SCHEDULE };
+}
+
+/**
+ * Validates a submitted digest schedule. Recipients may be separated by commas
+ * or new lines. Returns `{ schedule }` or `{ errors }` keyed by field.
+ */
+export function parseDigestSchedule(formData) {
+  const errors = {};
+  const enabled = formData.get("enabled") === "true";
+  const frequency = formData.get("frequency");
+  const weekday = Number(formData.get("weekday"));
+  const hour = Number(formData.get("hour"));
+  const recipients = (formData.get("recipients") || "")
+    .split(/[,\n]/)
+    .map((email) => email.trim())
+    .filter(Boolean);
+
+  if (!DIGEST_FREQUENCIES.includes(frequency)) {
+    errors.frequency = "Choose daily or weekly";
+  }
+  if (!Number.isInteger(weekday) || weekday < 0 || weekday > 6) {
+    errors.weekday = "Choose a day of the week";
+  }
+  if (!Number.isInteger(hour) || hour < 0 || hour > 23) {
+    errors.hour = "Choose an hour";
+  }
+
+  const invalid = recipients.filter((email) => !EMAIL_PATTERN.test(email));
+  if (invalid.length > 0) {
+    errors.recipients = `Invalid email address: ${invalid.join(", ")}`;
+  } else if (recipients.length > MAX_RECIPIENTS) {
+    errors.recipients = `Add at most ${MAX_RECIPIENTS} recipients`;
+  } else if (enabled && recipients.length === 0) {
+    errors.recipients = "Add at least one recipient";
+  }
+
+  if (Object.keys(errors).length > 0) return { errors };
+
+  return { schedule: { enabled, frequency, weekday, hour, recipients } };
+}
+
+export async function saveDigestSchedule(shop, { recipients, ...schedule }) {
+  const data = { ...schedule, recipients: joinTags(recipients) };
+  return db.digestSchedule.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+}
+
+// The most recent time at or before `now` that the schedule says to send.
+function latestSlot({ frequency, weekday, hour }, now) {
+  const slot = new Date(Date.UTC(now.getUTCFullYear(), now.getUTCMonth(), now.getUTCDate(), hour));
+
+  if (frequency === "weekly") {
+    slot.setUTCDate(slot.getUTCDate() - ((slot.getUTCDay() - weekday + 7) % 7));
+    if (slot > now) slot.setUTCDate(slot.getUTCDate() - 7);
+  } else if (slot > now) {
+    slot.setUTCDate(slot.getUTCDate() - 1);
+  }
+
+  return slot;
+}
+
+/**
+ * A digest is due once its latest slot has passed since it was last sent. A
+ * schedule that has never sent waits for the first slot after it was saved,
+ * so enabling it doesn't send straight away.
+ */
+export function isDigestDue(row, now = new Date()) {
+  if (!row.enabled || !row.recipients) return false;
+  return latestSlot(row, now) > (row.lastSentAt || row.updatedAt);
+}
+
+export function nextDigestAt(schedule, now = new Date()) {
+  const step = schedule.frequency === "weekly" ? 7 * DAY_MS : DAY_MS;
+  return new Date(latestSlot(schedule, now).getTime() + step);
+}
+
+function escapeHtml(value) {
+  return String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+}
+
+function metricRow(label, value, note) {
+  return `<tr>
+    <td style="padding:8px 0;color:#616161">${escapeHtml(label)}</td>
+    <td style="padding:8px 0;text-align:right;font-weight:600">${escapeHtml(value)}</td>
+    <td style="padding:8px 0 8px 12px;color:#8a8a8a;font-size:12px">${escapeHtml(note)}</td>
+  </tr>`;
+}
+
+function listSection(title, rows, columns) {
+  const body = rows.length > 0
+    ? rows.slice(0, LIST_LIMIT).map((row) => `<tr>${columns
+      .map((column) => `<td style="padding:6px 8px;border-top:1px solid #e3e3e3">${escapeHtml(column.value(row))}</td>`)
+      .join("")}</tr>`).join("")
+    : `<tr><td style="padding:6px 8px;color:#8a8a8a" colspan="${columns.length}">None</td></tr>`;
+  const more = rows.length > LIST_LIMIT
+    ? `<p style="color:#8a8a8a;font-size:12px">and ${rows.length - LIST_LIMIT} more</p>`
+    : "";
+
+  return `<h2 style="font-size:16px;margin:24px 0 8px">${escapeHtml(title)}</h2>
+  <table style="width:100%;border-collapse:collapse;font-size:14px">
+    <tr>${columns.map((column) => `<th style="padding:6px 8px;text-align:left">${escapeHtml(column.label)}</th>`).join("")}</tr>
+    ${body}
+  </table>
+  ${more}`;
+}
+
+/** Renders the Store Health metrics and customer lists as an HTML email. */
+export function renderDigestHtml(shop, { settings, metrics, lists }) {
+  const trend = `${metrics.orderTrend >= 0 ? "+" : "-"}${Math.abs(metrics.orderTrendPercent)}%`;
+
+  return `<!DOCTYPE html>
+<html>
+<body style="font-family:-apple-system,BlinkMacSystemFont,'Segoe UI',Roboto,sans-serif;color:#303030;max-width:640px;margin:0 auto;padding:24px">
+  <h1 style="font-size:20px;margin:0 0 4px">Store Health digest</h1>
+  <p style="color:#616161;margin:0 0 16px">${escapeHtml(shop)} &middot; ${escapeHtml(new Date().toDateString())}</p>
+  <table style="width:100%;border-collapse:collapse;font-size:14px">
+    ${metricRow(`Orders (last ${settings.trendWindowDays} days)`, metrics.ordersInWindow, `${trend} vs. previous ${settings.trendWindowDays} days`)}
+    ${metricRow(`Inactive customers (${settings.inactiveDays}d+)`, metrics.inactiveCount, "No recent orders")}
+    ${metricRow(`Cancelled orders (${settings.cancellationWindowDays}d)`, metrics.cancelledInWindow, "Voids or refunds")}
+    ${metricRow("High-value customers at risk", lists.atRiskHighValue.length, `Inactive for ${settings.atRiskDays}+ days`)}
+    ${metricRow("Refund-heavy customers", lists.refundHeavy.length, `${settings.refundHeavyMinRefunds}+ refunded orders`)}
+  </table>
+  ${listSection("High-value at risk", lists.atRiskHighValue, [
+    { label: "Customer", value: (row) => row.name },
+    { label: "Total spent", value: (row) => formatMoney(row.spent, row.currencyCode) },
+    { label: "Last order", value: (row) => new Date(row.lastOrder).toDateString() },
+  ])}
+  ${listSection("Refund-heavy customers", lists.refundHeavy, [
+    { label: "Customer", value: (row) => row.name },
+    { label: "Email", value: (row) => row.email },
+    { label: "Refunds", value: (row) => row.refunds },
+  ])}
+</body>
+</html>`;
+}
+
+/** Builds the shop's digest from the mirror and sends it to `recipients`. */
+export async function sendDigest(shop, recipients) {
+  const health = await getStoreHealth(shop);
+
+  await getMailTransport().send({
+    to: recipients,
+    subject: `Store Health digest for ${shop}`,
+    html: renderDigestHtml(shop, health),
+  });
+}
+
+/**
+ * Sends every enabled digest whose scheduled time has passed. Each digest is
+ * claimed by moving its `lastSentAt` forward only if it still holds the value
+ * read, so when several servers run the scheduler only one of them sends it.
+ */
+export async function runDueDigests(now = new Date()) {
+  // Without a transport nothing can be sent, so due digests are left due
+  // instead of being claimed and failing on every check.
+  if (!isMailConfigured()) return;
+
+  const rows = await db.digestSchedule.findMany({ where: { enabled: true } });
+
+  for (const row of rows.filter((schedule) => isDigestDue(schedule, now))) {
+    const { count } = await db.digestSchedule.updateMany({
+      where: { shop: row.shop, lastSentAt: row.lastSentAt },
+      data: { lastSentAt: now },
+    });
+    if (count !== 1) continue;
+
+    try {
+      await sendDigest(row.shop, splitTags(row.recipients));
+    } catch (error) {
+      console.error(`Failed to send digest for ${row.shop}`, error);
+      // Hand the digest back so the next check retries it. `updatedAt` is
+      // restored too, since a digest that was never sent is due from it.
+      await db.digestSchedule.updateMany({
+        where: { shop: row.shop, lastSentAt: now },
+        data: { lastSentAt: row.lastSentAt, updatedAt: row.updatedAt },
+      });
+    }
+  }
+}
+
+/**
+ * Checks for due digests on an interval for as long as the server runs. Safe
+ * to call more than once; only the first call starts the timer.
+ */
+export function startDigestScheduler() {
+  if (global.digestScheduler) return;
+
+  global.digestScheduler = setInterval(() => {
+    runDueDigests().catch((error) => console.error("Digest scheduler failed", error));
+  }, CHECK_INTERVAL_MS);
+  global.digestScheduler.unref();
+}
@@ -0,0 +1,385 @@
+import { listCustomers, parseCustomerFilters } from "./customer.server";
+import { toCustomerGid } from "./customer-timeline.server";
+
+export const DRAFT_ORDERS_PAGE_SIZE = 50;
+
+export const DISCOUNT_TYPES = [
+  { value: "", label: "No discount" },
+  { value: "PERCENTAGE", label: "Percentage" },
+  { value: "FIXED_AMOUNT", label: "Fixed amount" },
+];
+
+// The list has two tabs: drafts still waiting for payment, and drafts that
+// were converted into orders.
+const DRAFT_TABS = {
+  open: "NOT status:completed",
+  completed: "status:completed",
+};
+
+const SEARCH_RESULTS = 10;
+
+const MONEY = `#graphql
+  fragment DraftOrderMoney on MoneyBag {
+    shopMoney {
+      amount
+      currencyCode
+    }
+  }
+`;
+
+function userErrorMessage(userErrors) {
+  return userErrors.map((error) => error.message).join(", ");
+}
+
+export function parseDraftTab(searchParams) {
+  return searchParams.get("tab") === "completed" ? "completed" : "open";
+}
+
+/**
+ * Reads one page of draft orders from the Admin API, most recently updated
+ * first, with the order each completed draft was converted into.
+ */
+export async function listDraftOrders(admin, { tab, after, before }) {
+  const pageArgs = before
+    ? { last: DRAFT_ORDERS_PAGE_SIZE, before }
+    : { first: DRAFT_ORDERS_PAGE_SIZE, after: after || null };
+
+  const response = await admin.graphql(
+    `#graphql
+    ${MONEY}
+    query DraftOrders($first: Int, $last: Int, $after: String, $before: String, $query: String) {
+      draftOrders(first: $first, last: $last, after: $after, before: $before, query: $query, sortKey: UPDATED_AT, reverse: true) {
+        edges {
+          node {
+            id
+            name
+            status
+            createdAt
+            updatedAt
+            invoiceSentAt
+            completedAt
+            customer {
+              id
+              displayName
+              email
+            }
+            totalPriceSet {
+              ...DraftOrderMoney
+            }
+            order {
+              id
+              name
+            }
+          }
+        }
+        pageInfo {
+          hasNextPage
+          hasPreviousPage
+          startCursor
+          endCursor
+        }
+      }
+    }`,
+    { variables: { ...pageArgs, query: DRAFT_TABS[tab] } },
+  );
+
+  const { data } = await response.json();
+
+  return {
+    drafts: data.draftOrders.edges.map((edge) => edge.node),
+    pageInfo: data.draftOrders.pageInfo,
+  };
+}
+
+/** Customers matching `query`, from the same source as the customer list. */
+export async function searchDraftCustomers(admin, shop, query) {
+  const filters = parseCustomerFilters(new URLSearchParams({ query, sort: "name asc" }));
+  const { customers } = await listCustomers({ admin, shop, filters });
+
+  return customers.slice(0, SEARCH_RESULTS).map((customer) => ({
+    id: customer.id,
+    name: `${customer.firstName || ""} ${customer.lastName || ""}`.trim() || customer.email || "Unnamed customer",
+    email: customer.email,
+    numberOfOrders: customer.numberOfOrders,
+  }));
+}
+
+/** The customer to preselect when a draft is started from their page. */
+export async function fetchDraftCustomer(admin, id) {
+  const response = await admin.graphql(
+    `#graphql
+    query DraftCustomer($id: ID!) {
+      customer(id: $id) {
+        id
+        displayName
+        email
+        numberOfOrders
+      }
+    }`,
+    { variables: { id: toCustomerGid(id) } },
+  );
+
+  const { data } = await response.json();
+  if (!data.customer) return null;
+
+  const { displayName, numberOfOrders, ...customer } = data.customer;
+  return { ...customer, name: displayName, numberOfOrders: Number(numberOfOrders) };
+}
+
+/**
+ * Variants whose product title, variant title or SKU matches `query`, with
+ * their price's currency.
+ */
+export async function searchDraftVariants(admin, query) {
+  const response = await admin.graphql(
+    `#graphql
+    query DraftVariants($first: Int!, $query: String) {
+      shop {
+        currencyCode
+      }
+      productVariants(first: $first, query: $query) {
+        nodes {
+          id
+          title
+          sku
+          price
+          inventoryQuantity
+          image {
+            url
+            altText
+          }
+          product {
+            title
+            status
+            featuredMedia {
+              preview {
+                image {
+                  url
+                  altText
+                }
+              }
+            }
+          }
+        }
+      }
+    }`,
+    { variables: { first: SEARCH_RESULTS, query: query || null } },
+  );
+
+  const { data } = await response.json();
+
+  return data.productVariants.nodes.map(({ product, image, ...variant }) => ({
+    ...variant,
+    productTitle: product.title,
+    productStatus: product.status,
+    image: image || product.featuredMedia?.preview?.image || null,
+    currencyCode: data.shop.currencyCode,
+  }));
+}
+
+/**
+ * Validates a submitted draft order. `lineItems` is a JSON list of
+ * `{ variantId, quantity }`. Returns `{ draft }`, otherwise `{ errors }` keyed
+ * by field. The customer is checked when the draft is created, so totals can
+ * be calculated before one is chosen.
+ */
+export function parseDraftOrder(formData) {
+  const errors = {};
+  const draft = {
+    customerId: formData.get("customerId") || null,
+    note: formData.get("note")?.trim() || "",
+    discount: null,
+    shipping: null,
+  };
+
+  let lineItems;
+  try {
+    lineItems = JSON.parse(formData.get("lineItems") || "[]");
+  } catch {
+    lineItems = null;
+  }
+  if (!Array.isArray(lineItems) || lineItems.length === 0) {
+    errors.lineItems = "Add at least one product";
+  } else if (lineItems.some((item) => !item.variantId || !Number.isInteger(item.quantity) || item.quantity < 1)) {
+    errors.lineItems = "Quantities must be whole numbers of at least 1";
+  } else {
+    draft.lineItems = lineItems.map(({ variantId, quantity }) => ({ variantId, quantity }));
+  }
+
+  const discountType = formData.get("discountType") || "";
+  if (discountType) {
+    const value = Number(formData.get("discountValue"));
+    if (!DISCOUNT_TYPES.some((type) => type.value === discountType)) {
+      errors.discountType = "Choose a discount type";
+    } else if (!formData.get("discountValue") || isNaN(value) || value <= 0) {
+      errors.discountValue = "Enter an amount greater than 0";
+    } else if (discountType === "PERCENTAGE" && value > 100) {
+      errors.discountValue = "A percentage can't be more than 100";
+    } else {
+      draft.discount = {
+        valueType: discountType,
+        value,
+        title: formData.get("discountTitle")?.trim() || null,
+      };
+    }
+  }
+
+  const shippingPrice = formData.get("shippingPrice")?.trim() || "";
+  if (shippingPrice) {
+    const price = Number(shippingPrice);
+    if (isNaN(price) || price < 0) {
+      errors.shippingPrice = "Enter a price of 0 or more";
+    } else {
+      draft.shipping = {
+        title: formData.get("shippingTitle")?.trim() || "Shipping",
+        price,
+      };
+    }
+  }
+
+  return Object.keys(errors).length > 0 ? { errors } : { draft };
+}
+
+async function fetchShopCurrency(admin) {
+  const response = await admin.graphql(
+    `#graphql
+    query ShopCurrency {
+      shop {
+        currencyCode
+      }
+    }`,
+  );
+  const { data } = await response.json();
+  return data.shop.currencyCode;
+}
+
+// Customers get their default address, so Shopify can work out taxes and the
+// invoice has somewhere to ship to.
+async function draftOrderInput(admin, draft) {
+  const currencyCode = draft.shipping ? await fetchShopCurrency(admin) : null;
+
+  return {
+    ...(draft.customerId
+      ? { purchasingEntity: { customerId: draft.customerId }, useCustomerDefaultAddress: true }
+      : {}),
+    lineItems: draft.lineItems,
+    appliedDiscount: draft.discount
+      ? { valueType: draft.discount.valueType, value: draft.discount.value, title: draft.discount.title }
+      : null,
+    shippingLine: draft.shipping
+      ? {
+          title: draft.shipping.title,
+          priceWithCurrency: { amount: draft.shipping.price.toFixed(2), currencyCode },
+        }
+      : null,
+    note: draft.note || null,
+  };
+}
+
+/**
+ * Works out a draft's subtotal, discount, shipping, tax and total without
+ * saving it. Returns `{ totals }`, or `{ error }` when Shopify rejects it.
+ */
+export async function calculateDraftOrder(admin, draft) {
+  const response = await admin.graphql(
+    `#graphql
+    ${MONEY}
+    mutation CalculateDraftOrder($input: DraftOrderInput!) {
+      draftOrderCalculate(input: $input) {
+        calculatedDraftOrder {
+          subtotalPriceSet {
+            ...DraftOrderMoney
+          }
+          totalDiscountsSet {
+            ...DraftOrderMoney
+          }
+          totalShippingPriceSet {
+            ...DraftOrderMoney
+          }
+          totalTaxSet {
+            ...DraftOrderMoney
+          }
+          totalPriceSet {
+            ...DraftOrderMoney
+          }
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    { variables: { input: await draftOrderInput(admin, draft) } },
+  );
+
+  const { data } = await response.json();
+  const { calculatedDraftOrder, userErrors } = data.draftOrderCalculate;
+  if (userErrors.length > 0) return { error: userErrorMessage(userErrors) };
+
+  return {
+    totals: Object.fromEntries(
+      Object.entries(calculatedDraftOrder).map(([key, money]) => [key, money.shopMoney]),
+    ),
+  };
+}
+
+/** Saves the draft in Shopify. Returns `{ draftOrder }` or `{ error }`. */
+export async function createDraftOrder(admin, draft) {
+  const response = await admin.graphql(
+    `#graphql
+    mutation CreateDraftOrder($input: DraftOrderInput!) {
+      draftOrderCreate(input: $input) {
+        draftOrder {
+          id
+          name
+        }
+        userErrors {
+          field
+          message
+        }
+      }
+    }`,
+    { variables: { input: await draftOrderInput(admin, draft) } },
+  );
+
+  const { data } = await response.json();
+  const { draftOrder, userErrors } = data.draftOrderCreate;
+  return userErrors.length > 0 ? { error: userErrorMessage(userErrors) } : { draftOrder };
+}
+
+/**
+ * Emails each draft's invoice, with its checkout link, to the draft's
+ * customer. Drafts without a customer email are reported as errors.
+ */
+export async function sendDraftInvoices(admin, ids) {
+  const results = [];
+
+  for (const id of ids) {
+    try {
+      const response = await admin.graphql(
+        `#graphql
+        mutation SendDraftInvoice($id: ID!) {
+          draftOrderInvoiceSend(id: $id) {
+            draftOrder {
+              id
+            }
+            userErrors {
+              field
+              message
+            }
+          }
+        }`,
+        { variables: { id } },
+      );
+      const { data } = await response.json();
+      const { userErrors } = data.draftOrderInvoiceSend;
+      results.push(userErrors.length > 0
+        ? { id, ok: false, error: userErrorMessage(userErrors) }
+        : { id, ok: true });
+    } catch (error) {
+      results.push({ id, ok: false, error: error.message });
+    }
+  }
+
+  return results;
+}
@@ -0,0 +1,301 @@
+import db from "../db.server";
+
+const FULFILLMENT_STATUSES = {
+  fulfilled: "FULFILLED",
+  partial: "PARTIALLY_FULFILLED",
+  restocked: "RESTOCKED",
+};
+
+// Most to least severe. PENDING sorts last so a finished HIGH assessment wins
+// over one that is still running.
+const RISK_LEVELS = ["HIGH", "MEDIUM", "LOW", "NONE", "PENDING"];
+
+function toDate(value) {
+  return value ? new Date(value) : null;
+}
+
+function toAmount(value) {
+  return parseFloat(value || 0);
+}
+
+function toGid(type, id) {
+  return `gid://shopify/${type}/${id}`;
+}
+
+export function joinTags(tags) {
+  return (tags || []).join(", ");
+}
+
+export function splitTags(tags) {
+  return tags ? tags.split(",").map((tag) => tag.trim()).filter(Boolean) : [];
+}
+
+/* Webhook payloads use the REST resource format. */
+
+export function customerFromWebhook(shop, payload) {
+  return {
+    id: payload.admin_graphql_api_id || toGid("Customer", payload.id),
+    shop,
+    firstName: payload.first_name,
+    lastName: payload.last_name,
+    email: payload.email,
+    country: payload.default_address?.country ?? null,
+    tags: payload.tags || "",
+    createdAt: toDate(payload.created_at),
+    updatedAt: toDate(payload.updated_at),
+  };
+}
+
+function refundedFromWebhook(payload) {
+  return (payload.refunds || [])
+    .flatMap((refund) => refund.transactions || [])
+    .filter((transaction) => transaction.kind === "refund" && transaction.status === "success")
+    .reduce((sum, transaction) => sum + toAmount(transaction.amount), 0);
+}
+
+export function orderFromWebhook(shop, payload) {
+  const { customer } = payload;
+  // The presentment currency is only kept alongside its amount, so a total
+  // is never shown in a currency it wasn't charged in.
+  const presentmentMoney = payload.total_price_set?.presentment_money;
+
+  return {
+    order: {
+      id: payload.admin_graphql_api_id || toGid("Order", payload.id),
+      shop,
+      name: payload.name,
+      email: payload.email,
+      customerId: customer ? customer.admin_graphql_api_id || toGid("Customer", customer.id) : null,
+      customerName: customer ? `${customer.first_name || ""} ${customer.last_name || ""}`.trim() : null,
+      processedAt: toDate(payload.processed_at || payload.created_at),
+      cancelledAt: toDate(payload.cancelled_at),
+      cancelReason: payload.cancel_reason?.toUpperCase() ?? null,
+      financialStatus: payload.financial_status?.toUpperCase() ?? null,
+      fulfillmentStatus: FULFILLMENT_STATUSES[payload.fulfillment_status] || "UNFULFILLED",
+      totalPrice: toAmount(payload.total_price_set?.shop_money?.amount ?? payload.total_price),
+      totalRefunded: refundedFromWebhook(payload),
+      currencyCode: payload.total_price_set?.shop_money?.currency_code ?? payload.currency,
+      presentmentTotalPrice: presentmentMoney ? toAmount(presentmentMoney.amount) : null,
+      presentmentCurrencyCode: presentmentMoney
+        ? presentmentMoney.currency_code ?? payload.presentment_currency ?? null
+        : null,
+      createdAt: toDate(payload.created_at),
+      updatedAt: toDate(payload.updated_at || payload.created_at),
+    },
+    lineItems: (payload.line_items || []).map((item) => ({
+      id: item.admin_graphql_api_id || toGid("LineItem", item.id),
+      title: item.title,
+      quantity: item.quantity,
+      price: toAmount(item.price_set?.shop_money?.amount ?? item.price),
+      sku: item.sku || null,
+      productId: item.product_id ? toGid("Product", item.product_id) : null,
+      variantId: item.variant_id ? toGid("ProductVariant", item.variant_id) : null,
+    })),
+  };
+}
+
+/* Bulk imports return Admin GraphQL nodes. */
+
+/**
+ * Reduces an order's `risk` summary to its most severe assessment and
+ * Shopify's recommendation. Orders nobody has assessed yet have neither.
+ */
+export function orderRiskFromNode(risk) {
+  const levels = (risk?.assessments || []).map((assessment) => assessment.riskLevel);
+  const riskLevel = RISK_LEVELS.find((level) => levels.includes(level)) ?? null;
+
+  return {
+    riskLevel,
+    riskRecommendation: risk?.recommendation ?? null,
+  };
+}
+
+export function customerFromNode(shop, node) {
+  return {
+    id: node.id,
+    shop,
+    firstName: node.firstName,
+    lastName: node.lastName,
+    email: node.email,
+    country: node.defaultAddress?.country ?? null,
+    tags: joinTags(node.tags),
+    numberOfOrders: Number(node.numberOfOrders || 0),
+    amountSpent: toAmount(node.amountSpent?.amount),
+    currencyCode: node.amountSpent?.currencyCode ?? null,
+    lastOrderAt: toDate(node.lastOrder?.processedAt),
+    createdAt: toDate(node.createdAt),
+    updatedAt: toDate(node.updatedAt),
+  };
+}
+
+export function lineItemFromNode(node) {
+  return {
+    id: node.id,
+    title: node.title,
+    quantity: node.quantity,
+    price: toAmount(node.originalUnitPriceSet?.shopMoney?.amount),
+    sku: node.sku || null,
+    productId: node.product?.id ?? null,
+    variantId: node.variant?.id ?? null,
+  };
+}
+
+export function orderFromNode(shop, node) {
+  return {
+    order: {
+      id: node.id,
+      shop,
+      name: node.name,
+      email: node.email,
+      customerId: node.customer?.id ?? null,
+      customerName: node.customer
+        ? `${node.customer.firstName || ""} ${node.customer.lastName || ""}`.trim()
+        : null,
+      processedAt: toDate(node.processedAt),
+      cancelledAt: toDate(node.cancelledAt),
+      cancelReason: node.cancelReason,
+      financialStatus: node.displayFinancialStatus,
+      fulfillmentStatus: node.displayFulfillmentStatus,
+      totalPrice: toAmount(node.totalPriceSet?.shopMoney?.amount),
+      totalRefunded: toAmount(node.totalRefundedSet?.shopMoney?.amount),
+      currencyCode: node.totalPriceSet?.shopMoney?.currencyCode ?? null,
+      presentmentTotalPrice: node.totalPriceSet?.presentmentMoney
+        ? toAmount(node.totalPriceSet.presentmentMoney.amount)
+        : null,
+      presentmentCurrencyCode: node.totalPriceSet?.presentmentMoney?.currencyCode ?? null,
+      ...orderRiskFromNode(node.risk),
+      createdAt: toDate(node.createdAt),
+      updatedAt: toDate(node.updatedAt),
+    },
+    // Bulk operation results list line items on their own lines, so they
+    // are attached separately.
+    lineItems: [],
+  };
+}
+
+export async function upsertCustomer(customer) {
+  const { id, ...data } = customer;
+  return db.customer.upsert({
+    where: { id },
+    create: customer,
+    update: data,
+  });
+}
+
+export async function upsertOrder({ order, lineItems }) {
+  const { id, ...data } = order;
+  return db.$transaction([
+    db.order.upsert({ where: { id }, create: order, update: data }),
+    db.lineItem.deleteMany({ where: { orderId: id } }),
+    db.lineItem.createMany({
+      data: lineItems.map((item) => ({ ...item, orderId: id })),
+    }),
+  ]);
+}
+
+/**
+ * Records the tags added and removed since the mirrored copy of the customer,
+ * so they can be shown on the customer timeline. Call before upserting.
+ */
+export async function recordTagChanges(customer) {
+  const existing = await db.customer.findUnique({
+    where: { id: customer.id },
+    select: { tags: true },
+  });
+  if (!existing) return;
+
+  const previous = splitTags(existing.tags);
+  const next = splitTags(customer.tags);
+  const added = next.filter((tag) => !previous.includes(tag));
+  const removed = previous.filter((tag) => !next.includes(tag));
+  if (added.length === 0 && removed.length === 0) return;
+
+  await db.customerTagEvent.create({
+    data: {
+      shop: customer.shop,
+      customerId: customer.id,
+      added: joinTags(added),
+      removed: joinTags(removed),
+    },
+  });
+}
+
+/**
+ * Applies a tag change made through the app to the mirror straight away, so
+ * the dashboard reflects it before the customers/update webhook arrives.
+ */
+export async function updateMirroredTags(shop, id, tags) {
+  const customer = { id, shop, tags: joinTags(tags) };
+  await recordTagChanges(customer);
+  await db.customer.updateMany({ where: { id, shop }, data: { tags: customer.tags } });
+}
+
+export async function deleteCustomer(id) {
+  return db.customer.deleteMany({ where: { id } });
+}
+
+export async function deleteOrder(id) {
+  return db.order.deleteMany({ where: { id } });
+}
+
+/**
+ * Recomputes a mirrored customer's order count, net spend and last order date
+ * from the mirrored orders. Webhook payloads don't reliably carry these totals.
+ * Order totals are in shop currency, so the spend is recorded in the currency
+ * of the latest order.
+ */
+export async function refreshCustomerTotals(customerId) {
+  if (!customerId) return;
+
+  const [totals, latest] = await Promise.all([
+    db.order.aggregate({
+      where: { customerId },
+      _count: { _all: true },
+      _sum: { totalPrice: true, totalRefunded: true },
+      _max: { processedAt: true },
+    }),
+    db.order.findFirst({
+      where: { customerId, currencyCode: { not: null } },
+      orderBy: { processedAt: "desc" },
+      select: { currencyCode: true },
+    }),
+  ]);
+
+  await db.customer.updateMany({
+    where: { id: customerId },
+    data: {
+      numberOfOrders: totals._count._all,
+      amountSpent: (totals._sum.totalPrice || 0) - (totals._sum.totalRefunded || 0),
+      lastOrderAt: totals._max.processedAt,
+      ...(latest ? { currencyCode: latest.currencyCode } : {}),
+    },
+  });
+}
+
+/** The shop's currency, as recorded on its most recently mirrored order. */
+export async function getShopCurrency(shop) {
+  const order = await db.order.findFirst({
+    where: { shop, currencyCode: { not: null } },
+    orderBy: { processedAt: "desc" },
+    select: { currencyCode: true },
+  });
+  return order?.currencyCode ?? null;
+}
+
+export async function getSyncState(shop) {
+  return db.syncState.findUnique({ where: { shop } });
+}
+
+/** The mirror is only trusted once a full import has completed. */
+export async function isMirrorReady(shop) {
+  const state = await getSyncState(shop);
+  return Boolean(state?.completedAt);
+}
+
+export async function updateSyncState(shop, data) {
+  return db.syncState.upsert({
+    where: { shop },
+    create: { shop, ...data },
+    update: data,
+  });
+}
@@ -0,0 +1,312 @@
+export const CANCEL_REASONS = [
+  { value: "CUSTOMER", label: "Customer changed or cancelled order" },
+  { value: "INVENTORY", label: "Items unavailable" },
+  { value: "FRAUD", label: "Fraudulent order" },
+  { value: "DECLINED", label: "Payment declined" },
+  { value: "STAFF", label: "Staff error" },
+  { value: "OTHER", label: "Other" },
+];
+
+const REFUNDABLE_KINDS = ["SALE", "CAPTURE"];
+
+function userErrorMessage(userErrors) {
+  return userErrors.map((error) => error.message).join(", ");
+}
+
+// Runs `action` for each order, one at a time so a failure only affects its
+// own row. `action` returns user errors, or a message string for problems
+// found before calling a mutation.
+async function forEachOrder(ids, action) {
+  const results = [];
+
+  for (const id of ids) {
+    try {
+      const errors = await action(id);
+      const error = typeof errors === "string" ? errors : userErrorMessage(errors);
+      results.push(error ? { id, ok: false, error } : { id, ok: true });
+    } catch (error) {
+      results.push({ id, ok: false, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * Cancels each order with `reason`, optionally refunding it to the original
+ * payment methods and restocking its items. Shopify finishes cancellations in
+ * the background; the mirror picks them up from the orders/updated webhook.
+ */
+export async function cancelOrders(admin, { ids, reason, refund, restock, notifyCustomer, staffNote }) {
+  return forEachOrder(ids, async (orderId) => {
+    const response = await admin.graphql(
+      `#graphql
+      mutation CancelOrder($orderId: ID!, $reason: OrderCancelReason!, $refundMethod: OrderCancelRefundMethodInput, $restock: Boolean!, $notifyCustomer: Boolean, $staffNote: String) {
+        orderCancel(orderId: $orderId, reason: $reason, refundMethod: $refundMethod, restock: $restock, notifyCustomer: $notifyCustomer, staffNote: $staffNote) {
+          job {
+            id
+          }
+          orderCancelUserErrors {
+            field
+            message
+          }
+        }
+      }`,
+      {
+        variables: {
+          orderId,
+          reason,
+          refundMethod: refund ? { originalPaymentMethodsRefund: true } : null,
+          restock,
+          notifyCustomer,
+          staffNote: staffNote || null,
+        },
+      },
+    );
+
+    const { data } = await response.json();
+    return data.orderCancel.orderCancelUserErrors;
+  });
+}
+
+async function fetchPaymentState(admin, id) {
+  const response = await admin.graphql(
+    `#graphql
+    query OrderPaymentState($id: ID!) {
+      order(id: $id) {
+        id
+        name
+        capturable
+        canMarkAsPaid
+        transactions(first: 50) {
+          id
+          kind
+          status
+          gateway
+          totalUnsettledSet {
+            presentmentMoney {
+              amount
+              currencyCode
+            }
+          }
+          maximumRefundableV2 {
+            amount
+            currencyCode
+          }
+        }
+      }
+    }`,
+    { variables: { id } },
+  );
+
+  const { data } = await response.json();
+  if (!data.order) throw new Error("Order not found");
+  return data.order;
+}
+
+/**
+ * Collects payment for each order: authorized payments are captured in full,
+ * and orders paid outside Shopify (bank transfer, cash on delivery) are
+ * marked as paid. Orders with nothing to collect are reported as errors.
+ */
+export async function collectPayments(admin, ids) {
+  return forEachOrder(ids, async (id) => {
+    const order = await fetchPaymentState(admin, id);
+
+    if (order.capturable) {
+      const authorizations = order.transactions.filter(
+        (transaction) => transaction.kind === "AUTHORIZATION"
+          && transaction.status === "SUCCESS"
+          && parseFloat(transaction.totalUnsettledSet.presentmentMoney.amount) > 0,
+      );
+
+      // Captures are made in the currency the customer was charged in.
+      for (const authorization of authorizations) {
+        const { amount, currencyCode } = authorization.totalUnsettledSet.presentmentMoney;
+        const response = await admin.graphql(
+          `#graphql
+          mutation CaptureOrderPayment($input: OrderCaptureInput!) {
+            orderCapture(input: $input) {
+              transaction {
+                id
+              }
+              userErrors {
+                field
+                message
+              }
+            }
+          }`,
+          { variables: { input: { id, parentTransactionId: authorization.id, amount, currency: currencyCode } } },
+        );
+        const { data } = await response.json();
+        if (data.orderCapture.userErrors.length > 0) return data.orderCapture.userErrors;
+      }
+      return [];
+    }
+
+    if (!order.canMarkAsPaid) {
+      return "Nothing to capture, and the order can't be marked as paid";
+    }
+
+    const response = await admin.graphql(
+      `#graphql
+      mutation MarkOrderAsPaid($input: OrderMarkAsPaidInput!) {
+        orderMarkAsPaid(input: $input) {
+          order {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+      { variables: { input: { id } } },
+    );
+    const { data } = await response.json();
+    return data.orderMarkAsPaid.userErrors;
+  });
+}
+
+// Splits `amount` across the order's sale and capture transactions, up to
+// what each can still refund.
+function refundTransactions(order, amount) {
+  const transactions = [];
+  let remaining = amount;
+
+  order.transactions
+    .filter((transaction) => REFUNDABLE_KINDS.includes(transaction.kind) && transaction.status === "SUCCESS")
+    .forEach((transaction) => {
+      const refundable = parseFloat(transaction.maximumRefundableV2?.amount || 0);
+      if (remaining <= 0 || refundable <= 0) return;
+
+      const share = Math.min(refundable, remaining);
+      remaining = Math.round((remaining - share) * 100) / 100;
+      transactions.push({
+        orderId: order.id,
+        parentId: transaction.id,
+        gateway: transaction.gateway,
+        kind: "REFUND",
+        amount: share.toFixed(2),
+      });
+    });
+
+  return transactions;
+}
+
+function refundableAmount(order) {
+  return order.transactions
+    .filter((transaction) => REFUNDABLE_KINDS.includes(transaction.kind) && transaction.status === "SUCCESS")
+    .reduce((sum, transaction) => sum + parseFloat(transaction.maximumRefundableV2?.amount || 0), 0);
+}
+
+/**
+ * Refunds each order to its original payment methods: everything that can
+ * still be refunded, or `amount` when set. Items aren't restocked; cancel the
+ * order to restock.
+ */
+export async function refundOrders(admin, { ids, amount, note, notify }) {
+  return forEachOrder(ids, async (id) => {
+    const order = await fetchPaymentState(admin, id);
+    const available = refundableAmount(order);
+
+    if (available <= 0) return "Nothing left to refund";
+    if (amount && amount > available + 0.005) {
+      return `At most ${available.toFixed(2)} can be refunded`;
+    }
+
+    const transactions = refundTransactions(order, amount || available);
+    const response = await admin.graphql(
+      `#graphql
+      mutation RefundOrder($input: RefundInput!) {
+        refundCreate(input: $input) {
+          refund {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+      { variables: { input: { orderId: id, note: note || null, notify, transactions } } },
+    );
+
+    const { data } = await response.json();
+    return data.refundCreate.userErrors;
+  });
+}
+
+/** Appends `note` to each order's existing note. */
+export async function addOrderNotes(admin, { ids, note }) {
+  return forEachOrder(ids, async (id) => {
+    const noteResponse = await admin.graphql(
+      `#graphql
+      query OrderNote($id: ID!) {
+        order(id: $id) {
+          note
+        }
+      }`,
+      { variables: { id } },
+    );
+    const { data: noteData } = await noteResponse.json();
+    if (!noteData.order) return "Order not found";
+
+    const existing = noteData.order.note?.trim();
+    const response = await admin.graphql(
+      `#graphql
+      mutation AddOrderNote($input: OrderInput!) {
+        orderUpdate(input: $input) {
+          order {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+      { variables: { input: { id, note: existing ? `${existing}\n\n${note}` : note } } },
+    );
+
+    const { data } = await response.json();
+    return data.orderUpdate.userErrors;
+  });
+}
+
+const TAG_MUTATIONS = {
+  add: {
+    field: "tagsAdd",
+    mutation: `#graphql
+      mutation AddOrderTags($id: ID!, $tags: [String!]!) {
+        tagsAdd(id: $id, tags: $tags) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+  },
+  remove: {
+    field: "tagsRemove",
+    mutation: `#graphql
+      mutation RemoveOrderTags($id: ID!, $tags: [String!]!) {
+        tagsRemove(id: $id, tags: $tags) {
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+  },
+};
+
+export async function updateOrderTags(admin, { ids, tags, operation }) {
+  const { field, mutation } = TAG_MUTATIONS[operation];
+
+  return forEachOrder(ids, async (id) => {
+    const response = await admin.graphql(mutation, { variables: { id, tags } });
+    const { data } = await response.json();
+    return data[field].userErrors;
+  });
+}
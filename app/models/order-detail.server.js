@@ -0,0 +1,410 @@
+import sanitizeHtml from "sanitize-html";
+
+// Page sizes keep each query well under the Admin API's cost limit of 1000
+// points. Line items carry several MoneyBags each, and the order query nests
+// fulfillment and refund items, so those come in small first pages and any
+// remainder is read afterwards.
+const LINE_ITEMS_PAGE_SIZE = 25;
+const MAX_FULFILLMENTS = 10;
+const MAX_REFUNDS = 10;
+const NESTED_ITEMS_FIRST_PAGE = 10;
+const NESTED_ITEMS_PAGE_SIZE = 50;
+const EVENTS_PAGE_SIZE = 50;
+
+const FULFILLMENT_LINE_ITEM = `#graphql
+  fragment OrderDetailFulfillmentLineItem on FulfillmentLineItem {
+    id
+    quantity
+    lineItem {
+      title
+    }
+  }
+`;
+
+const REFUND_LINE_ITEM = `#graphql
+  fragment OrderDetailRefundLineItem on RefundLineItem {
+    quantity
+    restockType
+    lineItem {
+      title
+    }
+  }
+`;
+
+export function toOrderGid(id) {
+  return `gid://shopify/Order/${id}`;
+}
+
+const MONEY = `#graphql
+  fragment OrderDetailMoney on MoneyBag {
+    shopMoney {
+      amount
+      currencyCode
+    }
+    presentmentMoney {
+      amount
+      currencyCode
+    }
+  }
+`;
+
+async function fetchOrderLineItems(admin, id) {
+  const lineItems = [];
+  let after = null;
+
+  do {
+    const response = await admin.graphql(
+      `#graphql
+      ${MONEY}
+      query OrderLineItems($id: ID!, $first: Int!, $after: String) {
+        order(id: $id) {
+          lineItems(first: $first, after: $after) {
+            edges {
+              node {
+                id
+                title
+                variantTitle
+                sku
+                quantity
+                currentQuantity
+                image {
+                  url
+                  altText
+                }
+                product {
+                  id
+                }
+                originalUnitPriceSet {
+                  ...OrderDetailMoney
+                }
+                originalTotalSet {
+                  ...OrderDetailMoney
+                }
+                discountedTotalSet {
+                  ...OrderDetailMoney
+                }
+                discountAllocations {
+                  allocatedAmountSet {
+                    ...OrderDetailMoney
+                  }
+                  discountApplication {
+                    ... on DiscountCodeApplication {
+                      code
+                    }
+                    ... on ManualDiscountApplication {
+                      title
+                    }
+                    ... on AutomaticDiscountApplication {
+                      title
+                    }
+                    ... on ScriptDiscountApplication {
+                      title
+                    }
+                  }
+                }
+                taxLines {
+                  title
+                  ratePercentage
+                  priceSet {
+                    ...OrderDetailMoney
+                  }
+                }
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+      }`,
+      { variables: { id, first: LINE_ITEMS_PAGE_SIZE, after } },
+    );
+
+    const { data } = await response.json();
+    const connection = data.order.lineItems;
+    lineItems.push(...connection.edges.map((edge) => edge.node));
+    after = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+  } while (after);
+
+  return lineItems.map(({ discountAllocations, ...item }) => ({
+    ...item,
+    discounts: discountAllocations.map((allocation) => ({
+      title: allocation.discountApplication.code || allocation.discountApplication.title || "Discount",
+      amountSet: allocation.allocatedAmountSet,
+    })),
+  }));
+}
+
+// Reads the rest of a fulfillment's or refund's line items when the order
+// query's first page didn't hold them all. `query` takes the parent's `$id`
+// and returns the connection under `field` of the parent.
+async function fetchRemainingItems(admin, query, id, field, connection) {
+  const nodes = connection.edges.map((edge) => edge.node);
+  let after = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+
+  while (after) {
+    const response = await admin.graphql(query, {
+      variables: { id, first: NESTED_ITEMS_PAGE_SIZE, after },
+    });
+    const { data } = await response.json();
+    const page = Object.values(data)[0][field];
+    nodes.push(...page.edges.map((edge) => edge.node));
+    after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  }
+
+  return nodes;
+}
+
+const REMAINING_FULFILLMENT_ITEMS = `#graphql
+  ${FULFILLMENT_LINE_ITEM}
+  query FulfillmentLineItems($id: ID!, $first: Int!, $after: String) {
+    fulfillment(id: $id) {
+      fulfillmentLineItems(first: $first, after: $after) {
+        edges {
+          node {
+            ...OrderDetailFulfillmentLineItem
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }`;
+
+const REMAINING_REFUND_ITEMS = `#graphql
+  ${REFUND_LINE_ITEM}
+  query RefundLineItems($id: ID!, $first: Int!, $after: String) {
+    refund(id: $id) {
+      refundLineItems(first: $first, after: $after) {
+        edges {
+          node {
+            ...OrderDetailRefundLineItem
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }`;
+
+// Event messages can contain links to Shopify admin, which don't work inside
+// the app, so only their text is kept.
+function eventText(message) {
+  return sanitizeHtml(message || "", { allowedTags: [], allowedAttributes: {} }).trim();
+}
+
+/**
+ * Loads an order with every line item, its discounts, shipping and tax lines,
+ * its first 10 fulfillments and refunds with all of their items, fraud risk
+ * assessments and the latest 50 events from the Admin API. Amounts are
+ * MoneyBags in both the shop's and the customer's currency.
+ * Returns null when the order doesn't exist.
+ */
+export async function fetchOrderDetail(admin, id) {
+  const response = await admin.graphql(
+    `#graphql
+    ${MONEY}
+    ${FULFILLMENT_LINE_ITEM}
+    ${REFUND_LINE_ITEM}
+    query OrderDetail($id: ID!, $fulfillments: Int!, $refunds: Int!, $items: Int!, $events: Int!) {
+      order(id: $id) {
+        id
+        name
+        createdAt
+        processedAt
+        cancelledAt
+        cancelReason
+        closedAt
+        displayFinancialStatus
+        displayFulfillmentStatus
+        email
+        phone
+        note
+        tags
+        discountCodes
+        currencyCode
+        presentmentCurrencyCode
+        customer {
+          id
+          displayName
+          email
+          numberOfOrders
+        }
+        shippingAddress {
+          formatted
+        }
+        risk {
+          recommendation
+          assessments {
+            riskLevel
+            provider {
+              title
+            }
+            facts {
+              description
+              sentiment
+            }
+          }
+        }
+        subtotalPriceSet {
+          ...OrderDetailMoney
+        }
+        totalDiscountsSet {
+          ...OrderDetailMoney
+        }
+        totalShippingPriceSet {
+          ...OrderDetailMoney
+        }
+        totalTaxSet {
+          ...OrderDetailMoney
+        }
+        totalPriceSet {
+          ...OrderDetailMoney
+        }
+        totalRefundedSet {
+          ...OrderDetailMoney
+        }
+        currentTotalPriceSet {
+          ...OrderDetailMoney
+        }
+        shippingLines(first: 20) {
+          edges {
+            node {
+              id
+              title
+              code
+              originalPriceSet {
+                ...OrderDetailMoney
+              }
+              discountedPriceSet {
+                ...OrderDetailMoney
+              }
+            }
+          }
+        }
+        taxLines {
+          title
+          ratePercentage
+          priceSet {
+            ...OrderDetailMoney
+          }
+        }
+        fulfillments(first: $fulfillments) {
+          id
+          name
+          displayStatus
+          createdAt
+          deliveredAt
+          trackingInfo(first: 5) {
+            company
+            number
+            url
+          }
+          fulfillmentLineItems(first: $items) {
+            edges {
+              node {
+                ...OrderDetailFulfillmentLineItem
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+        refunds(first: $refunds) {
+          id
+          createdAt
+          note
+          totalRefundedSet {
+            ...OrderDetailMoney
+          }
+          refundLineItems(first: $items) {
+            edges {
+              node {
+                ...OrderDetailRefundLineItem
+              }
+            }
+            pageInfo {
+              hasNextPage
+              endCursor
+            }
+          }
+        }
+        events(first: $events, sortKey: CREATED_AT, reverse: true) {
+          edges {
+            node {
+              id
+              createdAt
+              message
+              criticalAlert
+            }
+          }
+        }
+      }
+    }`,
+    {
+      variables: {
+        id,
+        fulfillments: MAX_FULFILLMENTS,
+        refunds: MAX_REFUNDS,
+        items: NESTED_ITEMS_FIRST_PAGE,
+        events: EVENTS_PAGE_SIZE,
+      },
+    },
+  );
+
+  const { data } = await response.json();
+  if (!data.order) return null;
+
+  const { shippingLines, fulfillments, refunds, events, ...order } = data.order;
+
+  const [lineItems, fulfillmentsWithItems, refundsWithItems] = await Promise.all([
+    fetchOrderLineItems(admin, id),
+    Promise.all(fulfillments.map(async ({ fulfillmentLineItems, ...fulfillment }) => {
+      const items = await fetchRemainingItems(
+        admin, REMAINING_FULFILLMENT_ITEMS, fulfillment.id, "fulfillmentLineItems", fulfillmentLineItems,
+      );
+      return {
+        ...fulfillment,
+        lineItems: items.map((node) => ({
+          id: node.id,
+          title: node.lineItem.title,
+          quantity: node.quantity,
+        })),
+      };
+    })),
+    Promise.all(refunds.map(async ({ refundLineItems, ...refund }) => {
+      const items = await fetchRemainingItems(
+        admin, REMAINING_REFUND_ITEMS, refund.id, "refundLineItems", refundLineItems,
+      );
+      return {
+        ...refund,
+        lineItems: items.map((node) => ({
+          title: node.lineItem.title,
+          quantity: node.quantity,
+          restocked: node.restockType !== "NO_RESTOCK",
+        })),
+      };
+    })),
+  ]);
+
+  return {
+    ...order,
+    lineItems,
+    shippingLines: shippingLines.edges.map((edge) => edge.node),
+    fulfillments: fulfillmentsWithItems,
+    refunds: refundsWithItems,
+    events: events.edges.map(({ node }) => ({
+      id: node.id,
+      date: node.createdAt,
+      message: eventText(node.message),
+      critical: node.criticalAlert,
+    })),
+  };
+}
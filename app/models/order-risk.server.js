@@ -0,0 +1,109 @@
+import db from "../db.server";
+import { orderRiskFromNode } from "./mirror.server";
+
+export const REVIEW_DECISIONS = [
+  { value: "reviewed", label: "Reviewed" },
+  { value: "approved", label: "Approved" },
+];
+
+// Orders land in the review queue when an assessment rates them medium or
+// high risk, or when Shopify recommends investigating or cancelling them.
+const FLAGGED_RISK_LEVELS = ["HIGH", "MEDIUM"];
+const FLAGGED_RECOMMENDATIONS = ["CANCEL", "INVESTIGATE"];
+
+export function flaggedOrderWhere() {
+  return {
+    OR: [
+      { riskLevel: { in: FLAGGED_RISK_LEVELS } },
+      { riskRecommendation: { in: FLAGGED_RECOMMENDATIONS } },
+    ],
+  };
+}
+
+/**
+ * Reads an order's fraud risk assessments from the Admin API, in the shape
+ * stored on mirrored orders. Order webhooks don't include them.
+ */
+export async function fetchOrderRisk(admin, id) {
+  const response = await admin.graphql(
+    `#graphql
+    query OrderRisk($id: ID!) {
+      order(id: $id) {
+        risk {
+          recommendation
+          assessments {
+            riskLevel
+          }
+        }
+      }
+    }`,
+    { variables: { id } },
+  );
+
+  const { data } = await response.json();
+  return data.order ? orderRiskFromNode(data.order.risk) : {};
+}
+
+// Staff names need the optional read_users scope, which only some plans grant
+// and the merchant may not have granted, so the user ID stands in when the
+// lookup fails.
+async function fetchReviewerName(admin, reviewerId) {
+  try {
+    const response = await admin.graphql(
+      `#graphql
+      query Reviewer($id: ID!) {
+        staffMember(id: $id) {
+          name
+        }
+      }`,
+      { variables: { id: `gid://shopify/StaffMember/${reviewerId}` } },
+    );
+    const { data } = await response.json();
+    if (data.staffMember?.name) return data.staffMember.name;
+  } catch (error) {
+    console.warn(`Could not look up staff member ${reviewerId}: ${error.message}`);
+  }
+  return `Staff member ${reviewerId}`;
+}
+
+/**
+ * Records `decision` against each order for the signed-in staff member,
+ * replacing any earlier decision. Orders that aren't mirrored are reported as
+ * errors.
+ */
+export async function reviewOrders(admin, shop, { ids, decision, reviewerId }) {
+  const reviewerName = await fetchReviewerName(admin, reviewerId);
+  const existing = await db.order.findMany({
+    where: { shop, id: { in: ids } },
+    select: { id: true },
+  });
+  const known = new Set(existing.map((order) => order.id));
+  const results = [];
+
+  for (const orderId of ids) {
+    if (!known.has(orderId)) {
+      results.push({ id: orderId, ok: false, error: "Order not found" });
+      continue;
+    }
+
+    const review = { shop, decision, reviewerId, reviewerName, reviewedAt: new Date() };
+    await db.orderReview.upsert({
+      where: { orderId },
+      create: { orderId, ...review },
+      update: review,
+    });
+    results.push({ id: orderId, ok: true });
+  }
+
+  return results;
+}
+
+export async function getOrderReview(shop, orderId) {
+  return db.orderReview.findFirst({ where: { shop, orderId } });
+}
+
+/** Clears the decision on each order, returning it to the review queue. */
+export async function reopenOrders(shop, ids) {
+  await db.orderReview.deleteMany({ where: { shop, orderId: { in: ids } } });
+  return ids.map((id) => ({ id, ok: true }));
+}
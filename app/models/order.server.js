@@ -0,0 +1,306 @@
+import db from "../db.server";
+import { getShopSettings } from "./settings.server";
+import { flaggedOrderWhere } from "./order-risk.server";
+
+export const ORDERS_PAGE_SIZE = 50;
+
+// Fulfillment statuses with nothing left to ship. Every other status, from
+// UNFULFILLED to ON_HOLD, counts towards the fulfillment backlog.
+const SHIPPED_STATUSES = ["FULFILLED", "RESTOCKED"];
+
+// Review queue tabs: flagged orders still waiting for a decision, and those
+// staff have already reviewed or approved.
+const REVIEW_STATES = ["pending", "decided"];
+
+// Age ranges for the fulfillment backlog, in whole days since the order was
+// placed. `max` is inclusive; the last bucket is open-ended.
+export const BACKLOG_BUCKETS = [
+  { label: "0–2 days", min: 0, max: 2 },
+  { label: "3–7 days", min: 3, max: 7 },
+  { label: "8–14 days", min: 8, max: 14 },
+  { label: "15+ days", min: 15, max: null },
+];
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const SORT_FIELDS = {
+  order: "name",
+  date: "processedAt",
+  total: "totalPrice",
+};
+
+// The date filter takes a calendar date, as sent by the date field.
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+export function parseOrderFilters(searchParams) {
+  return {
+    query: searchParams.get("query")?.trim() || "",
+    status: searchParams.get("status")?.split(",").filter(Boolean) || [],
+    fulfillment: searchParams.get("fulfillment")?.split(",").filter(Boolean) || [],
+    unfulfilledDays: parseUnfulfilledDays(searchParams.get("unfulfilledDays")),
+    risk: searchParams.get("risk")?.split(",").filter(Boolean) || [],
+    review: REVIEW_STATES.includes(searchParams.get("review")) ? searchParams.get("review") : "",
+    date: parseDate(searchParams.get("date")),
+    product: searchParams.get("product")?.trim() || "",
+    sort: searchParams.get("sort") || "date desc",
+  };
+}
+
+// A well-formed date can still be out of range (e.g. month 13), which
+// `new Date` turns into an Invalid Date that Prisma rejects.
+function parseDate(value) {
+  return value && DATE_PATTERN.test(value) && !isNaN(Date.parse(value)) ? value : "";
+}
+
+function parseUnfulfilledDays(value) {
+  const days = Number(value);
+  return value && Number.isInteger(days) && days >= 0 ? String(days) : "";
+}
+
+// Flagged orders with no decision yet; cancelled ones no longer need one.
+function reviewWhere(review) {
+  return review === "pending"
+    ? { ...flaggedOrderWhere(), review: null, cancelledAt: null }
+    : { ...flaggedOrderWhere(), review: { isNot: null } };
+}
+
+// Open, unfulfilled orders placed at least `days` whole days ago.
+function backlogWhere(days, now = new Date()) {
+  return {
+    cancelledAt: null,
+    fulfillmentStatus: { notIn: SHIPPED_STATUSES },
+    processedAt: { lte: new Date(now.getTime() - days * DAY_MS) },
+  };
+}
+
+export function orderWhere(shop, { query, status, fulfillment, unfulfilledDays, risk, review, date, product }) {
+  const where = { shop };
+  const and = [];
+
+  if (query) {
+    where.OR = [
+      { name: { contains: query } },
+      { customerName: { contains: query } },
+    ];
+  }
+  if (status.length > 0) {
+    where.financialStatus = { in: status.map((value) => value.toUpperCase()) };
+  }
+  if (fulfillment.length > 0) {
+    where.fulfillmentStatus = { in: fulfillment.map((value) => value.toUpperCase()) };
+  }
+  if (unfulfilledDays) {
+    and.push(backlogWhere(Number(unfulfilledDays)));
+  }
+  if (risk.length > 0) {
+    where.riskLevel = { in: risk.map((value) => value.toUpperCase()) };
+  }
+  if (review) {
+    and.push(reviewWhere(review));
+  }
+  if (date) {
+    where.processedAt = { gte: new Date(date) };
+  }
+  if (product) {
+    where.lineItems = { some: { title: { contains: product } } };
+  }
+  if (and.length > 0) {
+    where.AND = and;
+  }
+
+  return where;
+}
+
+export function orderOrderBy(sort) {
+  const [key, direction] = sort.split(" ");
+  const order = direction === "asc" ? "asc" : "desc";
+
+  // The ID tie-breaker keeps cursor pagination stable across equal values.
+  return [{ [SORT_FIELDS[key] || SORT_FIELDS.date]: order }, { id: order }];
+}
+
+/**
+ * Reads one page of mirrored orders matching `filters`, with their line items.
+ * Pass `after` to page forward or `before` to page backward.
+ */
+export async function listOrders({ shop, filters, after, before }) {
+  const where = orderWhere(shop, filters);
+  const cursor = after || before;
+  // Fetch one extra row to find out whether there is another page.
+  const take = (before ? -1 : 1) * (ORDERS_PAGE_SIZE + 1);
+
+  const [rows, filteredCount] = await Promise.all([
+    db.order.findMany({
+      where,
+      orderBy: orderOrderBy(filters.sort),
+      include: { lineItems: true, review: true },
+      take,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    }),
+    db.order.count({ where }),
+  ]);
+
+  const hasMore = rows.length > ORDERS_PAGE_SIZE;
+  const page = before
+    ? rows.slice(hasMore ? 1 : 0)
+    : rows.slice(0, ORDERS_PAGE_SIZE);
+
+  return {
+    orders: page,
+    pageInfo: {
+      hasNextPage: before ? true : hasMore,
+      hasPreviousPage: before ? hasMore : Boolean(after),
+      startCursor: page[0]?.id ?? null,
+      endCursor: page[page.length - 1]?.id ?? null,
+    },
+    filteredCount,
+  };
+}
+
+// Rows are read in batches so exports of large shops stay within memory.
+const EXPORT_BATCH_SIZE = 250;
+
+/** Yields every mirrored order matching `filters`, with line items, in batches. */
+export async function* iterateOrders({ shop, filters }) {
+  const where = orderWhere(shop, filters);
+  let cursor = null;
+
+  do {
+    const rows = await db.order.findMany({
+      where,
+      orderBy: orderOrderBy(filters.sort),
+      include: { lineItems: true },
+      take: EXPORT_BATCH_SIZE,
+      ...(cursor ? { cursor: { id: cursor }, skip: 1 } : {}),
+    });
+    if (rows.length > 0) yield rows;
+    cursor = rows.length === EXPORT_BATCH_SIZE ? rows[rows.length - 1].id : null;
+  } while (cursor);
+}
+
+function numericId(gid) {
+  return gid ? gid.split("/").pop() : null;
+}
+
+// Order-level columns shared by both export layouts.
+const ORDER_EXPORT_COLUMNS = [
+  { label: "Order", value: (o) => o.name },
+  { label: "Order ID", value: (o) => numericId(o.id) },
+  { label: "Date", value: (o) => o.processedAt.toISOString() },
+  { label: "Customer", value: (o) => o.customerName },
+  { label: "Email", value: (o) => o.email },
+  { label: "Financial Status", value: (o) => o.financialStatus },
+  { label: "Fulfillment Status", value: (o) => o.fulfillmentStatus },
+  { label: "Risk Level", value: (o) => o.riskLevel },
+  { label: "Currency", value: (o) => o.currencyCode },
+  { label: "Total", value: (o) => o.totalPrice },
+  { label: "Refunded", value: (o) => o.totalRefunded },
+  { label: "Net", value: (o) => Math.round((o.totalPrice - o.totalRefunded) * 100) / 100 },
+  { label: "Presentment Currency", value: (o) => o.presentmentCurrencyCode },
+  { label: "Presentment Total", value: (o) => o.presentmentTotalPrice },
+  { label: "Cancelled At", value: (o) => o.cancelledAt?.toISOString() },
+  { label: "Cancel Reason", value: (o) => o.cancelReason },
+];
+
+const LINE_ITEM_EXPORT_COLUMNS = [
+  { label: "Item", value: (item) => item?.title },
+  { label: "SKU", value: (item) => item?.sku },
+  { label: "Quantity", value: (item) => item?.quantity },
+  { label: "Unit Price", value: (item) => item?.price },
+  { label: "Line Total", value: (item) => (item ? Math.round(item.price * item.quantity * 100) / 100 : null) },
+  { label: "Product ID", value: (item) => numericId(item?.productId) },
+  { label: "Variant ID", value: (item) => numericId(item?.variantId) },
+];
+
+export const ORDER_EXPORT_LAYOUTS = ["orders", "lineItems"];
+
+/**
+ * Column headers and a row builder for an order export. The "orders" layout
+ * has one row per order; "lineItems" has one row per line item with the order
+ * columns repeated, and a single blank-item row for orders without items.
+ */
+export function orderExportLayout(layout) {
+  if (layout === "lineItems") {
+    return {
+      headers: [...ORDER_EXPORT_COLUMNS, ...LINE_ITEM_EXPORT_COLUMNS].map((column) => column.label),
+      toRows: (order) => {
+        const orderValues = ORDER_EXPORT_COLUMNS.map((column) => column.value(order));
+        const items = order.lineItems.length > 0 ? order.lineItems : [null];
+        return items.map((item) => [
+          ...orderValues,
+          ...LINE_ITEM_EXPORT_COLUMNS.map((column) => column.value(item)),
+        ]);
+      },
+    };
+  }
+
+  return {
+    headers: [...ORDER_EXPORT_COLUMNS.map((column) => column.label), "Items"],
+    toRows: (order) => [[
+      ...ORDER_EXPORT_COLUMNS.map((column) => column.value(order)),
+      order.lineItems.reduce((sum, item) => sum + item.quantity, 0),
+    ]],
+  };
+}
+
+/**
+ * Cancellation, payment, late shipment and risk review counts across the
+ * shop's full order history. Orders are late once they have waited
+ * `lateShipmentDays` unshipped.
+ */
+export async function getOrderStats(shop) {
+  const settings = await getShopSettings(shop);
+  const [total, cancelled, pending, late, awaitingReview] = await Promise.all([
+    db.order.count({ where: { shop } }),
+    db.order.count({
+      where: {
+        shop,
+        OR: [
+          { financialStatus: { in: ["VOIDED", "REFUNDED"] } },
+          { cancelReason: { not: null } },
+        ],
+      },
+    }),
+    db.order.count({ where: { shop, financialStatus: "PENDING" } }),
+    db.order.count({ where: { shop, ...backlogWhere(settings.lateShipmentDays) } }),
+    db.order.count({ where: { shop, ...reviewWhere("pending") } }),
+  ]);
+
+  return {
+    total,
+    cancelled,
+    pending,
+    late,
+    lateShipmentDays: settings.lateShipmentDays,
+    awaitingReview,
+    highCancellationRate: total > 0 && (cancelled / total) * 100 > settings.highCancellationRate,
+  };
+}
+
+/**
+ * Open, unfulfilled orders grouped by how long they have been waiting, with
+ * the placement date of the oldest one.
+ */
+export async function getFulfillmentBacklog(shop) {
+  const now = new Date();
+  const where = { shop, ...backlogWhere(0, now) };
+
+  const [counts, oldest] = await Promise.all([
+    Promise.all(BACKLOG_BUCKETS.map(({ min, max }) => db.order.count({
+      where: {
+        ...where,
+        processedAt: {
+          lte: new Date(now.getTime() - min * DAY_MS),
+          ...(max === null ? {} : { gt: new Date(now.getTime() - (max + 1) * DAY_MS) }),
+        },
+      },
+    }))),
+    db.order.findFirst({ where, orderBy: { processedAt: "asc" }, select: { processedAt: true } }),
+  ]);
+
+  return {
+    total: counts.reduce((sum, count) => sum + count, 0),
+    oldest: oldest?.processedAt ?? null,
+    buckets: BACKLOG_BUCKETS.map((bucket, index) => ({ ...bucket, count: counts[index] })),
+  };
+}
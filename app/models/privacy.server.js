@@ -0,0 +1,76 @@
+import db from "../db.server";
+
+/**
+ * Deletes everything the app stores for a shop. Runs when the app is
+ * uninstalled and again on Shopify's shop/redact request. Line items and
+ * order reviews are deleted along with their orders.
+ */
+export async function purgeShopData(shop) {
+  await db.$transaction([
+    db.order.deleteMany({ where: { shop } }),
+    db.customer.deleteMany({ where: { shop } }),
+    db.customerNote.deleteMany({ where: { shop } }),
+    db.customerTagEvent.deleteMany({ where: { shop } }),
+    db.abandonedCheckout.deleteMany({ where: { shop } }),
+    db.orderReview.deleteMany({ where: { shop } }),
+    db.savedView.deleteMany({ where: { shop } }),
+    db.stockAlert.deleteMany({ where: { shop } }),
+    db.stockThreshold.deleteMany({ where: { shop } }),
+    db.productEditLog.deleteMany({ where: { shop } }),
+    db.digestSchedule.deleteMany({ where: { shop } }),
+    db.shopSettings.deleteMany({ where: { shop } }),
+    db.syncState.deleteMany({ where: { shop } }),
+  ]);
+}
+
+function customerOrderIds(payload) {
+  return (payload.orders_to_redact || []).map((id) => `gid://shopify/Order/${id}`);
+}
+
+/**
+ * Everything the app stores about one customer, for a customers/data_request.
+ * `payload` is the webhook's body.
+ */
+export async function getCustomerData(shop, payload) {
+  const customerId = `gid://shopify/Customer/${payload.customer.id}`;
+  const email = payload.customer.email || undefined;
+
+  const [customer, orders, notes, tagEvents, checkouts] = await Promise.all([
+    db.customer.findFirst({ where: { shop, id: customerId } }),
+    db.order.findMany({
+      where: { shop, OR: [{ customerId }, { id: { in: customerOrderIds(payload) } }] },
+      include: { lineItems: true },
+    }),
+    db.customerNote.findMany({ where: { shop, customerId } }),
+    db.customerTagEvent.findMany({ where: { shop, customerId } }),
+    db.abandonedCheckout.findMany({
+      where: { shop, OR: [{ customerId }, ...(email ? [{ email }] : [])] },
+    }),
+  ]);
+
+  return { customer, orders, notes, tagEvents, checkouts };
+}
+
+/**
+ * Deletes a customer for a customers/redact request: their mirrored record,
+ * notes, tag history, abandoned checkouts and the orders Shopify lists, and
+ * removes their name and email from any of their orders that are kept.
+ */
+export async function redactCustomer(shop, payload) {
+  const customerId = `gid://shopify/Customer/${payload.customer.id}`;
+  const email = payload.customer.email || undefined;
+
+  await db.$transaction([
+    db.order.deleteMany({ where: { shop, id: { in: customerOrderIds(payload) } } }),
+    db.order.updateMany({
+      where: { shop, customerId },
+      data: { customerId: null, customerName: null, email: null },
+    }),
+    db.customer.deleteMany({ where: { shop, id: customerId } }),
+    db.customerNote.deleteMany({ where: { shop, customerId } }),
+    db.customerTagEvent.deleteMany({ where: { shop, customerId } }),
+    db.abandonedCheckout.deleteMany({
+      where: { shop, OR: [{ customerId }, ...(email ? [{ email }] : [])] },
+    }),
+  ]);
+}
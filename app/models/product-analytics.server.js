@@ -0,0 +1,116 @@
+import db from "../db.server";
+
+export const ANALYTICS_PERIODS = [30, 90, 365];
+export const DEFAULT_ANALYTICS_PERIOD = 90;
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+const REFUND_STATUSES = ["REFUNDED", "PARTIALLY_REFUNDED"];
+const TOP_BUYERS = 20;
+
+export function parseAnalyticsPeriod(searchParams) {
+  const days = Number(searchParams.get("days"));
+  return ANALYTICS_PERIODS.includes(days) ? days : DEFAULT_ANALYTICS_PERIOD;
+}
+
+// Short periods are charted by day, longer ones by week.
+function bucketDays(days) {
+  return days <= 30 ? 1 : 7;
+}
+
+function summarize(items) {
+  const orders = new Set(items.map((item) => item.order.id));
+  const refundedOrders = new Set(
+    items.filter((item) => REFUND_STATUSES.includes(item.order.financialStatus)).map((item) => item.order.id),
+  );
+
+  return {
+    units: items.reduce((sum, item) => sum + item.quantity, 0),
+    revenue: items.reduce((sum, item) => sum + item.quantity * item.price, 0),
+    orders: orders.size,
+    refundedOrders: refundedOrders.size,
+    refundRate: orders.size > 0 ? (refundedOrders.size / orders.size) * 100 : 0,
+  };
+}
+
+/**
+ * Sales of one product over the last `days` from the local mirror: units
+ * sold, gross revenue, refund rate, a sales trend and the customers who buy
+ * it most, with the same totals for the period before for comparison.
+ *
+ * The mirror records refunds per order, so the refund rate is the share of
+ * orders containing the product that were refunded in full or in part.
+ * Cancelled orders are left out.
+ */
+export async function getProductAnalytics(shop, productId, days = DEFAULT_ANALYTICS_PERIOD) {
+  const now = new Date();
+  const start = new Date(now - days * DAY_MS);
+  const previousStart = new Date(now - days * 2 * DAY_MS);
+
+  const items = await db.lineItem.findMany({
+    where: {
+      productId,
+      order: { shop, cancelledAt: null, processedAt: { gte: previousStart } },
+    },
+    select: {
+      quantity: true,
+      price: true,
+      order: {
+        select: {
+          id: true,
+          processedAt: true,
+          customerId: true,
+          customerName: true,
+          email: true,
+          financialStatus: true,
+          currencyCode: true,
+        },
+      },
+    },
+  });
+
+  const current = items.filter((item) => item.order.processedAt >= start);
+  const previous = items.filter((item) => item.order.processedAt < start);
+
+  const step = bucketDays(days);
+  const trend = Array.from({ length: Math.ceil(days / step) }, (_, index) => ({
+    start: new Date(start.getTime() + index * step * DAY_MS),
+    units: 0,
+    revenue: 0,
+  }));
+  current.forEach((item) => {
+    const index = Math.min(Math.floor((item.order.processedAt - start) / (step * DAY_MS)), trend.length - 1);
+    trend[index].units += item.quantity;
+    trend[index].revenue += item.quantity * item.price;
+  });
+
+  const buyers = new Map();
+  current.filter((item) => item.order.customerId).forEach((item) => {
+    const buyer = buyers.get(item.order.customerId) || {
+      id: item.order.customerId,
+      name: item.order.customerName || item.order.email || "Unknown customer",
+      orders: new Set(),
+      units: 0,
+      revenue: 0,
+      lastPurchaseAt: item.order.processedAt,
+    };
+    buyer.orders.add(item.order.id);
+    buyer.units += item.quantity;
+    buyer.revenue += item.quantity * item.price;
+    if (item.order.processedAt > buyer.lastPurchaseAt) buyer.lastPurchaseAt = item.order.processedAt;
+    buyers.set(buyer.id, buyer);
+  });
+
+  return {
+    days,
+    bucketDays: step,
+    currencyCode: items[0]?.order.currencyCode ?? null,
+    current: summarize(current),
+    previous: summarize(previous),
+    trend,
+    buyerCount: buyers.size,
+    topBuyers: [...buyers.values()]
+      .sort((a, b) => b.units - a.units || b.revenue - a.revenue)
+      .slice(0, TOP_BUYERS)
+      .map(({ orders, ...buyer }) => ({ ...buyer, orders: orders.size })),
+  };
+}
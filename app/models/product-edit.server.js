@@ -0,0 +1,397 @@
+import { randomUUID } from "node:crypto";
+import db from "../db.server";
+import { PRODUCT_STATUSES } from "./product.server";
+
+export const PRICE_MODES = ["set", "adjust"];
+
+// Products with more variants than this are left for Shopify admin, since the
+// whole product is read and written in one request.
+const MAX_EDIT_VARIANTS = 100;
+
+// Each product brings up to MAX_EDIT_VARIANTS variants, so previews read
+// products in chunks this size, the same as applying the edit, to stay within
+// the Admin API's query cost limit.
+const PREVIEW_CHUNK_SIZE = 5;
+
+const EDIT_HISTORY_BATCHES = 25;
+
+function splitTags(value) {
+  return (value || "").split(",").map((tag) => tag.trim()).filter(Boolean);
+}
+
+/**
+ * Validates a submitted bulk edit. Blank fields are left unchanged. Returns
+ * `{ edit }` when at least one field changes, otherwise `{ errors }` keyed by
+ * field.
+ */
+export function parseProductEdit(formData) {
+  const errors = {};
+  const edit = {};
+
+  const priceMode = formData.get("priceMode") || "";
+  const priceValue = formData.get("priceValue")?.trim() || "";
+  if (priceMode) {
+    const value = Number(priceValue);
+    if (!PRICE_MODES.includes(priceMode)) {
+      errors.priceMode = "Choose how to change the price";
+    } else if (priceValue === "" || isNaN(value)) {
+      errors.priceValue = "Enter a number";
+    } else if (priceMode === "set" && value < 0) {
+      errors.priceValue = "Price can't be negative";
+    } else if (priceMode === "adjust" && value <= -100) {
+      errors.priceValue = "A decrease must be less than 100%";
+    } else {
+      edit.price = { mode: priceMode, value };
+    }
+  }
+
+  const status = formData.get("status") || "";
+  if (status) {
+    if (PRODUCT_STATUSES.includes(status)) edit.status = status;
+    else errors.status = "Choose a status";
+  }
+
+  const vendor = formData.get("vendor")?.trim() || "";
+  if (vendor) edit.vendor = vendor;
+
+  const addTags = splitTags(formData.get("addTags"));
+  const removeTags = splitTags(formData.get("removeTags"));
+  if (addTags.length > 0 || removeTags.length > 0) {
+    edit.tags = { add: addTags, remove: removeTags };
+  }
+
+  if (Object.keys(errors).length > 0) return { errors };
+  if (Object.keys(edit).length === 0) return { errors: { form: "Choose at least one change" } };
+  return { edit };
+}
+
+function applyPrice(price, { mode, value }) {
+  const next = mode === "set" ? value : parseFloat(price) * (1 + value / 100);
+  return Math.max(next, 0).toFixed(2);
+}
+
+function applyTags(tags, { add, remove }) {
+  const removed = new Set(remove.map((tag) => tag.toLowerCase()));
+  const kept = tags.filter((tag) => !removed.has(tag.toLowerCase()));
+  const existing = new Set(kept.map((tag) => tag.toLowerCase()));
+  return [...kept, ...add.filter((tag) => !existing.has(tag.toLowerCase()))];
+}
+
+async function fetchEditableProducts(admin, ids) {
+  const response = await admin.graphql(
+    `#graphql
+    query ProductsForEdit($ids: [ID!]!, $variants: Int!) {
+      nodes(ids: $ids) {
+        ... on Product {
+          id
+          title
+          status
+          vendor
+          tags
+          variantsCount {
+            count
+          }
+          variants(first: $variants) {
+            edges {
+              node {
+                id
+                title
+                price
+              }
+            }
+          }
+        }
+      }
+    }`,
+    { variables: { ids, variants: MAX_EDIT_VARIANTS } },
+  );
+
+  const { data } = await response.json();
+  return data.nodes.filter(Boolean).map(({ variants, variantsCount, ...product }) => ({
+    ...product,
+    variantsCount: variantsCount.count,
+    variants: variants.edges.map((edge) => edge.node),
+  }));
+}
+
+// The edited fields of `product` before and after `edit`, as snapshots that
+// can be written back with `writeSnapshot`. Unchanged fields are left out.
+function diffProduct(product, edit) {
+  const before = {};
+  const after = {};
+
+  if (edit.status && edit.status !== product.status) {
+    before.status = product.status;
+    after.status = edit.status;
+  }
+  if (edit.vendor && edit.vendor !== product.vendor) {
+    before.vendor = product.vendor;
+    after.vendor = edit.vendor;
+  }
+  if (edit.tags) {
+    const tags = applyTags(product.tags, edit.tags);
+    if (tags.join(",") !== product.tags.join(",")) {
+      before.tags = product.tags;
+      after.tags = tags;
+    }
+  }
+  if (edit.price) {
+    const changed = product.variants
+      .map((variant) => ({ ...variant, next: applyPrice(variant.price, edit.price) }))
+      .filter((variant) => parseFloat(variant.next) !== parseFloat(variant.price));
+    if (changed.length > 0) {
+      before.variants = changed.map(({ id, title, price }) => ({ id, title, price }));
+      after.variants = changed.map(({ id, title, next }) => ({ id, title, price: next }));
+    }
+  }
+
+  return { before, after };
+}
+
+function formatStatus(status) {
+  return status.charAt(0) + status.slice(1).toLowerCase();
+}
+
+/** One row per changed field or variant price, for the diff tables. */
+function describeChanges(before, after) {
+  const changes = [];
+
+  if (after.status) {
+    changes.push({ field: "Status", before: formatStatus(before.status), after: formatStatus(after.status) });
+  }
+  if (after.vendor) {
+    changes.push({ field: "Vendor", before: before.vendor || "-", after: after.vendor });
+  }
+  if (after.tags) {
+    changes.push({ field: "Tags", before: before.tags.join(", ") || "-", after: after.tags.join(", ") || "-" });
+  }
+  (after.variants || []).forEach((variant, index) => {
+    changes.push({
+      field: variant.title === "Default Title" ? "Price" : `Price (${variant.title})`,
+      before: before.variants[index].price,
+      after: variant.price,
+    });
+  });
+
+  return changes;
+}
+
+/**
+ * Works out what `edit` would change on each product, without changing
+ * anything. Returns a `batchId` to apply the edit under and one entry per
+ * product with its `before` and `after` snapshots; products that can't be
+ * edited here have an `error` instead.
+ */
+export async function previewProductEdit(admin, ids, edit) {
+  const products = [];
+  for (let i = 0; i < ids.length; i += PREVIEW_CHUNK_SIZE) {
+    products.push(...await fetchEditableProducts(admin, ids.slice(i, i + PREVIEW_CHUNK_SIZE)));
+  }
+
+  return {
+    batchId: randomUUID(),
+    products: products.map((product) => {
+      if (edit.price && product.variantsCount > MAX_EDIT_VARIANTS) {
+        return {
+          id: product.id,
+          title: product.title,
+          error: `Has more than ${MAX_EDIT_VARIANTS} variants. Change its prices in Shopify admin.`,
+        };
+      }
+      const { before, after } = diffProduct(product, edit);
+      return { id: product.id, title: product.title, before, after, changes: describeChanges(before, after) };
+    }),
+  };
+}
+
+function userErrorMessage(userErrors) {
+  return userErrors.map((error) => error.message).join(", ");
+}
+
+// Only the fields a bulk edit can change are ever written back.
+function snapshotFields({ status, vendor, tags }) {
+  return Object.fromEntries(
+    Object.entries({ status, vendor, tags }).filter(([, value]) => value !== undefined),
+  );
+}
+
+// Writes a snapshot back to the product, variant prices first. Returns the
+// part of the snapshot that was written along with any user errors, so a
+// product whose second write fails still has its first one logged.
+async function writeSnapshot(admin, productId, snapshot) {
+  const fields = snapshotFields(snapshot);
+  const { variants } = snapshot;
+  const written = {};
+
+  if (variants?.length > 0) {
+    const response = await admin.graphql(
+      `#graphql
+      mutation BulkEditVariantPrices($productId: ID!, $variants: [ProductVariantsBulkInput!]!) {
+        productVariantsBulkUpdate(productId: $productId, variants: $variants) {
+          productVariants {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+      {
+        variables: {
+          productId,
+          variants: variants.map(({ id, price }) => ({ id, price })),
+        },
+      },
+    );
+    const { data } = await response.json();
+    const { userErrors } = data.productVariantsBulkUpdate;
+    if (userErrors.length > 0) return { written, userErrors };
+    written.variants = variants;
+  }
+
+  if (Object.keys(fields).length > 0) {
+    const response = await admin.graphql(
+      `#graphql
+      mutation BulkEditProduct($product: ProductUpdateInput!) {
+        productUpdate(product: $product) {
+          product {
+            id
+          }
+          userErrors {
+            field
+            message
+          }
+        }
+      }`,
+      { variables: { product: { id: productId, ...fields } } },
+    );
+    const { data } = await response.json();
+    const { userErrors } = data.productUpdate;
+    if (userErrors.length > 0) return { written, userErrors };
+    Object.assign(written, fields);
+  }
+
+  return { written, userErrors: [] };
+}
+
+/**
+ * Applies `edit` to the previewed products, one product at a time so a
+ * failure only affects its own row, and records each change in the edit
+ * history under `batchId` so it can be undone. The changes are worked out
+ * again from the products' current state; `items` are `{ id, before }` from
+ * the preview, and products whose `before` no longer matches are skipped so
+ * nothing is changed that the merchant didn't see. Returns one result per
+ * product.
+ */
+export async function applyProductEdit(admin, shop, batchId, edit, items) {
+  const products = await fetchEditableProducts(admin, items.map((item) => item.id));
+  const byId = new Map(products.map((product) => [product.id, product]));
+  const results = [];
+
+  for (const item of items) {
+    const product = byId.get(item.id);
+    if (!product) {
+      results.push({ id: item.id, ok: false, error: "Product not found" });
+      continue;
+    }
+    if (edit.price && product.variantsCount > MAX_EDIT_VARIANTS) {
+      results.push({ id: item.id, ok: false, error: `Has more than ${MAX_EDIT_VARIANTS} variants` });
+      continue;
+    }
+
+    const { before, after } = diffProduct(product, edit);
+    if (JSON.stringify(before) !== JSON.stringify(item.before)) {
+      results.push({ id: item.id, ok: false, error: "Changed since the preview. Preview the edit again." });
+      continue;
+    }
+
+    try {
+      const { written, userErrors } = await writeSnapshot(admin, product.id, after);
+
+      if (Object.keys(written).length > 0) {
+        await db.productEditLog.create({
+          data: {
+            shop,
+            batchId,
+            productId: product.id,
+            productTitle: product.title,
+            before: JSON.stringify(Object.fromEntries(Object.keys(written).map((key) => [key, before[key]]))),
+            after: JSON.stringify(written),
+          },
+        });
+      }
+      results.push(userErrors.length > 0
+        ? { id: product.id, ok: false, error: userErrorMessage(userErrors) }
+        : { id: product.id, ok: true });
+    } catch (error) {
+      results.push({ id: product.id, ok: false, error: error.message });
+    }
+  }
+
+  return results;
+}
+
+/**
+ * The shop's most recent bulk edits, newest first, with the products each one
+ * changed.
+ */
+export async function getProductEditHistory(shop) {
+  const batches = await db.productEditLog.groupBy({
+    by: ["batchId"],
+    where: { shop },
+    _min: { createdAt: true },
+    orderBy: { _min: { createdAt: "desc" } },
+    take: EDIT_HISTORY_BATCHES,
+  });
+
+  const rows = await db.productEditLog.findMany({
+    where: { shop, batchId: { in: batches.map((batch) => batch.batchId) } },
+    orderBy: { id: "asc" },
+  });
+
+  return batches.map((batch) => {
+    const entries = rows.filter((row) => row.batchId === batch.batchId);
+    return {
+      batchId: batch.batchId,
+      createdAt: batch._min.createdAt,
+      undoneAt: entries.every((row) => row.undoneAt) ? entries[0]?.undoneAt : null,
+      products: entries.map((row) => ({
+        id: row.id,
+        productId: row.productId,
+        title: row.productTitle,
+        changes: describeChanges(JSON.parse(row.before), JSON.parse(row.after)),
+        undoneAt: row.undoneAt,
+      })),
+    };
+  });
+}
+
+/**
+ * Restores every product in a bulk edit to its `before` snapshot. Products
+ * that fail stay in the batch so the undo can be retried. Returns one result
+ * per product.
+ */
+export async function undoProductEdit(admin, shop, batchId) {
+  const rows = await db.productEditLog.findMany({
+    where: { shop, batchId, undoneAt: null },
+  });
+  const results = [];
+
+  for (const row of rows) {
+    try {
+      const { userErrors } = await writeSnapshot(admin, row.productId, JSON.parse(row.before));
+      if (userErrors.length > 0) {
+        results.push({ id: row.productId, ok: false, error: userErrorMessage(userErrors) });
+        continue;
+      }
+
+      await db.productEditLog.update({ where: { id: row.id }, data: { undoneAt: new Date() } });
+      results.push({ id: row.productId, ok: true });
+    } catch (error) {
+      results.push({ id: row.productId, ok: false, error: error.message });
+    }
+  }
+
+  return results;
+}
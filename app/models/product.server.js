@@ -0,0 +1,536 @@
+import sanitizeHtml from "sanitize-html";
+
+export const PRODUCTS_PAGE_SIZE = 25;
+
+// The Admin API caps a single connection page at 250 nodes.
+const MAX_PAGE_SIZE = 250;
+
+// The Admin API has no price sort key for products, so price sorting reads
+// every matching product and sorts them here. It's only offered when no more
+// than this many products match.
+export const MAX_PRICE_SORTED_PRODUCTS = 2500;
+
+export const PRODUCT_STATUSES = ["ACTIVE", "DRAFT", "ARCHIVED"];
+
+const DEFAULT_SORT = "updated desc";
+
+const SORT_KEYS = {
+  title: "TITLE",
+  inventory: "INVENTORY_TOTAL",
+  updated: "UPDATED_AT",
+};
+
+const PRODUCT_FIELDS = `#graphql
+  fragment ProductListFields on Product {
+    id
+    title
+    handle
+    status
+    vendor
+    productType
+    totalInventory
+    tracksInventory
+    updatedAt
+    variantsCount {
+      count
+    }
+    priceRangeV2 {
+      minVariantPrice {
+        amount
+        currencyCode
+      }
+      maxVariantPrice {
+        amount
+        currencyCode
+      }
+    }
+    featuredMedia {
+      preview {
+        image {
+          url
+          altText
+        }
+      }
+    }
+    variants(first: 1) {
+      edges {
+        node {
+          sku
+          price
+        }
+      }
+    }
+  }
+`;
+
+export function parseProductFilters(searchParams) {
+  return {
+    query: searchParams.get("query")?.trim() || "",
+    status: searchParams.get("status")?.split(",").filter(Boolean) || [],
+    vendor: searchParams.get("vendor") || "",
+    productType: searchParams.get("productType") || "",
+    inventory: searchParams.get("inventory") || "",
+    sort: searchParams.get("sort") || DEFAULT_SORT,
+  };
+}
+
+function quote(value) {
+  return `"${value.replace(/(["\\])/g, "\\$1")}"`;
+}
+
+// Products at or below `lowStockUnits` (but not out of stock) count as low
+// stock for the inventory filter.
+function inventoryTerm(inventory, lowStockUnits) {
+  const terms = {
+    out: "inventory_total:<=0",
+    low: `inventory_total:>0 AND inventory_total:<=${lowStockUnits}`,
+    in: `inventory_total:>${lowStockUnits}`,
+  };
+  return terms[inventory];
+}
+
+export function buildProductSearchQuery({ query, status, vendor, productType, inventory }, lowStockUnits) {
+  const terms = [];
+
+  if (query) terms.push(query);
+  if (status.length > 0) {
+    terms.push(`(${status.map((value) => `status:${value.toLowerCase()}`).join(" OR ")})`);
+  }
+  if (vendor) terms.push(`vendor:${quote(vendor)}`);
+  if (productType) terms.push(`product_type:${quote(productType)}`);
+  const inventoryFilter = inventoryTerm(inventory, lowStockUnits);
+  if (inventoryFilter) terms.push(inventoryFilter);
+
+  return terms.join(" AND ");
+}
+
+function parseSort(sort) {
+  const [key, direction] = sort.split(" ");
+  return {
+    key,
+    sortKey: SORT_KEYS[key] || SORT_KEYS.updated,
+    reverse: direction === "desc",
+  };
+}
+
+function toProduct(node) {
+  const { featuredMedia, variants, variantsCount, ...product } = node;
+  return {
+    ...product,
+    image: featuredMedia?.preview?.image || null,
+    firstVariant: variants.edges[0]?.node || null,
+    variantsCount: variantsCount?.count ?? 0,
+  };
+}
+
+async function fetchProductCount(admin, query) {
+  const response = await admin.graphql(
+    `#graphql
+    query ProductsCount($query: String) {
+      filteredCount: productsCount(query: $query, limit: null) {
+        count
+      }
+    }`,
+    { variables: { query } },
+  );
+  const { data } = await response.json();
+  return data.filteredCount.count;
+}
+
+async function fetchCursorPage(admin, { query, sortKey, reverse, after, before }) {
+  const pageArgs = before
+    ? { last: PRODUCTS_PAGE_SIZE, before }
+    : { first: PRODUCTS_PAGE_SIZE, after: after || null };
+
+  const response = await admin.graphql(
+    `#graphql
+    ${PRODUCT_FIELDS}
+    query ProductsPage($first: Int, $last: Int, $after: String, $before: String, $query: String, $sortKey: ProductSortKeys, $reverse: Boolean) {
+      products(first: $first, last: $last, after: $after, before: $before, query: $query, sortKey: $sortKey, reverse: $reverse) {
+        edges {
+          node {
+            ...ProductListFields
+          }
+        }
+        pageInfo {
+          hasNextPage
+          hasPreviousPage
+          startCursor
+          endCursor
+        }
+      }
+    }`,
+    { variables: { ...pageArgs, query, sortKey, reverse } },
+  );
+
+  const { data } = await response.json();
+  return {
+    products: data.products.edges.map((edge) => toProduct(edge.node)),
+    pageInfo: data.products.pageInfo,
+  };
+}
+
+// Price sorting pages by offset: the cursors are positions in the sorted list.
+async function fetchPriceSortedPage(admin, { query, reverse, after, before }) {
+  const prices = [];
+  let cursor = null;
+
+  do {
+    const response = await admin.graphql(
+      `#graphql
+      query ProductPrices($first: Int!, $after: String, $query: String) {
+        products(first: $first, after: $after, query: $query) {
+          edges {
+            node {
+              id
+              priceRangeV2 {
+                minVariantPrice {
+                  amount
+                }
+              }
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }`,
+      { variables: { first: MAX_PAGE_SIZE, after: cursor, query } },
+    );
+
+    const { data } = await response.json();
+    prices.push(...data.products.edges.map(({ node }) => ({
+      id: node.id,
+      price: parseFloat(node.priceRangeV2.minVariantPrice.amount),
+    })));
+    cursor = data.products.pageInfo.hasNextPage ? data.products.pageInfo.endCursor : null;
+  } while (cursor);
+
+  prices.sort((a, b) => (reverse ? b.price - a.price : a.price - b.price));
+
+  const start = before
+    ? Math.max(Number(before) - PRODUCTS_PAGE_SIZE, 0)
+    : after ? Number(after) : 0;
+  const ids = prices.slice(start, start + PRODUCTS_PAGE_SIZE).map((row) => row.id);
+
+  let products = [];
+  if (ids.length > 0) {
+    const response = await admin.graphql(
+      `#graphql
+      ${PRODUCT_FIELDS}
+      query ProductsByIds($ids: [ID!]!) {
+        nodes(ids: $ids) {
+          ...ProductListFields
+        }
+      }`,
+      { variables: { ids } },
+    );
+    const { data } = await response.json();
+    products = data.nodes.filter(Boolean).map(toProduct);
+  }
+
+  const end = start + ids.length;
+  return {
+    products,
+    pageInfo: {
+      hasNextPage: end < prices.length,
+      hasPreviousPage: start > 0,
+      startCursor: String(start),
+      endCursor: String(end),
+    },
+  };
+}
+
+/**
+ * Lists one page of products matching `filters` from the Admin API, with the
+ * number of matching products. Pass `after` to page forward or `before` to
+ * page backward. `lowStockUnits` is the shop's low stock threshold.
+ *
+ * `priceSortable` says whether few enough products match to sort by price.
+ * When they don't, a price sort falls back to the newest first from the
+ * first page, and `sort` is the sort that was used.
+ */
+export async function listProducts(admin, { filters, after, before, lowStockUnits }) {
+  const query = buildProductSearchQuery(filters, lowStockUnits) || null;
+  const filteredCount = await fetchProductCount(admin, query);
+  const priceSortable = filteredCount <= MAX_PRICE_SORTED_PRODUCTS;
+
+  if (parseSort(filters.sort).key === "price") {
+    if (priceSortable) {
+      const { reverse } = parseSort(filters.sort);
+      const page = await fetchPriceSortedPage(admin, { query, reverse, after, before });
+      return { ...page, filteredCount, priceSortable, sort: filters.sort };
+    }
+
+    // Price sort cursors are offsets, so the fallback starts from the top.
+    const { sortKey, reverse } = parseSort(DEFAULT_SORT);
+    const page = await fetchCursorPage(admin, { query, sortKey, reverse });
+    return { ...page, filteredCount, priceSortable, sort: DEFAULT_SORT };
+  }
+
+  const { sortKey, reverse } = parseSort(filters.sort);
+  const page = await fetchCursorPage(admin, { query, sortKey, reverse, after, before });
+  return { ...page, filteredCount, priceSortable, sort: filters.sort };
+}
+
+/** The shop's vendors and product types, for the filter choices. */
+export async function getProductFilterOptions(admin) {
+  const response = await admin.graphql(
+    `#graphql
+    query ProductFilterOptions {
+      productVendors(first: 250) {
+        edges {
+          node
+        }
+      }
+      productTypes(first: 250) {
+        edges {
+          node
+        }
+      }
+    }`,
+  );
+
+  const { data } = await response.json();
+  return {
+    vendors: data.productVendors.edges.map((edge) => edge.node).filter(Boolean),
+    productTypes: data.productTypes.edges.map((edge) => edge.node).filter(Boolean),
+  };
+}
+
+// Tags and attributes merchants commonly use in product descriptions. Anything
+// else, including scripts, styles and event handlers, is stripped.
+const DESCRIPTION_HTML_OPTIONS = {
+  allowedTags: [
+    "p", "br", "strong", "b", "em", "i", "u", "s", "span", "div",
+    "h1", "h2", "h3", "h4", "h5", "h6", "ul", "ol", "li", "blockquote",
+    "a", "img", "table", "thead", "tbody", "tr", "th", "td", "hr",
+  ],
+  allowedAttributes: {
+    a: ["href", "title", "target", "rel"],
+    img: ["src", "alt", "width", "height"],
+    td: ["colspan", "rowspan"],
+    th: ["colspan", "rowspan"],
+  },
+  allowedSchemes: ["http", "https", "mailto"],
+  transformTags: {
+    a: sanitizeHtml.simpleTransform("a", { target: "_blank", rel: "noopener noreferrer" }),
+  },
+};
+
+export function sanitizeDescription(html) {
+  return html ? sanitizeHtml(html, DESCRIPTION_HTML_OPTIONS) : "";
+}
+
+export function toProductGid(id) {
+  return `gid://shopify/Product/${id}`;
+}
+
+/** A product's title, status and image, or null when it doesn't exist. */
+export async function fetchProductSummary(admin, id) {
+  const response = await admin.graphql(
+    `#graphql
+    query ProductSummary($id: ID!) {
+      product(id: $id) {
+        id
+        title
+        status
+        featuredMedia {
+          preview {
+            image {
+              url
+              altText
+            }
+          }
+        }
+      }
+    }`,
+    { variables: { id } },
+  );
+
+  const { data } = await response.json();
+  if (!data.product) return null;
+
+  const { featuredMedia, ...product } = data.product;
+  return { ...product, image: featuredMedia?.preview?.image || null };
+}
+
+// Every variant nests its inventory levels, so the product's first query
+// reads a small page of each to stay within the Admin API's query cost limit.
+// Follow-up queries read the remaining variants, and the remaining levels of
+// variants stocked at more locations.
+const DETAIL_VARIANTS_PAGE_SIZE = 25;
+const DETAIL_LEVELS_FIRST_PAGE = 10;
+const DETAIL_LEVELS_PAGE_SIZE = 50;
+
+const DETAIL_INVENTORY_LEVEL = `#graphql
+  fragment ProductDetailInventoryLevel on InventoryLevel {
+    location {
+      id
+      name
+    }
+    quantities(names: ["available", "committed", "on_hand"]) {
+      name
+      quantity
+    }
+  }
+`;
+
+const DETAIL_VARIANT = `#graphql
+  ${DETAIL_INVENTORY_LEVEL}
+  fragment ProductDetailVariant on ProductVariant {
+    id
+    title
+    sku
+    price
+    compareAtPrice
+    selectedOptions {
+      name
+      value
+    }
+    inventoryItem {
+      id
+      tracked
+      inventoryLevels(first: ${DETAIL_LEVELS_FIRST_PAGE}) {
+        edges {
+          node {
+            ...ProductDetailInventoryLevel
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }
+`;
+
+const REMAINING_DETAIL_VARIANTS = `#graphql
+  ${DETAIL_VARIANT}
+  query ProductDetailVariants($id: ID!, $first: Int!, $after: String) {
+    product(id: $id) {
+      variants(first: $first, after: $after) {
+        edges {
+          node {
+            ...ProductDetailVariant
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }`;
+
+const REMAINING_DETAIL_LEVELS = `#graphql
+  ${DETAIL_INVENTORY_LEVEL}
+  query ProductDetailInventoryLevels($id: ID!, $first: Int!, $after: String) {
+    inventoryItem(id: $id) {
+      inventoryLevels(first: $first, after: $after) {
+        edges {
+          node {
+            ...ProductDetailInventoryLevel
+          }
+        }
+        pageInfo {
+          hasNextPage
+          endCursor
+        }
+      }
+    }
+  }`;
+
+// Reads the pages of `connection` after the one already fetched. `query`
+// takes `$id`, `$first` and `$after`; `field` is the connection's name on the
+// query's single root field.
+async function fetchRemainingNodes(admin, query, { id, first }, field, connection) {
+  const nodes = connection.edges.map((edge) => edge.node);
+  let after = connection.pageInfo.hasNextPage ? connection.pageInfo.endCursor : null;
+
+  while (after) {
+    const response = await admin.graphql(query, { variables: { id, first, after } });
+    const { data } = await response.json();
+    const page = Object.values(data)[0][field];
+    nodes.push(...page.edges.map((edge) => edge.node));
+    after = page.pageInfo.hasNextPage ? page.pageInfo.endCursor : null;
+  }
+
+  return nodes;
+}
+
+/**
+ * Loads a product's variants with their options, prices and inventory levels
+ * at each location, plus the description as sanitized HTML. Returns null when
+ * the product doesn't exist.
+ */
+export async function fetchProductDetail(admin, id) {
+  const response = await admin.graphql(
+    `#graphql
+    ${DETAIL_VARIANT}
+    query ProductDetail($id: ID!, $variants: Int!) {
+      product(id: $id) {
+        id
+        title
+        descriptionHtml
+        options {
+          name
+          values
+        }
+        variants(first: $variants) {
+          edges {
+            node {
+              ...ProductDetailVariant
+            }
+          }
+          pageInfo {
+            hasNextPage
+            endCursor
+          }
+        }
+      }
+    }`,
+    { variables: { id, variants: DETAIL_VARIANTS_PAGE_SIZE } },
+  );
+
+  const { data } = await response.json();
+  if (!data.product) return null;
+
+  const { descriptionHtml, variants, ...product } = data.product;
+  const variantNodes = await fetchRemainingNodes(
+    admin, REMAINING_DETAIL_VARIANTS, { id, first: DETAIL_VARIANTS_PAGE_SIZE }, "variants", variants,
+  );
+
+  return {
+    ...product,
+    descriptionHtml: sanitizeDescription(descriptionHtml),
+    variants: await Promise.all(variantNodes.map(async (node) => {
+      const levels = node.inventoryItem
+        ? await fetchRemainingNodes(
+            admin,
+            REMAINING_DETAIL_LEVELS,
+            { id: node.inventoryItem.id, first: DETAIL_LEVELS_PAGE_SIZE },
+            "inventoryLevels",
+            node.inventoryItem.inventoryLevels,
+          )
+        : [];
+
+      return {
+        id: node.id,
+        title: node.title,
+        sku: node.sku,
+        price: node.price,
+        compareAtPrice: node.compareAtPrice,
+        selectedOptions: node.selectedOptions,
+        tracked: node.inventoryItem?.tracked ?? false,
+        inventoryLevels: levels.map((level) => ({
+          locationId: level.location.id,
+          location: level.location.name,
+          ...Object.fromEntries(level.quantities.map(({ name, quantity }) => [name, quantity])),
+        })),
+      };
+    })),
+  };
+}
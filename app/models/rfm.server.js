@@ -0,0 +1,209 @@
+import db from "../db.server";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+// Scores older than this are recomputed by the scheduler, since recency
+// drifts as days pass even when no orders come in.
+const MAX_SCORE_AGE_MS = DAY_MS;
+
+// How often the scheduler looks for shops with out-of-date scores.
+const CHECK_INTERVAL_MS = 60 * 60 * 1000;
+
+const UPDATE_BATCH_SIZE = 500;
+
+// Segments are matched on Recency and the average of Frequency and Monetary
+// ("FM"), in order; the first matching rule wins. Together the rules cover
+// every combination of 1-5 scores. Tones are the Polaris badge tone used
+// wherever the segment is shown.
+const SEGMENT_RULES = [
+  { segment: "Champions", tone: "success", recency: [4, 5], fm: [4, 5], description: "Bought recently, buy often and spend the most" },
+  { segment: "Loyal", tone: "success", recency: [3, 3], fm: [4, 5], description: "Spend well and order regularly" },
+  { segment: "Potential Loyalists", tone: "info", recency: [4, 5], fm: [2, 3], description: "Recent customers with average frequency" },
+  { segment: "New Customers", tone: "info", recency: [4, 5], fm: [1, 1], description: "Bought recently, but only once" },
+  { segment: "Need Attention", tone: "attention", recency: [3, 3], fm: [3, 3], description: "Above average, but not bought lately" },
+  { segment: "Promising", tone: "info", recency: [3, 3], fm: [1, 2], description: "Recent shoppers who haven't spent much" },
+  { segment: "Can't Lose Them", tone: "warning", recency: [1, 1], fm: [5, 5], description: "Used to be top customers, gone quiet" },
+  { segment: "At Risk", tone: "warning", recency: [1, 2], fm: [3, 5], description: "Spent well before, haven't ordered in a while" },
+  { segment: "Hibernating", tone: "critical", recency: [2, 2], fm: [1, 2], description: "Low spend, long time since last order" },
+  { segment: "Lost", tone: "critical", recency: [1, 1], fm: [1, 2], description: "Lowest recency, frequency and spend" },
+];
+
+export const RFM_SEGMENTS = SEGMENT_RULES.map(({ segment, tone, description }) => ({
+  segment,
+  tone,
+  description,
+}));
+
+function inRange(value, [min, max]) {
+  return value >= min && value <= max;
+}
+
+export function segmentFor(recency, frequency, monetary) {
+  const fm = Math.round((frequency + monetary) / 2);
+  return SEGMENT_RULES.find(
+    (rule) => inRange(recency, rule.recency) && inRange(fm, rule.fm),
+  ).segment;
+}
+
+// The values at the 20th, 40th, 60th and 80th percentiles.
+function quintileThresholds(values) {
+  const sorted = [...values].sort((a, b) => a - b);
+  return [0.2, 0.4, 0.6, 0.8].map(
+    (percentile) => sorted[Math.floor(percentile * (sorted.length - 1))],
+  );
+}
+
+// Equal values always get the same score, so a store where most customers
+// ordered once gives all of them a frequency of 1.
+function quintileScore(value, thresholds) {
+  return 1 + thresholds.filter((threshold) => value > threshold).length;
+}
+
+/**
+ * Scores customers 1-5 on Recency, Frequency and Monetary value relative to
+ * the rest of the shop's buyers and assigns each one a segment. Customers
+ * without orders get null scores.
+ */
+export function scoreCustomers(customers, now = new Date()) {
+  const isBuyer = (c) => c.numberOfOrders > 0 && Boolean(c.lastOrderAt);
+  const buyers = customers.filter(isBuyer);
+  // Recency is scored on negated age so that more recent means a higher score.
+  const recencyOf = (c) => -Math.floor((now - c.lastOrderAt) / DAY_MS);
+
+  const thresholds = {
+    recency: quintileThresholds(buyers.map(recencyOf)),
+    frequency: quintileThresholds(buyers.map((c) => c.numberOfOrders)),
+    monetary: quintileThresholds(buyers.map((c) => c.amountSpent)),
+  };
+
+  return customers.map((c) => {
+    if (!isBuyer(c)) {
+      return { id: c.id, rfmRecency: null, rfmFrequency: null, rfmMonetary: null, rfmSegment: null };
+    }
+
+    const rfmRecency = quintileScore(recencyOf(c), thresholds.recency);
+    const rfmFrequency = quintileScore(c.numberOfOrders, thresholds.frequency);
+    const rfmMonetary = quintileScore(c.amountSpent, thresholds.monetary);
+
+    return {
+      id: c.id,
+      rfmRecency,
+      rfmFrequency,
+      rfmMonetary,
+      rfmSegment: segmentFor(rfmRecency, rfmFrequency, rfmMonetary),
+    };
+  });
+}
+
+/** Recomputes and stores RFM scores for every mirrored customer in the shop. */
+export async function refreshRfmScores(shop) {
+  const customers = await db.customer.findMany({
+    where: { shop },
+    select: {
+      id: true,
+      lastOrderAt: true,
+      numberOfOrders: true,
+      amountSpent: true,
+      rfmRecency: true,
+      rfmFrequency: true,
+      rfmMonetary: true,
+      rfmSegment: true,
+    },
+  });
+
+  const current = new Map(customers.map((c) => [c.id, c]));
+  const changed = scoreCustomers(customers).filter((score) => {
+    const existing = current.get(score.id);
+    return (
+      existing.rfmRecency !== score.rfmRecency ||
+      existing.rfmFrequency !== score.rfmFrequency ||
+      existing.rfmMonetary !== score.rfmMonetary ||
+      existing.rfmSegment !== score.rfmSegment
+    );
+  });
+
+  for (let i = 0; i < changed.length; i += UPDATE_BATCH_SIZE) {
+    await db.$transaction(
+      changed.slice(i, i + UPDATE_BATCH_SIZE).map(({ id, ...data }) =>
+        db.customer.update({ where: { id }, data }),
+      ),
+    );
+  }
+
+  await db.syncState.updateMany({ where: { shop }, data: { rfmScoredAt: new Date() } });
+}
+
+/**
+ * Refreshes the scores of every imported shop whose scores are missing or out
+ * of date. Each shop is claimed by moving its `rfmScoredAt` forward only if it
+ * still holds the value read, so two servers never score the same shop.
+ */
+export async function refreshStaleRfmScores(now = new Date()) {
+  const rows = await db.syncState.findMany({
+    where: {
+      completedAt: { not: null },
+      OR: [{ rfmScoredAt: null }, { rfmScoredAt: { lt: new Date(now.getTime() - MAX_SCORE_AGE_MS) } }],
+    },
+    select: { shop: true, rfmScoredAt: true },
+  });
+
+  for (const row of rows) {
+    const { count } = await db.syncState.updateMany({
+      where: { shop: row.shop, rfmScoredAt: row.rfmScoredAt },
+      data: { rfmScoredAt: now },
+    });
+    if (count !== 1) continue;
+
+    try {
+      await refreshRfmScores(row.shop);
+    } catch (error) {
+      console.error(`Failed to refresh RFM scores for ${row.shop}`, error);
+      // Hand the shop back so the next check retries it.
+      await db.syncState.updateMany({
+        where: { shop: row.shop, rfmScoredAt: now },
+        data: { rfmScoredAt: row.rfmScoredAt },
+      });
+    }
+  }
+}
+
+/**
+ * Checks for out-of-date RFM scores on an interval for as long as the server
+ * runs. Safe to call more than once; only the first call starts the timer.
+ */
+export function startRfmScheduler() {
+  if (global.rfmScheduler) return;
+
+  global.rfmScheduler = setInterval(() => {
+    refreshStaleRfmScores().catch((error) => console.error("RFM scheduler failed", error));
+  }, CHECK_INTERVAL_MS);
+  global.rfmScheduler.unref();
+}
+
+/** Customer count and lifetime spend per segment, in segment order. */
+export async function getSegmentSummary(shop) {
+  const [groups, scored] = await Promise.all([
+    db.customer.groupBy({
+      by: ["rfmSegment"],
+      where: { shop, rfmSegment: { not: null } },
+      _count: { _all: true },
+      _sum: { amountSpent: true },
+    }),
+    db.customer.count({ where: { shop, rfmSegment: { not: null } } }),
+  ]);
+
+  const bySegment = new Map(groups.map((group) => [group.rfmSegment, group]));
+
+  return RFM_SEGMENTS.map(({ segment, tone, description }) => {
+    const group = bySegment.get(segment);
+    const customers = group?._count._all ?? 0;
+    return {
+      segment,
+      tone,
+      description,
+      customers,
+      share: scored > 0 ? (customers / scored) * 100 : 0,
+      revenue: group?._sum.amountSpent ?? 0,
+    };
+  });
+}
@@ -0,0 +1,108 @@
+import db from "../db.server";
+
+// URL params that make up a view's filters, per dashboard. The search query
+// and sort are stored in their own columns.
+const FILTER_KEYS = {
+  customer: ["tag", "country", "orderCount", "segment", "lastOrderBefore"],
+  order: ["status", "fulfillment", "unfulfilledDays", "risk", "date", "product"],
+};
+
+function toView(row) {
+  return {
+    id: row.id,
+    name: row.name,
+    query: row.query,
+    sort: row.sort,
+    filters: JSON.parse(row.filters),
+  };
+}
+
+function fromParams(resource, params) {
+  const searchParams = new URLSearchParams(params || "");
+  const filters = {};
+
+  FILTER_KEYS[resource].forEach((key) => {
+    const value = searchParams.get(key);
+    if (value) filters[key] = value;
+  });
+
+  return {
+    query: searchParams.get("query") || "",
+    sort: searchParams.get("sort") || null,
+    filters: JSON.stringify(filters),
+  };
+}
+
+export async function getSavedViews(shop, resource) {
+  const rows = await db.savedView.findMany({
+    where: { shop, resource },
+    orderBy: { createdAt: "asc" },
+  });
+  return rows.map(toView);
+}
+
+async function findView(shop, resource, id) {
+  const view = await db.savedView.findFirst({
+    where: { id: Number(id), shop, resource },
+  });
+  if (!view) {
+    throw new Response("View not found", { status: 404 });
+  }
+  return view;
+}
+
+/**
+ * Runs a saved view action submitted by `useSavedViews`. Created and
+ * duplicated views are returned so the dashboard can switch to them.
+ */
+export async function handleSavedViewAction(shop, resource, formData) {
+  const intent = formData.get("intent");
+  const name = formData.get("name")?.trim();
+
+  if (["createView", "renameView", "duplicateView"].includes(intent) && !name) {
+    return { errors: { name: "View name is required" } };
+  }
+
+  switch (intent) {
+    case "createView": {
+      const row = await db.savedView.create({
+        data: { shop, resource, name, ...fromParams(resource, formData.get("params")) },
+      });
+      return { view: toView(row) };
+    }
+    case "updateView": {
+      const view = await findView(shop, resource, formData.get("id"));
+      await db.savedView.update({
+        where: { id: view.id },
+        data: fromParams(resource, formData.get("params")),
+      });
+      return {};
+    }
+    case "renameView": {
+      const view = await findView(shop, resource, formData.get("id"));
+      await db.savedView.update({ where: { id: view.id }, data: { name } });
+      return {};
+    }
+    case "duplicateView": {
+      const view = await findView(shop, resource, formData.get("id"));
+      const row = await db.savedView.create({
+        data: {
+          shop,
+          resource,
+          name,
+          query: view.query,
+          filters: view.filters,
+          sort: view.sort,
+        },
+      });
+      return { view: toView(row) };
+    }
+    case "deleteView": {
+      const view = await findView(shop, resource, formData.get("id"));
+      await db.savedView.delete({ where: { id: view.id } });
+      return { deletedViewId: view.id };
+    }
+    default:
+      throw new Response(`Unknown intent: ${intent}`, { status: 400 });
+  }
+}
@@ -0,0 +1,117 @@
+import db from "../db.server";
+
+// Every editable threshold with its default and allowed range. Defaults match
+// the ShopSettings column defaults.
+export const SETTING_FIELDS = {
+  trendWindowDays: {
+    label: "Order trend window",
+    helpText: "Orders in the last N days are compared with the N days before",
+    suffix: "days",
+    default: 7,
+    min: 1,
+    max: 90,
+  },
+  cancellationWindowDays: {
+    label: "Cancellation window",
+    helpText: "How far back cancelled, voided and refunded orders are counted",
+    suffix: "days",
+    default: 30,
+    min: 1,
+    max: 365,
+  },
+  atRiskDays: {
+    label: "High-value at risk after",
+    helpText: "Above-average spenders with no order for this long are at risk",
+    suffix: "days",
+    default: 60,
+    min: 1,
+    max: 730,
+  },
+  inactiveDays: {
+    label: "Inactive after",
+    helpText: "Customers with no order for this long count as inactive",
+    suffix: "days",
+    default: 90,
+    min: 1,
+    max: 730,
+  },
+  refundHeavyMinRefunds: {
+    label: "Refund-heavy after",
+    helpText: "Customers with at least this many refunded orders are refund-heavy",
+    suffix: "refunds",
+    default: 2,
+    min: 1,
+    max: 100,
+  },
+  highCancellationRate: {
+    label: "High cancellation rate",
+    helpText: "Flag the order dashboard when more than this share of orders is cancelled or refunded",
+    suffix: "%",
+    default: 10,
+    min: 0,
+    max: 100,
+    decimal: true,
+  },
+  lowStockThreshold: {
+    label: "Low stock at",
+    helpText: "Products and variants with this many units or fewer are low on stock, unless the product has its own threshold",
+    suffix: "units",
+    default: 10,
+    min: 0,
+    max: 10000,
+  },
+  lateShipmentDays: {
+    label: "Shipment late after",
+    helpText: "Orders still unfulfilled this long after they were placed count as late shipments",
+    suffix: "days",
+    default: 3,
+    min: 1,
+    max: 60,
+  },
+};
+
+export const DEFAULT_SETTINGS = Object.fromEntries(
+  Object.entries(SETTING_FIELDS).map(([key, field]) => [key, field.default]),
+);
+
+export async function getShopSettings(shop) {
+  const row = await db.shopSettings.findUnique({ where: { shop } });
+  if (!row) return { ...DEFAULT_SETTINGS };
+
+  return Object.fromEntries(
+    Object.keys(SETTING_FIELDS).map((key) => [key, row[key]]),
+  );
+}
+
+/**
+ * Validates submitted settings. Returns `{ settings }` when every field is in
+ * range, otherwise `{ errors }` keyed by field.
+ */
+export function parseShopSettings(formData) {
+  const settings = {};
+  const errors = {};
+
+  Object.entries(SETTING_FIELDS).forEach(([key, field]) => {
+    const value = Number(formData.get(key));
+
+    if (formData.get(key) === null || formData.get(key) === "" || isNaN(value)) {
+      errors[key] = "Enter a number";
+    } else if (!field.decimal && !Number.isInteger(value)) {
+      errors[key] = "Enter a whole number";
+    } else if (value < field.min || value > field.max) {
+      errors[key] = `Must be between ${field.min} and ${field.max}`;
+    } else {
+      settings[key] = value;
+    }
+  });
+
+  return Object.keys(errors).length > 0 ? { errors } : { settings };
+}
+
+export async function saveShopSettings(shop, settings) {
+  return db.shopSettings.upsert({
+    where: { shop },
+    create: { shop, ...settings },
+    update: settings,
+  });
+}
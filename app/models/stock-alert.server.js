@@ -0,0 +1,225 @@
+import db from "../db.server";
+import { SETTING_FIELDS, getShopSettings } from "./settings.server";
+
+const RECENT_ALERTS = 20;
+
+// A variant is "out" at zero or below and "low" at or below its threshold.
+function stockLevel(available, threshold) {
+  if (available <= 0) return "out";
+  if (available <= threshold) return "low";
+  return null;
+}
+
+/** Per-product thresholds for `productIds`, as a map of product ID to units. */
+export async function getStockThresholds(shop, productIds) {
+  const rows = await db.stockThreshold.findMany({
+    where: { shop, productId: { in: productIds } },
+  });
+  return Object.fromEntries(rows.map((row) => [row.productId, row.threshold]));
+}
+
+/**
+ * The threshold that applies to a product: its own when one is set (`custom`),
+ * otherwise the shop's default.
+ */
+export async function getProductThreshold(shop, productId) {
+  const [row, settings] = await Promise.all([
+    db.stockThreshold.findUnique({ where: { shop_productId: { shop, productId } } }),
+    getShopSettings(shop),
+  ]);
+
+  return row
+    ? { threshold: row.threshold, custom: true }
+    : { threshold: settings.lowStockThreshold, custom: false };
+}
+
+/**
+ * Validates a submitted product threshold. An empty value means the product
+ * goes back to the shop default. Returns `{ threshold }` or `{ error }`.
+ */
+export function parseStockThreshold(value) {
+  const { min, max } = SETTING_FIELDS.lowStockThreshold;
+  if (value === null || value.trim() === "") return { threshold: null };
+
+  const threshold = Number(value);
+  if (!Number.isInteger(threshold)) return { error: "Enter a whole number" };
+  if (threshold < min || threshold > max) return { error: `Must be between ${min} and ${max}` };
+  return { threshold };
+}
+
+/** Saves a product's threshold and re-checks its open alerts against it. */
+export async function saveProductThreshold(shop, productId, threshold) {
+  if (threshold === null) {
+    await db.stockThreshold.deleteMany({ where: { shop, productId } });
+  } else {
+    await db.stockThreshold.upsert({
+      where: { shop_productId: { shop, productId } },
+      create: { shop, productId, threshold },
+      update: { threshold },
+    });
+  }
+
+  await recheckOpenAlerts(shop, productId);
+}
+
+async function fetchInventoryItemVariant(admin, inventoryItemId) {
+  const response = await admin.graphql(
+    `#graphql
+    query StockAlertVariant($id: ID!) {
+      inventoryItem(id: $id) {
+        tracked
+        variant {
+          id
+          title
+          sku
+          inventoryQuantity
+          product {
+            id
+            title
+          }
+        }
+      }
+    }`,
+    { variables: { id: inventoryItemId } },
+  );
+
+  const { data } = await response.json();
+  return data.inventoryItem;
+}
+
+function openAlertKey(shop, variantId) {
+  return `${shop}:${variantId}`;
+}
+
+function isUniqueViolation(error) {
+  return error?.code === "P2002";
+}
+
+/**
+ * Brings the variant's open alert in line with `available` and `threshold`:
+ * keeps it when the level is unchanged, resolves it when the level changed,
+ * and opens a new one when the variant is low or out of stock. The open alert
+ * is found and created by its unique `openKey`, so changes processed at the
+ * same time can't open two alerts for one variant.
+ */
+async function syncStockAlert(shop, variant, { available, threshold, tracked = true }) {
+  const openKey = openAlertKey(shop, variant.variantId);
+  // Untracked variants never run out, so any open alert is resolved.
+  const level = tracked ? stockLevel(available, threshold) : null;
+  const open = await db.stockAlert.findUnique({ where: { openKey } });
+
+  if (open && open.level === level) {
+    await db.stockAlert.update({ where: { id: open.id }, data: { available, threshold } });
+    return;
+  }
+
+  if (open) {
+    await db.stockAlert.updateMany({
+      where: { id: open.id, resolvedAt: null },
+      data: { resolvedAt: new Date(), openKey: null },
+    });
+  }
+
+  if (!level) return;
+
+  try {
+    await db.stockAlert.create({ data: { shop, ...variant, level, available, threshold, openKey } });
+  } catch (error) {
+    if (!isUniqueViolation(error)) throw error;
+    // Another change opened the alert first; this one has the latest stock.
+    await db.stockAlert.update({ where: { openKey }, data: { level, available, threshold } });
+  }
+}
+
+/**
+ * Re-checks the variant behind an inventory item after its stock changed at
+ * any location. Opens an alert when the variant's total available stock
+ * crosses into low or out of stock, and resolves the open alert once it
+ * leaves that level.
+ */
+export async function recordInventoryChange(admin, shop, inventoryItemId) {
+  const item = await fetchInventoryItemVariant(admin, inventoryItemId);
+  if (!item?.variant) return;
+
+  const { variant } = item;
+  const { threshold } = await getProductThreshold(shop, variant.product.id);
+  const available = variant.inventoryQuantity ?? 0;
+
+  await syncStockAlert(
+    shop,
+    {
+      productId: variant.product.id,
+      variantId: variant.id,
+      productTitle: variant.product.title,
+      variantTitle: variant.title,
+      sku: variant.sku || null,
+    },
+    { available, threshold, tracked: item.tracked },
+  );
+}
+
+/**
+ * Re-checks open alerts against the current thresholds after a product's
+ * threshold or the shop default changed, using the stock each alert last
+ * recorded. Pass `productId` to only re-check that product's alerts.
+ */
+export async function recheckOpenAlerts(shop, productId) {
+  const alerts = await db.stockAlert.findMany({
+    where: { shop, resolvedAt: null, ...(productId ? { productId } : {}) },
+  });
+  if (alerts.length === 0) return;
+
+  const [thresholds, settings] = await Promise.all([
+    getStockThresholds(shop, [...new Set(alerts.map((alert) => alert.productId))]),
+    getShopSettings(shop),
+  ]);
+
+  for (const alert of alerts) {
+    const { productId: alertProductId, variantId, productTitle, variantTitle, sku } = alert;
+    await syncStockAlert(
+      shop,
+      { productId: alertProductId, variantId, productTitle, variantTitle, sku },
+      {
+        available: alert.available,
+        threshold: thresholds[alertProductId] ?? settings.lowStockThreshold,
+      },
+    );
+  }
+}
+
+/**
+ * Open stock alerts for the Store Health panel: counts by level and the most
+ * recent alerts, out of stock first.
+ */
+export async function getLowStockSummary(shop) {
+  const [counts, alerts] = await Promise.all([
+    db.stockAlert.groupBy({
+      by: ["level"],
+      where: { shop, resolvedAt: null },
+      _count: { _all: true },
+    }),
+    db.stockAlert.findMany({
+      where: { shop, resolvedAt: null },
+      orderBy: [{ level: "desc" }, { createdAt: "desc" }],
+      take: RECENT_ALERTS,
+    }),
+  ]);
+
+  const countFor = (level) => counts.find((row) => row.level === level)?._count._all ?? 0;
+
+  return {
+    outOfStock: countFor("out"),
+    lowStock: countFor("low"),
+    alerts: alerts.map((alert) => ({
+      id: alert.id,
+      productId: alert.productId,
+      productTitle: alert.productTitle,
+      variantTitle: alert.variantTitle,
+      sku: alert.sku,
+      level: alert.level,
+      available: alert.available,
+      threshold: alert.threshold,
+      since: alert.createdAt,
+    })),
+  };
+}
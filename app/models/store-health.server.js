@@ -0,0 +1,127 @@
+import db from "../db.server";
+import { getShopSettings } from "./settings.server";
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+const REFUND_STATUSES = ["REFUNDED", "PARTIALLY_REFUNDED"];
+
+function daysAgo(now, days) {
+  return new Date(now - days * DAY_MS);
+}
+
+function customerName(customer) {
+  return `${customer.firstName || ""} ${customer.lastName || ""}`.trim();
+}
+
+/**
+ * Computes the Store Health metrics and at-risk customer lists from the local
+ * mirror, so they cover the shop's full history rather than the latest page.
+ * Windows and thresholds come from the shop's settings, which are returned
+ * alongside so the page can label them.
+ */
+export async function getStoreHealth(shop) {
+  const settings = await getShopSettings(shop);
+  const now = new Date();
+  const trendStart = daysAgo(now, settings.trendWindowDays);
+  const previousTrendStart = daysAgo(now, settings.trendWindowDays * 2);
+  const cancellationStart = daysAgo(now, settings.cancellationWindowDays);
+  const atRiskBefore = daysAgo(now, settings.atRiskDays);
+  const inactiveBefore = daysAgo(now, settings.inactiveDays);
+
+  const [
+    ordersInWindow,
+    ordersPrevWindow,
+    cancelledInWindow,
+    inactiveCount,
+    customersNoEmail,
+    spend,
+    refundCounts,
+  ] = await Promise.all([
+    db.order.count({ where: { shop, processedAt: { gte: trendStart } } }),
+    db.order.count({ where: { shop, processedAt: { gte: previousTrendStart, lt: trendStart } } }),
+    db.order.count({
+      where: {
+        shop,
+        processedAt: { gte: cancellationStart },
+        OR: [
+          { financialStatus: { in: ["REFUNDED", "VOIDED"] } },
+          { cancelledAt: { not: null } },
+        ],
+      },
+    }),
+    db.customer.count({
+      where: { shop, OR: [{ lastOrderAt: null }, { lastOrderAt: { lt: inactiveBefore } }] },
+    }),
+    db.customer.count({ where: { shop, OR: [{ email: null }, { email: "" }] } }),
+    // Averaged per currency over customers who have ordered, so amounts in
+    // different currencies aren't mixed and customers without orders don't
+    // pull the bar for "high value" down.
+    db.customer.groupBy({
+      by: ["currencyCode"],
+      where: { shop, numberOfOrders: { gt: 0 } },
+      _avg: { amountSpent: true },
+    }),
+    db.order.groupBy({
+      by: ["customerId"],
+      where: { shop, customerId: { not: null }, financialStatus: { in: REFUND_STATUSES } },
+      _count: { _all: true },
+      having: { customerId: { _count: { gte: settings.refundHeavyMinRefunds } } },
+    }),
+  ]);
+
+  const orderTrend = ordersInWindow - ordersPrevWindow;
+  const orderTrendPercent = ordersPrevWindow > 0 ? ((orderTrend / ordersPrevWindow) * 100).toFixed(1) : 100;
+
+  const [refundHeavyCustomers, atRiskHighValue] = await Promise.all([
+    db.customer.findMany({
+      where: { id: { in: refundCounts.map((row) => row.customerId) } },
+    }),
+    db.customer.findMany({
+      where: {
+        shop,
+        lastOrderAt: { lt: atRiskBefore },
+        OR: spend.map((group) => ({
+          currencyCode: group.currencyCode,
+          amountSpent: { gt: group._avg.amountSpent || 0 },
+        })),
+      },
+      orderBy: { amountSpent: "desc" },
+    }),
+  ]);
+
+  const refundsByCustomer = new Map(
+    refundCounts.map((row) => [row.customerId, row._count._all]),
+  );
+
+  return {
+    settings,
+    metrics: {
+      ordersInWindow,
+      ordersPrevWindow,
+      orderTrend,
+      orderTrendPercent,
+      cancelledInWindow,
+      inactiveCount,
+      customersNoEmail,
+      averageSpent: spend.map((group) => ({
+        currencyCode: group.currencyCode,
+        amount: group._avg.amountSpent || 0,
+      })),
+    },
+    lists: {
+      refundHeavy: refundHeavyCustomers.map((c) => ({
+        id: c.id,
+        name: customerName(c),
+        email: c.email,
+        refunds: refundsByCustomer.get(c.id),
+      })),
+      atRiskHighValue: atRiskHighValue.map((c) => ({
+        id: c.id,
+        name: customerName(c),
+        spent: c.amountSpent,
+        currencyCode: c.currencyCode,
+        lastOrder: c.lastOrderAt,
+      })),
+    },
+  };
+}
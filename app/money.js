@@ -0,0 +1,62 @@
+// Admin API amounts come as MoneyBags holding the same amount in the shop's
+// currency, which reports and totals are kept in, and in the presentment
+// currency the customer saw at checkout.
+
+export const DEFAULT_LOCALE = "en";
+
+const numberFormats = new Map();
+
+/**
+ * The `currency` side of a MoneyBag as `{ amount, currencyCode }`. Falls back
+ * to shop money when the bag wasn't queried with its presentment amount.
+ */
+export function pickMoney(bag, currency = "shop") {
+  if (!bag) return null;
+  return (currency === "presentment" && bag.presentmentMoney) || bag.shopMoney;
+}
+
+/**
+ * The first locale in `value` that amounts can be formatted for. Accepts a
+ * single tag, such as the `locale` Shopify admin adds to the app's URL, or an
+ * Accept-Language header.
+ */
+export function resolveLocale(value) {
+  const tags = (value || "")
+    .split(",")
+    .map((part) => part.split(";")[0].trim())
+    .filter(Boolean);
+
+  for (const tag of tags) {
+    try {
+      const [supported] = Intl.NumberFormat.supportedLocalesOf(tag);
+      if (supported) return supported;
+    } catch {
+      // Malformed tags are skipped.
+    }
+  }
+  return DEFAULT_LOCALE;
+}
+
+function numberFormat(locale, currencyCode) {
+  const key = `${locale}:${currencyCode || ""}`;
+  if (!numberFormats.has(key)) {
+    numberFormats.set(key, new Intl.NumberFormat(locale, currencyCode
+      ? { style: "currency", currency: currencyCode }
+      : { minimumFractionDigits: 2, maximumFractionDigits: 2 }));
+  }
+  return numberFormats.get(key);
+}
+
+/**
+ * Formats `amount` (a number or the decimal string the Admin API returns) in
+ * `currencyCode` with the symbol, separators and decimals `locale` uses.
+ * Amounts without a currency are formatted as plain numbers.
+ */
+export function formatMoney(amount, currencyCode, locale = DEFAULT_LOCALE) {
+  const value = Number(amount) || 0;
+  try {
+    return numberFormat(locale, currencyCode).format(value);
+  } catch {
+    return `${value.toFixed(2)} ${currencyCode}`;
+  }
+}
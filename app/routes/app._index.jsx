@@ -1,7 +1,86 @@
-import { Page, Layout, Card, BlockStack, Text, InlineGrid, Button, Icon } from "@shopify/polaris";
+import { useEffect } from "react";
+import { useFetcher, useLoaderData, useRevalidator } from "react-router";
+import { Page, Layout, Card, BlockStack, Text, InlineGrid, InlineStack, Button, Icon, Badge, ProgressBar } from "@shopify/polaris";
 import { PersonIcon, OrderIcon, HeartIcon } from "@shopify/polaris-icons";
+import { authenticate } from "../shopify.server";
+import { getSyncState } from "../models/mirror.server";
+import { getBulkOperation, startBulkImport } from "../models/bulk-import.server";
+
+const SYNC_STATUS_TONES = {
+  running: "attention",
+  importing: "attention",
+  completed: "success",
+  failed: "critical",
+};
+
+const IMPORTED_COUNTS = {
+  customers: "customersSynced",
+  orders: "ordersSynced",
+};
+
+function isInProgress(syncState) {
+  return syncState?.status === "running" || syncState?.status === "importing";
+}
+
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const syncState = await getSyncState(session.shop);
+
+  // While Shopify is still running the bulk query, ask it how far it has got.
+  const bulkOperation = syncState?.status === "running" && syncState.bulkOperationId
+    ? await getBulkOperation(admin, syncState.bulkOperationId)
+    : null;
+
+  return { syncState, bulkOperation };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const syncState = await getSyncState(session.shop);
+
+  if (!isInProgress(syncState)) {
+    await startBulkImport(admin, session.shop);
+  }
+
+  return null;
+};
 
 export default function Index() {
+  const { syncState, bulkOperation } = useLoaderData();
+  const fetcher = useFetcher();
+  const revalidator = useRevalidator();
+  const inProgress = isInProgress(syncState);
+
+  let progressMarkup = null;
+  if (syncState?.status === "running") {
+    progressMarkup = (
+      <Text variant="bodySm" as="p">
+        Shopify is preparing your {syncState.stage}: {bulkOperation?.objectCount ?? 0} records collected so far.
+      </Text>
+    );
+  } else if (syncState?.status === "importing") {
+    const imported = syncState[IMPORTED_COUNTS[syncState.stage]];
+    const progress = syncState.objectCount > 0
+      ? Math.min(100, Math.round((imported / syncState.objectCount) * 100))
+      : 0;
+
+    progressMarkup = (
+      <BlockStack gap="100">
+        <Text variant="bodySm" as="p">
+          Importing {syncState.stage}: {imported} of {syncState.objectCount} records
+        </Text>
+        <ProgressBar progress={progress} size="small" />
+      </BlockStack>
+    );
+  }
+
+  // Poll while an import is in progress so the progress stays current.
+  useEffect(() => {
+    if (!inProgress) return;
+    const interval = setInterval(() => revalidator.revalidate(), 5000);
+    return () => clearInterval(interval);
+  }, [inProgress, revalidator]);
+
   return (
     <Page title="Dashboard Overview">
       <BlockStack gap="500">
@@ -17,6 +96,41 @@ export default function Index() {
             </Card>
           </Layout.Section>
 
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="300">
+                <InlineStack align="space-between" blockAlign="center">
+                  <InlineStack gap="200" blockAlign="center">
+                    <Text variant="headingMd" as="h2">Store data</Text>
+                    <Badge tone={SYNC_STATUS_TONES[syncState?.status]}>
+                      {syncState?.status || "not imported"}
+                    </Badge>
+                  </InlineStack>
+                  <Button
+                    onClick={() => fetcher.submit(null, { method: "post" })}
+                    loading={inProgress || fetcher.state !== "idle"}
+                    disabled={inProgress}
+                  >
+                    {syncState?.completedAt ? "Re-import" : "Import store data"}
+                  </Button>
+                </InlineStack>
+                <Text variant="bodyMd" as="p" tone="subdued">
+                  Dashboards read from a local copy of your customers and orders, kept up to date by webhooks.
+                </Text>
+                {progressMarkup}
+                {syncState && !inProgress && (
+                  <Text variant="bodySm" as="p">
+                    {syncState.customersSynced} customers and {syncState.ordersSynced} orders imported
+                    {syncState.completedAt && ` · last completed ${new Date(syncState.completedAt).toLocaleString()}`}
+                  </Text>
+                )}
+                {syncState?.error && (
+                  <Text variant="bodySm" as="p" tone="critical">{syncState.error}</Text>
+                )}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+
           <Layout.Section>
             <InlineGrid columns={['oneThird', 'oneThird', 'oneThird']} gap="400">
 
@@ -46,7 +160,7 @@ export default function Index() {
                     <Text variant="headingSm" as="h3">Orders</Text>
                   </InlineGrid>
                   <Text as="p" variant="bodySm" tone="subdued">
-                    Analyze order patterns, cancellations, and high-risk transactions.
+                    Analyze order patterns and cancellations, track the fulfillment backlog, and review orders flagged as risky.
                   </Text>
                   <div style={{ marginTop: 'auto' }}>
                     <Button url="/app/order" fullWidth>View Orders</Button>
@@ -0,0 +1,261 @@
+import { useCallback, useEffect, useState } from "react";
+import { useLoaderData, useNavigation, useSearchParams } from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  IndexTable,
+  Text,
+  Badge,
+  Banner,
+  BlockStack,
+  InlineGrid,
+  Tabs,
+  TextField,
+  Link,
+  EmptyState,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import {
+  getCheckoutRecovery,
+  getCheckoutSyncError,
+  listAbandonedCheckouts,
+  parseCheckoutFilters,
+} from "../models/abandoned-checkout.server";
+import { useMoneyFormat } from "../hooks/useMoneyFormat";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const { searchParams } = new URL(request.url);
+  const filters = parseCheckoutFilters(searchParams);
+
+  const [page, recovery, syncError] = await Promise.all([
+    listAbandonedCheckouts({
+      shop: session.shop,
+      filters,
+      after: searchParams.get("after"),
+      before: searchParams.get("before"),
+    }),
+    getCheckoutRecovery(session.shop),
+    getCheckoutSyncError(session.shop),
+  ]);
+
+  return { ...page, recovery, filters, syncError };
+};
+
+const TABS = [
+  { id: "all", content: "All" },
+  { id: "open", content: "Not recovered" },
+  { id: "recovered", content: "Recovered" },
+];
+
+function numericId(gid) {
+  return gid.split("/").pop();
+}
+
+export default function AbandonedCheckouts() {
+  const { checkouts, pageInfo, recovery, filters, syncError } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigation = useNavigation();
+  const [queryValue, setQueryValue] = useState(filters.query);
+  const formatMoney = useMoneyFormat();
+
+  // Any change to the search or tab starts again from the first page.
+  const updateSearchParams = useCallback((changes) => {
+    setSearchParams((previous) => {
+      const next = new URLSearchParams(previous);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value) next.set(key, value);
+        else next.delete(key);
+      });
+      next.delete("after");
+      next.delete("before");
+      return next;
+    }, { replace: true });
+  }, [setSearchParams]);
+
+  // Push the search to the URL once typing settles.
+  useEffect(() => {
+    if ((searchParams.get("query") || "") === queryValue.trim()) return;
+    const timeout = setTimeout(() => updateSearchParams({ query: queryValue.trim() }), 300);
+    return () => clearTimeout(timeout);
+  }, [queryValue, searchParams, updateSearchParams]);
+
+  const handleTabChange = useCallback((index) => {
+    updateSearchParams({ status: TABS[index].id === "all" ? "" : TABS[index].id });
+  }, [updateSearchParams]);
+
+  const handleNextPage = useCallback(() => {
+    setSearchParams((previous) => {
+      const next = new URLSearchParams(previous);
+      next.delete("before");
+      next.set("after", pageInfo.endCursor);
+      return next;
+    });
+  }, [pageInfo.endCursor, setSearchParams]);
+
+  const handlePreviousPage = useCallback(() => {
+    setSearchParams((previous) => {
+      const next = new URLSearchParams(previous);
+      next.delete("after");
+      next.set("before", pageInfo.startCursor);
+      return next;
+    });
+  }, [pageInfo.startCursor, setSearchParams]);
+
+  const metricCards = [
+    {
+      title: "Abandoned Checkouts",
+      value: recovery.abandoned,
+      detail: `Started in the last ${recovery.weeks} weeks`,
+    },
+    {
+      title: "Recovered",
+      value: recovery.recovered,
+      detail: `${formatMoney(recovery.recoveredValue, recovery.currencyCode)} completed after being abandoned`,
+    },
+    {
+      title: "Recovery Rate",
+      value: `${recovery.rate.toFixed(1)}%`,
+      detail: "Share of abandoned checkouts later completed",
+    },
+    {
+      title: "Not Recovered",
+      value: formatMoney(recovery.openValue, recovery.currencyCode),
+      detail: `${recovery.abandoned - recovery.recovered} carts still waiting`,
+      tone: recovery.openValue > 0 ? "critical" : undefined,
+    },
+  ];
+
+  const metricsMarkup = metricCards.map((metric) => (
+    <Card key={metric.title}>
+      <BlockStack gap="200">
+        <Text variant="headingSm" as="h3">{metric.title}</Text>
+        <Text variant="heading2xl" as="p" tone={metric.tone}>{metric.value}</Text>
+        <Text variant="bodySm" tone="subdued">{metric.detail}</Text>
+      </BlockStack>
+    </Card>
+  ));
+
+  const rowMarkup = checkouts.map((checkout, index) => (
+    <IndexTable.Row id={checkout.id} key={checkout.id} position={index}>
+      <IndexTable.Cell>
+        <Link removeUnderline url={`shopify:admin/checkouts/${numericId(checkout.id)}`}>
+          <Text variant="bodyMd" fontWeight="bold" as="span">{checkout.name}</Text>
+        </Link>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{new Date(checkout.createdAt).toDateString()}</IndexTable.Cell>
+      <IndexTable.Cell>
+        {checkout.customer ? (
+          <Link removeUnderline url={`/app/customer/${numericId(checkout.customer.id)}`}>
+            {checkout.customer.name}
+          </Link>
+        ) : (
+          <Text as="span" tone="subdued">{checkout.customerName || checkout.email || "Guest"}</Text>
+        )}
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <BlockStack gap="050">
+          <Text as="span">{`${checkout.itemCount} ${checkout.itemCount === 1 ? "item" : "items"}`}</Text>
+          <Text as="span" variant="bodySm" tone="subdued" truncate>
+            {checkout.lineItems.map((item) => `${item.quantity} × ${item.title}`).join(", ")}
+          </Text>
+        </BlockStack>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Text as="span" alignment="end" numeric>{formatMoney(checkout.totalPrice, checkout.currencyCode)}</Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {checkout.completedAt ? (
+          <Badge tone="success">{`Recovered ${new Date(checkout.completedAt).toLocaleDateString()}`}</Badge>
+        ) : (
+          <Badge tone="attention">Not recovered</Badge>
+        )}
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {!checkout.completedAt && checkout.recoveryUrl && (
+          <Link url={checkout.recoveryUrl} target="_blank">Checkout link</Link>
+        )}
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  const emptyStateMarkup = (
+    <EmptyState
+      heading="No abandoned checkouts found"
+      image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+    >
+      <p>Checkouts that customers start but don&apos;t complete appear here.</p>
+    </EmptyState>
+  );
+
+  return (
+    <Page
+      title="Abandoned Checkouts"
+      subtitle="Carts customers left at checkout and how many came back"
+      secondaryActions={[{ content: "View recovery on Store Health", url: "/app/store-health" }]}
+      fullWidth
+    >
+      <BlockStack gap="500">
+        {syncError && (
+          <Banner title="Couldn't load the latest abandoned checkouts" tone="warning">
+            <p>{`Showing checkouts synced earlier. ${syncError}`}</p>
+          </Banner>
+        )}
+        <Layout>
+          <Layout.Section>
+            <InlineGrid columns={{ xs: 1, sm: 2, lg: 4 }} gap="400">
+              {metricsMarkup}
+            </InlineGrid>
+          </Layout.Section>
+
+          <Layout.Section>
+            <Card padding="0">
+              <Tabs
+                tabs={TABS}
+                selected={Math.max(TABS.findIndex((tab) => tab.id === filters.status), 0)}
+                onSelect={handleTabChange}
+              />
+              <div style={{ padding: "12px 16px" }}>
+                <TextField
+                  label="Search checkouts"
+                  labelHidden
+                  placeholder="Search by checkout, customer or email"
+                  value={queryValue}
+                  onChange={setQueryValue}
+                  clearButton
+                  onClearButtonClick={() => setQueryValue("")}
+                  autoComplete="off"
+                />
+              </div>
+              <IndexTable
+                resourceName={{ singular: "checkout", plural: "checkouts" }}
+                itemCount={checkouts.length}
+                headings={[
+                  { title: "Checkout" },
+                  { title: "Date" },
+                  { title: "Customer" },
+                  { title: "Items" },
+                  { title: "Cart Value", alignment: "end" },
+                  { title: "Status" },
+                  { title: "Recovery" },
+                ]}
+                selectable={false}
+                emptyState={emptyStateMarkup}
+                loading={navigation.state === "loading"}
+                pagination={{
+                  hasNext: pageInfo.hasNextPage,
+                  hasPrevious: pageInfo.hasPreviousPage,
+                  onNext: handleNextPage,
+                  onPrevious: handlePreviousPage,
+                }}
+              >
+                {rowMarkup}
+              </IndexTable>
+            </Card>
+          </Layout.Section>
+        </Layout>
+      </BlockStack>
+    </Page>
+  );
+}
@@ -0,0 +1,244 @@
+import { useCallback } from "react";
+import { useLoaderData, useNavigation, useSearchParams } from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  BlockStack,
+  InlineGrid,
+  Banner,
+  Select,
+  EmptyState,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { toCsvRow } from "../csv";
+import { useMoneyFormat } from "../hooks/useMoneyFormat";
+import { getShopCurrency, isMirrorReady } from "../models/mirror.server";
+import {
+  COHORT_RANGES,
+  getCohortRetention,
+  parseCohortRange,
+} from "../models/cohort.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const months = parseCohortRange(new URL(request.url).searchParams);
+
+  const [cohorts, synced, currencyCode] = await Promise.all([
+    getCohortRetention(session.shop, months),
+    isMirrorReady(session.shop),
+    getShopCurrency(session.shop),
+  ]);
+
+  return { cohorts, months, ranges: COHORT_RANGES, synced, currencyCode };
+};
+
+function formatMonth(month) {
+  const [year, index] = month.split("-").map(Number);
+  return new Date(Date.UTC(year, index - 1, 1)).toLocaleDateString(undefined, {
+    month: "short",
+    year: "numeric",
+    timeZone: "UTC",
+  });
+}
+
+function retentionPercent(cohort, offset) {
+  return cohort.customers > 0 ? (cohort.retention[offset] / cohort.customers) * 100 : 0;
+}
+
+// Month 0 is always 100%, so the shading starts from month 1.
+function heatmapColor(percent) {
+  const alpha = Math.min(percent / 50, 1) * 0.85 + 0.05;
+  return `rgba(0, 128, 96, ${alpha.toFixed(2)})`;
+}
+
+const cellStyle = {
+  padding: "8px 12px",
+  textAlign: "right",
+  whiteSpace: "nowrap",
+  borderBottom: "1px solid var(--p-color-border-secondary)",
+};
+
+export default function Cohorts() {
+  const { cohorts, months, ranges, synced, currencyCode } = useLoaderData();
+  const [, setSearchParams] = useSearchParams();
+  const navigation = useNavigation();
+  const formatMoney = useMoneyFormat();
+
+  const activeCohorts = cohorts.filter((cohort) => cohort.customers > 0);
+  const totalCustomers = activeCohorts.reduce((sum, cohort) => sum + cohort.customers, 0);
+  const totalRevenue = activeCohorts.reduce((sum, cohort) => sum + cohort.revenue, 0);
+
+  // Average month-1 retention, weighted by cohort size. The current month's
+  // cohort has no month 1 yet, so it is left out.
+  const eligible = activeCohorts.filter((cohort) => cohort.retention.length > 1);
+  const eligibleCustomers = eligible.reduce((sum, cohort) => sum + cohort.customers, 0);
+  const monthOneRetention = eligibleCustomers > 0
+    ? (eligible.reduce((sum, cohort) => sum + cohort.retention[1], 0) / eligibleCustomers) * 100
+    : 0;
+
+  const handleRangeChange = useCallback((value) => {
+    setSearchParams({ months: value }, { replace: true });
+  }, [setSearchParams]);
+
+  const handleExport = useCallback(() => {
+    const headers = [
+      "Cohort",
+      "Customers",
+      "Orders",
+      currencyCode ? `Revenue (${currencyCode})` : "Revenue",
+      currencyCode ? `Revenue per Customer (${currencyCode})` : "Revenue per Customer",
+      ...Array.from({ length: months }, (_, offset) => `Month ${offset}`),
+    ];
+    const rows = cohorts.map((cohort) => [
+      cohort.month,
+      cohort.customers,
+      cohort.orders,
+      cohort.revenue.toFixed(2),
+      cohort.revenuePerCustomer.toFixed(2),
+      ...cohort.retention.map((_, offset) => `${retentionPercent(cohort, offset).toFixed(1)}%`),
+    ]);
+
+    const csvContent = [headers, ...rows].map(toCsvRow).join("");
+
+    const blob = new Blob([csvContent], { type: "text/csv;charset=utf-8;" });
+    const link = document.createElement("a");
+    if (link.download !== undefined) {
+      const url = URL.createObjectURL(blob);
+      link.setAttribute("href", url);
+      link.setAttribute("download", `cohort_retention_${months}m.csv`);
+      link.style.visibility = "hidden";
+      document.body.appendChild(link);
+      link.click();
+      document.body.removeChild(link);
+    }
+  }, [cohorts, months, currencyCode]);
+
+  const heatmapMarkup = activeCohorts.length > 0 ? (
+    <div style={{ overflowX: "auto" }}>
+      <table style={{ borderCollapse: "collapse", width: "100%" }}>
+        <thead>
+          <tr>
+            <th style={{ ...cellStyle, textAlign: "left" }}>
+              <Text variant="headingSm" as="span">Cohort</Text>
+            </th>
+            <th style={cellStyle}><Text variant="headingSm" as="span">Customers</Text></th>
+            <th style={cellStyle}><Text variant="headingSm" as="span">Revenue</Text></th>
+            <th style={cellStyle}><Text variant="headingSm" as="span">Per Customer</Text></th>
+            {Array.from({ length: months }, (_, offset) => (
+              <th key={offset} style={cellStyle}>
+                <Text variant="headingSm" as="span">{`M${offset}`}</Text>
+              </th>
+            ))}
+          </tr>
+        </thead>
+        <tbody>
+          {cohorts.map((cohort) => (
+            <tr key={cohort.month}>
+              <td style={{ ...cellStyle, textAlign: "left" }}>
+                <Text fontWeight="bold" as="span">{formatMonth(cohort.month)}</Text>
+              </td>
+              <td style={cellStyle}><Text numeric as="span">{cohort.customers}</Text></td>
+              <td style={cellStyle}><Text numeric as="span">{formatMoney(cohort.revenue, currencyCode)}</Text></td>
+              <td style={cellStyle}><Text numeric as="span">{formatMoney(cohort.revenuePerCustomer, currencyCode)}</Text></td>
+              {Array.from({ length: months }, (_, offset) => {
+                if (offset >= cohort.retention.length || cohort.customers === 0) {
+                  return <td key={offset} style={cellStyle} />;
+                }
+                const percent = retentionPercent(cohort, offset);
+                return (
+                  <td
+                    key={offset}
+                    title={`${cohort.retention[offset]} of ${cohort.customers} customers`}
+                    style={{
+                      ...cellStyle,
+                      background: offset === 0 ? "var(--p-color-bg-surface-secondary)" : heatmapColor(percent),
+                      color: offset > 0 && percent >= 25 ? "white" : undefined,
+                    }}
+                  >
+                    {`${percent.toFixed(offset === 0 ? 0 : 1)}%`}
+                  </td>
+                );
+              })}
+            </tr>
+          ))}
+        </tbody>
+      </table>
+    </div>
+  ) : (
+    <EmptyState heading="No cohorts yet" image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png">
+      <p>Customers will be grouped here by the month of their first order.</p>
+    </EmptyState>
+  );
+
+  return (
+    <Page
+      title="Cohort Retention"
+      subtitle="Repeat purchases by the month of each customer's first order"
+      primaryAction={{
+        content: "Export CSV",
+        onAction: handleExport,
+        disabled: activeCohorts.length === 0,
+      }}
+      fullWidth
+    >
+      <BlockStack gap="500">
+        {!synced && (
+          <Banner
+            title="Store data is still being synced"
+            tone="warning"
+            action={{ content: "View sync status", url: "/app" }}
+          >
+            <p>Cohorts will be incomplete until the initial import from your store has finished.</p>
+          </Banner>
+        )}
+        <Layout>
+          <Layout.Section>
+            <InlineGrid columns={["oneThird", "oneThird", "oneThird"]} gap="400">
+              <Card>
+                <BlockStack gap="200">
+                  <Text variant="headingSm" as="h3">New Customers</Text>
+                  <Text variant="heading2xl" as="p">{totalCustomers}</Text>
+                  <Text variant="bodySm" tone="subdued">First ordered in the last {months} months</Text>
+                </BlockStack>
+              </Card>
+              <Card>
+                <BlockStack gap="200">
+                  <Text variant="headingSm" as="h3">Month 1 Retention</Text>
+                  <Text variant="heading2xl" as="p">{`${monthOneRetention.toFixed(1)}%`}</Text>
+                  <Text variant="bodySm" tone="subdued">Ordered again the month after their first order</Text>
+                </BlockStack>
+              </Card>
+              <Card>
+                <BlockStack gap="200">
+                  <Text variant="headingSm" as="h3">Cohort Revenue</Text>
+                  <Text variant="heading2xl" as="p">{formatMoney(totalRevenue, currencyCode)}</Text>
+                  <Text variant="bodySm" tone="subdued">Net of refunds, across all cohorts shown</Text>
+                </BlockStack>
+              </Card>
+            </InlineGrid>
+          </Layout.Section>
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <InlineGrid columns="1fr auto" gap="400" alignItems="center">
+                  <Text variant="headingMd" as="h2">Retention Heatmap</Text>
+                  <Select
+                    label="Range"
+                    labelInline
+                    options={ranges.map((range) => ({ label: `Last ${range} months`, value: String(range) }))}
+                    value={String(months)}
+                    onChange={handleRangeChange}
+                    disabled={navigation.state === "loading"}
+                  />
+                </InlineGrid>
+                {heatmapMarkup}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        </Layout>
+      </BlockStack>
+    </Page>
+  );
+}
@@ -0,0 +1,39 @@
+import { authenticate } from "../shopify.server";
+import { csvResponse } from "../csv.server";
+import {
+  CUSTOMER_CSV_COLUMNS,
+  iterateCustomers,
+  parseCustomerFilters,
+} from "../models/customer.server";
+
+/**
+ * Streams every customer matching the dashboard's filters as CSV. Pass
+ * `columns` as a comma-separated list of column keys to choose the columns;
+ * all columns are included by default.
+ */
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const { searchParams } = new URL(request.url);
+  const filters = parseCustomerFilters(searchParams);
+
+  const requested = searchParams.get("columns")?.split(",") || [];
+  const columns = requested.length > 0
+    ? CUSTOMER_CSV_COLUMNS.filter((column) => requested.includes(column.key))
+    : CUSTOMER_CSV_COLUMNS;
+
+  if (columns.length === 0) {
+    throw new Response("Choose at least one column", { status: 400 });
+  }
+
+  async function* rows() {
+    for await (const page of iterateCustomers({ admin, shop: session.shop, filters })) {
+      yield page.map((customer) => columns.map((column) => column.value(customer)));
+    }
+  }
+
+  return csvResponse(
+    `customers-${new Date().toISOString().slice(0, 10)}.csv`,
+    columns.map((column) => column.label),
+    rows(),
+  );
+};
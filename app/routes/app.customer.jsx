@@ -1,5 +1,5 @@
-import { useState, useCallback, useMemo } from "react";
-import { useLoaderData } from "react-router";
+import { useState, useCallback, useEffect } from "react";
+import { useLoaderData, useNavigation, useSearchParams } from "react-router";
 import {
     Page,
     Layout,
@@ -16,58 +16,96 @@ import {
     useSetIndexFiltersMode,
     Avatar,
     TextField,
+    Modal,
+    ProgressBar,
+    Banner,
+    List,
+    ChoiceList,
 } from "@shopify/polaris";
 import { authenticate } from "../shopify.server";
+import { parseBatchItems } from "../batch.server";
+import { useBatchSubmit } from "../hooks/useBatchSubmit";
+import { useDownload } from "../hooks/useDownload";
+import { useSavedViews } from "../hooks/useSavedViews";
+import { getSavedViews, handleSavedViewAction } from "../models/saved-view.server";
+import { isMirrorReady } from "../models/mirror.server";
+import { RFM_SEGMENTS } from "../models/rfm.server";
+import {
+    CUSTOMER_CSV_COLUMNS,
+    listCustomers,
+    parseCustomerFilters,
+    updateCustomerTags,
+} from "../models/customer.server";
 
 export const loader = async ({ request }) => {
-    const { admin } = await authenticate.admin(request);
-    const response = await admin.graphql(
-        `#graphql
-    query CustomersData {
-      customers(first: 250) {
-        edges {
-          node {
-            id
-            firstName
-            lastName
-            email
-            defaultAddress {
-              country
-            }
-            tags
-            numberOfOrders
-            lastOrder {
-              processedAt
-            }
-            createdAt
-          }
-        }
-      }
-    }`,
-    );
+    const { admin, session } = await authenticate.admin(request);
+    const { searchParams } = new URL(request.url);
+    const filters = parseCustomerFilters(searchParams);
+    const synced = await isMirrorReady(session.shop);
 
-    const responseJson = await response.json();
+    const [page, views] = await Promise.all([
+        listCustomers({
+            admin,
+            shop: session.shop,
+            filters,
+            after: searchParams.get("after"),
+            before: searchParams.get("before"),
+        }),
+        getSavedViews(session.shop, "customer"),
+    ]);
 
     return {
-        customers: responseJson.data.customers.edges.map(edge => edge.node),
+        ...page,
+        filters,
+        views,
+        synced,
+        segments: RFM_SEGMENTS,
+        csvColumns: CUSTOMER_CSV_COLUMNS.map(({ key, label }) => ({ key, label })),
     };
 };
 
+export const action = async ({ request }) => {
+    const { admin, session } = await authenticate.admin(request);
+    const formData = await request.formData();
+    const intent = formData.get("intent");
+
+    if (intent === "addTags" || intent === "removeTags") {
+        const ids = parseBatchItems(formData);
+        if (!ids) {
+            return { error: "The selected items couldn't be read. Reload the page and try again." };
+        }
+        return {
+            results: await updateCustomerTags(admin, session.shop, {
+                ids,
+                tags: formData.get("tags").split(",").map((tag) => tag.trim()).filter(Boolean),
+                operation: intent === "addTags" ? "add" : "remove",
+            }),
+        };
+    }
+
+    return handleSavedViewAction(session.shop, "customer", formData);
+};
+
+const FILTER_KEYS = ["tag", "country", "orderCount", "segment", "lastOrderBefore"];
+
 export default function Customer() {
-    const { customers } = useLoaderData();
+    const { customers, pageInfo, filteredCount, totalCount, filters: appliedParams, views, synced, segments, csvColumns } = useLoaderData();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const navigation = useNavigation();
 
     const { mode, setMode } = useSetIndexFiltersMode();
-    const [queryValue, setQueryValue] = useState("");
-    const [tagFilter, setTagFilter] = useState("");
-    const [countryFilter, setCountryFilter] = useState("");
-    const [itemsOrderCount, setItemsOrderCount] = useState("");
-    const [lastOrderDateFilter, setLastOrderDateFilter] = useState("");
-    const [sortSelected, setSortSelected] = useState(['date desc']);
+    const [queryValue, setQueryValue] = useState(appliedParams.query);
+    const [tagFilter, setTagFilter] = useState(appliedParams.tag);
+    const [countryFilter, setCountryFilter] = useState(appliedParams.country);
+    const [itemsOrderCount, setItemsOrderCount] = useState(appliedParams.orderCount);
+    const [segmentFilter, setSegmentFilter] = useState(appliedParams.segment);
+    const [lastOrderDateFilter, setLastOrderDateFilter] = useState(appliedParams.lastOrderBefore);
 
     const handleQueryValueChange = useCallback((value) => setQueryValue(value), []);
     const handleTagChange = useCallback((value) => setTagFilter(value), []);
     const handleCountryChange = useCallback((value) => setCountryFilter(value), []);
     const handleOrderCountChange = useCallback((value) => setItemsOrderCount(value), []);
+    const handleSegmentChange = useCallback((value) => setSegmentFilter(value[0] || ""), []);
     const handleLastOrderDateChange = useCallback((value) => setLastOrderDateFilter(value), []);
 
     const handleClearAll = useCallback(() => {
@@ -75,104 +113,97 @@ export default function Customer() {
         setTagFilter("");
         setCountryFilter("");
         setItemsOrderCount("");
+        setSegmentFilter("");
         setLastOrderDateFilter("");
     }, []);
 
-    const filteredCustomers = useMemo(() => {
-        let filtered = customers.filter((customer) => {
-            const fullName = `${customer.firstName} ${customer.lastName}`.toLowerCase();
-            const email = (customer.email || "").toLowerCase();
-            const query = queryValue.toLowerCase();
-            if (query && !fullName.includes(query) && !email.includes(query)) {
-                return false;
-            }
-
-            if (tagFilter) {
-                const tags = customer.tags || [];
-                if (!tags.some(tag => tag.toLowerCase().includes(tagFilter.toLowerCase()))) {
-                    return false;
-                }
-            }
-
-            if (countryFilter) {
-                const country = customer.defaultAddress?.country || "";
-                if (!country.toLowerCase().includes(countryFilter.toLowerCase())) {
-                    return false;
-                }
-            }
-
-            if (itemsOrderCount) {
-                const count = parseInt(itemsOrderCount, 10);
-                if (!isNaN(count) && customer.numberOfOrders < count) {
-                    return false;
-                }
-            }
-
-            if (lastOrderDateFilter) {
-                if (!customer.lastOrder?.processedAt) return true;
-                const filterDate = new Date(lastOrderDateFilter);
-                const orderDate = new Date(customer.lastOrder.processedAt);
-                if (orderDate > filterDate) {
-                    return false;
-                }
-            }
-
-            return true;
-        });
+    const handleApplyView = useCallback((view) => {
+        setQueryValue(view?.query || "");
+        setTagFilter(view?.filters.tag || "");
+        setCountryFilter(view?.filters.country || "");
+        setItemsOrderCount(view?.filters.orderCount || "");
+        setSegmentFilter(view?.filters.segment || "");
+        setLastOrderDateFilter(view?.filters.lastOrderBefore || "");
+    }, []);
 
-        if (sortSelected.length > 0) {
-            const [sortKey, sortDirection] = sortSelected[0].split(' ');
+    const savedViews = useSavedViews({
+        views,
+        filterKeys: FILTER_KEYS,
+        onApply: handleApplyView,
+    });
 
-            filtered.sort((a, b) => {
-                let aValue, bValue;
+    // Any change to the filters or sort starts again from the first page.
+    const updateSearchParams = useCallback((changes) => {
+        setSearchParams((previous) => {
+            const next = new URLSearchParams(previous);
+            Object.entries(changes).forEach(([key, value]) => {
+                if (value) next.set(key, value);
+                else next.delete(key);
+            });
+            next.delete("after");
+            next.delete("before");
+            return next;
+        }, { replace: true });
+    }, [setSearchParams]);
 
-                if (sortKey === 'name') {
-                    aValue = `${a.firstName} ${a.lastName}`.toLowerCase();
-                    bValue = `${b.firstName} ${b.lastName}`.toLowerCase();
-                } else if (sortKey === 'date') {
-                    aValue = new Date(a.createdAt).getTime();
-                    bValue = new Date(b.createdAt).getTime();
-                }
+    // Push text filters to the URL once typing settles, so every keystroke
+    // doesn't trigger a loader request.
+    useEffect(() => {
+        const changes = {
+            query: queryValue.trim(),
+            tag: tagFilter.trim(),
+            country: countryFilter.trim(),
+            orderCount: itemsOrderCount.trim(),
+            segment: segmentFilter,
+            lastOrderBefore: lastOrderDateFilter,
+        };
+        const unchanged = Object.entries(changes).every(
+            ([key, value]) => (searchParams.get(key) || "") === value,
+        );
+        if (unchanged) return;
 
-                if (aValue < bValue) return sortDirection === 'asc' ? -1 : 1;
-                if (aValue > bValue) return sortDirection === 'asc' ? 1 : -1;
-                return 0;
-            });
-        }
+        const timeout = setTimeout(() => updateSearchParams(changes), 300);
+        return () => clearTimeout(timeout);
+    }, [queryValue, tagFilter, countryFilter, itemsOrderCount, segmentFilter, lastOrderDateFilter, searchParams, updateSearchParams]);
 
-        return filtered;
-    }, [customers, queryValue, tagFilter, countryFilter, itemsOrderCount, lastOrderDateFilter, sortSelected]);
-
-    const exportToCSV = () => {
-        const headers = ["ID", "Name", "Email", "Country", "Tags", "Orders", "Last Order Date", "Joined Date"];
-        const rows = filteredCustomers.map((node) => [
-            node.id,
-            `${node.firstName} ${node.lastName}`,
-            node.email || '',
-            node.defaultAddress?.country || '',
-            (node.tags || []).join(", "),
-            node.numberOfOrders,
-            node.lastOrder?.processedAt ? new Date(node.lastOrder.processedAt).toDateString() : 'Never',
-            new Date(node.createdAt).toDateString()
-        ]);
-
-        const csvContent = [
-            headers.join(","),
-            ...rows.map(row => row.map(item => `"${item}"`).join(","))
-        ].join("\n");
-
-        const blob = new Blob([csvContent], { type: 'text/csv;charset=utf-8;' });
-        const link = document.createElement("a");
-        if (link.download !== undefined) {
-            const url = URL.createObjectURL(blob);
-            link.setAttribute("href", url);
-            link.setAttribute("download", "filtered_customers.csv");
-            link.style.visibility = 'hidden';
-            document.body.appendChild(link);
-            link.click();
-            document.body.removeChild(link);
-        }
-    };
+    const handleSortChange = useCallback((value) => updateSearchParams({ sort: value[0] }), [updateSearchParams]);
+
+    const handleNextPage = useCallback(() => {
+        setSearchParams((previous) => {
+            const next = new URLSearchParams(previous);
+            next.delete("before");
+            next.set("after", pageInfo.endCursor);
+            return next;
+        });
+    }, [pageInfo.endCursor, setSearchParams]);
+
+    const handlePreviousPage = useCallback(() => {
+        setSearchParams((previous) => {
+            const next = new URLSearchParams(previous);
+            next.delete("after");
+            next.set("before", pageInfo.startCursor);
+            return next;
+        });
+    }, [pageInfo.startCursor, setSearchParams]);
+
+    // CSV export, built and streamed by the export resource route.
+    const [exportOpen, setExportOpen] = useState(false);
+    const [exportColumns, setExportColumns] = useState(() => csvColumns.map((column) => column.key));
+    const exportDownload = useDownload();
+
+    const handleExport = useCallback(async () => {
+        const params = new URLSearchParams(searchParams);
+        params.delete("after");
+        params.delete("before");
+        params.delete("view");
+        params.set("columns", exportColumns.join(","));
+
+        const downloaded = await exportDownload.download(
+            `/app/customer/export.csv?${params}`,
+            `customers-${new Date().toISOString().slice(0, 10)}.csv`,
+        );
+        if (downloaded) setExportOpen(false);
+    }, [searchParams, exportColumns, exportDownload]);
 
     const filters = [
         {
@@ -215,7 +246,7 @@ export default function Customer() {
             ),
         },
         {
-            key: "lastOrder",
+            key: "lastOrderBefore",
             label: "Last Order Before",
             filter: (
                 <TextField
@@ -230,6 +261,24 @@ export default function Customer() {
         },
     ];
 
+    // Segments are scored from the local mirror, so they can only be
+    // filtered on once the import has finished.
+    if (synced) {
+        filters.push({
+            key: "segment",
+            label: "Segment",
+            filter: (
+                <ChoiceList
+                    title="Segment"
+                    titleHidden
+                    choices={segments.map(({ segment }) => ({ label: segment, value: segment }))}
+                    selected={segmentFilter ? [segmentFilter] : []}
+                    onChange={handleSegmentChange}
+                />
+            ),
+        });
+    }
+
     const appliedFilters = [];
     if (tagFilter) {
         appliedFilters.push({
@@ -252,23 +301,66 @@ export default function Customer() {
             onRemove: () => setItemsOrderCount(""),
         });
     }
+    if (segmentFilter) {
+        appliedFilters.push({
+            key: "segment",
+            label: `Segment: ${segmentFilter}`,
+            onRemove: () => setSegmentFilter(""),
+        });
+    }
     if (lastOrderDateFilter) {
         appliedFilters.push({
-            key: "lastOrder",
+            key: "lastOrderBefore",
             label: `Last Order before ${lastOrderDateFilter}`,
             onRemove: () => setLastOrderDateFilter(""),
         });
     }
 
-    const { selectedResources, allResourcesSelected, handleSelectionChange } =
-        useIndexResourceState(filteredCustomers);
+    const { selectedResources, allResourcesSelected, handleSelectionChange, clearSelection } =
+        useIndexResourceState(customers);
+
+    // Bulk tagging
+    const tagBatch = useBatchSubmit({ chunkSize: 25 });
+    const [tagOperation, setTagOperation] = useState(null);
+    const [tagInput, setTagInput] = useState("");
+
+    const openTagModal = useCallback((operation) => {
+        tagBatch.reset();
+        setTagInput("");
+        setTagOperation(operation);
+    }, [tagBatch]);
+
+    const closeTagModal = useCallback(() => {
+        if (tagBatch.done) clearSelection();
+        tagBatch.reset();
+        setTagOperation(null);
+    }, [tagBatch, clearSelection]);
+
+    const applyTags = useCallback(() => {
+        tagBatch.start(selectedResources, {
+            intent: tagOperation === "add" ? "addTags" : "removeTags",
+            tags: tagInput,
+        });
+    }, [tagBatch, selectedResources, tagOperation, tagInput]);
+
+    const tagFailures = tagBatch.results.filter((result) => !result.ok);
+    const customerNames = new Map(
+        customers.map((customer) => [customer.id, `${customer.firstName || ""} ${customer.lastName || ""}`.trim() || customer.email]),
+    );
+
+    const promotedBulkActions = [
+        { content: "Add tags", onAction: () => openTagModal("add") },
+        { content: "Remove tags", onAction: () => openTagModal("remove") },
+    ];
+
+    const segmentTones = Object.fromEntries(segments.map(({ segment, tone }) => [segment, tone]));
 
     const resourceName = {
         singular: 'customer',
         plural: 'customers',
     };
 
-    const rowMarkup = filteredCustomers.map(
+    const rowMarkup = customers.map(
         (node, index) => (
             <IndexTable.Row
                 id={node.id}
@@ -279,7 +371,7 @@ export default function Customer() {
                 <IndexTable.Cell>
                     <InlineGrid columns="auto 1fr" gap="200" alignItems="center">
                         <Avatar customer size="md" name={`${node.firstName} ${node.lastName}`} />
-                        <Link removeUnderline url={`shopify:admin/customers/${node.id.split('/').pop()}`}>
+                        <Link removeUnderline url={`/app/customer/${node.id.split('/').pop()}`}>
                             <Text variant="bodyMd" fontWeight="bold" as="span">
                                 {node.firstName} {node.lastName}
                             </Text>
@@ -305,6 +397,11 @@ export default function Customer() {
                         {node.lastOrder?.processedAt ? new Date(node.lastOrder.processedAt).toLocaleDateString() : 'Never'}
                     </Text>
                 </IndexTable.Cell>
+                <IndexTable.Cell>
+                    {node.rfm ? (
+                        <Badge tone={segmentTones[node.rfm.segment]}>{node.rfm.segment}</Badge>
+                    ) : '-'}
+                </IndexTable.Cell>
             </IndexTable.Row>
         ),
     );
@@ -315,40 +412,10 @@ export default function Customer() {
             action={{ content: 'Clear all filters', onAction: handleClearAll }}
             image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
         >
-            <p>Try changing the filters or search term to find what you're looking for.</p>
+            <p>Try changing the filters or search term to find what you&apos;re looking for.</p>
         </EmptyState>
     );
 
-    const [itemStrings, setItemStrings] = useState(['All']);
-    const tabs = itemStrings.map((item, index) => ({
-        content: item,
-        index,
-        onAction: () => { },
-        id: `${item}-${index}`,
-        isLocked: index === 0,
-        actions: index === 0 ? [] : [
-            {
-                type: 'rename',
-                onAction: () => { },
-                onPrimaryAction: async (value) => {
-                    const newItems = [...itemStrings];
-                    newItems[index] = value;
-                    setItemStrings(newItems);
-                    return true;
-                },
-            },
-            {
-                type: 'delete',
-                onPrimaryAction: async () => {
-                    const newItems = [...itemStrings];
-                    newItems.splice(index, 1);
-                    setItemStrings(newItems);
-                    return true;
-                },
-            },
-        ],
-    }));
-    const [selected, setSelected] = useState(0);
 
     return (
         <Page
@@ -356,30 +423,38 @@ export default function Customer() {
             subtitle="View and manage customer segments"
             primaryAction={{
                 content: "Export Filtered CSV",
-                onAction: exportToCSV,
+                onAction: () => setExportOpen(true),
                 variant: 'primary'
             }}
+            secondaryActions={[
+                { content: "Import CSV", url: "/app/customer/import" },
+            ]}
             fullWidth
         >
             <BlockStack gap="500">
+                {savedViews.error && (
+                    <Banner tone="critical" title="The view wasn't saved">
+                        <p>{savedViews.error}</p>
+                    </Banner>
+                )}
                 <Layout>
                     <Layout.Section>
                         <InlineGrid columns={['oneThird', 'oneThird', 'oneThird']} gap="400">
                             <Card>
                                 <BlockStack gap="200">
                                     <Text variant="headingSm" as="h3">Total Customers</Text>
-                                    <Text variant="heading2xl" as="p">{customers.length}</Text>
+                                    <Text variant="heading2xl" as="p">{totalCount}</Text>
                                 </BlockStack>
                             </Card>
                             <Card>
                                 <BlockStack gap="200">
                                     <Text variant="headingSm" as="h3">Filtered Count</Text>
-                                    <Text variant="heading2xl" as="p">{filteredCustomers.length}</Text>
+                                    <Text variant="heading2xl" as="p">{filteredCount}</Text>
                                 </BlockStack>
                             </Card>
                             <Card>
                                 <BlockStack gap="200">
-                                    <Text variant="headingSm" as="h3">Average Orders</Text>
+                                    <Text variant="headingSm" as="h3">Average Orders (This Page)</Text>
                                     <Text variant="heading2xl" as="p">
                                         {customers.length > 0
                                             ? (customers.reduce((acc, c) => acc + c.numberOfOrders, 0) / customers.length).toFixed(1)
@@ -398,41 +473,34 @@ export default function Customer() {
                                     { label: 'Date', value: 'date asc', directionLabel: 'Oldest first' },
                                     { label: 'Date', value: 'date desc', directionLabel: 'Newest first' },
                                 ]}
-                                sortSelected={sortSelected}
-                                onSort={setSortSelected}
+                                sortSelected={[appliedParams.sort]}
+                                onSort={handleSortChange}
                                 queryValue={queryValue}
                                 queryPlaceholder="Searching in all"
                                 onQueryChange={handleQueryValueChange}
                                 onQueryClear={() => setQueryValue("")}
-                                primaryAction={{
-                                    type: 'save-as',
-                                    onAction: () => { },
-                                    disabled: false,
-                                    loading: false,
-                                }}
-                                cancelAction={{
-                                    onAction: () => { },
-                                    disabled: false,
-                                    loading: false,
-                                }}
-                                tabs={tabs}
-                                selected={selected}
-                                onSelect={setSelected}
+                                primaryAction={savedViews.primaryAction}
+                                cancelAction={savedViews.cancelAction}
+                                tabs={savedViews.tabs}
+                                selected={savedViews.selected}
+                                onSelect={savedViews.onSelect}
                                 canCreateNewView
-                                onCreateNewView={() => { }}
+                                onCreateNewView={savedViews.onCreateNewView}
                                 filters={filters}
                                 appliedFilters={appliedFilters}
                                 onClearAll={handleClearAll}
                                 mode={mode}
                                 setMode={setMode}
+                                loading={navigation.state === "loading"}
                             />
                             <IndexTable
                                 resourceName={resourceName}
-                                itemCount={filteredCustomers.length}
+                                itemCount={customers.length}
                                 selectedItemsCount={
                                     allResourcesSelected ? 'All' : selectedResources.length
                                 }
                                 onSelectionChange={handleSelectionChange}
+                                promotedBulkActions={promotedBulkActions}
                                 headings={[
                                     { title: 'Name' },
                                     { title: 'Email' },
@@ -440,8 +508,15 @@ export default function Customer() {
                                     { title: 'Tags' },
                                     { title: 'Orders', alignment: 'end' },
                                     { title: 'Last Order' },
+                                    { title: 'Segment' },
                                 ]}
                                 emptyState={emptyStateMarkup}
+                                pagination={{
+                                    hasNext: pageInfo.hasNextPage,
+                                    hasPrevious: pageInfo.hasPreviousPage,
+                                    onNext: handleNextPage,
+                                    onPrevious: handlePreviousPage,
+                                }}
                             >
                                 {rowMarkup}
                             </IndexTable>
@@ -449,6 +524,95 @@ export default function Customer() {
                     </Layout.Section>
                 </Layout>
             </BlockStack>
+
+            <Modal
+                open={exportOpen}
+                onClose={() => setExportOpen(false)}
+                title="Export customers"
+                primaryAction={{
+                    content: "Export CSV",
+                    onAction: handleExport,
+                    loading: exportDownload.downloading,
+                    disabled: exportColumns.length === 0,
+                }}
+                secondaryActions={[{ content: "Cancel", onAction: () => setExportOpen(false) }]}
+            >
+                <Modal.Section>
+                    <BlockStack gap="400">
+                        {exportDownload.error && <Banner tone="critical" title={exportDownload.error} />}
+                        <Text as="p" tone="subdued">
+                            Every customer matching the current search and filters is exported, not just this page.
+                        </Text>
+                        <ChoiceList
+                            title="Columns"
+                            allowMultiple
+                            choices={csvColumns.map((column) => ({ label: column.label, value: column.key }))}
+                            selected={exportColumns}
+                            onChange={setExportColumns}
+                        />
+                    </BlockStack>
+                </Modal.Section>
+            </Modal>
+
+            <Modal
+                open={tagOperation !== null}
+                onClose={closeTagModal}
+                title={tagOperation === "add" ? "Add tags" : "Remove tags"}
+                primaryAction={tagBatch.done ? {
+                    content: "Done",
+                    onAction: closeTagModal,
+                } : {
+                    content: tagOperation === "add" ? "Add tags" : "Remove tags",
+                    onAction: applyTags,
+                    loading: tagBatch.running,
+                    disabled: !tagInput.trim(),
+                }}
+                secondaryActions={tagBatch.running || tagBatch.done ? [] : [{ content: "Cancel", onAction: closeTagModal }]}
+            >
+                <Modal.Section>
+                    <BlockStack gap="400">
+                        {!tagBatch.running && !tagBatch.done && (
+                            <TextField
+                                label={`Tags to ${tagOperation} for ${selectedResources.length} ${selectedResources.length === 1 ? 'customer' : 'customers'}`}
+                                helpText="Separate multiple tags with commas"
+                                value={tagInput}
+                                onChange={setTagInput}
+                                autoComplete="off"
+                            />
+                        )}
+                        {(tagBatch.running || tagBatch.done) && (
+                            <BlockStack gap="200">
+                                <Text as="p">
+                                    {tagBatch.processed} of {tagBatch.total} customers updated
+                                </Text>
+                                <ProgressBar
+                                    progress={tagBatch.total > 0 ? Math.round((tagBatch.processed / tagBatch.total) * 100) : 0}
+                                    size="small"
+                                />
+                            </BlockStack>
+                        )}
+                        {tagBatch.error && (
+                            <Banner tone="critical" title={`Stopped after ${tagBatch.processed} of ${tagBatch.total} customers`}>
+                                <p>{tagBatch.error}</p>
+                            </Banner>
+                        )}
+                        {tagBatch.done && !tagBatch.error && tagFailures.length === 0 && (
+                            <Banner tone="success" title={`Tags updated for ${tagBatch.total} customers`} />
+                        )}
+                        {tagBatch.done && tagFailures.length > 0 && (
+                            <Banner tone="critical" title={`${tagFailures.length} of ${tagBatch.total} customers could not be updated`}>
+                                <List type="bullet">
+                                    {tagFailures.map((failure) => (
+                                        <List.Item key={failure.id}>
+                                            {customerNames.get(failure.id) || failure.id}: {failure.error}
+                                        </List.Item>
+                                    ))}
+                                </List>
+                            </Banner>
+                        )}
+                    </BlockStack>
+                </Modal.Section>
+            </Modal>
         </Page>
     );
 }
@@ -0,0 +1,234 @@
+import { useEffect, useState } from "react";
+import { useFetcher, useLoaderData } from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Badge,
+  BlockStack,
+  InlineStack,
+  InlineGrid,
+  Box,
+  Divider,
+  Button,
+  Link,
+  TextField,
+  EmptyState,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import {
+  addCustomerNote,
+  fetchCustomerDetail,
+  getCustomerTimeline,
+  toCustomerGid,
+} from "../models/customer-timeline.server";
+import { useMoneyFormat } from "../hooks/useMoneyFormat";
+
+export const loader = async ({ request, params }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const customer = await fetchCustomerDetail(admin, toCustomerGid(params.id));
+
+  if (!customer) {
+    throw new Response("Customer not found", { status: 404 });
+  }
+
+  return {
+    customer,
+    timeline: await getCustomerTimeline(session.shop, customer),
+  };
+};
+
+export const action = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const body = formData.get("body")?.trim();
+
+  if (!body) {
+    return { errors: { body: "Note can't be blank" } };
+  }
+
+  await addCustomerNote(session.shop, toCustomerGid(params.id), body);
+  return { ok: true };
+};
+
+const EVENT_TONES = {
+  order: "success",
+  cancellation: "critical",
+  refund: "warning",
+  tags: "info",
+  note: undefined,
+  customer: undefined,
+};
+
+const EVENT_LABELS = {
+  order: "Order",
+  cancellation: "Cancellation",
+  refund: "Refund",
+  tags: "Tags",
+  note: "Note",
+  customer: "Customer",
+};
+
+export default function CustomerDetail() {
+  const { customer, timeline } = useLoaderData();
+  const formatMoney = useMoneyFormat();
+  const noteFetcher = useFetcher();
+  const [note, setNote] = useState("");
+
+  const name = `${customer.firstName || ""} ${customer.lastName || ""}`.trim() || customer.email || "Customer";
+  const averageOrderValue = customer.numberOfOrders > 0
+    ? parseFloat(customer.amountSpent.amount) / customer.numberOfOrders
+    : 0;
+
+  // Clear the note field once it has been saved.
+  useEffect(() => {
+    if (noteFetcher.state === "idle" && noteFetcher.data?.ok) setNote("");
+  }, [noteFetcher.state, noteFetcher.data]);
+
+  const timelineMarkup = timeline.length > 0 ? (
+    <BlockStack gap="300">
+      {timeline.map((event) => (
+        <Box key={event.id} paddingBlockEnd="300" borderBlockEndWidth="025" borderColor="border">
+          <InlineStack align="space-between" blockAlign="start" wrap={false} gap="400">
+            <BlockStack gap="100">
+              <InlineStack gap="200" blockAlign="center">
+                <Badge tone={EVENT_TONES[event.type]}>{EVENT_LABELS[event.type]}</Badge>
+                {event.orderId ? (
+                  <Link removeUnderline url={`/app/order/${event.orderId.split('/').pop()}`}>
+                    <Text variant="bodyMd" fontWeight="bold" as="span">{event.title}</Text>
+                  </Link>
+                ) : (
+                  <Text variant="bodyMd" fontWeight="bold" as="span">{event.title}</Text>
+                )}
+              </InlineStack>
+              {event.description && (
+                <Text variant="bodySm" as="p" tone="subdued">{event.description}</Text>
+              )}
+              {event.status && (
+                <Text variant="bodySm" as="p" tone="subdued">{event.status}</Text>
+              )}
+            </BlockStack>
+            <BlockStack gap="100" inlineAlign="end">
+              {event.amount && <Text numeric as="span">{formatMoney(event.amount.amount, event.amount.currencyCode)}</Text>}
+              <Text variant="bodySm" as="span" tone="subdued">
+                {new Date(event.date).toLocaleString()}
+              </Text>
+            </BlockStack>
+          </InlineStack>
+        </Box>
+      ))}
+    </BlockStack>
+  ) : (
+    <EmptyState heading="No activity yet" image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png">
+      <p>Orders, refunds, tag changes and notes for this customer will show up here.</p>
+    </EmptyState>
+  );
+
+  return (
+    <Page
+      title={name}
+      subtitle={`Customer since ${new Date(customer.createdAt).toLocaleDateString()}`}
+      backAction={{ content: "Customers", url: "/app/customer" }}
+      secondaryActions={[
+        {
+          content: "Create draft order",
+          url: `/app/draft-order/new?customer=${customer.id.split('/').pop()}`,
+        },
+        {
+          content: "View in admin",
+          url: `shopify:admin/customers/${customer.id.split('/').pop()}`,
+        },
+      ]}
+    >
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            <InlineGrid columns={3} gap="400">
+              <Card>
+                <BlockStack gap="200">
+                  <Text variant="headingSm" as="h3">Lifetime Spend</Text>
+                  <Text variant="heading2xl" as="p">{formatMoney(customer.amountSpent.amount, customer.amountSpent.currencyCode)}</Text>
+                </BlockStack>
+              </Card>
+              <Card>
+                <BlockStack gap="200">
+                  <Text variant="headingSm" as="h3">Orders</Text>
+                  <Text variant="heading2xl" as="p">{customer.numberOfOrders}</Text>
+                </BlockStack>
+              </Card>
+              <Card>
+                <BlockStack gap="200">
+                  <Text variant="headingSm" as="h3">Average Order</Text>
+                  <Text variant="heading2xl" as="p">
+                    {formatMoney(averageOrderValue, customer.amountSpent.currencyCode)}
+                  </Text>
+                </BlockStack>
+              </Card>
+            </InlineGrid>
+
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">Timeline</Text>
+                <noteFetcher.Form method="post">
+                  <BlockStack gap="200">
+                    <TextField
+                      label="Add an internal note"
+                      name="body"
+                      value={note}
+                      onChange={setNote}
+                      multiline={2}
+                      autoComplete="off"
+                      error={noteFetcher.data?.errors?.body}
+                    />
+                    <InlineStack align="end">
+                      <Button submit loading={noteFetcher.state !== "idle"}>Add note</Button>
+                    </InlineStack>
+                  </BlockStack>
+                </noteFetcher.Form>
+                <Divider />
+                {timelineMarkup}
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+
+        <Layout.Section variant="oneThird">
+          <BlockStack gap="400">
+            <Card>
+              <BlockStack gap="200">
+                <Text variant="headingMd" as="h2">Profile</Text>
+                <Text as="p">{customer.email || "No email"}</Text>
+                <Text as="p" tone="subdued">{customer.phone || "No phone number"}</Text>
+                {customer.tags.length > 0 && (
+                  <InlineStack gap="100">
+                    {customer.tags.map((tag) => <Badge tone="info" key={tag}>{tag}</Badge>)}
+                  </InlineStack>
+                )}
+                {customer.note && (
+                  <Text as="p" tone="subdued">{customer.note}</Text>
+                )}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="300">
+                <Text variant="headingMd" as="h2">Addresses</Text>
+                {customer.addresses.length > 0 ? customer.addresses.map((address) => (
+                  <BlockStack gap="100" key={address.id}>
+                    {address.id === customer.defaultAddress?.id && <Badge>Default</Badge>}
+                    {address.formatted.map((line) => (
+                      <Text as="p" key={line}>{line}</Text>
+                    ))}
+                  </BlockStack>
+                )) : (
+                  <Text as="p" tone="subdued">No addresses</Text>
+                )}
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
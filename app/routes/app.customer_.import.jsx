@@ -0,0 +1,360 @@
+import { useCallback, useMemo, useState } from "react";
+import { useFetcher, useLoaderData } from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  BlockStack,
+  InlineStack,
+  InlineGrid,
+  DropZone,
+  Select,
+  Button,
+  Banner,
+  DataTable,
+  ProgressBar,
+  Badge,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { parseBatchItems } from "../batch.server";
+import { parseCsv, toCsvRow } from "../csv";
+import { useBatchSubmit } from "../hooks/useBatchSubmit";
+import {
+  CUSTOMER_IMPORT_FIELDS,
+  MAX_IMPORT_ROWS,
+  previewCustomerImport,
+  runCustomerImport,
+} from "../models/customer-import.server";
+
+export const loader = async ({ request }) => {
+  await authenticate.admin(request);
+
+  return {
+    fields: CUSTOMER_IMPORT_FIELDS,
+    maxRows: MAX_IMPORT_ROWS,
+  };
+};
+
+export const action = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "previewImport") {
+    let records;
+    try {
+      records = JSON.parse(formData.get("records") || "[]");
+    } catch {
+      records = null;
+    }
+    if (!Array.isArray(records)) {
+      return { error: "The file couldn't be read. Upload it again." };
+    }
+    if (records.length > MAX_IMPORT_ROWS) {
+      return { error: `Files can have at most ${MAX_IMPORT_ROWS} rows` };
+    }
+    return { preview: await previewCustomerImport(admin, records) };
+  }
+
+  if (intent === "importCustomers") {
+    const records = parseBatchItems(formData);
+    if (!records) {
+      return { error: "The selected rows couldn't be read. Preview the import again." };
+    }
+    return { results: await runCustomerImport(admin, records) };
+  }
+
+  throw new Response(`Unknown intent: ${intent}`, { status: 400 });
+};
+
+const PREVIEW_LIMIT = 50;
+
+// Matches each CSV header to a customer field by name, using each field once.
+function guessMapping(headers, fields) {
+  const used = new Set();
+  return headers.map((header) => {
+    const field = fields.find(
+      (candidate) => !used.has(candidate.key) && candidate.aliases.includes(header.trim().toLowerCase()),
+    );
+    if (!field) return "";
+    used.add(field.key);
+    return field.key;
+  });
+}
+
+function downloadCsv(rows, filename) {
+  const blob = new Blob([rows.map(toCsvRow).join("")], { type: "text/csv;charset=utf-8;" });
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement("a");
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+}
+
+export default function CustomerImport() {
+  const { fields, maxRows } = useLoaderData();
+  const previewFetcher = useFetcher();
+  const importBatch = useBatchSubmit({ chunkSize: 10 });
+
+  const [file, setFile] = useState(null);
+  const [fileError, setFileError] = useState(null);
+  const [headers, setHeaders] = useState([]);
+  const [rows, setRows] = useState([]);
+  const [mapping, setMapping] = useState([]);
+  const [previewedRecords, setPreviewedRecords] = useState(null);
+
+  const handleDrop = useCallback(async (_dropFiles, acceptedFiles) => {
+    const [upload] = acceptedFiles;
+    if (!upload) return;
+
+    setFile(upload);
+    setFileError(null);
+    importBatch.reset();
+
+    const [headerRow, ...dataRows] = parseCsv(await upload.text());
+    if (!headerRow || dataRows.length === 0) {
+      setFileError("The file has no customer rows");
+      setHeaders([]);
+      setRows([]);
+      return;
+    }
+    if (dataRows.length > maxRows) {
+      setFileError(`The file has ${dataRows.length} rows. Import at most ${maxRows} at a time.`);
+      setHeaders([]);
+      setRows([]);
+      return;
+    }
+
+    setHeaders(headerRow);
+    setRows(dataRows);
+    setMapping(guessMapping(headerRow, fields));
+  }, [fields, maxRows, importBatch]);
+
+  const handleMappingChange = useCallback((index) => (value) => {
+    setMapping((current) => current.map((key, i) => {
+      if (i === index) return value;
+      // A field can only come from one column.
+      return key === value ? "" : key;
+    }));
+  }, []);
+
+  const records = useMemo(() => rows.map((row, index) => {
+    // Row numbers match the spreadsheet, counting the header as row 1.
+    const record = { row: index + 2 };
+    mapping.forEach((key, column) => {
+      if (key) record[key] = row[column] ?? "";
+    });
+    return record;
+  }), [rows, mapping]);
+
+  const hasIdentifier = mapping.includes("email") || mapping.includes("phone");
+
+  // The preview only applies to the file and mapping it was made from.
+  const previewStale = previewFetcher.state !== "idle";
+  const preview = previewedRecords === records ? previewFetcher.data?.preview : undefined;
+
+  const handlePreview = useCallback(() => {
+    importBatch.reset();
+    setPreviewedRecords(records);
+    previewFetcher.submit(
+      { intent: "previewImport", records: JSON.stringify(records) },
+      { method: "post" },
+    );
+  }, [previewFetcher, records, importBatch]);
+
+  const validRecords = useMemo(
+    () => preview?.filter((record) => record.errors.length === 0) || [],
+    [preview],
+  );
+  const invalidRecords = useMemo(
+    () => preview?.filter((record) => record.errors.length > 0) || [],
+    [preview],
+  );
+  const creates = validRecords.filter((record) => record.action === "create").length;
+
+  // The mapped rows are sent rather than the preview, since the server
+  // checks them again before importing.
+  const handleImport = useCallback(() => {
+    const validRows = new Set(validRecords.map((record) => record.row));
+    importBatch.start(records.filter((record) => validRows.has(record.row)), { intent: "importCustomers" });
+  }, [importBatch, records, validRecords]);
+
+  const failures = importBatch.results.filter((result) => !result.ok);
+
+  const handleDownloadErrors = useCallback(() => {
+    const importErrors = new Map(failures.map((failure) => [failure.id, failure.error]));
+    const reportRows = [
+      ...invalidRecords.map((record) => [record.row, record.errors.join("; ")]),
+      ...validRecords
+        .filter((record) => importErrors.has(record.row))
+        .map((record) => [record.row, importErrors.get(record.row)]),
+    ].sort((a, b) => a[0] - b[0]);
+
+    downloadCsv(
+      [
+        ["Row", ...headers, "Error"],
+        ...reportRows.map(([row, error]) => [row, ...rows[row - 2], error]),
+      ],
+      `customer-import-errors-${new Date().toISOString().slice(0, 10)}.csv`,
+    );
+  }, [failures, invalidRecords, validRecords, headers, rows]);
+
+  const fieldOptions = [
+    { label: "Don't import", value: "" },
+    ...fields.map((field) => ({ label: field.label, value: field.key })),
+  ];
+
+  const mappingMarkup = headers.length > 0 && (
+    <Card>
+      <BlockStack gap="400">
+        <BlockStack gap="100">
+          <Text variant="headingMd" as="h2">Map columns</Text>
+          <Text as="p" tone="subdued">
+            {`${rows.length} rows in ${file?.name}. Choose the customer field for each column.`}
+          </Text>
+        </BlockStack>
+        {headers.map((header, index) => (
+          <InlineGrid key={`${header}-${index}`} columns={2} gap="400" alignItems="center">
+            <BlockStack gap="050">
+              <Text fontWeight="bold" as="span">{header || `Column ${index + 1}`}</Text>
+              <Text variant="bodySm" tone="subdued" as="span" truncate>
+                {rows[0][index] ? `e.g. ${rows[0][index]}` : "Empty in the first row"}
+              </Text>
+            </BlockStack>
+            <Select
+              label={`Field for ${header}`}
+              labelHidden
+              options={fieldOptions}
+              value={mapping[index]}
+              onChange={handleMappingChange(index)}
+            />
+          </InlineGrid>
+        ))}
+        {!hasIdentifier && (
+          <Banner tone="warning" title="Map an email or phone column so customers can be identified" />
+        )}
+        <InlineStack align="end">
+          <Button variant="primary" onClick={handlePreview} loading={previewStale} disabled={!hasIdentifier}>
+            Preview import
+          </Button>
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  );
+
+  const previewMarkup = preview && !previewStale && (
+    <Card>
+      <BlockStack gap="400">
+        <Text variant="headingMd" as="h2">Preview</Text>
+        <InlineStack gap="200">
+          <Badge tone="success">{`${creates} new`}</Badge>
+          <Badge tone="info">{`${validRecords.length - creates} updated`}</Badge>
+          <Badge tone={invalidRecords.length > 0 ? "critical" : undefined}>
+            {`${invalidRecords.length} with errors`}
+          </Badge>
+        </InlineStack>
+        {invalidRecords.length > 0 && (
+          <DataTable
+            columnContentTypes={["numeric", "text", "text"]}
+            headings={["Row", "Customer", "Problem"]}
+            rows={invalidRecords.slice(0, PREVIEW_LIMIT).map((record) => [
+              record.row,
+              record.email || record.phone || `${record.firstName} ${record.lastName}`.trim() || "-",
+              record.errors.join("; "),
+            ])}
+            footerContent={invalidRecords.length > PREVIEW_LIMIT
+              ? `Showing ${PREVIEW_LIMIT} of ${invalidRecords.length} rows with errors`
+              : undefined}
+          />
+        )}
+        {(importBatch.running || importBatch.done) && (
+          <BlockStack gap="200">
+            <Text as="p">
+              {importBatch.processed} of {importBatch.total} customers imported
+            </Text>
+            <ProgressBar
+              progress={importBatch.total > 0 ? Math.round((importBatch.processed / importBatch.total) * 100) : 0}
+              size="small"
+            />
+          </BlockStack>
+        )}
+        {importBatch.done && importBatch.error && (
+          <Banner tone="critical" title={`Stopped after ${importBatch.processed} of ${importBatch.total} customers`}>
+            <p>{importBatch.error}</p>
+          </Banner>
+        )}
+        {importBatch.done && !importBatch.error && (
+          <Banner
+            tone={failures.length > 0 ? "warning" : "success"}
+            title={failures.length > 0
+              ? `${importBatch.total - failures.length} of ${importBatch.total} customers imported`
+              : `${importBatch.total} customers imported`}
+          >
+            {failures.length > 0 && <p>Download the error report to see why the other rows failed.</p>}
+          </Banner>
+        )}
+        <InlineStack align="end" gap="200">
+          {(invalidRecords.length > 0 || failures.length > 0) && (
+            <Button onClick={handleDownloadErrors}>Download error report</Button>
+          )}
+          {!importBatch.done && (
+            <Button
+              variant="primary"
+              onClick={handleImport}
+              loading={importBatch.running}
+              disabled={validRecords.length === 0}
+            >
+              {`Import ${validRecords.length} customers`}
+            </Button>
+          )}
+        </InlineStack>
+      </BlockStack>
+    </Card>
+  );
+
+  return (
+    <Page
+      title="Import customers"
+      subtitle="Create or update customers and tags from a CSV file"
+      backAction={{ content: "Customers", url: "/app/customer" }}
+    >
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            <Card>
+              <BlockStack gap="300">
+                {fileError && <Banner tone="critical" title={fileError} />}
+                {previewFetcher.data?.error && <Banner tone="critical" title={previewFetcher.data.error} />}
+                <DropZone
+                  accept=".csv,text/csv"
+                  type="file"
+                  allowMultiple={false}
+                  onDrop={handleDrop}
+                  disabled={importBatch.running}
+                >
+                  {file ? (
+                    <BlockStack gap="100" inlineAlign="center">
+                      <Text fontWeight="bold" as="p">{file.name}</Text>
+                      <Text variant="bodySm" tone="subdued" as="p">Drop another file to replace it</Text>
+                    </BlockStack>
+                  ) : (
+                    <DropZone.FileUpload actionHint="Accepts .csv files with a header row" />
+                  )}
+                </DropZone>
+                <Text variant="bodySm" tone="subdued" as="p">
+                  Rows with an email that already belongs to a customer update that customer. Tags are added to the customer&apos;s existing tags.
+                </Text>
+              </BlockStack>
+            </Card>
+            {mappingMarkup}
+            {previewMarkup}
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
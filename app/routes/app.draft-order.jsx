@@ -0,0 +1,251 @@
+import { useCallback } from "react";
+import { useFetcher, useLoaderData, useNavigation, useSearchParams } from "react-router";
+import {
+  Page,
+  Card,
+  IndexTable,
+  Text,
+  Badge,
+  Banner,
+  BlockStack,
+  Tabs,
+  Link,
+  List,
+  EmptyState,
+  useIndexResourceState,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { parseBatchItems } from "../batch.server";
+import { listDraftOrders, parseDraftTab, sendDraftInvoices } from "../models/draft-order.server";
+import { useMoneyFormat } from "../hooks/useMoneyFormat";
+import { pickMoney } from "../money";
+
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+  const { searchParams } = new URL(request.url);
+  const tab = parseDraftTab(searchParams);
+
+  const page = await listDraftOrders(admin, {
+    tab,
+    after: searchParams.get("after"),
+    before: searchParams.get("before"),
+  });
+
+  return {
+    ...page,
+    tab,
+    created: searchParams.get("created"),
+    invoiceError: searchParams.get("invoiceError"),
+  };
+};
+
+export const action = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "sendInvoice") {
+    const ids = parseBatchItems(formData);
+    if (!ids) {
+      return { error: "The selected items couldn't be read. Reload the page and try again." };
+    }
+    return { results: await sendDraftInvoices(admin, ids) };
+  }
+
+  throw new Response(`Unknown intent: ${intent}`, { status: 400 });
+};
+
+const TABS = [
+  { id: "open", content: "Open" },
+  { id: "completed", content: "Completed" },
+];
+
+const STATUS_BADGES = {
+  OPEN: { tone: "attention", label: "Open" },
+  INVOICE_SENT: { tone: "info", label: "Invoice sent" },
+  COMPLETED: { tone: "success", label: "Converted" },
+};
+
+function numericId(gid) {
+  return gid.split("/").pop();
+}
+
+export default function DraftOrders() {
+  const { drafts, pageInfo, tab, created, invoiceError } = useLoaderData();
+  const [, setSearchParams] = useSearchParams();
+  const navigation = useNavigation();
+  const fetcher = useFetcher();
+  const formatMoney = useMoneyFormat();
+
+  const { selectedResources, allResourcesSelected, handleSelectionChange, clearSelection } =
+    useIndexResourceState(drafts);
+
+  const sending = fetcher.state !== "idle";
+  const results = fetcher.state === "idle" ? fetcher.data?.results || [] : [];
+  const failures = results.filter((result) => !result.ok);
+  const requestError = fetcher.state === "idle" ? fetcher.data?.error : null;
+  const draftNames = new Map(drafts.map((draft) => [draft.id, draft.name]));
+
+  const handleTabChange = useCallback((index) => {
+    setSearchParams({ tab: TABS[index].id });
+  }, [setSearchParams]);
+
+  const handleSendInvoices = useCallback(() => {
+    fetcher.submit(
+      { intent: "sendInvoice", items: JSON.stringify(selectedResources) },
+      { method: "post" },
+    );
+    clearSelection();
+  }, [fetcher, selectedResources, clearSelection]);
+
+  const handleNextPage = useCallback(() => {
+    setSearchParams((previous) => {
+      const next = new URLSearchParams(previous);
+      next.delete("before");
+      next.set("after", pageInfo.endCursor);
+      return next;
+    });
+  }, [pageInfo.endCursor, setSearchParams]);
+
+  const handlePreviousPage = useCallback(() => {
+    setSearchParams((previous) => {
+      const next = new URLSearchParams(previous);
+      next.delete("after");
+      next.set("before", pageInfo.startCursor);
+      return next;
+    });
+  }, [pageInfo.startCursor, setSearchParams]);
+
+  const rowMarkup = drafts.map((draft, index) => {
+    const status = STATUS_BADGES[draft.status] || { label: draft.status };
+    const total = pickMoney(draft.totalPriceSet);
+
+    return (
+      <IndexTable.Row
+        id={draft.id}
+        key={draft.id}
+        selected={selectedResources.includes(draft.id)}
+        position={index}
+      >
+        <IndexTable.Cell>
+          <Link removeUnderline url={`shopify:admin/draft_orders/${numericId(draft.id)}`}>
+            <Text variant="bodyMd" fontWeight="bold" as="span">{draft.name}</Text>
+          </Link>
+        </IndexTable.Cell>
+        <IndexTable.Cell>{new Date(draft.updatedAt).toDateString()}</IndexTable.Cell>
+        <IndexTable.Cell>
+          {draft.customer ? (
+            <Link removeUnderline url={`/app/customer/${numericId(draft.customer.id)}`}>
+              {draft.customer.displayName}
+            </Link>
+          ) : (
+            "No Customer"
+          )}
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <Text numeric>{formatMoney(total.amount, total.currencyCode)}</Text>
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          <Badge tone={status.tone}>{status.label}</Badge>
+        </IndexTable.Cell>
+        <IndexTable.Cell>
+          {draft.order ? (
+            <Link removeUnderline url={`/app/order/${numericId(draft.order.id)}`}>{draft.order.name}</Link>
+          ) : draft.invoiceSentAt ? (
+            <Text tone="subdued" as="span">{`Invoice sent ${new Date(draft.invoiceSentAt).toLocaleDateString()}`}</Text>
+          ) : (
+            <Text tone="subdued" as="span">Not invoiced</Text>
+          )}
+        </IndexTable.Cell>
+      </IndexTable.Row>
+    );
+  });
+
+  const emptyStateMarkup = (
+    <EmptyState
+      heading={tab === "open" ? "No open draft orders" : "No completed draft orders"}
+      action={tab === "open" ? { content: "Create draft order", url: "/app/draft-order/new" } : undefined}
+      image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+    >
+      <p>
+        {tab === "open"
+          ? "Build an order for a customer, then send them an invoice to pay online."
+          : "Drafts appear here once the customer pays or the draft is marked as paid."}
+      </p>
+    </EmptyState>
+  );
+
+  return (
+    <Page
+      title="Draft Orders"
+      subtitle="Orders created by staff and whether they have been paid"
+      primaryAction={{ content: "Create draft order", url: "/app/draft-order/new" }}
+      fullWidth
+    >
+      <BlockStack gap="500">
+        {created && !invoiceError && (
+          <Banner tone="success" title={`Draft order ${created} created`} />
+        )}
+        {created && invoiceError && (
+          <Banner tone="warning" title={`Draft order ${created} created, but its invoice wasn't sent`}>
+            <p>{invoiceError}</p>
+          </Banner>
+        )}
+        {requestError && (
+          <Banner tone="critical" title="Invoices could not be sent">
+            <p>{requestError}</p>
+          </Banner>
+        )}
+        {results.length > 0 && failures.length === 0 && (
+          <Banner tone="success" title={`${results.length} ${results.length === 1 ? "invoice" : "invoices"} sent`} />
+        )}
+        {failures.length > 0 && (
+          <Banner tone="critical" title={`${failures.length} of ${results.length} invoices could not be sent`}>
+            <List type="bullet">
+              {failures.map((failure) => (
+                <List.Item key={failure.id}>
+                  {draftNames.get(failure.id) || failure.id}: {failure.error}
+                </List.Item>
+              ))}
+            </List>
+          </Banner>
+        )}
+        <Card padding="0">
+          <Tabs
+            tabs={TABS}
+            selected={Math.max(TABS.findIndex((item) => item.id === tab), 0)}
+            onSelect={handleTabChange}
+          />
+          <IndexTable
+            resourceName={{ singular: "draft order", plural: "draft orders" }}
+            itemCount={drafts.length}
+            selectedItemsCount={allResourcesSelected ? "All" : selectedResources.length}
+            onSelectionChange={handleSelectionChange}
+            selectable={tab === "open"}
+            promotedBulkActions={[
+              { content: "Send invoice", onAction: handleSendInvoices, disabled: sending },
+            ]}
+            headings={[
+              { title: "Draft" },
+              { title: "Updated" },
+              { title: "Customer" },
+              { title: "Total" },
+              { title: "Status" },
+              { title: "Order" },
+            ]}
+            emptyState={emptyStateMarkup}
+            loading={navigation.state === "loading" || sending}
+            pagination={{
+              hasNext: pageInfo.hasNextPage,
+              hasPrevious: pageInfo.hasPreviousPage,
+              onNext: handleNextPage,
+              onPrevious: handlePreviousPage,
+            }}
+          >
+            {rowMarkup}
+          </IndexTable>
+        </Card>
+      </BlockStack>
+    </Page>
+  );
+}
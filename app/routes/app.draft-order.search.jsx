@@ -0,0 +1,20 @@
+import { authenticate } from "../shopify.server";
+import { searchDraftCustomers, searchDraftVariants } from "../models/draft-order.server";
+
+// Customer and product search for the draft order builder, loaded as the
+// staff member types.
+export const loader = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const { searchParams } = new URL(request.url);
+  const query = searchParams.get("query")?.trim() || "";
+  const type = searchParams.get("type");
+
+  if (type === "customers") {
+    return { type, query, results: await searchDraftCustomers(admin, session.shop, query) };
+  }
+  if (type === "variants") {
+    return { type, query, results: await searchDraftVariants(admin, query) };
+  }
+
+  throw new Response(`Unknown search type: ${type}`, { status: 400 });
+};
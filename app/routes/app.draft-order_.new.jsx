@@ -0,0 +1,443 @@
+import { useCallback, useEffect, useMemo, useState } from "react";
+import { redirect, useFetcher, useLoaderData } from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  BlockStack,
+  InlineStack,
+  Box,
+  Button,
+  Banner,
+  FormLayout,
+  TextField,
+  Select,
+  Spinner,
+  Thumbnail,
+} from "@shopify/polaris";
+import { ImageIcon } from "@shopify/polaris-icons";
+import { authenticate } from "../shopify.server";
+import {
+  DISCOUNT_TYPES,
+  calculateDraftOrder,
+  createDraftOrder,
+  fetchDraftCustomer,
+  parseDraftOrder,
+  sendDraftInvoices,
+} from "../models/draft-order.server";
+import { useMoneyFormat } from "../hooks/useMoneyFormat";
+
+export const loader = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+  const customerId = new URL(request.url).searchParams.get("customer");
+
+  return {
+    customer: customerId ? await fetchDraftCustomer(admin, customerId) : null,
+    discountTypes: DISCOUNT_TYPES,
+  };
+};
+
+export const action = async ({ request }) => {
+  const { admin } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const { draft, errors } = parseDraftOrder(formData);
+
+  if (errors) {
+    return { errors };
+  }
+
+  if (intent === "calculate") {
+    return calculateDraftOrder(admin, draft);
+  }
+
+  if (intent === "create") {
+    if (!draft.customerId) {
+      return { errors: { customer: "Choose a customer" } };
+    }
+
+    const { draftOrder, error } = await createDraftOrder(admin, draft);
+    if (error) {
+      return { error };
+    }
+
+    const params = new URLSearchParams({ created: draftOrder.name });
+    if (formData.get("sendInvoice") === "true") {
+      const [result] = await sendDraftInvoices(admin, [draftOrder.id]);
+      if (!result.ok) params.set("invoiceError", result.error);
+    }
+    return redirect(`/app/draft-order?${params}`);
+  }
+
+  throw new Response(`Unknown intent: ${intent}`, { status: 400 });
+};
+
+const TOTALS_ROWS = [
+  { key: "subtotalPriceSet", label: "Subtotal" },
+  { key: "totalDiscountsSet", label: "Discount" },
+  { key: "totalShippingPriceSet", label: "Shipping" },
+  { key: "totalTaxSet", label: "Tax" },
+];
+
+export default function NewDraftOrder() {
+  const { customer: initialCustomer, discountTypes } = useLoaderData();
+  const formatMoney = useMoneyFormat();
+  const customerSearch = useFetcher();
+  const variantSearch = useFetcher();
+  const calculation = useFetcher();
+  const save = useFetcher();
+  const { load: loadCustomers } = customerSearch;
+  const { load: loadVariants } = variantSearch;
+  const { submit: submitCalculation } = calculation;
+
+  const [customer, setCustomer] = useState(initialCustomer);
+  const [customerQuery, setCustomerQuery] = useState("");
+  const [variantQuery, setVariantQuery] = useState("");
+  const [lineItems, setLineItems] = useState([]);
+  const [discount, setDiscount] = useState({ type: "", value: "", title: "" });
+  const [shipping, setShipping] = useState({ title: "", price: "" });
+  const [note, setNote] = useState("");
+
+  // Search once typing settles, so every keystroke doesn't hit the Admin API.
+  useEffect(() => {
+    if (customer) return;
+    const timeout = setTimeout(() => {
+      loadCustomers(`/app/draft-order/search?${new URLSearchParams({ type: "customers", query: customerQuery })}`);
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [customerQuery, customer, loadCustomers]);
+
+  useEffect(() => {
+    const timeout = setTimeout(() => {
+      loadVariants(`/app/draft-order/search?${new URLSearchParams({ type: "variants", query: variantQuery })}`);
+    }, 300);
+    return () => clearTimeout(timeout);
+  }, [variantQuery, loadVariants]);
+
+  const fields = useMemo(() => ({
+    customerId: customer?.id || "",
+    lineItems: JSON.stringify(lineItems.map((item) => ({
+      variantId: item.variantId,
+      quantity: Number(item.quantity),
+    }))),
+    discountType: discount.type,
+    discountValue: discount.value,
+    discountTitle: discount.title,
+    shippingTitle: shipping.title,
+    shippingPrice: shipping.price,
+    note,
+  }), [customer, lineItems, discount, shipping, note]);
+
+  // Totals, including tax, come from Shopify and are recalculated whenever
+  // the items, discount, shipping or customer change.
+  useEffect(() => {
+    if (lineItems.length === 0) return;
+    const timeout = setTimeout(() => {
+      submitCalculation({ intent: "calculate", ...fields, note: "" }, { method: "post" });
+    }, 500);
+    return () => clearTimeout(timeout);
+  }, [fields, lineItems.length, submitCalculation]);
+
+  const handleAddVariant = useCallback((variant) => {
+    setLineItems((current) => {
+      const existing = current.find((item) => item.variantId === variant.id);
+      if (existing) {
+        return current.map((item) => (item === existing
+          ? { ...item, quantity: String(Number(item.quantity) + 1) }
+          : item));
+      }
+      return [...current, {
+        variantId: variant.id,
+        productTitle: variant.productTitle,
+        title: variant.title,
+        sku: variant.sku,
+        price: variant.price,
+        currencyCode: variant.currencyCode,
+        image: variant.image,
+        quantity: "1",
+      }];
+    });
+  }, []);
+
+  const handleQuantityChange = useCallback((variantId) => (value) => {
+    setLineItems((current) => current.map((item) => (item.variantId === variantId ? { ...item, quantity: value } : item)));
+  }, []);
+
+  const handleRemoveItem = useCallback((variantId) => {
+    setLineItems((current) => current.filter((item) => item.variantId !== variantId));
+  }, []);
+
+  const handleDiscountChange = useCallback((key) => (value) => {
+    setDiscount((current) => ({ ...current, [key]: value }));
+  }, []);
+
+  const handleShippingChange = useCallback((key) => (value) => {
+    setShipping((current) => ({ ...current, [key]: value }));
+  }, []);
+
+  const handleSave = useCallback((sendInvoice) => {
+    save.submit({ intent: "create", ...fields, sendInvoice: String(sendInvoice) }, { method: "post" });
+  }, [save, fields]);
+
+  const saving = save.state !== "idle";
+  const savingIntent = saving ? save.formData?.get("sendInvoice") : null;
+  const errors = save.data?.errors || {};
+  const calculationErrors = calculation.data?.errors || {};
+  const totals = lineItems.length > 0 ? calculation.data?.totals : null;
+  const currencyCode = totals?.totalPriceSet.currencyCode ?? lineItems[0]?.currencyCode;
+
+  const customerMarkup = customer ? (
+    <BlockStack gap="200">
+      <BlockStack gap="100">
+        <Text fontWeight="bold" as="p">{customer.name}</Text>
+        <Text as="p" tone="subdued">{customer.email || "No email"}</Text>
+        <Text as="p" tone="subdued">
+          {`${customer.numberOfOrders} ${customer.numberOfOrders === 1 ? "order" : "orders"}`}
+        </Text>
+      </BlockStack>
+      {!customer.email && (
+        <Text as="p" tone="caution">Add an email to this customer to send them an invoice.</Text>
+      )}
+      <div>
+        <Button variant="plain" onClick={() => setCustomer(null)}>Change customer</Button>
+      </div>
+    </BlockStack>
+  ) : (
+    <BlockStack gap="200">
+      <TextField
+        label="Search customers"
+        labelHidden
+        placeholder="Search by name or email"
+        value={customerQuery}
+        onChange={setCustomerQuery}
+        autoComplete="off"
+        error={errors.customer}
+      />
+      {customerSearch.state === "loading" && <Spinner size="small" accessibilityLabel="Searching customers" />}
+      {customerSearch.state === "idle" && customerSearch.data?.results.length === 0 && (
+        <Text as="p" tone="subdued">No customers found</Text>
+      )}
+      {customerSearch.data?.results.map((result) => (
+        <InlineStack key={result.id} align="space-between" blockAlign="center" wrap={false} gap="200">
+          <BlockStack gap="050">
+            <Text as="span" fontWeight="semibold">{result.name}</Text>
+            <Text as="span" variant="bodySm" tone="subdued">{result.email || "No email"}</Text>
+          </BlockStack>
+          <Button size="slim" onClick={() => setCustomer(result)}>Select</Button>
+        </InlineStack>
+      ))}
+    </BlockStack>
+  );
+
+  const variantResultsMarkup = variantSearch.data?.results.map((variant) => (
+    <InlineStack key={variant.id} align="space-between" blockAlign="center" wrap={false} gap="200">
+      <InlineStack gap="300" blockAlign="center" wrap={false}>
+        <Thumbnail source={variant.image?.url || ImageIcon} alt={variant.image?.altText || variant.productTitle} size="small" />
+        <BlockStack gap="050">
+          <Text as="span" fontWeight="semibold">{variant.productTitle}</Text>
+          <Text as="span" variant="bodySm" tone="subdued">
+            {[variant.title !== "Default Title" && variant.title, variant.sku && `SKU: ${variant.sku}`, `${variant.inventoryQuantity ?? 0} in stock`]
+              .filter(Boolean)
+              .join(" · ")}
+          </Text>
+        </BlockStack>
+      </InlineStack>
+      <InlineStack gap="200" blockAlign="center" wrap={false}>
+        <Text as="span" numeric>{formatMoney(variant.price, variant.currencyCode)}</Text>
+        <Button size="slim" onClick={() => handleAddVariant(variant)}>Add</Button>
+      </InlineStack>
+    </InlineStack>
+  ));
+
+  const lineItemsMarkup = lineItems.map((item) => (
+    <Box key={item.variantId} paddingBlockEnd="300" borderBlockEndWidth="025" borderColor="border">
+      <InlineStack align="space-between" blockAlign="center" wrap={false} gap="400">
+        <InlineStack gap="300" blockAlign="center" wrap={false}>
+          <Thumbnail source={item.image?.url || ImageIcon} alt={item.image?.altText || item.productTitle} size="small" />
+          <BlockStack gap="050">
+            <Text fontWeight="bold" as="span">{item.productTitle}</Text>
+            {item.title !== "Default Title" && <Text variant="bodySm" tone="subdued" as="p">{item.title}</Text>}
+            {item.sku && <Text variant="bodySm" tone="subdued" as="p">SKU: {item.sku}</Text>}
+          </BlockStack>
+        </InlineStack>
+        <InlineStack gap="300" blockAlign="center" wrap={false}>
+          <Text as="span" numeric>{`${formatMoney(item.price, item.currencyCode)} ×`}</Text>
+          <div style={{ width: "80px" }}>
+            <TextField
+              label="Quantity"
+              labelHidden
+              type="number"
+              min={1}
+              value={item.quantity}
+              onChange={handleQuantityChange(item.variantId)}
+              autoComplete="off"
+            />
+          </div>
+          <Button variant="plain" tone="critical" onClick={() => handleRemoveItem(item.variantId)}>Remove</Button>
+        </InlineStack>
+      </InlineStack>
+    </Box>
+  ));
+
+  const totalsMarkup = totals ? (
+    <BlockStack gap="200">
+      {TOTALS_ROWS.map((row) => (
+        <InlineStack key={row.key} align="space-between">
+          <Text as="span" tone="subdued">{row.label}</Text>
+          <Text as="span" numeric>
+            {row.key === "totalDiscountsSet" && parseFloat(totals[row.key].amount) > 0 ? "-" : ""}
+            {formatMoney(totals[row.key].amount, totals[row.key].currencyCode)}
+          </Text>
+        </InlineStack>
+      ))}
+      <InlineStack align="space-between">
+        <Text as="span" fontWeight="bold">Total</Text>
+        <Text as="span" fontWeight="bold" numeric>{formatMoney(totals.totalPriceSet.amount, totals.totalPriceSet.currencyCode)}</Text>
+      </InlineStack>
+    </BlockStack>
+  ) : (
+    <Text as="p" tone="subdued">
+      {lineItems.length === 0 ? "Add products to see the total" : "Calculating…"}
+    </Text>
+  );
+
+  return (
+    <Page
+      title="Create draft order"
+      backAction={{ content: "Draft orders", url: "/app/draft-order" }}
+      primaryAction={{
+        content: "Save and send invoice",
+        onAction: () => handleSave(true),
+        loading: savingIntent === "true",
+        disabled: saving || lineItems.length === 0 || !customer?.email,
+      }}
+      secondaryActions={[{
+        content: "Save draft",
+        onAction: () => handleSave(false),
+        loading: savingIntent === "false",
+        disabled: saving || lineItems.length === 0,
+      }]}
+    >
+      <Layout>
+        {(save.data?.error || errors.lineItems) && (
+          <Layout.Section>
+            <Banner tone="critical" title="The draft order couldn't be saved">
+              <p>{save.data?.error || errors.lineItems}</p>
+            </Banner>
+          </Layout.Section>
+        )}
+
+        <Layout.Section>
+          <BlockStack gap="400">
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">Products</Text>
+                <TextField
+                  label="Search products"
+                  labelHidden
+                  placeholder="Search by product title or SKU"
+                  value={variantQuery}
+                  onChange={setVariantQuery}
+                  autoComplete="off"
+                  error={calculationErrors.lineItems && lineItems.length > 0 ? calculationErrors.lineItems : undefined}
+                />
+                {variantSearch.state === "loading" && <Spinner size="small" accessibilityLabel="Searching products" />}
+                {variantSearch.state === "idle" && variantSearch.data?.results.length === 0 && (
+                  <Text as="p" tone="subdued">No products found</Text>
+                )}
+                {variantResultsMarkup}
+                {lineItems.length > 0 && (
+                  <BlockStack gap="300">
+                    <Text variant="headingSm" as="h3">{`Items (${lineItems.length})`}</Text>
+                    {lineItemsMarkup}
+                  </BlockStack>
+                )}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">Payment</Text>
+                <FormLayout>
+                  <FormLayout.Group>
+                    <Select
+                      label="Discount"
+                      options={discountTypes}
+                      value={discount.type}
+                      onChange={handleDiscountChange("type")}
+                    />
+                    <TextField
+                      label="Discount value"
+                      type="number"
+                      min={0}
+                      suffix={discount.type === "PERCENTAGE" ? "%" : currencyCode}
+                      value={discount.value}
+                      onChange={handleDiscountChange("value")}
+                      disabled={!discount.type}
+                      error={calculationErrors.discountValue}
+                      autoComplete="off"
+                    />
+                    <TextField
+                      label="Reason"
+                      value={discount.title}
+                      onChange={handleDiscountChange("title")}
+                      disabled={!discount.type}
+                      helpText="Shown to the customer"
+                      autoComplete="off"
+                    />
+                  </FormLayout.Group>
+                  <FormLayout.Group>
+                    <TextField
+                      label="Shipping rate name"
+                      placeholder="Shipping"
+                      value={shipping.title}
+                      onChange={handleShippingChange("title")}
+                      autoComplete="off"
+                    />
+                    <TextField
+                      label="Shipping price"
+                      type="number"
+                      min={0}
+                      step={0.01}
+                      suffix={currencyCode}
+                      value={shipping.price}
+                      onChange={handleShippingChange("price")}
+                      helpText="Leave blank for no shipping"
+                      error={calculationErrors.shippingPrice}
+                      autoComplete="off"
+                    />
+                  </FormLayout.Group>
+                </FormLayout>
+                {calculation.data?.error && <Banner tone="critical" title={calculation.data.error} />}
+                {totalsMarkup}
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+
+        <Layout.Section variant="oneThird">
+          <BlockStack gap="400">
+            <Card>
+              <BlockStack gap="200">
+                <Text variant="headingMd" as="h2">Customer</Text>
+                {customerMarkup}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <TextField
+                label="Notes"
+                helpText="Only visible to staff"
+                value={note}
+                onChange={setNote}
+                multiline={3}
+                autoComplete="off"
+              />
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -6,12 +6,19 @@ import { AppProvider as PolarisAppProvider } from "@shopify/polaris";
 import "@shopify/polaris/build/esm/styles.css";
 import translations from "@shopify/polaris/locales/en.json";
 import { authenticate } from "../shopify.server";
+import { resolveLocale } from "../money";
 
 export const loader = async ({ request }) => {
   await authenticate.admin(request);
 
+  // Shopify admin adds the merchant's language to the URL the app is opened
+  // with; later requests only carry the browser's.
+  const locale = resolveLocale(
+    new URL(request.url).searchParams.get("locale") || request.headers.get("accept-language"),
+  );
+
   // eslint-disable-next-line no-undef
-  return { apiKey: process.env.SHOPIFY_API_KEY || "" };
+  return { apiKey: process.env.SHOPIFY_API_KEY || "", locale };
 };
 
 export default function App() {
@@ -25,7 +32,11 @@ export default function App() {
           <a href="/app/customer">Customer</a>
           <a href="/app/product">Product</a>
           <a href="/app/order">Order</a>
+          <a href="/app/draft-order">Draft Orders</a>
+          <a href="/app/abandoned-checkout">Abandoned Checkouts</a>
           <a href="/app/store-health">Store Health</a>
+          <a href="/app/cohorts">Cohorts</a>
+          <a href="/app/settings">Settings</a>
           <a href="/app/pricing">Pricing</a>
         </NavMenu>
         <Outlet />
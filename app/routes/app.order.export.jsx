@@ -0,0 +1,43 @@
+import { authenticate } from "../shopify.server";
+import { csvResponse } from "../csv.server";
+import { xlsxResponse } from "../xlsx.server";
+import {
+  ORDER_EXPORT_LAYOUTS,
+  iterateOrders,
+  orderExportLayout,
+  parseOrderFilters,
+} from "../models/order.server";
+
+const FORMATS = {
+  csv: csvResponse,
+  xlsx: (filename, headers, rows) => xlsxResponse(filename, headers, rows, { sheetName: "Orders" }),
+};
+
+/**
+ * Exports every mirrored order matching the dashboard's filters. `format` is
+ * "csv" or "xlsx"; `layout` is "orders" (one row per order) or "lineItems"
+ * (one row per line item).
+ */
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const { searchParams } = new URL(request.url);
+  const format = searchParams.get("format") || "csv";
+  const layout = searchParams.get("layout") || "orders";
+
+  if (!FORMATS[format] || !ORDER_EXPORT_LAYOUTS.includes(layout)) {
+    throw new Response("Unknown export format or layout", { status: 400 });
+  }
+
+  const filters = parseOrderFilters(searchParams);
+  const { headers, toRows } = orderExportLayout(layout);
+
+  async function* rows() {
+    for await (const orders of iterateOrders({ shop: session.shop, filters })) {
+      yield orders.flatMap(toRows);
+    }
+  }
+
+  const filename = `${layout === "lineItems" ? "order-line-items" : "orders"}-${new Date().toISOString().slice(0, 10)}.${format}`;
+
+  return FORMATS[format](filename, headers, rows());
+};
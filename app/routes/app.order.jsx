@@ -1,5 +1,5 @@
-import { useState, useCallback, useMemo } from "react";
-import { useLoaderData } from "react-router";
+import { useState, useCallback, useEffect } from "react";
+import { useLoaderData, useNavigation, useSearchParams } from "react-router";
 import {
   Page,
   Layout,
@@ -7,173 +7,332 @@ import {
   IndexTable,
   Text,
   Badge,
+  Banner,
   useIndexResourceState,
   BlockStack,
   InlineGrid,
   EmptyState,
   Link,
+  Button,
+  InlineStack,
   IndexFilters,
   useSetIndexFiltersMode,
   TextField,
-  Select,
   ChoiceList,
+  Modal,
+  Select,
+  Checkbox,
+  ProgressBar,
+  List,
+  Box,
+  Popover,
+  ActionList,
 } from "@shopify/polaris";
+import { MenuHorizontalIcon } from "@shopify/polaris-icons";
 import { authenticate } from "../shopify.server";
+import { parseBatchItems } from "../batch.server";
+import { useDownload } from "../hooks/useDownload";
+import { useSavedViews } from "../hooks/useSavedViews";
+import { useBatchSubmit } from "../hooks/useBatchSubmit";
+import { useMoneyFormat } from "../hooks/useMoneyFormat";
+import { getSavedViews, handleSavedViewAction } from "../models/saved-view.server";
+import { isMirrorReady } from "../models/mirror.server";
+import {
+  getFulfillmentBacklog,
+  getOrderStats,
+  listOrders,
+  parseOrderFilters,
+} from "../models/order.server";
+import {
+  CANCEL_REASONS,
+  addOrderNotes,
+  cancelOrders,
+  collectPayments,
+  refundOrders,
+  updateOrderTags,
+} from "../models/order-action.server";
 
 export const loader = async ({ request }) => {
-  const { admin } = await authenticate.admin(request);
-
-  const response = await admin.graphql(
-    `#graphql
-    query OrdersData {
-      orders(first: 50, reverse: true) {
-        edges {
-          node {
-            id
-            name
-            displayFulfillmentStatus
-            displayFinancialStatus
-            processedAt
-            totalPriceSet {
-              shopMoney {
-                amount
-                currencyCode
-              }
-            }
-            customer {
-              firstName
-              lastName
-            }
-            lineItems(first: 5) {
-              edges {
-                node {
-                  title
-                  quantity
-                }
-              }
-            }
-            cancelReason
-          }
-        }
-      }
-    }`,
-  );
+  const { session } = await authenticate.admin(request);
+  const { searchParams } = new URL(request.url);
+  const filters = parseOrderFilters(searchParams);
 
-  const responseJson = await response.json();
+  const [page, stats, backlog, synced, views] = await Promise.all([
+    listOrders({
+      shop: session.shop,
+      filters,
+      after: searchParams.get("after"),
+      before: searchParams.get("before"),
+    }),
+    getOrderStats(session.shop),
+    getFulfillmentBacklog(session.shop),
+    isMirrorReady(session.shop),
+    getSavedViews(session.shop, "order"),
+  ]);
 
-  return {
-    orders: responseJson.data.orders.edges.map(edge => edge.node),
-  };
+  return { ...page, stats, backlog, synced, filters, views, cancelReasons: CANCEL_REASONS };
 };
 
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const ids = parseBatchItems(formData);
+  if (!ids) {
+    return { error: "The selected items couldn't be read. Reload the page and try again." };
+  }
+
+  if (intent === "cancelOrders") {
+    const reason = formData.get("reason");
+    if (!CANCEL_REASONS.some((option) => option.value === reason)) {
+      return { error: "Choose a reason for cancelling" };
+    }
+    return {
+      results: await cancelOrders(admin, {
+        ids,
+        reason,
+        refund: formData.get("refund") === "true",
+        restock: formData.get("restock") === "true",
+        notifyCustomer: formData.get("notifyCustomer") === "true",
+        staffNote: formData.get("staffNote")?.trim(),
+      }),
+    };
+  }
+
+  if (intent === "refundOrders") {
+    const amount = formData.get("amount") ? Number(formData.get("amount")) : null;
+    if (amount !== null && (isNaN(amount) || amount <= 0 || ids.length !== 1)) {
+      return { error: "Partial refunds need a positive amount and a single order" };
+    }
+    return {
+      results: await refundOrders(admin, {
+        ids,
+        amount,
+        note: formData.get("note")?.trim(),
+        notify: formData.get("notify") === "true",
+      }),
+    };
+  }
+
+  if (intent === "collectPayment") {
+    return { results: await collectPayments(admin, ids) };
+  }
+
+  if (intent === "addNote") {
+    const note = formData.get("note")?.trim();
+    if (!note) {
+      return { error: "Enter a note to add" };
+    }
+    return { results: await addOrderNotes(admin, { ids, note }) };
+  }
+
+  if (intent === "addTags" || intent === "removeTags") {
+    const tags = (formData.get("tags") || "").split(",").map((tag) => tag.trim()).filter(Boolean);
+    if (tags.length === 0) {
+      return { error: "Enter at least one tag" };
+    }
+    return {
+      results: await updateOrderTags(admin, {
+        ids,
+        tags,
+        operation: intent === "addTags" ? "add" : "remove",
+      }),
+    };
+  }
+
+  return handleSavedViewAction(session.shop, "order", formData);
+};
+
+// Copy for each order action's confirmation modal. The button reads `verb`
+// followed by the number of selected orders, e.g. "Cancel 3 orders".
+const ORDER_ACTIONS = {
+  cancelOrders: { title: "Cancel orders", verb: "Cancel", done: "cancelled", destructive: true },
+  refundOrders: { title: "Refund orders", verb: "Refund", done: "refunded", destructive: true },
+  collectPayment: { title: "Collect payment", verb: "Collect payment for", done: "updated" },
+  addNote: { title: "Add note", verb: "Add note to", done: "updated" },
+  addTags: { title: "Add tags", verb: "Add tags to", done: "updated" },
+  removeTags: { title: "Remove tags", verb: "Remove tags from", done: "updated" },
+};
+
+// Actions offered in each row's menu, for running one on a single order.
+const ROW_ACTIONS = [
+  { intent: "collectPayment", content: "Collect payment" },
+  { intent: "addNote", content: "Add note" },
+  { intent: "addTags", content: "Add tags" },
+  { intent: "removeTags", content: "Remove tags" },
+  { intent: "refundOrders", content: "Refund", destructive: true },
+  { intent: "cancelOrders", content: "Cancel order", destructive: true },
+];
+
+const EMPTY_ACTION_VALUES = {
+  reason: "CUSTOMER",
+  refund: true,
+  restock: true,
+  notifyCustomer: false,
+  staffNote: "",
+  refundType: ["full"],
+  amount: "",
+  note: "",
+  notify: false,
+  tags: "",
+};
+
+const FILTER_KEYS = ["status", "fulfillment", "unfulfilledDays", "risk", "date", "product"];
+
+const FULFILLMENT_CHOICES = [
+  { label: 'Unfulfilled', value: 'unfulfilled' },
+  { label: 'Partially fulfilled', value: 'partially_fulfilled' },
+  { label: 'In progress', value: 'in_progress' },
+  { label: 'On hold', value: 'on_hold' },
+  { label: 'Fulfilled', value: 'fulfilled' },
+  { label: 'Restocked', value: 'restocked' },
+];
+
+const RISK_CHOICES = [
+  { label: 'High', value: 'high' },
+  { label: 'Medium', value: 'medium' },
+  { label: 'Low', value: 'low' },
+  { label: 'None', value: 'none' },
+  { label: 'Pending', value: 'pending' },
+];
+
+const RISK_TONES = { HIGH: 'critical', MEDIUM: 'warning', LOW: 'success' };
+
+const TOTAL_CURRENCY_OPTIONS = [
+  { label: 'Shop currency', value: 'shop' },
+  { label: "Customer's currency", value: 'presentment' },
+];
+
+// Orders imported before presentment totals were mirrored only have the shop
+// currency total.
+function orderTotal(order, currency) {
+  return currency === 'presentment' && order.presentmentTotalPrice != null && order.presentmentCurrencyCode
+    ? { amount: order.presentmentTotalPrice, currencyCode: order.presentmentCurrencyCode }
+    : { amount: order.totalPrice, currencyCode: order.currencyCode };
+}
+
 export default function Order() {
-  const { orders } = useLoaderData();
+  const { orders, pageInfo, stats, backlog, synced, filters: appliedParams, views, cancelReasons } = useLoaderData();
+  const [searchParams, setSearchParams] = useSearchParams();
+  const navigation = useNavigation();
+  const formatMoney = useMoneyFormat();
+  const [totalCurrency, setTotalCurrency] = useState('shop');
 
   // Filter State
   const { mode, setMode } = useSetIndexFiltersMode();
-  const [queryValue, setQueryValue] = useState("");
-  const [statusFilter, setStatusFilter] = useState([]);
-  const [dateFilter, setDateFilter] = useState("");
-  const [productFilter, setProductFilter] = useState("");
-  const [sortSelected, setSortSelected] = useState(['date desc']);
+  const [queryValue, setQueryValue] = useState(appliedParams.query);
+  const [statusFilter, setStatusFilter] = useState(appliedParams.status);
+  const [fulfillmentFilter, setFulfillmentFilter] = useState(appliedParams.fulfillment);
+  const [unfulfilledDaysFilter, setUnfulfilledDaysFilter] = useState(appliedParams.unfulfilledDays);
+  const [riskFilter, setRiskFilter] = useState(appliedParams.risk);
+  const [dateFilter, setDateFilter] = useState(appliedParams.date);
+  const [productFilter, setProductFilter] = useState(appliedParams.product);
 
   // Filter Handlers
   const handleQueryValueChange = useCallback((value) => setQueryValue(value), []);
   const handleStatusChange = useCallback((value) => setStatusFilter(value), []);
+  const handleFulfillmentChange = useCallback((value) => setFulfillmentFilter(value), []);
+  const handleUnfulfilledDaysChange = useCallback((value) => setUnfulfilledDaysFilter(value), []);
+  const handleRiskChange = useCallback((value) => setRiskFilter(value), []);
   const handleDateChange = useCallback((value) => setDateFilter(value), []);
   const handleProductChange = useCallback((value) => setProductFilter(value), []);
 
   const handleClearAll = useCallback(() => {
     setQueryValue("");
     setStatusFilter([]);
+    setFulfillmentFilter([]);
+    setUnfulfilledDaysFilter("");
+    setRiskFilter([]);
     setDateFilter("");
     setProductFilter("");
   }, []);
 
-  // Derived Data (Filtering & Sorting)
-  const filteredOrders = useMemo(() => {
-    let filtered = orders.filter((order) => {
-      // Text Search (Order Name / Customer)
-      const orderName = (order.name || "").toLowerCase();
-      const customerName = order.customer ? `${order.customer.firstName} ${order.customer.lastName}`.toLowerCase() : "";
-      const query = queryValue.toLowerCase();
-      if (query && !orderName.includes(query) && !customerName.includes(query)) {
-        return false;
-      }
-
-      // Status Filter (Financial Status)
-      if (statusFilter.length > 0) {
-        if (!statusFilter.includes(order.displayFinancialStatus?.toLowerCase())) {
-          return false;
-        }
-      }
-
-      // Date Filter (Orders AFTER this date)
-      if (dateFilter) {
-        const filterDate = new Date(dateFilter);
-        const orderDate = new Date(order.processedAt);
-        // "Filter by date" usually means "show me orders from this date" or "after this date".
-        // Let's assume broad matching or "on or after". 
-        if (orderDate < filterDate) {
-          return false;
-        }
-      }
-
-      // Product Filter (Simple substring match on any line item title)
-      if (productFilter) {
-        const productMatch = order.lineItems.edges.some(({ node }) =>
-          node.title.toLowerCase().includes(productFilter.toLowerCase())
-        );
-        if (!productMatch) return false;
-      }
-
-      return true;
-    });
+  const handleApplyView = useCallback((view) => {
+    setQueryValue(view?.query || "");
+    setStatusFilter(view?.filters.status?.split(",") || []);
+    setFulfillmentFilter(view?.filters.fulfillment?.split(",") || []);
+    setUnfulfilledDaysFilter(view?.filters.unfulfilledDays || "");
+    setRiskFilter(view?.filters.risk?.split(",") || []);
+    setDateFilter(view?.filters.date || "");
+    setProductFilter(view?.filters.product || "");
+  }, []);
+
+  const savedViews = useSavedViews({
+    views,
+    filterKeys: FILTER_KEYS,
+    onApply: handleApplyView,
+  });
 
-    // Sorting Logic
-    if (sortSelected.length > 0) {
-      const [sortKey, sortDirection] = sortSelected[0].split(' ');
-
-      filtered.sort((a, b) => {
-        let aValue, bValue;
-
-        if (sortKey === 'order') {
-          aValue = a.name;
-          bValue = b.name;
-        } else if (sortKey === 'date') {
-          aValue = new Date(a.processedAt).getTime();
-          bValue = new Date(b.processedAt).getTime();
-        } else if (sortKey === 'total') {
-          aValue = parseFloat(a.totalPriceSet?.shopMoney?.amount || 0);
-          bValue = parseFloat(b.totalPriceSet?.shopMoney?.amount || 0);
-        }
-
-        if (aValue < bValue) return sortDirection === 'asc' ? -1 : 1;
-        if (aValue > bValue) return sortDirection === 'asc' ? 1 : -1;
-        return 0;
+  // Any change to the filters or sort starts again from the first page.
+  const updateSearchParams = useCallback((changes) => {
+    setSearchParams((previous) => {
+      const next = new URLSearchParams(previous);
+      Object.entries(changes).forEach(([key, value]) => {
+        if (value) next.set(key, value);
+        else next.delete(key);
       });
-    }
+      next.delete("after");
+      next.delete("before");
+      return next;
+    }, { replace: true });
+  }, [setSearchParams]);
 
-    return filtered;
-  }, [orders, queryValue, statusFilter, dateFilter, productFilter, sortSelected]);
+  // Push filters to the URL once typing settles, so every keystroke
+  // doesn't trigger a loader request.
+  useEffect(() => {
+    const changes = {
+      query: queryValue.trim(),
+      status: statusFilter.join(","),
+      fulfillment: fulfillmentFilter.join(","),
+      unfulfilledDays: unfulfilledDaysFilter.trim(),
+      risk: riskFilter.join(","),
+      date: dateFilter,
+      product: productFilter.trim(),
+    };
+    const unchanged = Object.entries(changes).every(
+      ([key, value]) => (searchParams.get(key) || "") === value,
+    );
+    if (unchanged) return;
 
-  // High Refund / Cancel Patterns
-  const stats = useMemo(() => {
-    const total = orders.length;
-    const cancelled = orders.filter(o => o.displayFinancialStatus === 'VOIDED' || o.displayFinancialStatus === 'REFUNDED' || o.cancelReason).length;
-    const pending = orders.filter(o => o.displayFinancialStatus === 'PENDING').length;
+    const timeout = setTimeout(() => updateSearchParams(changes), 300);
+    return () => clearTimeout(timeout);
+  }, [
+    queryValue,
+    statusFilter,
+    fulfillmentFilter,
+    unfulfilledDaysFilter,
+    riskFilter,
+    dateFilter,
+    productFilter,
+    searchParams,
+    updateSearchParams,
+  ]);
 
-    // "High-refund/cancel pattern" - simplistic heuristic
-    const highRisk = cancelled / total > 0.1; // > 10% cancellations
+  const handleSortChange = useCallback((value) => updateSearchParams({ sort: value[0] }), [updateSearchParams]);
 
-    return {
-      total,
-      cancelled,
-      pending,
-      highRisk
-    };
-  }, [orders]);
+  // Shows orders waiting at least `days` to ship, oldest first.
+  const handleViewBacklog = useCallback((days) => {
+    setUnfulfilledDaysFilter(String(days));
+    updateSearchParams({ unfulfilledDays: String(days), sort: "date asc" });
+  }, [updateSearchParams]);
+
+  const handleNextPage = useCallback(() => {
+    setSearchParams((previous) => {
+      const next = new URLSearchParams(previous);
+      next.delete("before");
+      next.set("after", pageInfo.endCursor);
+      return next;
+    });
+  }, [pageInfo.endCursor, setSearchParams]);
 
+  const handlePreviousPage = useCallback(() => {
+    setSearchParams((previous) => {
+      const next = new URLSearchParams(previous);
+      next.delete("after");
+      next.set("before", pageInfo.startCursor);
+      return next;
+    });
+  }, [pageInfo.startCursor, setSearchParams]);
 
   const filters = [
     {
@@ -196,6 +355,52 @@ export default function Order() {
       ),
       shortcut: true,
     },
+    {
+      key: "fulfillment",
+      label: "Fulfillment",
+      filter: (
+        <ChoiceList
+          title="Fulfillment"
+          titleHidden
+          choices={FULFILLMENT_CHOICES}
+          selected={fulfillmentFilter}
+          onChange={handleFulfillmentChange}
+          allowMultiple
+        />
+      ),
+      shortcut: true,
+    },
+    {
+      key: "unfulfilledDays",
+      label: "Unfulfilled for",
+      filter: (
+        <TextField
+          label="Unfulfilled for at least"
+          type="number"
+          min={0}
+          value={unfulfilledDaysFilter}
+          onChange={handleUnfulfilledDaysChange}
+          autoComplete="off"
+          labelHidden
+          suffix="days"
+          helpText="Open orders that haven't been fully shipped"
+        />
+      ),
+    },
+    {
+      key: "risk",
+      label: "Risk level",
+      filter: (
+        <ChoiceList
+          title="Risk level"
+          titleHidden
+          choices={RISK_CHOICES}
+          selected={riskFilter}
+          onChange={handleRiskChange}
+          allowMultiple
+        />
+      ),
+    },
     {
       key: "product",
       label: "Product",
@@ -234,6 +439,29 @@ export default function Order() {
       onRemove: () => setStatusFilter([]),
     });
   }
+  if (fulfillmentFilter.length > 0) {
+    appliedFilters.push({
+      key: "fulfillment",
+      label: `Fulfillment: ${fulfillmentFilter
+        .map((value) => FULFILLMENT_CHOICES.find((choice) => choice.value === value)?.label || value)
+        .join(", ")}`,
+      onRemove: () => setFulfillmentFilter([]),
+    });
+  }
+  if (unfulfilledDaysFilter) {
+    appliedFilters.push({
+      key: "unfulfilledDays",
+      label: `Unfulfilled for ${unfulfilledDaysFilter}+ days`,
+      onRemove: () => setUnfulfilledDaysFilter(""),
+    });
+  }
+  if (riskFilter.length > 0) {
+    appliedFilters.push({
+      key: "risk",
+      label: `Risk: ${riskFilter.join(", ")}`,
+      onRemove: () => setRiskFilter([]),
+    });
+  }
   if (productFilter) {
     appliedFilters.push({
       key: "product",
@@ -249,85 +477,377 @@ export default function Order() {
     });
   }
 
-  const { selectedResources, allResourcesSelected, handleSelectionChange } =
-    useIndexResourceState(filteredOrders);
+  const { selectedResources, allResourcesSelected, handleSelectionChange, clearSelection } =
+    useIndexResourceState(orders);
+
+  // Order actions run on the selected orders, or on the one order whose row
+  // menu was used, in batches, reporting each order's API errors once they
+  // finish. `actionIds` is null for the selection.
+  const actionBatch = useBatchSubmit({ chunkSize: 5 });
+  const [orderAction, setOrderAction] = useState(null);
+  const [actionIds, setActionIds] = useState(null);
+  const [actionValues, setActionValues] = useState(EMPTY_ACTION_VALUES);
+  const [rowMenu, setRowMenu] = useState(null);
+  const targetIds = actionIds ?? selectedResources;
+
+  const openActionModal = useCallback((intent, ids = null) => {
+    actionBatch.reset();
+    setActionValues(EMPTY_ACTION_VALUES);
+    setActionIds(ids);
+    setRowMenu(null);
+    setOrderAction(intent);
+  }, [actionBatch]);
+
+  const closeActionModal = useCallback(() => {
+    if (actionBatch.done && !actionIds) clearSelection();
+    actionBatch.reset();
+    setOrderAction(null);
+  }, [actionBatch, actionIds, clearSelection]);
+
+  const handleActionValueChange = useCallback((key) => (value) => {
+    setActionValues((current) => ({ ...current, [key]: value }));
+  }, []);
+
+  const partialRefund = orderAction === "refundOrders" && actionValues.refundType[0] === "partial";
+  // Refunds are made in the currency the customer paid in. Orders mirrored
+  // before presentment totals were kept only have the shop currency.
+  const refundOrder = orders.find((order) => order.id === targetIds[0]);
+  const refundCurrency = refundOrder?.presentmentCurrencyCode || refundOrder?.currencyCode;
+
+  const applyOrderAction = useCallback(() => {
+    const { refundType, ...values } = actionValues;
+    const fields = { intent: orderAction };
+
+    if (orderAction === "cancelOrders") {
+      Object.assign(fields, {
+        reason: values.reason,
+        refund: String(values.refund),
+        restock: String(values.restock),
+        notifyCustomer: String(values.notifyCustomer),
+        staffNote: values.staffNote,
+      });
+    } else if (orderAction === "refundOrders") {
+      Object.assign(fields, {
+        amount: refundType[0] === "partial" ? values.amount : "",
+        note: values.note,
+        notify: String(values.notify),
+      });
+    } else if (orderAction === "addNote") {
+      fields.note = values.note;
+    } else if (orderAction === "addTags" || orderAction === "removeTags") {
+      fields.tags = values.tags;
+    }
+
+    actionBatch.start(targetIds, fields);
+  }, [actionBatch, targetIds, orderAction, actionValues]);
+
+  const actionInvalid = (
+    (partialRefund && !(Number(actionValues.amount) > 0))
+    || (orderAction === "addNote" && !actionValues.note.trim())
+    || ((orderAction === "addTags" || orderAction === "removeTags") && !actionValues.tags.trim())
+  );
+
+  const actionFailures = actionBatch.results.filter((result) => !result.ok);
+  const orderNames = new Map(orders.map((order) => [order.id, order.name]));
+  const selectedNoun = targetIds.length === 1
+    ? orderNames.get(targetIds[0]) || '1 order'
+    : `${targetIds.length} orders`;
+
+  const promotedBulkActions = [
+    { content: "Collect payment", onAction: () => openActionModal("collectPayment") },
+    { content: "Add note", onAction: () => openActionModal("addNote") },
+  ];
+
+  const bulkActions = [
+    { content: "Add tags", onAction: () => openActionModal("addTags") },
+    { content: "Remove tags", onAction: () => openActionModal("removeTags") },
+    { content: "Refund", onAction: () => openActionModal("refundOrders"), destructive: true },
+    { content: "Cancel orders", onAction: () => openActionModal("cancelOrders"), destructive: true },
+  ];
 
   const resourceName = {
     singular: 'order',
     plural: 'orders',
   };
 
-  const rowMarkup = filteredOrders.map(
-    (node, index) => (
-      <IndexTable.Row
-        id={node.id}
-        key={node.id}
-        selected={selectedResources.includes(node.id)}
-        position={index}
-      >
-        <IndexTable.Cell>
-          <Link removeUnderline url={`shopify:admin/orders/${node.id.split('/').pop()}`}>
-            <Text variant="bodyMd" fontWeight="bold" as="span">
-              {node.name}
+  const rowMarkup = orders.map(
+    (node, index) => {
+      const total = orderTotal(node, totalCurrency);
+
+      return (
+        <IndexTable.Row
+          id={node.id}
+          key={node.id}
+          selected={selectedResources.includes(node.id)}
+          position={index}
+        >
+          <IndexTable.Cell>
+            <Link removeUnderline url={`/app/order/${node.id.split('/').pop()}`}>
+              <Text variant="bodyMd" fontWeight="bold" as="span">
+                {node.name}
+              </Text>
+            </Link>
+          </IndexTable.Cell>
+          <IndexTable.Cell>
+            {new Date(node.processedAt).toDateString()}
+          </IndexTable.Cell>
+          <IndexTable.Cell>
+            {node.customerName || 'No Customer'}
+          </IndexTable.Cell>
+          <IndexTable.Cell>
+            <Text numeric>
+              {formatMoney(total.amount, total.currencyCode)}
             </Text>
-          </Link>
-        </IndexTable.Cell>
-        <IndexTable.Cell>
-          {new Date(node.processedAt).toDateString()}
-        </IndexTable.Cell>
-        <IndexTable.Cell>
-          {node.customer ? `${node.customer.firstName} ${node.customer.lastName}` : 'No Customer'}
-        </IndexTable.Cell>
-        <IndexTable.Cell>
-          <Text numeric>
-            {node.totalPriceSet?.shopMoney?.amount} {node.totalPriceSet?.shopMoney?.currencyCode}
-          </Text>
-        </IndexTable.Cell>
-        <IndexTable.Cell>
-          <Badge tone={node.displayFinancialStatus === 'PAID' ? 'success' : node.displayFinancialStatus === 'REFUNDED' ? 'critical' : 'attention'}>
-            {node.displayFinancialStatus}
-          </Badge>
-        </IndexTable.Cell>
-        <IndexTable.Cell>
-          <Badge tone={node.displayFulfillmentStatus === 'FULFILLED' ? 'success' : 'attention'}>
-            {node.displayFulfillmentStatus}
-          </Badge>
-        </IndexTable.Cell>
-      </IndexTable.Row>
-    ),
+          </IndexTable.Cell>
+          <IndexTable.Cell>
+            <Badge tone={node.financialStatus === 'PAID' ? 'success' : node.financialStatus === 'REFUNDED' ? 'critical' : 'attention'}>
+              {node.financialStatus}
+            </Badge>
+          </IndexTable.Cell>
+          <IndexTable.Cell>
+            <Badge tone={node.fulfillmentStatus === 'FULFILLED' ? 'success' : 'attention'}>
+              {node.fulfillmentStatus}
+            </Badge>
+          </IndexTable.Cell>
+          <IndexTable.Cell>
+            {node.riskLevel ? (
+              <Badge tone={RISK_TONES[node.riskLevel]}>
+                {node.review ? `${node.riskLevel} (${node.review.decision})` : node.riskLevel}
+              </Badge>
+            ) : (
+              <Text tone="subdued" as="span">Not assessed</Text>
+            )}
+          </IndexTable.Cell>
+          <IndexTable.Cell>
+            {/* React bubbles clicks up from the popover too; none should select the row. */}
+            <div role="presentation" onClick={(event) => event.stopPropagation()}>
+              <Popover
+                active={rowMenu === node.id}
+                onClose={() => setRowMenu(null)}
+                activator={
+                  <Button
+                    variant="tertiary"
+                    icon={MenuHorizontalIcon}
+                    accessibilityLabel={`Actions for ${node.name}`}
+                    onClick={() => setRowMenu(rowMenu === node.id ? null : node.id)}
+                  />
+                }
+              >
+                <ActionList
+                  actionRole="menuitem"
+                  items={ROW_ACTIONS.map(({ intent, content, destructive }) => ({
+                    content,
+                    destructive,
+                    onAction: () => openActionModal(intent, [node.id]),
+                  }))}
+                />
+              </Popover>
+            </div>
+          </IndexTable.Cell>
+        </IndexTable.Row>
+      );
+    },
   );
 
+  // Export
+  const [exportOpen, setExportOpen] = useState(false);
+  const [exportFormat, setExportFormat] = useState(["csv"]);
+  const [exportLayout, setExportLayout] = useState(["orders"]);
+  const exportDownload = useDownload();
+
+  const handleExport = useCallback(async () => {
+    const params = new URLSearchParams(searchParams);
+    params.delete("after");
+    params.delete("before");
+    params.delete("view");
+    params.set("format", exportFormat[0]);
+    params.set("layout", exportLayout[0]);
+
+    const name = exportLayout[0] === "lineItems" ? "order-line-items" : "orders";
+    const downloaded = await exportDownload.download(
+      `/app/order/export?${params}`,
+      `${name}-${new Date().toISOString().slice(0, 10)}.${exportFormat[0]}`,
+    );
+    if (downloaded) setExportOpen(false);
+  }, [searchParams, exportFormat, exportLayout, exportDownload]);
+
   const emptyStateMarkup = (
     <EmptyState
       heading="No orders found"
       action={{ content: 'Clear all filters', onAction: handleClearAll }}
       image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
     >
-      <p>Try changing the filters or search term to find what you're looking for.</p>
+      <p>Try changing the filters or search term to find what you&apos;re looking for.</p>
     </EmptyState>
   );
 
-  const [itemStrings, setItemStrings] = useState(['All']);
-  const tabs = itemStrings.map((item, index) => ({
-    content: item,
-    index,
-    onAction: () => { },
-    id: `${item}-${index}`,
-    isLocked: index === 0,
-    actions: []
-  }));
-  const [selected, setSelected] = useState(0);
+
+  const actionFormMarkup = {
+    cancelOrders: (
+      <BlockStack gap="300">
+        <Banner tone="warning">
+          <p>{`Cancelling ${selectedNoun} can't be undone.`}</p>
+        </Banner>
+        <Select
+          label="Reason for cancellation"
+          options={cancelReasons}
+          value={actionValues.reason}
+          onChange={handleActionValueChange("reason")}
+        />
+        <Checkbox
+          label="Refund payment to the original payment method"
+          checked={actionValues.refund}
+          onChange={handleActionValueChange("refund")}
+        />
+        <Checkbox
+          label="Restock inventory"
+          checked={actionValues.restock}
+          onChange={handleActionValueChange("restock")}
+        />
+        <Checkbox
+          label="Send a notification to the customer"
+          checked={actionValues.notifyCustomer}
+          onChange={handleActionValueChange("notifyCustomer")}
+        />
+        <TextField
+          label="Staff note"
+          helpText="Only visible to staff"
+          value={actionValues.staffNote}
+          onChange={handleActionValueChange("staffNote")}
+          autoComplete="off"
+        />
+      </BlockStack>
+    ),
+    refundOrders: (
+      <BlockStack gap="300">
+        <ChoiceList
+          title="Amount"
+          choices={[
+            { label: "Refund everything that hasn't been refunded yet", value: "full" },
+            {
+              label: "Refund a specific amount",
+              value: "partial",
+              disabled: targetIds.length !== 1,
+              helpText: targetIds.length !== 1 ? "Select a single order to refund part of it" : undefined,
+            },
+          ]}
+          selected={actionValues.refundType}
+          onChange={handleActionValueChange("refundType")}
+        />
+        {partialRefund && (
+          <TextField
+            label="Refund amount"
+            type="number"
+            min={0}
+            step={0.01}
+            suffix={refundCurrency}
+            value={actionValues.amount}
+            onChange={handleActionValueChange("amount")}
+            autoComplete="off"
+          />
+        )}
+        <TextField
+          label="Reason for refund"
+          helpText="Only visible to staff"
+          value={actionValues.note}
+          onChange={handleActionValueChange("note")}
+          autoComplete="off"
+        />
+        <Checkbox
+          label="Send a notification to the customer"
+          checked={actionValues.notify}
+          onChange={handleActionValueChange("notify")}
+        />
+        <Text as="p" variant="bodySm" tone="subdued">
+          Refunds go back to the original payment method. Items aren&apos;t restocked; cancel the order to restock them.
+        </Text>
+      </BlockStack>
+    ),
+    collectPayment: (
+      <Text as="p">
+        {`Authorized payments on ${selectedNoun} are captured in full. Orders paid outside Shopify, such as by bank transfer or cash on delivery, are marked as paid.`}
+      </Text>
+    ),
+    addNote: (
+      <TextField
+        label={`Note to add to ${selectedNoun}`}
+        helpText="Added below any existing note"
+        value={actionValues.note}
+        onChange={handleActionValueChange("note")}
+        multiline={3}
+        autoComplete="off"
+      />
+    ),
+    addTags: (
+      <TextField
+        label={`Tags to add to ${selectedNoun}`}
+        helpText="Separate multiple tags with commas"
+        value={actionValues.tags}
+        onChange={handleActionValueChange("tags")}
+        autoComplete="off"
+      />
+    ),
+    removeTags: (
+      <TextField
+        label={`Tags to remove from ${selectedNoun}`}
+        helpText="Separate multiple tags with commas"
+        value={actionValues.tags}
+        onChange={handleActionValueChange("tags")}
+        autoComplete="off"
+      />
+    ),
+  };
+
+  const actionCopy = ORDER_ACTIONS[orderAction];
+
+  const backlogMarkup = backlog.buckets.map((bucket) => (
+    <BlockStack gap="100" key={bucket.label}>
+      <Text variant="bodySm" tone="subdued">{bucket.label}</Text>
+      <Text variant="headingLg" as="p" tone={bucket.min >= stats.lateShipmentDays && bucket.count > 0 ? 'critical' : undefined}>
+        {bucket.count}
+      </Text>
+      <div>
+        <Button variant="plain" onClick={() => handleViewBacklog(bucket.min)} disabled={backlog.total === 0}>
+          {bucket.min === 0 ? 'View all' : `View ${bucket.min}+ days`}
+        </Button>
+      </div>
+    </BlockStack>
+  ));
 
   return (
     <Page
       title="Orders Dashboard"
-      subtitle="View and analyze order patterns"
+      subtitle="View and analyze order patterns, the fulfillment backlog and risky orders"
+      primaryAction={{
+        content: "Export",
+        onAction: () => setExportOpen(true),
+      }}
+      secondaryActions={[
+        {
+          content: stats.awaitingReview > 0 ? `Review queue (${stats.awaitingReview})` : "Review queue",
+          url: "/app/order/review",
+        },
+      ]}
       fullWidth
     >
       <BlockStack gap="500">
+        {!synced && (
+          <Banner
+            title="Order data is still being synced"
+            tone="warning"
+            action={{ content: 'View sync status', url: '/app' }}
+          >
+            <p>Orders appear here once the initial import from your store has finished.</p>
+          </Banner>
+        )}
+        {savedViews.error && (
+          <Banner tone="critical" title="The view wasn't saved">
+            <p>{savedViews.error}</p>
+          </Banner>
+        )}
         <Layout>
           <Layout.Section>
-            <InlineGrid columns={['oneThird', 'oneThird', 'oneThird']} gap="400">
+            <InlineGrid columns={{ xs: 1, sm: 2, lg: 4 }} gap="400">
               <Card>
                 <BlockStack gap="200">
                   <Text variant="headingSm" as="h3">Total Orders</Text>
@@ -337,10 +857,10 @@ export default function Order() {
               <Card>
                 <BlockStack gap="200">
                   <Text variant="headingSm" as="h3">Cancelled/Refunded</Text>
-                  <Text variant="heading2xl" as="p" tone={stats.highRisk ? 'critical' : undefined}>
+                  <Text variant="heading2xl" as="p" tone={stats.highCancellationRate ? 'critical' : undefined}>
                     {stats.cancelled}
                   </Text>
-                  {stats.highRisk && <Text variant="bodyXs" tone="critical">High cancellation rate detected</Text>}
+                  {stats.highCancellationRate && <Text variant="bodyXs" tone="critical">High cancellation rate detected</Text>}
                 </BlockStack>
               </Card>
               <Card>
@@ -349,9 +869,41 @@ export default function Order() {
                   <Text variant="heading2xl" as="p">{stats.pending}</Text>
                 </BlockStack>
               </Card>
+              <Card>
+                <BlockStack gap="200">
+                  <Text variant="headingSm" as="h3">Late Shipments</Text>
+                  <Text variant="heading2xl" as="p" tone={stats.late > 0 ? 'critical' : undefined}>
+                    {stats.late}
+                  </Text>
+                  <InlineStack gap="200" blockAlign="center">
+                    <Text variant="bodyXs" tone="subdued">{`Unfulfilled for ${stats.lateShipmentDays}+ days`}</Text>
+                    {stats.late > 0 && (
+                      <Button variant="plain" onClick={() => handleViewBacklog(stats.lateShipmentDays)}>View</Button>
+                    )}
+                  </InlineStack>
+                </BlockStack>
+              </Card>
             </InlineGrid>
           </Layout.Section>
 
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <BlockStack gap="100">
+                  <Text variant="headingMd" as="h2">Fulfillment Backlog</Text>
+                  <Text variant="bodySm" tone="subdued">
+                    {backlog.total > 0
+                      ? `${backlog.total} open ${backlog.total === 1 ? 'order' : 'orders'} waiting to ship, the oldest placed ${new Date(backlog.oldest).toDateString()}`
+                      : 'Every open order has shipped'}
+                  </Text>
+                </BlockStack>
+                <InlineGrid columns={{ xs: 2, md: 4 }} gap="400">
+                  {backlogMarkup}
+                </InlineGrid>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+
           <Layout.Section>
             <Card padding="0">
               <IndexFilters
@@ -363,41 +915,46 @@ export default function Order() {
                   { label: 'Total', value: 'total asc', directionLabel: 'Low to High' },
                   { label: 'Total', value: 'total desc', directionLabel: 'High to Low' },
                 ]}
-                sortSelected={sortSelected}
-                onSort={setSortSelected}
+                sortSelected={[appliedParams.sort]}
+                onSort={handleSortChange}
                 queryValue={queryValue}
                 queryPlaceholder="Search orders"
                 onQueryChange={handleQueryValueChange}
                 onQueryClear={() => setQueryValue("")}
-                primaryAction={{
-                  type: 'save-as',
-                  onAction: () => { },
-                  disabled: false,
-                  loading: false,
-                }}
-                cancelAction={{
-                  onAction: () => { },
-                  disabled: false,
-                  loading: false,
-                }}
-                tabs={tabs}
-                selected={selected}
-                onSelect={setSelected}
+                primaryAction={savedViews.primaryAction}
+                cancelAction={savedViews.cancelAction}
+                tabs={savedViews.tabs}
+                selected={savedViews.selected}
+                onSelect={savedViews.onSelect}
                 canCreateNewView
-                onCreateNewView={() => { }}
+                onCreateNewView={savedViews.onCreateNewView}
                 filters={filters}
                 appliedFilters={appliedFilters}
                 onClearAll={handleClearAll}
                 mode={mode}
                 setMode={setMode}
+                loading={navigation.state === "loading"}
               />
+              <Box paddingBlock="200" paddingInline="400">
+                <InlineStack align="end">
+                  <Select
+                    label="Show totals in"
+                    labelInline
+                    options={TOTAL_CURRENCY_OPTIONS}
+                    value={totalCurrency}
+                    onChange={setTotalCurrency}
+                  />
+                </InlineStack>
+              </Box>
               <IndexTable
                 resourceName={resourceName}
-                itemCount={filteredOrders.length}
+                itemCount={orders.length}
                 selectedItemsCount={
                   allResourcesSelected ? 'All' : selectedResources.length
                 }
                 onSelectionChange={handleSelectionChange}
+                promotedBulkActions={promotedBulkActions}
+                bulkActions={bulkActions}
                 headings={[
                   { title: 'Order' },
                   { title: 'Date' },
@@ -405,8 +962,16 @@ export default function Order() {
                   { title: 'Total' },
                   { title: 'Payment Status' },
                   { title: 'Fulfillment Status' },
+                  { title: 'Risk' },
+                  { title: 'Actions', hidden: true },
                 ]}
                 emptyState={emptyStateMarkup}
+                pagination={{
+                  hasNext: pageInfo.hasNextPage,
+                  hasPrevious: pageInfo.hasPreviousPage,
+                  onNext: handleNextPage,
+                  onPrevious: handlePreviousPage,
+                }}
               >
                 {rowMarkup}
               </IndexTable>
@@ -414,6 +979,100 @@ export default function Order() {
           </Layout.Section>
         </Layout>
       </BlockStack>
+
+      <Modal
+        open={exportOpen}
+        onClose={() => setExportOpen(false)}
+        title="Export orders"
+        primaryAction={{
+          content: "Export",
+          onAction: handleExport,
+          loading: exportDownload.downloading,
+        }}
+        secondaryActions={[{ content: "Cancel", onAction: () => setExportOpen(false) }]}
+      >
+        <Modal.Section>
+          <BlockStack gap="400">
+            {exportDownload.error && <Banner tone="critical" title={exportDownload.error} />}
+            <Text as="p" tone="subdued">
+              Every order matching the current search and filters is exported, not just this page.
+            </Text>
+            <ChoiceList
+              title="Rows"
+              choices={[
+                { label: "One row per order", value: "orders" },
+                { label: "One row per line item", value: "lineItems", helpText: "Order details are repeated on each line item" },
+              ]}
+              selected={exportLayout}
+              onChange={setExportLayout}
+            />
+            <ChoiceList
+              title="Format"
+              choices={[
+                { label: "CSV", value: "csv" },
+                { label: "Excel (.xlsx)", value: "xlsx" },
+              ]}
+              selected={exportFormat}
+              onChange={setExportFormat}
+            />
+          </BlockStack>
+        </Modal.Section>
+      </Modal>
+
+      <Modal
+        open={orderAction !== null}
+        onClose={closeActionModal}
+        title={actionCopy?.title}
+        primaryAction={actionBatch.done ? {
+          content: "Done",
+          onAction: closeActionModal,
+        } : {
+          content: `${actionCopy?.verb} ${selectedNoun}`,
+          onAction: applyOrderAction,
+          loading: actionBatch.running,
+          disabled: actionInvalid,
+          destructive: actionCopy?.destructive,
+        }}
+        secondaryActions={actionBatch.running || actionBatch.done ? [] : [{ content: "Back", onAction: closeActionModal }]}
+      >
+        <Modal.Section>
+          <BlockStack gap="400">
+            {!actionBatch.running && !actionBatch.done && actionFormMarkup[orderAction]}
+            {(actionBatch.running || actionBatch.done) && (
+              <BlockStack gap="200">
+                <Text as="p">
+                  {actionBatch.processed} of {actionBatch.total} orders processed
+                </Text>
+                <ProgressBar
+                  progress={actionBatch.total > 0 ? Math.round((actionBatch.processed / actionBatch.total) * 100) : 0}
+                  size="small"
+                />
+              </BlockStack>
+            )}
+            {actionBatch.error && (
+              <Banner tone="critical" title={`Stopped after ${actionBatch.processed} of ${actionBatch.total} orders`}>
+                <p>{actionBatch.error}</p>
+              </Banner>
+            )}
+            {actionBatch.done && !actionBatch.error && actionFailures.length === 0 && (
+              <Banner tone="success" title={`${actionBatch.total} ${actionBatch.total === 1 ? 'order' : 'orders'} ${actionCopy?.done}`}>
+                <p>The dashboard shows the change once Shopify sends the order update.</p>
+              </Banner>
+            )}
+            {actionBatch.done && actionFailures.length > 0 && (
+              <Banner tone="critical" title={`${actionFailures.length} of ${actionBatch.total} orders could not be ${actionCopy?.done}`}>
+                <List type="bullet">
+                  {actionFailures.map((failure) => (
+                    <List.Item key={failure.id}>
+                      {orderNames.get(failure.id) || failure.id}: {failure.error}
+                    </List.Item>
+                  ))}
+                </List>
+              </Banner>
+            )}
+          </BlockStack>
+        </Modal.Section>
+      </Modal>
     </Page>
   );
 }
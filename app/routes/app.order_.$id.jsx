@@ -0,0 +1,404 @@
+import { useState } from "react";
+import { useLoaderData } from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  Badge,
+  BlockStack,
+  InlineStack,
+  Box,
+  Divider,
+  Link,
+  Thumbnail,
+  EmptyState,
+  Select,
+} from "@shopify/polaris";
+import { ImageIcon } from "@shopify/polaris-icons";
+import { authenticate } from "../shopify.server";
+import { fetchOrderDetail, toOrderGid } from "../models/order-detail.server";
+import { REVIEW_DECISIONS, getOrderReview } from "../models/order-risk.server";
+import { useMoneyFormat } from "../hooks/useMoneyFormat";
+import { pickMoney } from "../money";
+
+export const loader = async ({ request, params }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const id = toOrderGid(params.id);
+  const [order, review] = await Promise.all([
+    fetchOrderDetail(admin, id),
+    getOrderReview(session.shop, id),
+  ]);
+
+  if (!order) {
+    throw new Response("Order not found", { status: 404 });
+  }
+
+  return { order, review, decisions: REVIEW_DECISIONS };
+};
+
+const FINANCIAL_TONES = {
+  PAID: "success",
+  REFUNDED: "critical",
+  PARTIALLY_REFUNDED: "warning",
+  VOIDED: "critical",
+};
+
+const RISK_TONES = {
+  HIGH: "critical",
+  MEDIUM: "warning",
+  LOW: "success",
+};
+
+const FULFILLMENT_TONES = {
+  FULFILLED: "success",
+  DELIVERED: "success",
+};
+
+function formatStatus(status) {
+  return status ? status.charAt(0) + status.slice(1).toLowerCase().replace(/_/g, " ") : "-";
+}
+
+function numericId(gid) {
+  return gid.split("/").pop();
+}
+
+export default function OrderDetail() {
+  const { order, review, decisions } = useLoaderData();
+  const formatAmount = useMoneyFormat();
+  const [currency, setCurrency] = useState("shop");
+  const zero = {
+    shopMoney: { amount: 0, currencyCode: order.currencyCode },
+    presentmentMoney: { amount: 0, currencyCode: order.presentmentCurrencyCode },
+  };
+
+  // Amounts are MoneyBags, shown in the shop's or the customer's currency.
+  const formatMoney = (bag) => {
+    const money = pickMoney(bag, currency);
+    return formatAmount(money.amount, money.currencyCode);
+  };
+
+  const lineItemsMarkup = order.lineItems.map((item) => (
+    <Box key={item.id} paddingBlockEnd="300" borderBlockEndWidth="025" borderColor="border">
+      <InlineStack align="space-between" blockAlign="start" wrap={false} gap="400">
+        <InlineStack gap="300" blockAlign="start" wrap={false}>
+          <Thumbnail source={item.image?.url || ImageIcon} alt={item.image?.altText || item.title} size="small" />
+          <BlockStack gap="100">
+            {item.product ? (
+              <Link removeUnderline url={`/app/product/${numericId(item.product.id)}/analytics`}>
+                <Text variant="bodyMd" fontWeight="bold" as="span">{item.title}</Text>
+              </Link>
+            ) : (
+              <Text variant="bodyMd" fontWeight="bold" as="span">{item.title}</Text>
+            )}
+            {item.variantTitle && <Text variant="bodySm" tone="subdued" as="p">{item.variantTitle}</Text>}
+            {item.sku && <Text variant="bodySm" tone="subdued" as="p">SKU: {item.sku}</Text>}
+            {item.discounts.map((discount) => (
+              <Text key={discount.title} variant="bodySm" as="p" tone="success">
+                {`${discount.title}: -${formatMoney(discount.amountSet)}`}
+              </Text>
+            ))}
+            {item.taxLines.map((tax) => (
+              <Text key={tax.title} variant="bodySm" as="p" tone="subdued">
+                {`${tax.title} ${tax.ratePercentage}%: ${formatMoney(tax.priceSet)}`}
+              </Text>
+            ))}
+            {item.currentQuantity !== item.quantity && (
+              <Badge tone="warning">{`${item.quantity - item.currentQuantity} removed or refunded`}</Badge>
+            )}
+          </BlockStack>
+        </InlineStack>
+        <BlockStack gap="100" inlineAlign="end">
+          <Text numeric as="span">
+            {`${formatMoney(item.originalUnitPriceSet)} × ${item.quantity}`}
+          </Text>
+          {item.discounts.length > 0 && (
+            <Text numeric as="span" tone="subdued" textDecorationLine="line-through">
+              {formatMoney(item.originalTotalSet)}
+            </Text>
+          )}
+          <Text numeric fontWeight="bold" as="span">{formatMoney(item.discountedTotalSet)}</Text>
+        </BlockStack>
+      </InlineStack>
+    </Box>
+  ));
+
+  const summaryRows = [
+    { label: "Subtotal", amountSet: order.subtotalPriceSet },
+    {
+      label: order.discountCodes.length > 0 ? `Discounts (${order.discountCodes.join(", ")})` : "Discounts",
+      amountSet: order.totalDiscountsSet || zero,
+      negative: true,
+    },
+    ...order.shippingLines.map((line) => ({
+      label: `Shipping (${line.title})`,
+      amountSet: line.discountedPriceSet,
+    })),
+    ...order.taxLines.map((tax) => ({
+      label: `${tax.title} ${tax.ratePercentage}%`,
+      amountSet: tax.priceSet,
+    })),
+  ];
+
+  const fulfillmentsMarkup = order.fulfillments.length > 0 ? order.fulfillments.map((fulfillment) => (
+    <BlockStack key={fulfillment.id} gap="200">
+      <InlineStack align="space-between" blockAlign="center">
+        <InlineStack gap="200" blockAlign="center">
+          <Text variant="headingSm" as="h3">{fulfillment.name}</Text>
+          <Badge tone={FULFILLMENT_TONES[fulfillment.displayStatus] || "info"}>{formatStatus(fulfillment.displayStatus)}</Badge>
+        </InlineStack>
+        <Text variant="bodySm" tone="subdued" as="span">
+          {new Date(fulfillment.createdAt).toLocaleString()}
+        </Text>
+      </InlineStack>
+      {fulfillment.lineItems.map((item) => (
+        <Text key={item.id} variant="bodySm" as="p">{`${item.quantity} × ${item.title}`}</Text>
+      ))}
+      {fulfillment.trackingInfo.map((tracking) => (
+        <Text key={tracking.number || tracking.url} variant="bodySm" as="p">
+          {`${tracking.company || "Tracking"}: `}
+          {tracking.url ? (
+            <Link url={tracking.url} target="_blank">{tracking.number || "Track shipment"}</Link>
+          ) : (
+            tracking.number
+          )}
+        </Text>
+      ))}
+      {fulfillment.deliveredAt && (
+        <Text variant="bodySm" tone="success" as="p">
+          Delivered {new Date(fulfillment.deliveredAt).toLocaleDateString()}
+        </Text>
+      )}
+    </BlockStack>
+  )) : (
+    <Text as="p" tone="subdued">Nothing has been fulfilled yet</Text>
+  );
+
+  const refundsMarkup = order.refunds.length > 0 ? order.refunds.map((refund) => (
+    <BlockStack key={refund.id} gap="100">
+      <InlineStack align="space-between" blockAlign="center">
+        <Text fontWeight="bold" as="span">{formatMoney(refund.totalRefundedSet)}</Text>
+        <Text variant="bodySm" tone="subdued" as="span">{new Date(refund.createdAt).toLocaleString()}</Text>
+      </InlineStack>
+      {refund.lineItems.map((item) => (
+        <Text key={item.title} variant="bodySm" as="p">
+          {`${item.quantity} × ${item.title}${item.restocked ? " (restocked)" : ""}`}
+        </Text>
+      ))}
+      {refund.note && <Text variant="bodySm" tone="subdued" as="p">{refund.note}</Text>}
+    </BlockStack>
+  )) : (
+    <Text as="p" tone="subdued">No refunds</Text>
+  );
+
+  const timelineMarkup = order.events.length > 0 ? (
+    <BlockStack gap="300">
+      {order.events.map((event) => (
+        <Box key={event.id} paddingBlockEnd="300" borderBlockEndWidth="025" borderColor="border">
+          <InlineStack align="space-between" blockAlign="start" wrap={false} gap="400">
+            <Text as="p" tone={event.critical ? "critical" : undefined}>{event.message}</Text>
+            <Text variant="bodySm" as="span" tone="subdued">
+              {new Date(event.date).toLocaleString()}
+            </Text>
+          </InlineStack>
+        </Box>
+      ))}
+    </BlockStack>
+  ) : (
+    <EmptyState heading="No activity yet" image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png">
+      <p>Payments, fulfillments and other changes to this order will show up here.</p>
+    </EmptyState>
+  );
+
+  return (
+    <Page
+      title={order.name}
+      titleMetadata={(
+        <InlineStack gap="200">
+          <Badge tone={FINANCIAL_TONES[order.displayFinancialStatus] || "attention"}>
+            {formatStatus(order.displayFinancialStatus)}
+          </Badge>
+          <Badge tone={FULFILLMENT_TONES[order.displayFulfillmentStatus] || "attention"}>
+            {formatStatus(order.displayFulfillmentStatus)}
+          </Badge>
+          {order.cancelledAt && <Badge tone="critical">Cancelled</Badge>}
+        </InlineStack>
+      )}
+      subtitle={`Placed ${new Date(order.processedAt).toLocaleString()}`}
+      backAction={{ content: "Orders", url: "/app/order" }}
+      secondaryActions={[
+        { content: "View in admin", url: `shopify:admin/orders/${numericId(order.id)}` },
+      ]}
+    >
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            <Card>
+              <BlockStack gap="400">
+                <InlineStack align="space-between" blockAlign="center">
+                  <Text variant="headingMd" as="h2">{`Line items (${order.lineItems.length})`}</Text>
+                  {order.presentmentCurrencyCode !== order.currencyCode && (
+                    <Select
+                      label="Show amounts in"
+                      labelInline
+                      options={[
+                        { label: `Shop currency (${order.currencyCode})`, value: "shop" },
+                        { label: `Customer's currency (${order.presentmentCurrencyCode})`, value: "presentment" },
+                      ]}
+                      value={currency}
+                      onChange={setCurrency}
+                    />
+                  )}
+                </InlineStack>
+                <BlockStack gap="300">{lineItemsMarkup}</BlockStack>
+                <BlockStack gap="200">
+                  {summaryRows.map((row) => (
+                    <InlineStack key={row.label} align="space-between">
+                      <Text as="span" tone="subdued">{row.label}</Text>
+                      <Text numeric as="span">
+                        {row.negative && parseFloat(row.amountSet.shopMoney.amount) > 0 ? `-${formatMoney(row.amountSet)}` : formatMoney(row.amountSet)}
+                      </Text>
+                    </InlineStack>
+                  ))}
+                  <Divider />
+                  <InlineStack align="space-between">
+                    <Text fontWeight="bold" as="span">Total</Text>
+                    <Text numeric fontWeight="bold" as="span">{formatMoney(order.totalPriceSet)}</Text>
+                  </InlineStack>
+                  {parseFloat(order.totalRefundedSet.shopMoney.amount) > 0 && (
+                    <>
+                      <InlineStack align="space-between">
+                        <Text as="span" tone="subdued">Refunded</Text>
+                        <Text numeric as="span" tone="critical">{`-${formatMoney(order.totalRefundedSet)}`}</Text>
+                      </InlineStack>
+                      <InlineStack align="space-between">
+                        <Text fontWeight="bold" as="span">Net</Text>
+                        <Text numeric fontWeight="bold" as="span">{formatMoney(order.currentTotalPriceSet)}</Text>
+                      </InlineStack>
+                    </>
+                  )}
+                </BlockStack>
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">Fulfillments</Text>
+                {fulfillmentsMarkup}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">Refunds</Text>
+                {refundsMarkup}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="400">
+                <Text variant="headingMd" as="h2">Timeline</Text>
+                {timelineMarkup}
+              </BlockStack>
+            </Card>
+          </BlockStack>
+        </Layout.Section>
+
+        <Layout.Section variant="oneThird">
+          <BlockStack gap="400">
+            <Card>
+              <BlockStack gap="200">
+                <Text variant="headingMd" as="h2">Customer</Text>
+                {order.customer ? (
+                  <BlockStack gap="100">
+                    <Link removeUnderline url={`/app/customer/${numericId(order.customer.id)}`}>
+                      <Text fontWeight="bold" as="span">{order.customer.displayName}</Text>
+                    </Link>
+                    <Text as="p" tone="subdued">
+                      {`${order.customer.numberOfOrders} ${Number(order.customer.numberOfOrders) === 1 ? "order" : "orders"}`}
+                    </Text>
+                  </BlockStack>
+                ) : (
+                  <Text as="p" tone="subdued">No customer</Text>
+                )}
+                <Text as="p">{order.email || "No email"}</Text>
+                {order.phone && <Text as="p" tone="subdued">{order.phone}</Text>}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="200">
+                <Text variant="headingMd" as="h2">Fraud risk</Text>
+                {order.risk?.assessments.length > 0 ? order.risk.assessments.map((assessment, index) => (
+                  <BlockStack gap="100" key={`${assessment.provider?.title}-${index}`}>
+                    <InlineStack gap="200" blockAlign="center">
+                      <Badge tone={RISK_TONES[assessment.riskLevel]}>{formatStatus(assessment.riskLevel)}</Badge>
+                      <Text variant="bodySm" tone="subdued" as="span">{assessment.provider?.title || "Shopify"}</Text>
+                    </InlineStack>
+                    {assessment.facts.map((fact) => (
+                      <Text
+                        key={fact.description}
+                        variant="bodySm"
+                        as="p"
+                        tone={fact.sentiment === "NEGATIVE" ? "critical" : undefined}
+                      >
+                        {fact.description}
+                      </Text>
+                    ))}
+                  </BlockStack>
+                )) : (
+                  <Text as="p" tone="subdued">Not assessed</Text>
+                )}
+                {order.risk?.recommendation && order.risk.recommendation !== "NONE" && (
+                  <Text as="p">Recommendation: {formatStatus(order.risk.recommendation)}</Text>
+                )}
+                {review ? (
+                  <Text as="p" tone="subdued">
+                    {`${decisions.find((decision) => decision.value === review.decision)?.label || review.decision} by ${review.reviewerName} on ${new Date(review.reviewedAt).toLocaleDateString()}`}
+                  </Text>
+                ) : (
+                  <Link url="/app/order/review">Open review queue</Link>
+                )}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="200">
+                <Text variant="headingMd" as="h2">Shipping address</Text>
+                {order.shippingAddress ? order.shippingAddress.formatted.map((line) => (
+                  <Text as="p" key={line}>{line}</Text>
+                )) : (
+                  <Text as="p" tone="subdued">No shipping address</Text>
+                )}
+              </BlockStack>
+            </Card>
+
+            <Card>
+              <BlockStack gap="200">
+                <Text variant="headingMd" as="h2">Notes and tags</Text>
+                <Text as="p" tone={order.note ? undefined : "subdued"}>{order.note || "No notes"}</Text>
+                {order.tags.length > 0 && (
+                  <InlineStack gap="100">
+                    {order.tags.map((tag) => <Badge tone="info" key={tag}>{tag}</Badge>)}
+                  </InlineStack>
+                )}
+              </BlockStack>
+            </Card>
+
+            {order.cancelledAt && (
+              <Card>
+                <BlockStack gap="200">
+                  <Text variant="headingMd" as="h2">Cancellation</Text>
+                  <Text as="p">{new Date(order.cancelledAt).toLocaleString()}</Text>
+                  {order.cancelReason && (
+                    <Text as="p" tone="subdued">Reason: {formatStatus(order.cancelReason)}</Text>
+                  )}
+                </BlockStack>
+              </Card>
+            )}
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
@@ -0,0 +1,274 @@
+import { useCallback, useEffect } from "react";
+import { useFetcher, useLoaderData, useNavigation, useSearchParams } from "react-router";
+import {
+  Page,
+  Card,
+  IndexTable,
+  Text,
+  Badge,
+  Banner,
+  BlockStack,
+  Tabs,
+  Link,
+  List,
+  EmptyState,
+  useIndexResourceState,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { parseBatchItems } from "../batch.server";
+import { isMirrorReady } from "../models/mirror.server";
+import { getOrderStats, listOrders, parseOrderFilters } from "../models/order.server";
+import { REVIEW_DECISIONS, reopenOrders, reviewOrders } from "../models/order-risk.server";
+import { useMoneyFormat } from "../hooks/useMoneyFormat";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const { searchParams } = new URL(request.url);
+  const parsed = parseOrderFilters(searchParams);
+  const filters = { ...parsed, review: parsed.review || "pending" };
+
+  const [page, stats, synced] = await Promise.all([
+    listOrders({
+      shop: session.shop,
+      filters,
+      after: searchParams.get("after"),
+      before: searchParams.get("before"),
+    }),
+    getOrderStats(session.shop),
+    isMirrorReady(session.shop),
+  ]);
+
+  return { ...page, review: filters.review, awaitingReview: stats.awaitingReview, synced, decisions: REVIEW_DECISIONS };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session, sessionToken } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+  const ids = parseBatchItems(formData);
+  if (!ids) {
+    return { error: "The selected items couldn't be read. Reload the page and try again." };
+  }
+
+  if (intent === "reviewOrders") {
+    const decision = formData.get("decision");
+    if (!REVIEW_DECISIONS.some((option) => option.value === decision)) {
+      return { error: "Choose a review decision" };
+    }
+    if (!sessionToken?.sub) {
+      return { error: "Reviews must be made by a signed-in staff member" };
+    }
+    return {
+      results: await reviewOrders(admin, session.shop, { ids, decision, reviewerId: sessionToken.sub }),
+    };
+  }
+
+  if (intent === "reopenOrders") {
+    return { results: await reopenOrders(session.shop, ids) };
+  }
+
+  throw new Response(`Unknown intent: ${intent}`, { status: 400 });
+};
+
+const TABS = [
+  { id: "pending", content: "Needs review" },
+  { id: "decided", content: "Reviewed" },
+];
+
+const RISK_TONES = { HIGH: "critical", MEDIUM: "warning", LOW: "success" };
+
+const RECOMMENDATIONS = {
+  CANCEL: "Cancel",
+  INVESTIGATE: "Investigate",
+  ACCEPT: "Fulfill",
+  NONE: "None",
+};
+
+export default function OrderReview() {
+  const { orders, pageInfo, review, awaitingReview, synced, decisions } = useLoaderData();
+  const [, setSearchParams] = useSearchParams();
+  const navigation = useNavigation();
+  const fetcher = useFetcher();
+  const formatMoney = useMoneyFormat();
+
+  const { selectedResources, allResourcesSelected, handleSelectionChange, clearSelection } =
+    useIndexResourceState(orders);
+
+  const submitting = fetcher.state !== "idle";
+  const failures = fetcher.state === "idle"
+    ? fetcher.data?.results?.filter((result) => !result.ok) || []
+    : [];
+  const requestError = fetcher.state === "idle" ? fetcher.data?.error : null;
+
+  // Reviewed orders leave the current tab, so the selection is cleared once
+  // the decision is saved.
+  useEffect(() => {
+    if (fetcher.state === "idle" && fetcher.data?.results) clearSelection();
+  }, [fetcher.state, fetcher.data, clearSelection]);
+
+  const handleTabChange = useCallback((index) => {
+    setSearchParams({ review: TABS[index].id });
+  }, [setSearchParams]);
+
+  const submitDecision = useCallback((fields) => {
+    fetcher.submit(
+      { ...fields, items: JSON.stringify(selectedResources) },
+      { method: "post" },
+    );
+  }, [fetcher, selectedResources]);
+
+  const handleNextPage = useCallback(() => {
+    setSearchParams((previous) => {
+      const next = new URLSearchParams(previous);
+      next.delete("before");
+      next.set("after", pageInfo.endCursor);
+      return next;
+    });
+  }, [pageInfo.endCursor, setSearchParams]);
+
+  const handlePreviousPage = useCallback(() => {
+    setSearchParams((previous) => {
+      const next = new URLSearchParams(previous);
+      next.delete("after");
+      next.set("before", pageInfo.startCursor);
+      return next;
+    });
+  }, [pageInfo.startCursor, setSearchParams]);
+
+  const decisionLabel = (value) => decisions.find((decision) => decision.value === value)?.label || value;
+
+  const promotedBulkActions = review === "pending"
+    ? decisions.map((decision) => ({
+      content: `Mark as ${decision.label.toLowerCase()}`,
+      onAction: () => submitDecision({ intent: "reviewOrders", decision: decision.value }),
+      disabled: submitting,
+    }))
+    : [{
+      content: "Return to queue",
+      onAction: () => submitDecision({ intent: "reopenOrders" }),
+      disabled: submitting,
+    }];
+
+  const rowMarkup = orders.map((order, index) => (
+    <IndexTable.Row
+      id={order.id}
+      key={order.id}
+      selected={selectedResources.includes(order.id)}
+      position={index}
+    >
+      <IndexTable.Cell>
+        <Link removeUnderline url={`/app/order/${order.id.split("/").pop()}`}>
+          <Text variant="bodyMd" fontWeight="bold" as="span">{order.name}</Text>
+        </Link>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{new Date(order.processedAt).toDateString()}</IndexTable.Cell>
+      <IndexTable.Cell>{order.customerName || "No Customer"}</IndexTable.Cell>
+      <IndexTable.Cell>
+        <Text numeric>{formatMoney(order.totalPrice, order.currencyCode)}</Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Badge tone={RISK_TONES[order.riskLevel]}>{order.riskLevel || "Not assessed"}</Badge>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {RECOMMENDATIONS[order.riskRecommendation] || "None"}
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        {order.review ? (
+          <BlockStack gap="050">
+            <Badge tone={order.review.decision === "approved" ? "success" : "info"}>
+              {decisionLabel(order.review.decision)}
+            </Badge>
+            <Text variant="bodySm" tone="subdued" as="span">
+              {`${order.review.reviewerName}, ${new Date(order.review.reviewedAt).toLocaleDateString()}`}
+            </Text>
+          </BlockStack>
+        ) : (
+          <Badge tone="attention">Needs review</Badge>
+        )}
+      </IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  const emptyStateMarkup = (
+    <EmptyState
+      heading={review === "pending" ? "No orders need review" : "No orders reviewed yet"}
+      image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+    >
+      <p>
+        {review === "pending"
+          ? "Orders that Shopify rates as medium or high risk, or recommends investigating or cancelling, appear here."
+          : "Orders you mark as reviewed or approved appear here with the decision and who made it."}
+      </p>
+    </EmptyState>
+  );
+
+  return (
+    <Page
+      title="Risk Review Queue"
+      subtitle={`${awaitingReview} flagged ${awaitingReview === 1 ? "order" : "orders"} waiting for a decision`}
+      backAction={{ content: "Orders", url: "/app/order" }}
+      fullWidth
+    >
+      <BlockStack gap="500">
+        {!synced && (
+          <Banner
+            title="Order data is still being synced"
+            tone="warning"
+            action={{ content: "View sync status", url: "/app" }}
+          >
+            <p>Flagged orders appear here once the initial import from your store has finished.</p>
+          </Banner>
+        )}
+        {requestError && (
+          <Banner tone="critical" title="Orders could not be updated">
+            <p>{requestError}</p>
+          </Banner>
+        )}
+        {failures.length > 0 && (
+          <Banner tone="critical" title={`${failures.length} orders could not be updated`}>
+            <List type="bullet">
+              {failures.map((failure) => (
+                <List.Item key={failure.id}>
+                  {orders.find((order) => order.id === failure.id)?.name || failure.id}: {failure.error}
+                </List.Item>
+              ))}
+            </List>
+          </Banner>
+        )}
+        <Card padding="0">
+          <Tabs
+            tabs={TABS}
+            selected={Math.max(TABS.findIndex((tab) => tab.id === review), 0)}
+            onSelect={handleTabChange}
+          />
+          <IndexTable
+            resourceName={{ singular: "order", plural: "orders" }}
+            itemCount={orders.length}
+            selectedItemsCount={allResourcesSelected ? "All" : selectedResources.length}
+            onSelectionChange={handleSelectionChange}
+            promotedBulkActions={promotedBulkActions}
+            headings={[
+              { title: "Order" },
+              { title: "Date" },
+              { title: "Customer" },
+              { title: "Total" },
+              { title: "Risk" },
+              { title: "Recommendation" },
+              { title: "Review" },
+            ]}
+            emptyState={emptyStateMarkup}
+            loading={navigation.state === "loading" || submitting}
+            pagination={{
+              hasNext: pageInfo.hasNextPage,
+              hasPrevious: pageInfo.hasPreviousPage,
+              onNext: handleNextPage,
+              onPrevious: handlePreviousPage,
+            }}
+          >
+            {rowMarkup}
+          </IndexTable>
+        </Card>
+      </BlockStack>
+    </Page>
+  );
+}
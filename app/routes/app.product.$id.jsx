@@ -0,0 +1,39 @@
+import { authenticate } from "../shopify.server";
+import { fetchProductDetail, toProductGid } from "../models/product.server";
+import {
+  getProductThreshold,
+  parseStockThreshold,
+  saveProductThreshold,
+} from "../models/stock-alert.server";
+
+// Variant and inventory detail for the product modal, loaded when it opens.
+// A deleted product comes back as null so the modal can say so.
+export const loader = async ({ request, params }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const productId = toProductGid(params.id);
+
+  const [product, stockThreshold] = await Promise.all([
+    fetchProductDetail(admin, productId),
+    getProductThreshold(session.shop, productId),
+  ]);
+
+  return { product, stockThreshold };
+};
+
+export const action = async ({ request, params }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "saveThreshold") {
+    const { threshold, error } = parseStockThreshold(formData.get("threshold"));
+    if (error) {
+      return { error };
+    }
+
+    await saveProductThreshold(session.shop, toProductGid(params.id), threshold);
+    return { ok: true };
+  }
+
+  throw new Response(`Unknown intent: ${intent}`, { status: 400 });
+};
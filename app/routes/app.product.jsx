@@ -1,11 +1,11 @@
-import { useState, useCallback } from "react";
-import { Image } from "@shopify/polaris";
-import { useLoaderData } from "react-router";
+import { useState, useCallback, useEffect, useMemo } from "react";
+import { useFetcher, useLoaderData, useNavigation, useSearchParams } from "react-router";
 import {
     Page,
     Layout,
     Card,
     Button,
+    ButtonGroup,
     Text,
     BlockStack,
     InlineStack,
@@ -13,175 +13,963 @@ import {
     Thumbnail,
     Box,
     Modal,
-    Scrollable,
+    Image,
+    IndexTable,
+    IndexFilters,
+    useSetIndexFiltersMode,
+    useIndexResourceState,
+    ChoiceList,
+    EmptyState,
+    Pagination,
+    DataTable,
+    Spinner,
+    Banner,
+    TextField,
+    Select,
+    FormLayout,
+    ProgressBar,
+    List,
 } from "@shopify/polaris";
-import { ImageIcon } from "@shopify/polaris-icons";
+import { ImageIcon, LayoutColumns3Icon, ListBulletedIcon } from "@shopify/polaris-icons";
 import { authenticate } from "../shopify.server";
+import { parseBatchItems } from "../batch.server";
+import {
+    MAX_PRICE_SORTED_PRODUCTS,
+    PRODUCT_STATUSES,
+    getProductFilterOptions,
+    listProducts,
+    parseProductFilters,
+} from "../models/product.server";
+import { getShopSettings } from "../models/settings.server";
+import { getStockThresholds } from "../models/stock-alert.server";
+import {
+    applyProductEdit,
+    parseProductEdit,
+    previewProductEdit,
+} from "../models/product-edit.server";
+import { useBatchSubmit } from "../hooks/useBatchSubmit";
+import { useMoneyFormat } from "../hooks/useMoneyFormat";
 
 export const loader = async ({ request }) => {
-    const { admin } = await authenticate.admin(request);
-    const response = await admin.graphql(
-        `#graphql
-    query GetProducts {
-      products(first: 12) {
-        edges {
-          node {
-            id
-            title
-            status
-            vendor
-            descriptionHtml
-            totalInventory
-            images(first: 1) {
-              edges {
-                node {
-                  url
-                  altText
-                }
-              }
-            }
-            variants(first: 1) {
-              edges {
-                node {
-                  sku
-                  price
-                }
-              }
-            }
-          }
+    const { admin, session } = await authenticate.admin(request);
+    const { searchParams } = new URL(request.url);
+    const filters = parseProductFilters(searchParams);
+    const { lowStockThreshold } = await getShopSettings(session.shop);
+
+    const [page, options] = await Promise.all([
+        listProducts(admin, {
+            filters,
+            after: searchParams.get("after"),
+            before: searchParams.get("before"),
+            lowStockUnits: lowStockThreshold,
+        }),
+        getProductFilterOptions(admin),
+    ]);
+
+    return {
+        ...page,
+        filters,
+        options: { ...options, statuses: PRODUCT_STATUSES },
+        priceSortLimit: MAX_PRICE_SORTED_PRODUCTS,
+        lowStockUnits: lowStockThreshold,
+        thresholds: await getStockThresholds(session.shop, page.products.map((product) => product.id)),
+    };
+};
+
+export const action = async ({ request }) => {
+    const { admin, session } = await authenticate.admin(request);
+    const formData = await request.formData();
+    const intent = formData.get("intent");
+
+    if (intent === "previewEdit") {
+        const { edit, errors } = parseProductEdit(formData);
+        if (errors) {
+            return { errors };
         }
-      }
+        const ids = parseBatchItems(formData);
+        if (!ids || !ids.every((id) => typeof id === "string")) {
+            return { error: "The selected products couldn't be read. Reload the page and try again." };
+        }
+        return { preview: await previewProductEdit(admin, ids, edit) };
     }
-  `
-    );
 
-    const parsedResponse = await response.json();
-    return parsedResponse.data.products.edges;
+    if (intent === "applyEdit") {
+        const items = parseBatchItems(formData);
+        if (!items) {
+            return { error: "The selected items couldn't be read. Reload the page and try again." };
+        }
+        const { edit, errors } = parseProductEdit(formData);
+        if (errors) {
+            const error = Object.values(errors).join(", ");
+            return { results: items.map((item) => ({ id: item.id, ok: false, error })) };
+        }
+        return {
+            results: await applyProductEdit(admin, session.shop, formData.get("batchId"), edit, items),
+        };
+    }
+
+    throw new Response(`Unknown intent: ${intent}`, { status: 400 });
 };
 
+const EMPTY_EDIT = {
+    priceMode: "",
+    priceValue: "",
+    status: "",
+    vendor: "",
+    addTags: "",
+    removeTags: "",
+};
+
+const SORT_OPTIONS = [
+    { label: 'Title', value: 'title asc', directionLabel: 'A-Z' },
+    { label: 'Title', value: 'title desc', directionLabel: 'Z-A' },
+    { label: 'Price', value: 'price asc', directionLabel: 'Low to High' },
+    { label: 'Price', value: 'price desc', directionLabel: 'High to Low' },
+    { label: 'Inventory', value: 'inventory asc', directionLabel: 'Low to High' },
+    { label: 'Inventory', value: 'inventory desc', directionLabel: 'High to Low' },
+    { label: 'Updated', value: 'updated desc', directionLabel: 'Newest first' },
+    { label: 'Updated', value: 'updated asc', directionLabel: 'Oldest first' },
+];
+
+const STATUS_TONES = {
+    ACTIVE: 'success',
+    DRAFT: 'info',
+    ARCHIVED: undefined,
+};
+
+function formatPriceRange({ minVariantPrice, maxVariantPrice }, formatMoney) {
+    const min = formatMoney(minVariantPrice.amount, minVariantPrice.currencyCode);
+    const max = formatMoney(maxVariantPrice.amount, maxVariantPrice.currencyCode);
+    return min === max ? min : `${min} – ${max}`;
+}
+
+function inventoryTone(product, threshold) {
+    if (!product.tracksInventory) return undefined;
+    if (product.totalInventory <= 0) return 'critical';
+    if (product.totalInventory <= threshold) return 'caution';
+    return undefined;
+}
+
 export default function Product() {
-    const products = useLoaderData();
+    const {
+        products,
+        pageInfo,
+        filteredCount,
+        sort,
+        priceSortable,
+        priceSortLimit,
+        filters: appliedParams,
+        options,
+        lowStockUnits,
+        thresholds,
+    } = useLoaderData();
+    const [searchParams, setSearchParams] = useSearchParams();
+    const navigation = useNavigation();
+    const formatMoney = useMoneyFormat();
+    const detailFetcher = useFetcher();
+    const thresholdFetcher = useFetcher();
+    const [thresholdValue, setThresholdValue] = useState(null);
     const [selectedProduct, setSelectedProduct] = useState(null);
     const [active, setActive] = useState(false);
 
+    const layout = searchParams.get("layout") === "grid" ? "grid" : "table";
+
+    // Filter State
+    const { mode, setMode } = useSetIndexFiltersMode();
+    const [queryValue, setQueryValue] = useState(appliedParams.query);
+    const [statusFilter, setStatusFilter] = useState(appliedParams.status);
+    const [vendorFilter, setVendorFilter] = useState(appliedParams.vendor);
+    const [typeFilter, setTypeFilter] = useState(appliedParams.productType);
+    const [inventoryFilter, setInventoryFilter] = useState(appliedParams.inventory);
+
+    const handleClearAll = useCallback(() => {
+        setQueryValue("");
+        setStatusFilter([]);
+        setVendorFilter("");
+        setTypeFilter("");
+        setInventoryFilter("");
+    }, []);
+
+    // Any change to the filters or sort starts again from the first page.
+    const updateSearchParams = useCallback((changes) => {
+        setSearchParams((previous) => {
+            const next = new URLSearchParams(previous);
+            Object.entries(changes).forEach(([key, value]) => {
+                if (value) next.set(key, value);
+                else next.delete(key);
+            });
+            next.delete("after");
+            next.delete("before");
+            return next;
+        }, { replace: true });
+    }, [setSearchParams]);
+
+    // Push filters to the URL once typing settles, so every keystroke doesn't
+    // trigger a loader request.
+    useEffect(() => {
+        const changes = {
+            query: queryValue.trim(),
+            status: statusFilter.join(","),
+            vendor: vendorFilter,
+            productType: typeFilter,
+            inventory: inventoryFilter,
+        };
+        const unchanged = Object.entries(changes).every(
+            ([key, value]) => (searchParams.get(key) || "") === value,
+        );
+        if (unchanged) return;
+
+        const timeout = setTimeout(() => updateSearchParams(changes), 300);
+        return () => clearTimeout(timeout);
+    }, [queryValue, statusFilter, vendorFilter, typeFilter, inventoryFilter, searchParams, updateSearchParams]);
+
+    const handleSortChange = useCallback((value) => updateSearchParams({ sort: value[0] }), [updateSearchParams]);
+
+    const handleLayoutChange = useCallback((value) => {
+        setSearchParams((previous) => {
+            const next = new URLSearchParams(previous);
+            if (value === "grid") next.set("layout", "grid");
+            else next.delete("layout");
+            return next;
+        }, { replace: true });
+    }, [setSearchParams]);
+
+    const handleNextPage = useCallback(() => {
+        setSearchParams((previous) => {
+            const next = new URLSearchParams(previous);
+            next.delete("before");
+            next.set("after", pageInfo.endCursor);
+            return next;
+        });
+    }, [pageInfo.endCursor, setSearchParams]);
+
+    const handlePreviousPage = useCallback(() => {
+        setSearchParams((previous) => {
+            const next = new URLSearchParams(previous);
+            next.delete("after");
+            next.set("before", pageInfo.startCursor);
+            return next;
+        });
+    }, [pageInfo.startCursor, setSearchParams]);
+
     const handleOpenModal = useCallback((product) => {
         setSelectedProduct(product);
         setActive(true);
-    }, []);
+        setThresholdValue(null);
+        detailFetcher.load(`/app/product/${product.id.split('/').pop()}`);
+    }, [detailFetcher]);
 
     const handleCloseModal = useCallback(() => {
         setActive(false);
         setSelectedProduct(null);
     }, []);
 
+    // Bulk editing: fill in the changes, preview them, then apply them in
+    // batches. Applied edits are logged so they can be undone from the edit
+    // history.
+    const { selectedResources, allResourcesSelected, handleSelectionChange, clearSelection } =
+        useIndexResourceState(products);
+    const previewFetcher = useFetcher();
+    const editBatch = useBatchSubmit({ chunkSize: 5 });
+    const [editOpen, setEditOpen] = useState(false);
+    const [editValues, setEditValues] = useState(EMPTY_EDIT);
+    const [previewRequested, setPreviewRequested] = useState(false);
+
+    const editPreview = previewRequested && previewFetcher.state === "idle" ? previewFetcher.data?.preview : undefined;
+    const editErrors = (previewRequested && previewFetcher.data?.errors) || {};
+    const previewError = previewRequested && previewFetcher.state === "idle" ? previewFetcher.data?.error : null;
+    const editableProducts = useMemo(
+        () => editPreview?.products.filter((product) => !product.error && product.changes.length > 0) || [],
+        [editPreview],
+    );
+
+    const openEditModal = useCallback(() => {
+        editBatch.reset();
+        setEditValues(EMPTY_EDIT);
+        setPreviewRequested(false);
+        setEditOpen(true);
+    }, [editBatch]);
+
+    const closeEditModal = useCallback(() => {
+        if (editBatch.done) clearSelection();
+        editBatch.reset();
+        setEditOpen(false);
+    }, [editBatch, clearSelection]);
+
+    const handleEditChange = useCallback((key) => (value) => {
+        setEditValues((current) => ({ ...current, [key]: value }));
+    }, []);
+
+    const handlePreviewEdit = useCallback(() => {
+        setPreviewRequested(true);
+        previewFetcher.submit(
+            { ...editValues, intent: "previewEdit", items: JSON.stringify(selectedResources) },
+            { method: "post" },
+        );
+    }, [previewFetcher, editValues, selectedResources]);
+
+    const handleBackToEdit = useCallback(() => setPreviewRequested(false), []);
+
+    const handleApplyEdit = useCallback(() => {
+        editBatch.start(
+            editableProducts.map(({ id, before }) => ({ id, before })),
+            { ...editValues, intent: "applyEdit", batchId: editPreview.batchId },
+        );
+    }, [editBatch, editableProducts, editPreview, editValues]);
+
+    const editFailures = editBatch.results.filter((result) => !result.ok);
+    const productTitles = new Map(products.map((product) => [product.id, product.title]));
+
+    const promotedBulkActions = [
+        { content: "Edit products", onAction: openEditModal },
+    ];
+
+    const filters = [
+        {
+            key: "status",
+            label: "Status",
+            filter: (
+                <ChoiceList
+                    title="Status"
+                    titleHidden
+                    choices={options.statuses.map((status) => ({
+                        label: status.charAt(0) + status.slice(1).toLowerCase(),
+                        value: status,
+                    }))}
+                    selected={statusFilter}
+                    onChange={setStatusFilter}
+                    allowMultiple
+                />
+            ),
+            shortcut: true,
+        },
+        {
+            key: "vendor",
+            label: "Vendor",
+            filter: (
+                <ChoiceList
+                    title="Vendor"
+                    titleHidden
+                    choices={options.vendors.map((vendor) => ({ label: vendor, value: vendor }))}
+                    selected={vendorFilter ? [vendorFilter] : []}
+                    onChange={(value) => setVendorFilter(value[0] || "")}
+                />
+            ),
+            shortcut: true,
+        },
+        {
+            key: "productType",
+            label: "Product type",
+            filter: (
+                <ChoiceList
+                    title="Product type"
+                    titleHidden
+                    choices={options.productTypes.map((type) => ({ label: type, value: type }))}
+                    selected={typeFilter ? [typeFilter] : []}
+                    onChange={(value) => setTypeFilter(value[0] || "")}
+                />
+            ),
+        },
+        {
+            key: "inventory",
+            label: "Inventory",
+            filter: (
+                <ChoiceList
+                    title="Inventory"
+                    titleHidden
+                    choices={[
+                        { label: "Out of stock", value: "out" },
+                        { label: `Low stock (1-${lowStockUnits})`, value: "low" },
+                        { label: `In stock (over ${lowStockUnits})`, value: "in" },
+                    ]}
+                    selected={inventoryFilter ? [inventoryFilter] : []}
+                    onChange={(value) => setInventoryFilter(value[0] || "")}
+                />
+            ),
+        },
+    ];
+
+    const inventoryLabels = { out: "Out of stock", low: "Low stock", in: "In stock" };
+
+    const appliedFilters = [];
+    if (statusFilter.length > 0) {
+        appliedFilters.push({
+            key: "status",
+            label: `Status: ${statusFilter.map((status) => status.toLowerCase()).join(", ")}`,
+            onRemove: () => setStatusFilter([]),
+        });
+    }
+    if (vendorFilter) {
+        appliedFilters.push({
+            key: "vendor",
+            label: `Vendor: ${vendorFilter}`,
+            onRemove: () => setVendorFilter(""),
+        });
+    }
+    if (typeFilter) {
+        appliedFilters.push({
+            key: "productType",
+            label: `Type: ${typeFilter}`,
+            onRemove: () => setTypeFilter(""),
+        });
+    }
+    if (inventoryFilter) {
+        appliedFilters.push({
+            key: "inventory",
+            label: inventoryLabels[inventoryFilter],
+            onRemove: () => setInventoryFilter(""),
+        });
+    }
+
+    const resourceName = {
+        singular: 'product',
+        plural: 'products',
+    };
+
+    const rowMarkup = products.map((product, index) => (
+        <IndexTable.Row
+            id={product.id}
+            key={product.id}
+            position={index}
+            selected={selectedResources.includes(product.id)}
+            onClick={() => handleOpenModal(product)}
+        >
+            <IndexTable.Cell>
+                <InlineStack gap="300" blockAlign="center" wrap={false}>
+                    <Thumbnail
+                        source={product.image?.url || ImageIcon}
+                        alt={product.image?.altText || product.title}
+                        size="small"
+                    />
+                    <Text variant="bodyMd" fontWeight="bold" as="span">{product.title}</Text>
+                </InlineStack>
+            </IndexTable.Cell>
+            <IndexTable.Cell>
+                <Badge tone={STATUS_TONES[product.status]}>{product.status}</Badge>
+            </IndexTable.Cell>
+            <IndexTable.Cell>
+                {product.tracksInventory ? (
+                    <Text as="span" tone={inventoryTone(product, thresholds[product.id] ?? lowStockUnits)}>
+                        {`${product.totalInventory} in stock`}
+                        {product.variantsCount > 1 && ` for ${product.variantsCount} variants`}
+                    </Text>
+                ) : (
+                    <Text as="span" tone="subdued">Not tracked</Text>
+                )}
+            </IndexTable.Cell>
+            <IndexTable.Cell>{product.productType || '-'}</IndexTable.Cell>
+            <IndexTable.Cell>{product.vendor || '-'}</IndexTable.Cell>
+            <IndexTable.Cell>
+                <Text as="span" alignment="end" numeric>{formatPriceRange(product.priceRangeV2, formatMoney)}</Text>
+            </IndexTable.Cell>
+            <IndexTable.Cell>{new Date(product.updatedAt).toLocaleDateString()}</IndexTable.Cell>
+        </IndexTable.Row>
+    ));
+
+    const gridMarkup = (
+        <Layout>
+            {products.map((product) => (
+                <Layout.Section key={product.id} variant="oneThird">
+                    <Card>
+                        <BlockStack gap="400">
+                            <Box background="bg-surface-secondary" padding="400" borderRadius="200">
+                                <InlineStack align="center" blockAlign="center">
+                                    <Thumbnail
+                                        source={product.image?.url || ImageIcon}
+                                        alt={product.image?.altText || product.title}
+                                        size="large"
+                                    />
+                                </InlineStack>
+                            </Box>
+
+                            <BlockStack gap="200">
+                                <InlineStack align="space-between">
+                                    <Text variant="headingMd" as="h6">
+                                        {product.title}
+                                    </Text>
+                                </InlineStack>
+                                <InlineStack align="space-between">
+                                    <Badge tone={STATUS_TONES[product.status]}>
+                                        {product.status}
+                                    </Badge>
+
+                                    <Text variant="bodySm" tone="subdued">
+                                        {product.vendor}
+                                    </Text>
+                                </InlineStack>
+
+                                <InlineStack align="space-between">
+                                    <Text variant="bodyMd" fontWeight="bold">
+                                        SKU: {product.firstVariant?.sku || "N/A"}
+                                    </Text>
+                                    <Text variant="headingMd" as="h4">
+                                        {formatPriceRange(product.priceRangeV2, formatMoney)}
+                                    </Text>
+                                </InlineStack>
+                                <InlineStack align="space-between">
+                                    <Text variant="bodyMd" fontWeight="bold" tone={inventoryTone(product, thresholds[product.id] ?? lowStockUnits)}>
+                                        Inventory: {product.tracksInventory ? product.totalInventory : "Not tracked"}
+                                    </Text>
+                                </InlineStack>
+                            </BlockStack>
+
+                            <Button fullWidth variant="primary" onClick={() => handleOpenModal(product)}>
+                                View Details
+                            </Button>
+                        </BlockStack>
+                    </Card>
+                </Layout.Section>
+            ))}
+        </Layout>
+    );
+
+    const emptyStateMarkup = (
+        <EmptyState
+            heading="No products found"
+            action={{ content: 'Clear all filters', onAction: handleClearAll }}
+            image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+        >
+            <p>Try changing the filters or search term to find what you&apos;re looking for.</p>
+        </EmptyState>
+    );
+
+    // Ignore a detail response left over from the previously opened product.
+    const detail = detailFetcher.data?.product?.id === selectedProduct?.id ? detailFetcher.data.product : null;
+    const detailMissing = detailFetcher.state === "idle" && detailFetcher.data && detailFetcher.data.product === null;
+    const currencyCode = selectedProduct?.priceRangeV2.minVariantPrice.currencyCode;
+
+    const formatVariantPrice = (amount) => (amount ? formatMoney(amount, currencyCode) : '-');
+
+    const variantLabel = (variant) => (
+        <BlockStack gap="050">
+            <Text as="span" fontWeight="semibold">{variant.title}</Text>
+            {variant.selectedOptions.length > 1 && (
+                <Text as="span" variant="bodySm" tone="subdued">
+                    {variant.selectedOptions.map((option) => `${option.name}: ${option.value}`).join(' · ')}
+                </Text>
+            )}
+        </BlockStack>
+    );
+
+    const variantsMarkup = detail && (
+        <BlockStack gap="200">
+            <Text variant="headingMd" as="h3">
+                {`Variants (${detail.variants.length})`}
+            </Text>
+            <DataTable
+                columnContentTypes={["text", "text", "numeric", "numeric", "numeric"]}
+                headings={["Variant", "SKU", "Price", "Compare at", "Available"]}
+                rows={detail.variants.map((variant) => [
+                    variantLabel(variant),
+                    variant.sku || '-',
+                    formatVariantPrice(variant.price),
+                    variant.compareAtPrice ? (
+                        <Text as="span" tone="subdued" textDecorationLine="line-through">
+                            {formatVariantPrice(variant.compareAtPrice)}
+                        </Text>
+                    ) : '-',
+                    variant.tracked
+                        ? variant.inventoryLevels.reduce((sum, level) => sum + (level.available ?? 0), 0)
+                        : 'Not tracked',
+                ])}
+            />
+        </BlockStack>
+    );
+
+    const inventoryRows = detail
+        ? detail.variants
+            .filter((variant) => variant.tracked)
+            .flatMap((variant) => variant.inventoryLevels.map((level) => [
+                variant.title,
+                level.location,
+                level.available ?? 0,
+                level.committed ?? 0,
+                level.on_hand ?? 0,
+            ]))
+        : [];
+
+    const inventoryMarkup = inventoryRows.length > 0 && (
+        <BlockStack gap="200">
+            <Text variant="headingMd" as="h3">Inventory by location</Text>
+            <DataTable
+                columnContentTypes={["text", "text", "numeric", "numeric", "numeric"]}
+                headings={["Variant", "Location", "Available", "Committed", "On hand"]}
+                rows={inventoryRows}
+            />
+        </BlockStack>
+    );
+
+    const stockThreshold = detail ? detailFetcher.data.stockThreshold : null;
+
+    const handleSaveThreshold = useCallback(() => {
+        thresholdFetcher.submit(
+            { intent: "saveThreshold", threshold: thresholdValue ?? "" },
+            { method: "post", action: `/app/product/${selectedProduct.id.split('/').pop()}` },
+        );
+    }, [thresholdFetcher, thresholdValue, selectedProduct]);
+
+    const thresholdMarkup = stockThreshold && (
+        <BlockStack gap="200">
+            <Text variant="headingMd" as="h3">Reorder threshold</Text>
+            <InlineStack gap="200" blockAlign="end" wrap={false}>
+                <Box minWidth="240px">
+                    <TextField
+                        label="Alert when a variant has this many units or fewer"
+                        type="number"
+                        min={0}
+                        value={thresholdValue ?? (stockThreshold.custom ? String(stockThreshold.threshold) : "")}
+                        placeholder={`Shop default (${lowStockUnits})`}
+                        onChange={setThresholdValue}
+                        error={thresholdFetcher.data?.error}
+                        autoComplete="off"
+                    />
+                </Box>
+                <Button
+                    onClick={handleSaveThreshold}
+                    loading={thresholdFetcher.state !== "idle"}
+                    disabled={thresholdValue === null}
+                >
+                    Save
+                </Button>
+            </InlineStack>
+            <Text as="p" variant="bodySm" tone="subdued">
+                Leave empty to use the shop default from Settings.
+            </Text>
+        </BlockStack>
+    );
+
+    const descriptionMarkup = detail && (
+        <BlockStack gap="200">
+            <Text variant="headingMd" as="h3">Description</Text>
+            {detail.descriptionHtml ? (
+                // Sanitized on the server by fetchProductDetail.
+                <div style={{ overflowX: "auto" }} dangerouslySetInnerHTML={{ __html: detail.descriptionHtml }} />
+            ) : (
+                <Text as="p" tone="subdued">No description available.</Text>
+            )}
+        </BlockStack>
+    );
+
+    const editFormMarkup = (
+        <BlockStack gap="400">
+            {editErrors.form && <Banner tone="warning" title={editErrors.form} />}
+            {previewError && <Banner tone="critical" title={previewError} />}
+            <Text as="p" tone="subdued">
+                {`Changes apply to ${selectedResources.length} selected ${selectedResources.length === 1 ? 'product' : 'products'}. Leave a field blank to keep it as it is.`}
+            </Text>
+            <FormLayout>
+                <FormLayout.Group>
+                    <Select
+                        label="Price"
+                        options={[
+                            { label: "Don't change", value: "" },
+                            { label: "Set to", value: "set" },
+                            { label: "Adjust by percentage", value: "adjust" },
+                        ]}
+                        value={editValues.priceMode}
+                        onChange={handleEditChange("priceMode")}
+                        error={editErrors.priceMode}
+                    />
+                    <TextField
+                        label={editValues.priceMode === "adjust" ? "Percentage" : "New price"}
+                        type="number"
+                        step={editValues.priceMode === "adjust" ? 1 : 0.01}
+                        suffix={editValues.priceMode === "adjust" ? "%" : undefined}
+                        helpText={editValues.priceMode === "adjust" ? "Use a negative number to lower prices" : "Applies to every variant"}
+                        value={editValues.priceValue}
+                        onChange={handleEditChange("priceValue")}
+                        error={editErrors.priceValue}
+                        disabled={!editValues.priceMode}
+                        autoComplete="off"
+                    />
+                </FormLayout.Group>
+                <FormLayout.Group>
+                    <Select
+                        label="Status"
+                        options={[
+                            { label: "Don't change", value: "" },
+                            ...options.statuses.map((status) => ({
+                                label: status.charAt(0) + status.slice(1).toLowerCase(),
+                                value: status,
+                            })),
+                        ]}
+                        value={editValues.status}
+                        onChange={handleEditChange("status")}
+                        error={editErrors.status}
+                    />
+                    <TextField
+                        label="Vendor"
+                        value={editValues.vendor}
+                        onChange={handleEditChange("vendor")}
+                        autoComplete="off"
+                    />
+                </FormLayout.Group>
+                <FormLayout.Group>
+                    <TextField
+                        label="Add tags"
+                        helpText="Separate multiple tags with commas"
+                        value={editValues.addTags}
+                        onChange={handleEditChange("addTags")}
+                        autoComplete="off"
+                    />
+                    <TextField
+                        label="Remove tags"
+                        helpText="Separate multiple tags with commas"
+                        value={editValues.removeTags}
+                        onChange={handleEditChange("removeTags")}
+                        autoComplete="off"
+                    />
+                </FormLayout.Group>
+            </FormLayout>
+        </BlockStack>
+    );
+
+    const editPreviewMarkup = editPreview && (
+        <BlockStack gap="400">
+            {editPreview.products.filter((product) => product.error).map((product) => (
+                <Banner key={product.id} tone="warning" title={`${product.title} will be skipped`}>
+                    <p>{product.error}</p>
+                </Banner>
+            ))}
+            {editableProducts.length > 0 ? (
+                <DataTable
+                    columnContentTypes={["text", "text", "text", "text"]}
+                    headings={["Product", "Field", "Before", "After"]}
+                    rows={editableProducts.flatMap((product) => product.changes.map((change, index) => [
+                        index === 0 ? product.title : '',
+                        change.field,
+                        change.before,
+                        <Text key={change.field} as="span" fontWeight="semibold">{change.after}</Text>,
+                    ]))}
+                />
+            ) : (
+                <Banner tone="info" title="These changes match what the products already have" />
+            )}
+        </BlockStack>
+    );
+
+    const editProgressMarkup = (editBatch.running || editBatch.done) && (
+        <BlockStack gap="400">
+            <BlockStack gap="200">
+                <Text as="p">
+                    {editBatch.processed} of {editBatch.total} products updated
+                </Text>
+                <ProgressBar
+                    progress={editBatch.total > 0 ? Math.round((editBatch.processed / editBatch.total) * 100) : 0}
+                    size="small"
+                />
+            </BlockStack>
+            {editBatch.error && (
+                <Banner tone="critical" title={`Stopped after ${editBatch.processed} of ${editBatch.total} products`}>
+                    <p>{editBatch.error}</p>
+                </Banner>
+            )}
+            {editBatch.done && !editBatch.error && editFailures.length === 0 && (
+                <Banner tone="success" title={`${editBatch.total} products updated`}>
+                    <p>You can undo this edit from the edit history.</p>
+                </Banner>
+            )}
+            {editBatch.done && editFailures.length > 0 && (
+                <Banner tone="critical" title={`${editFailures.length} of ${editBatch.total} products could not be updated`}>
+                    <List type="bullet">
+                        {editFailures.map((failure) => (
+                            <List.Item key={failure.id}>
+                                {productTitles.get(failure.id) || failure.id}: {failure.error}
+                            </List.Item>
+                        ))}
+                    </List>
+                </Banner>
+            )}
+        </BlockStack>
+    );
+
+    let editPrimaryAction = {
+        content: "Preview changes",
+        onAction: handlePreviewEdit,
+        loading: previewFetcher.state !== "idle",
+    };
+    if (editBatch.done) {
+        editPrimaryAction = { content: "Done", onAction: closeEditModal };
+    } else if (editPreview) {
+        editPrimaryAction = {
+            content: `Apply to ${editableProducts.length} ${editableProducts.length === 1 ? 'product' : 'products'}`,
+            onAction: handleApplyEdit,
+            loading: editBatch.running,
+            disabled: editableProducts.length === 0,
+        };
+    }
+
+    let editSecondaryActions = [{ content: "Cancel", onAction: closeEditModal }];
+    if (editBatch.running || editBatch.done) {
+        editSecondaryActions = [];
+    } else if (editPreview) {
+        editSecondaryActions = [{ content: "Back", onAction: handleBackToEdit }];
+    }
+
     return (
-        <Page title="Products" subtitle="Manage your product catalog">
-            <Layout>
-                {products.map(({ node: product }) => {
-                    const image = product.images.edges[0]?.node;
-                    const variant = product.variants.edges[0]?.node;
-                    const price = variant?.price || "0.00";
-                    const sku = variant?.sku || "N/A";
-                    const inventory = product.totalInventory || "N/A";
-
-                    return (
-                        <Layout.Section key={product.id} variant="oneThird">
-                            <Card>
-                                <BlockStack gap="400">
-                                    <Box background="bg-surface-secondary" padding="400" borderRadius="200">
-                                        <InlineStack align="center" blockAlign="center">
-                                            <Thumbnail
-                                                source={image?.url || ImageIcon}
-                                                alt={image?.altText || product.title}
-                                                size="large"
-                                            />
-                                        </InlineStack>
-                                    </Box>
+        <Page
+            title="Products"
+            subtitle={`${filteredCount} ${filteredCount === 1 ? 'product' : 'products'} in your catalog`}
+            secondaryActions={[{ content: "Edit history", url: "/app/product/history" }]}
+            fullWidth
+        >
+            <BlockStack gap="400">
+                {sort !== appliedParams.sort && (
+                    <Banner tone="info" title="Sorted by last updated instead of price">
+                        <p>{`Price sorting is available when no more than ${priceSortLimit} products match. Narrow the search or filters to sort by price.`}</p>
+                    </Banner>
+                )}
+                <InlineStack align="end">
+                    <ButtonGroup variant="segmented">
+                        <Button
+                            icon={ListBulletedIcon}
+                            pressed={layout === "table"}
+                            onClick={() => handleLayoutChange("table")}
+                            accessibilityLabel="Table view"
+                        />
+                        <Button
+                            icon={LayoutColumns3Icon}
+                            pressed={layout === "grid"}
+                            onClick={() => handleLayoutChange("grid")}
+                            accessibilityLabel="Grid view"
+                        />
+                    </ButtonGroup>
+                </InlineStack>
 
-                                    <BlockStack gap="200">
-                                        <InlineStack align="space-between">
-                                            <Text variant="headingMd" as="h6">
-                                                {product.title}
-                                            </Text>
-                                        </InlineStack>
-                                        <InlineStack align="space-between">
-                                            <Badge tone={product.status === 'ACTIVE' ? 'success' : 'info'}>
-                                                {product.status}
-                                            </Badge>
-
-                                            <Text variant="bodySm" tone="subdued">
-                                                {product.vendor}
-                                            </Text>
-                                        </InlineStack>
-
-                                        <InlineStack align="space-between">
-                                            <Text variant="bodyMd" fontWeight="bold">
-                                                SKU: {sku}
-                                            </Text>
-                                            <Text variant="headinglg" as="h4">
-                                                ${price}
-                                            </Text>
-                                        </InlineStack>
-                                        <InlineStack align="space-between">
-                                            <Text variant="bodyMd" fontWeight="bold">
-                                                Inventory: {inventory}
-                                            </Text>
-                                        </InlineStack>
-                                    </BlockStack>
-
-                                    <Button fullWidth variant="primary" onClick={() => handleOpenModal(product)}>
-                                        View Details
-                                    </Button>
-                                </BlockStack>
-                            </Card>
-                        </Layout.Section>
-                    );
-                })}
-            </Layout>
+                <Card padding="0">
+                    <IndexFilters
+                        sortOptions={SORT_OPTIONS.filter((option) => priceSortable || !option.value.startsWith('price'))}
+                        sortSelected={[sort]}
+                        onSort={handleSortChange}
+                        queryValue={queryValue}
+                        queryPlaceholder="Search products"
+                        onQueryChange={setQueryValue}
+                        onQueryClear={() => setQueryValue("")}
+                        tabs={[{ id: "all", content: "All" }]}
+                        selected={0}
+                        filters={filters}
+                        appliedFilters={appliedFilters}
+                        onClearAll={handleClearAll}
+                        mode={mode}
+                        setMode={setMode}
+                        loading={navigation.state === "loading"}
+                    />
+                    {layout === "table" && (
+                        <IndexTable
+                            resourceName={resourceName}
+                            itemCount={products.length}
+                            selectedItemsCount={allResourcesSelected ? 'All' : selectedResources.length}
+                            onSelectionChange={handleSelectionChange}
+                            promotedBulkActions={promotedBulkActions}
+                            headings={[
+                                { title: 'Product' },
+                                { title: 'Status' },
+                                { title: 'Inventory' },
+                                { title: 'Type' },
+                                { title: 'Vendor' },
+                                { title: 'Price', alignment: 'end' },
+                                { title: 'Updated' },
+                            ]}
+                            emptyState={emptyStateMarkup}
+                            pagination={{
+                                hasNext: pageInfo.hasNextPage,
+                                hasPrevious: pageInfo.hasPreviousPage,
+                                onNext: handleNextPage,
+                                onPrevious: handlePreviousPage,
+                            }}
+                        >
+                            {rowMarkup}
+                        </IndexTable>
+                    )}
+                </Card>
+
+                {layout === "grid" && (products.length > 0 ? gridMarkup : <Card>{emptyStateMarkup}</Card>)}
+                {layout === "grid" && (
+                    <InlineStack align="center">
+                        <Pagination
+                            hasNext={pageInfo.hasNextPage}
+                            hasPrevious={pageInfo.hasPreviousPage}
+                            onNext={handleNextPage}
+                            onPrevious={handlePreviousPage}
+                        />
+                    </InlineStack>
+                )}
+            </BlockStack>
 
             <Modal open={active}
                 onClose={handleCloseModal}
                 title={selectedProduct?.title}
-                size="small"
+                size="large"
             >
                 <Modal.Section>
                     {selectedProduct && (
                         <BlockStack gap="400">
                             <InlineStack align="center" gap="400">
 
-                                <Image
-                                    source={selectedProduct.images.edges[0]?.node?.url}
-                                    alt={selectedProduct.title}
-                                    width={200}
-                                    height={200}
-                                />
+                                {selectedProduct.image && (
+                                    <Image
+                                        source={selectedProduct.image.url}
+                                        alt={selectedProduct.image.altText || selectedProduct.title}
+                                        width={200}
+                                        height={200}
+                                    />
+                                )}
 
                                 <BlockStack gap="200">
-                                    <Text alignment="center" variant="headinglg" as="h2">${selectedProduct.variants.edges[0]?.node?.price}</Text>
+                                    <Text alignment="center" variant="headingLg" as="h2">{formatPriceRange(selectedProduct.priceRangeV2, formatMoney)}</Text>
                                     <Box align="center">
-                                        <Badge tone={selectedProduct.status === 'ACTIVE' ? 'success' : 'info'}>
+                                        <Badge tone={STATUS_TONES[selectedProduct.status]}>
                                             {selectedProduct.status}
                                         </Badge>
                                     </Box>
                                     <Text alignment="center" variant="bodyMd" tone="subdued">Vendor: {selectedProduct.vendor}</Text>
                                     <Text alignment="center" variant="bodyMd" tone="subdued">Inventory: {selectedProduct.totalInventory} in stock</Text>
-                                    <Text alignment="center" variant="bodyMd" tone="subdued">Description: {selectedProduct.descriptionHtml || 'No description available.'} </Text>
                                 </BlockStack>
                             </InlineStack>
-                            <Box align="center">
+                            {detailMissing && (
+                                <Banner tone="warning" title="This product no longer exists" />
+                            )}
+                            {!detail && !detailMissing && (
+                                <InlineStack align="center">
+                                    <Spinner accessibilityLabel="Loading product details" size="small" />
+                                </InlineStack>
+                            )}
+                            {variantsMarkup}
+                            {inventoryMarkup}
+                            {thresholdMarkup}
+                            {descriptionMarkup}
+                            <InlineStack align="center" gap="200">
+                                <Button
+                                    url={`/app/product/${selectedProduct.id.split('/').pop()}/analytics`}
+                                    size="large"
+                                >
+                                    View analytics
+                                </Button>
                                 <Button
                                     url={`shopify:admin/products/${selectedProduct.id.split('/').pop()}`}
-                                    selectedProduct:true
                                     variant="primary"
                                     size="large"
                                 >
                                     View in admin
                                 </Button>
-                            </Box>
+                            </InlineStack>
                         </BlockStack>
                     )}
                 </Modal.Section>
             </Modal>
-        </Page >
+
+            <Modal
+                open={editOpen}
+                onClose={closeEditModal}
+                title={editPreview ? "Review changes" : "Edit products"}
+                primaryAction={editPrimaryAction}
+                secondaryActions={editSecondaryActions}
+                size="large"
+            >
+                <Modal.Section>
+                    {editProgressMarkup || editPreviewMarkup || editFormMarkup}
+                </Modal.Section>
+            </Modal>
+        </Page>
     );
 }
@@ -0,0 +1,246 @@
+import { useCallback } from "react";
+import { useLoaderData, useNavigation, useSearchParams } from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  BlockStack,
+  InlineStack,
+  InlineGrid,
+  Banner,
+  Select,
+  Badge,
+  IndexTable,
+  Link,
+  EmptyState,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { isMirrorReady } from "../models/mirror.server";
+import { fetchProductSummary, toProductGid } from "../models/product.server";
+import {
+  ANALYTICS_PERIODS,
+  getProductAnalytics,
+  parseAnalyticsPeriod,
+} from "../models/product-analytics.server";
+import { useMoneyFormat } from "../hooks/useMoneyFormat";
+
+export const loader = async ({ request, params }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const days = parseAnalyticsPeriod(new URL(request.url).searchParams);
+  const productId = toProductGid(params.id);
+
+  const [product, analytics, synced] = await Promise.all([
+    fetchProductSummary(admin, productId),
+    getProductAnalytics(session.shop, productId, days),
+    isMirrorReady(session.shop),
+  ]);
+
+  if (!product) {
+    throw new Response("Product not found", { status: 404 });
+  }
+
+  return { product, analytics, periods: ANALYTICS_PERIODS, synced };
+};
+
+// Percentage change from the previous period, or null when there is nothing
+// to compare with.
+function change(current, previous) {
+  if (previous === 0) return null;
+  return ((current - previous) / previous) * 100;
+}
+
+function formatDay(value) {
+  return new Date(value).toLocaleDateString(undefined, { month: "short", day: "numeric" });
+}
+
+export default function ProductAnalytics() {
+  const { product, analytics, periods, synced } = useLoaderData();
+  const [, setSearchParams] = useSearchParams();
+  const navigation = useNavigation();
+  const formatMoney = useMoneyFormat();
+  const { current, previous, trend, currencyCode } = analytics;
+
+  const handlePeriodChange = useCallback((value) => {
+    setSearchParams({ days: value }, { replace: true });
+  }, [setSearchParams]);
+
+  const metricCards = [
+    {
+      title: "Units Sold",
+      value: current.units,
+      change: change(current.units, previous.units),
+      detail: `${previous.units} in the previous ${analytics.days} days`,
+    },
+    {
+      title: "Gross Revenue",
+      value: formatMoney(current.revenue, currencyCode),
+      change: change(current.revenue, previous.revenue),
+      detail: `Before refunds and discounts, from ${current.orders} orders`,
+    },
+    {
+      title: "Refund Rate",
+      value: `${current.refundRate.toFixed(1)}%`,
+      detail: `${current.refundedOrders} of ${current.orders} orders refunded in full or in part`,
+      tone: current.refundRate > previous.refundRate && current.refundedOrders > 0 ? "critical" : undefined,
+    },
+    {
+      title: "Buyers",
+      value: analytics.buyerCount,
+      detail: "Customers who bought it in this period",
+    },
+  ];
+
+  const metricsMarkup = metricCards.map((metric) => (
+    <Card key={metric.title}>
+      <BlockStack gap="200">
+        <Text variant="headingSm" as="h3">{metric.title}</Text>
+        <InlineStack gap="200" blockAlign="center">
+          <Text variant="heading2xl" as="p" tone={metric.tone}>{metric.value}</Text>
+          {metric.change != null && metric.change !== 0 && (
+            <Badge tone={metric.change > 0 ? "success" : "critical"}>
+              {`${metric.change > 0 ? "+" : ""}${metric.change.toFixed(1)}%`}
+            </Badge>
+          )}
+        </InlineStack>
+        <Text variant="bodySm" tone="subdued">{metric.detail}</Text>
+      </BlockStack>
+    </Card>
+  ));
+
+  const maxUnits = Math.max(...trend.map((bucket) => bucket.units), 1);
+
+  const trendMarkup = current.units > 0 ? (
+    <BlockStack gap="200">
+      <div style={{ display: "flex", alignItems: "flex-end", gap: "2px", height: "160px" }}>
+        {trend.map((bucket) => (
+          <div
+            key={bucket.start}
+            title={`${analytics.bucketDays === 1 ? formatDay(bucket.start) : `Week of ${formatDay(bucket.start)}`}: ${bucket.units} units, ${formatMoney(bucket.revenue, currencyCode)}`}
+            style={{
+              flex: 1,
+              minWidth: "4px",
+              height: `${Math.max((bucket.units / maxUnits) * 100, bucket.units > 0 ? 2 : 0)}%`,
+              background: "var(--p-color-bg-fill-success)",
+              borderRadius: "2px 2px 0 0",
+            }}
+          />
+        ))}
+      </div>
+      <InlineStack align="space-between">
+        <Text variant="bodySm" tone="subdued">{formatDay(trend[0].start)}</Text>
+        <Text variant="bodySm" tone="subdued">Today</Text>
+      </InlineStack>
+    </BlockStack>
+  ) : (
+    <EmptyState heading="No sales in this period" image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png">
+      <p>Try a longer period, or check back once this product has sold.</p>
+    </EmptyState>
+  );
+
+  const buyerRows = analytics.topBuyers.map((buyer, index) => (
+    <IndexTable.Row id={buyer.id} key={buyer.id} position={index}>
+      <IndexTable.Cell>
+        <Link removeUnderline url={`/app/customer/${buyer.id.split("/").pop()}`}>
+          <Text fontWeight="bold" as="span">{buyer.name}</Text>
+        </Link>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Text as="span" alignment="end" numeric>{buyer.units}</Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Text as="span" alignment="end" numeric>{buyer.orders}</Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>
+        <Text as="span" alignment="end" numeric>{formatMoney(buyer.revenue, currencyCode)}</Text>
+      </IndexTable.Cell>
+      <IndexTable.Cell>{new Date(buyer.lastPurchaseAt).toLocaleDateString()}</IndexTable.Cell>
+    </IndexTable.Row>
+  ));
+
+  return (
+    <Page
+      title={product.title}
+      subtitle="Sales performance from orders synced to the app"
+      backAction={{ content: "Products", url: "/app/product" }}
+      secondaryActions={[
+        { content: "View orders", url: `/app/order?product=${encodeURIComponent(product.title)}` },
+        { content: "View in admin", url: `shopify:admin/products/${product.id.split("/").pop()}` },
+      ]}
+      fullWidth
+    >
+      <BlockStack gap="500">
+        {!synced && (
+          <Banner
+            title="Store data is still being synced"
+            tone="warning"
+            action={{ content: "View sync status", url: "/app" }}
+          >
+            <p>These figures will be incomplete until the initial import from your store has finished.</p>
+          </Banner>
+        )}
+        <InlineStack align="end">
+          <Select
+            label="Period"
+            labelInline
+            options={periods.map((days) => ({ label: `Last ${days} days`, value: String(days) }))}
+            value={String(analytics.days)}
+            onChange={handlePeriodChange}
+            disabled={navigation.state === "loading"}
+          />
+        </InlineStack>
+        <Layout>
+          <Layout.Section>
+            <InlineGrid columns={{ xs: 1, sm: 2, lg: 4 }} gap="400">
+              {metricsMarkup}
+            </InlineGrid>
+          </Layout.Section>
+
+          <Layout.Section>
+            <Card>
+              <BlockStack gap="400">
+                <BlockStack gap="100">
+                  <Text variant="headingMd" as="h2">Sales Trend</Text>
+                  <Text variant="bodySm" tone="subdued">
+                    {`Units sold per ${analytics.bucketDays === 1 ? "day" : "week"}. Cancelled orders are left out.`}
+                  </Text>
+                </BlockStack>
+                {trendMarkup}
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+
+          <Layout.Section>
+            <Card padding="0">
+              <BlockStack>
+                <div style={{ padding: "16px" }}>
+                  <Text variant="headingMd" as="h2">Top Buyers</Text>
+                  <Text variant="bodySm" tone="subdued">Customers who bought the most units in this period</Text>
+                </div>
+                <IndexTable
+                  resourceName={{ singular: "customer", plural: "customers" }}
+                  itemCount={analytics.topBuyers.length}
+                  headings={[
+                    { title: "Customer" },
+                    { title: "Units", alignment: "end" },
+                    { title: "Orders", alignment: "end" },
+                    { title: "Revenue", alignment: "end" },
+                    { title: "Last Purchase" },
+                  ]}
+                  selectable={false}
+                  emptyState={(
+                    <div style={{ textAlign: "center", padding: "16px" }}>
+                      <Text tone="subdued">No customers bought this product in this period</Text>
+                    </div>
+                  )}
+                >
+                  {buyerRows}
+                </IndexTable>
+              </BlockStack>
+            </Card>
+          </Layout.Section>
+        </Layout>
+      </BlockStack>
+    </Page>
+  );
+}
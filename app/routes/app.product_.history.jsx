@@ -0,0 +1,128 @@
+import { useFetcher, useLoaderData } from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  BlockStack,
+  InlineStack,
+  Button,
+  Badge,
+  Banner,
+  DataTable,
+  EmptyState,
+  List,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import { getProductEditHistory, undoProductEdit } from "../models/product-edit.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+
+  return { batches: await getProductEditHistory(session.shop) };
+};
+
+export const action = async ({ request }) => {
+  const { admin, session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "undoEdit") {
+    const batchId = formData.get("batchId");
+    return { batchId, results: await undoProductEdit(admin, session.shop, batchId) };
+  }
+
+  throw new Response(`Unknown intent: ${intent}`, { status: 400 });
+};
+
+export default function ProductEditHistory() {
+  const { batches } = useLoaderData();
+  const fetcher = useFetcher();
+
+  const undoingBatch = fetcher.state !== "idle" ? fetcher.formData?.get("batchId") : null;
+  const undoFailures = fetcher.state === "idle"
+    ? fetcher.data?.results.filter((result) => !result.ok) || []
+    : [];
+
+  const handleUndo = (batchId) => {
+    fetcher.submit({ intent: "undoEdit", batchId }, { method: "post" });
+  };
+
+  const batchMarkup = batches.map((batch) => (
+    <Card key={batch.batchId}>
+      <BlockStack gap="400">
+        <InlineStack align="space-between" blockAlign="center">
+          <BlockStack gap="100">
+            <Text variant="headingMd" as="h2">
+              {new Date(batch.createdAt).toLocaleString()}
+            </Text>
+            <Text variant="bodySm" tone="subdued" as="p">
+              {`${batch.products.length} ${batch.products.length === 1 ? 'product' : 'products'} changed`}
+            </Text>
+          </BlockStack>
+          {batch.undoneAt ? (
+            <Badge>{`Undone ${new Date(batch.undoneAt).toLocaleDateString()}`}</Badge>
+          ) : (
+            <Button
+              onClick={() => handleUndo(batch.batchId)}
+              loading={undoingBatch === batch.batchId}
+              disabled={undoingBatch !== null && undoingBatch !== batch.batchId}
+            >
+              Undo
+            </Button>
+          )}
+        </InlineStack>
+        {fetcher.data?.batchId === batch.batchId && undoFailures.length > 0 && (
+          <Banner tone="critical" title={`${undoFailures.length} products could not be restored`}>
+            <List type="bullet">
+              {undoFailures.map((failure) => (
+                <List.Item key={failure.id}>
+                  {batch.products.find((product) => product.productId === failure.id)?.title || failure.id}: {failure.error}
+                </List.Item>
+              ))}
+            </List>
+          </Banner>
+        )}
+        <DataTable
+          columnContentTypes={["text", "text", "text", "text"]}
+          headings={["Product", "Field", "Before", "After"]}
+          rows={batch.products.flatMap((product) => product.changes.map((change, index) => [
+            index === 0 ? product.title : "",
+            change.field,
+            change.before,
+            change.after,
+          ]))}
+        />
+      </BlockStack>
+    </Card>
+  ));
+
+  return (
+    <Page
+      title="Product edit history"
+      subtitle="Bulk edits from the product catalog, newest first"
+      backAction={{ content: "Products", url: "/app/product" }}
+    >
+      <Layout>
+        <Layout.Section>
+          <BlockStack gap="400">
+            <Banner tone="info">
+              <p>Undoing an edit writes back the values products had before it, replacing any changes made since.</p>
+            </Banner>
+            {batches.length > 0 ? batchMarkup : (
+              <Card>
+                <EmptyState
+                  heading="No bulk edits yet"
+                  action={{ content: "Go to products", url: "/app/product" }}
+                  image="https://cdn.shopify.com/s/files/1/0262/4071/2726/files/emptystate-files.png"
+                >
+                  <p>Select products in the catalog table and choose Edit products.</p>
+                </EmptyState>
+              </Card>
+            )}
+          </BlockStack>
+        </Layout.Section>
+      </Layout>
+    </Page>
+  );
+}
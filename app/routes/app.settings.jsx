@@ -0,0 +1,279 @@
+import { useCallback, useState } from "react";
+import { useFetcher, useLoaderData } from "react-router";
+import {
+  Page,
+  Layout,
+  Card,
+  Text,
+  BlockStack,
+  FormLayout,
+  TextField,
+  Button,
+  InlineStack,
+  Banner,
+  Checkbox,
+  Select,
+} from "@shopify/polaris";
+import { authenticate } from "../shopify.server";
+import {
+  DEFAULT_SETTINGS,
+  SETTING_FIELDS,
+  getShopSettings,
+  parseShopSettings,
+  saveShopSettings,
+} from "../models/settings.server";
+import {
+  DIGEST_FREQUENCIES,
+  getDigestSchedule,
+  nextDigestAt,
+  parseDigestSchedule,
+  saveDigestSchedule,
+  sendDigest,
+} from "../models/digest.server";
+import { recheckOpenAlerts } from "../models/stock-alert.server";
+import { isMailConfigured } from "../mail.server";
+
+export const loader = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const [settings, digest] = await Promise.all([
+    getShopSettings(session.shop),
+    getDigestSchedule(session.shop),
+  ]);
+
+  return {
+    settings,
+    fields: SETTING_FIELDS,
+    defaults: DEFAULT_SETTINGS,
+    digest,
+    nextDigestAt: digest.enabled && isMailConfigured() ? nextDigestAt(digest) : null,
+    frequencies: DIGEST_FREQUENCIES,
+    mailConfigured: isMailConfigured(),
+  };
+};
+
+export const action = async ({ request }) => {
+  const { session } = await authenticate.admin(request);
+  const formData = await request.formData();
+  const intent = formData.get("intent");
+
+  if (intent === "saveDigest" || intent === "sendDigest") {
+    const { schedule, errors } = parseDigestSchedule(formData);
+    if (errors) {
+      return { errors };
+    }
+
+    if (intent === "sendDigest") {
+      if (schedule.recipients.length === 0) {
+        return { errors: { recipients: "Add at least one recipient" } };
+      }
+      try {
+        await sendDigest(session.shop, schedule.recipients);
+      } catch (error) {
+        return { sendError: error.message };
+      }
+      return { sent: true };
+    }
+
+    await saveDigestSchedule(session.shop, schedule);
+    return { ok: true };
+  }
+
+  const { settings, errors } = parseShopSettings(formData);
+
+  if (errors) {
+    return { errors };
+  }
+
+  await saveShopSettings(session.shop, settings);
+  // Open alerts on products without their own threshold follow the default.
+  await recheckOpenAlerts(session.shop);
+  return { ok: true };
+};
+
+const WEEKDAYS = ["Sunday", "Monday", "Tuesday", "Wednesday", "Thursday", "Friday", "Saturday"];
+
+const HOUR_OPTIONS = Array.from({ length: 24 }, (_, hour) => ({
+  label: `${String(hour).padStart(2, "0")}:00 UTC`,
+  value: String(hour),
+}));
+
+function toFormValues(settings) {
+  return Object.fromEntries(
+    Object.entries(settings).map(([key, value]) => [key, String(value)]),
+  );
+}
+
+export default function Settings() {
+  const { settings, fields, defaults, digest, nextDigestAt, frequencies, mailConfigured } = useLoaderData();
+  const fetcher = useFetcher();
+  const digestFetcher = useFetcher();
+  const [values, setValues] = useState(() => toFormValues(settings));
+  const [digestValues, setDigestValues] = useState(() => ({
+    enabled: digest.enabled,
+    frequency: digest.frequency,
+    weekday: String(digest.weekday),
+    hour: String(digest.hour),
+    recipients: digest.recipients.join(", "),
+  }));
+
+  const errors = fetcher.data?.errors || {};
+  const saved = fetcher.state === "idle" && fetcher.data?.ok;
+
+  const handleChange = useCallback((key) => (value) => {
+    setValues((current) => ({ ...current, [key]: value }));
+  }, []);
+
+  const handleSave = useCallback(() => {
+    fetcher.submit(values, { method: "post" });
+  }, [fetcher, values]);
+
+  const handleReset = useCallback(() => {
+    setValues(toFormValues(defaults));
+  }, [defaults]);
+
+  const digestErrors = digestFetcher.data?.errors || {};
+  const digestIntent = digestFetcher.formData?.get("intent");
+
+  const handleDigestChange = useCallback((key) => (value) => {
+    setDigestValues((current) => ({ ...current, [key]: value }));
+  }, []);
+
+  const submitDigest = useCallback((intent) => {
+    digestFetcher.submit(
+      { ...digestValues, enabled: String(digestValues.enabled), intent },
+      { method: "post" },
+    );
+  }, [digestFetcher, digestValues]);
+
+  const fieldMarkup = Object.entries(fields).map(([key, field]) => (
+    <TextField
+      key={key}
+      label={field.label}
+      helpText={field.helpText}
+      type="number"
+      min={field.min}
+      max={field.max}
+      step={field.decimal ? 0.1 : 1}
+      suffix={field.suffix}
+      value={values[key]}
+      onChange={handleChange(key)}
+      error={errors[key]}
+      autoComplete="off"
+    />
+  ));
+
+  return (
+    <Page title="Settings" subtitle="Store Health thresholds and email digest">
+      <Layout>
+        <Layout.AnnotatedSection
+          title="Store health rules"
+          description="Different verticals have different buying cycles. Adjust what counts as inactive, at risk, refund-heavy, low on stock or late to ship for this store."
+        >
+          <Card>
+            <BlockStack gap="400">
+              {saved && <Banner tone="success" title="Settings saved" />}
+              <FormLayout>{fieldMarkup}</FormLayout>
+              <InlineStack align="end" gap="200">
+                <Button onClick={handleReset}>Reset to defaults</Button>
+                <Button variant="primary" onClick={handleSave} loading={fetcher.state !== "idle"}>
+                  Save
+                </Button>
+              </InlineStack>
+              <Text variant="bodySm" tone="subdued" as="p">
+                Changes apply the next time Store Health or the order dashboard is loaded.
+              </Text>
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+
+        <Layout.AnnotatedSection
+          title="Email digest"
+          description="Send the Store Health metrics and at-risk customer lists to your team on a schedule."
+        >
+          <Card>
+            <BlockStack gap="400">
+              {digestFetcher.state === "idle" && digestFetcher.data?.ok && (
+                <Banner tone="success" title="Digest schedule saved" />
+              )}
+              {!mailConfigured && (
+                <Banner tone="warning" title="Digests are turned off on this server">
+                  <p>No mail transport is configured, so no digests will be sent. Set MAIL_TRANSPORT in the app environment to turn them on.</p>
+                </Banner>
+              )}
+              {digestFetcher.state === "idle" && digestFetcher.data?.sent && (
+                <Banner tone="success" title="Test digest sent" />
+              )}
+              {digestFetcher.state === "idle" && digestFetcher.data?.sendError && (
+                <Banner tone="critical" title="Test digest wasn't sent">
+                  <p>{digestFetcher.data.sendError}</p>
+                </Banner>
+              )}
+              <FormLayout>
+                <Checkbox
+                  label="Send a Store Health digest"
+                  checked={digestValues.enabled}
+                  onChange={handleDigestChange("enabled")}
+                />
+                <FormLayout.Group>
+                  <Select
+                    label="Frequency"
+                    options={frequencies.map((frequency) => ({
+                      label: frequency === "daily" ? "Daily" : "Weekly",
+                      value: frequency,
+                    }))}
+                    value={digestValues.frequency}
+                    onChange={handleDigestChange("frequency")}
+                    error={digestErrors.frequency}
+                  />
+                  {digestValues.frequency === "weekly" && (
+                    <Select
+                      label="Day"
+                      options={WEEKDAYS.map((day, index) => ({ label: day, value: String(index) }))}
+                      value={digestValues.weekday}
+                      onChange={handleDigestChange("weekday")}
+                      error={digestErrors.weekday}
+                    />
+                  )}
+                  <Select
+                    label="Time"
+                    options={HOUR_OPTIONS}
+                    value={digestValues.hour}
+                    onChange={handleDigestChange("hour")}
+                    error={digestErrors.hour}
+                  />
+                </FormLayout.Group>
+                <TextField
+                  label="Recipients"
+                  helpText="Separate email addresses with commas"
+                  value={digestValues.recipients}
+                  onChange={handleDigestChange("recipients")}
+                  error={digestErrors.recipients}
+                  multiline={2}
+                  autoComplete="off"
+                />
+              </FormLayout>
+              <InlineStack align="end" gap="200">
+                <Button
+                  onClick={() => submitDigest("sendDigest")}
+                  loading={digestIntent === "sendDigest"}
+                  disabled={!mailConfigured}
+                >
+                  Send test now
+                </Button>
+                <Button variant="primary" onClick={() => submitDigest("saveDigest")} loading={digestIntent === "saveDigest"}>
+                  Save
+                </Button>
+              </InlineStack>
+              <Text variant="bodySm" tone="subdued" as="p">
+                {nextDigestAt
+                  ? `Next digest: ${new Date(nextDigestAt).toLocaleString()}.`
+                  : "The digest is turned off."}
+                {digest.lastSentAt && ` Last sent ${new Date(digest.lastSentAt).toLocaleString()}.`}
+              </Text>
+            </BlockStack>
+          </Card>
+        </Layout.AnnotatedSection>
+      </Layout>
+    </Page>
+  );
+}
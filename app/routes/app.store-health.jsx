@@ -10,143 +10,102 @@ import {
     Badge,
     Icon,
     Tooltip,
+    Banner,
+    Link,
 } from "@shopify/polaris";
 import { ArrowUpIcon, ArrowDownIcon } from "@shopify/polaris-icons";
 import { authenticate } from "../shopify.server";
+import { getShopCurrency, isMirrorReady } from "../models/mirror.server";
+import { getStoreHealth } from "../models/store-health.server";
+import { getSegmentSummary } from "../models/rfm.server";
+import { getLowStockSummary } from "../models/stock-alert.server";
+import { getCheckoutRecovery } from "../models/abandoned-checkout.server";
+import { useMoneyFormat } from "../hooks/useMoneyFormat";
 
 export const loader = async ({ request }) => {
-    const { admin } = await authenticate.admin(request)
-    const response = await admin.graphql(
-        `#graphql
-    query StoreHealthData {
-        customers(first: 250) {
-            edges {
-            node {
-                id
-                firstName
-                lastName
-                defaultEmailAddress{
-                emailAddress
-                }
-                amountSpent {
-                amount
-                }
-                numberOfOrders
-                lastOrder {
-                processedAt
-                displayFinancialStatus
-                }
-                orders(first: 10) {
-                edges {
-                    node {
-                    displayFinancialStatus
-                    }
-                }
-                }
-            }
-            }
-        }
-        orders(first: 250, reverse: true) {
-            edges {
-            node {
-                id
-                processedAt
-                displayFinancialStatus
-                cancelledAt
-            }
-            }
-        }
-        }`,
-    );
-
-    const data = await response.json();
-    const customers = data.data.customers.edges.map(e => e.node);
-    const orders = data.data.orders.edges.map(e => e.node);
-
-    const now = new Date();
-    const threeDaysAgo = new Date(now - 3 * 24 * 60 * 60 * 1000);
-    const sevenDaysAgo = new Date(now - 7 * 24 * 60 * 60 * 1000);
-    const fourteenDaysAgo = new Date(now - 14 * 24 * 60 * 60 * 1000);
-    const thirtyDaysAgo = new Date(now - 30 * 24 * 60 * 60 * 1000);
-    const sixtyDaysAgo = new Date(now - 60 * 24 * 60 * 60 * 1000);
-    const ninetyDaysAgo = new Date(now - 90 * 24 * 60 * 60 * 1000);
-
-    const ordersLast7d = orders.filter(o => new Date(o.processedAt) >= sevenDaysAgo).length;
-    const ordersPrev7d = orders.filter(o => {
-        const d = new Date(o.processedAt);
-        return d >= fourteenDaysAgo && d < sevenDaysAgo;
-    }).length;
-
-    const orderTrend = ordersLast7d - ordersPrev7d;
-    const orderTrendPercent = ordersPrev7d > 0 ? ((orderTrend / ordersPrev7d) * 100).toFixed(1) : 100;
-    const cancelled30d = orders.filter(o => {
-        const d = new Date(o.processedAt);
-        return d >= thirtyDaysAgo && (o.displayFinancialStatus === 'REFUNDED' || o.displayFinancialStatus === 'VOIDED' || o.cancelledAt);
-    }).length;
-
-    const inactiveCustomers90 = customers.filter(c => {
-        if (!c.lastOrder) return true;
-        return new Date(c.lastOrder.processedAt) < ninetyDaysAgo;
-    });
+    const { session } = await authenticate.admin(request);
 
-    const customersNoEmail = customers.filter(c => !c.email || c.email === "").length;
+    const [health, synced, segments, stock, recovery, currencyCode] = await Promise.all([
+        getStoreHealth(session.shop),
+        isMirrorReady(session.shop),
+        getSegmentSummary(session.shop),
+        getLowStockSummary(session.shop),
+        getCheckoutRecovery(session.shop),
+        getShopCurrency(session.shop),
+    ]);
 
-    const refundHeavyCustomers = customers.filter(c => {
-        const refunds = c.orders.edges.filter(o => o.node.displayFinancialStatus === 'REFUNDED' || o.node.displayFinancialStatus === 'PARTIALLY_REFUNDED').length;
-        return refunds > 1;
-    });
+    return { ...health, synced, segments, stock, recovery, currencyCode };
+};
 
-    const totalSpentSum = customers.reduce((acc, c) => acc + parseFloat(c.totalSpent?.amount || 0), 0);
-    const avgSpent = totalSpentSum / (customers.length || 1);
+function formatWeek(value) {
+    return new Date(value).toLocaleDateString(undefined, { month: 'short', day: 'numeric' });
+}
 
-    const atRiskHighValue = customers.filter(c => {
-        if (!c.lastOrder) return false;
-        const spent = parseFloat(c.totalSpent?.amount || 0);
-        const lastOrderDate = new Date(c.lastOrder.processedAt);
-        return spent > avgSpent && lastOrderDate < sixtyDaysAgo;
-    });
+export default function StoreHealth() {
+    const { settings, metrics, lists, synced, segments, stock, recovery, currencyCode } = useLoaderData();
+    const formatMoney = useMoneyFormat();
 
-    return {
-        metrics: {
-            ordersLast7d,
-            ordersPrev7d,
-            orderTrend,
-            orderTrendPercent,
-            cancelled30d,
-            inactiveCount90: inactiveCustomers90.length,
-            customersNoEmail
-        },
-        lists: {
-            refundHeavy: refundHeavyCustomers.map(c => ({
-                id: c.id,
-                name: `${c.firstName} ${c.lastName}`,
-                email: c.email,
-                refunds: c.orders.edges.filter(o => o.node.displayFinancialStatus.includes('REFUNDED')).length
-            })),
-            atRiskHighValue: atRiskHighValue.map(c => ({
-                id: c.id,
-                name: `${c.firstName} ${c.lastName}`,
-                spent: c.totalSpent?.amount,
-                lastOrder: c.lastOrder.processedAt
-            }))
-        }
-    };
-};
+    const segmentMarkup = segments.map((row) => (
+        <Card key={row.segment}>
+            <BlockStack gap="200">
+                <InlineGrid columns="1fr auto" gap="200" alignItems="center">
+                    <Link removeUnderline url={`/app/customer?segment=${encodeURIComponent(row.segment)}`}>
+                        <Text variant="headingSm" as="h3">{row.segment}</Text>
+                    </Link>
+                    <Badge tone={row.tone}>{`${row.share.toFixed(1)}%`}</Badge>
+                </InlineGrid>
+                <Text variant="heading2xl" as="p">{row.customers}</Text>
+                <Text variant="bodySm" as="p">{formatMoney(row.revenue, currencyCode)} lifetime spend</Text>
+                <Text variant="bodySm" tone="subdued">{row.description}</Text>
+            </BlockStack>
+        </Card>
+    ));
 
-export default function StoreHealth() {
-    const { metrics, lists } = useLoaderData();
+    const recoveryMarkup = recovery.abandoned > 0 ? (
+        <BlockStack gap="200">
+            <div style={{ display: 'flex', alignItems: 'flex-end', gap: '4px', height: '120px' }}>
+                {recovery.trend.map((week) => (
+                    <div
+                        key={week.start}
+                        title={`Week of ${formatWeek(week.start)}: ${week.recovered} of ${week.abandoned} recovered (${week.rate.toFixed(1)}%)`}
+                        style={{
+                            flex: 1,
+                            height: `${Math.max(week.rate, week.abandoned > 0 ? 2 : 0)}%`,
+                            background: 'var(--p-color-bg-fill-success)',
+                            borderRadius: '2px 2px 0 0',
+                        }}
+                    />
+                ))}
+            </div>
+            <InlineGrid columns="1fr auto">
+                <Text variant="bodySm" tone="subdued">{formatWeek(recovery.trend[0].start)}</Text>
+                <Text variant="bodySm" tone="subdued">This week</Text>
+            </InlineGrid>
+        </BlockStack>
+    ) : (
+        <Text tone="subdued">No abandoned checkouts in the last {recovery.weeks} weeks</Text>
+    );
 
     return (
-        <Page title="Store Health" fullWidth subtitle="Key metrics and at-risk customer segments">
+        <Page title="Store Health" fullWidth subtitle="Key metrics, at-risk customer segments, checkout recovery and low stock">
             <BlockStack gap="600">
+                {!synced && (
+                    <Banner
+                        title="Store data is still being synced"
+                        tone="warning"
+                        action={{ content: 'View sync status', url: '/app' }}
+                    >
+                        <p>These metrics will be incomplete until the initial import from your store has finished.</p>
+                    </Banner>
+                )}
                 <Layout>
                     <Layout.Section>
                         <InlineGrid columns={['oneThird', 'oneThird', 'oneThird']} gap="400">
                             <Card>
                                 <BlockStack gap="200">
-                                    <Text variant="headingSm" as="h3">Orders (Last 7 Days)</Text>
+                                    <Text variant="headingSm" as="h3">Orders (Last {settings.trendWindowDays} Days)</Text>
                                     <InlineGrid columns="auto auto" gap="200" alignItems="center">
-                                        <Text variant="heading3xl" as="p">{metrics.ordersLast7d}</Text>
+                                        <Text variant="heading3xl" as="p">{metrics.ordersInWindow}</Text>
                                         {metrics.orderTrend !== 0 && (
                                             <Badge tone={metrics.orderTrend >= 0 ? 'success' : 'critical'}>
                                                 <InlineGrid gap="100" alignItems="center">
@@ -156,25 +115,25 @@ export default function StoreHealth() {
                                             </Badge>
                                         )}
                                     </InlineGrid>
-                                    <Text variant="bodySm" tone="subdued">vs. {metrics.ordersPrev7d} previous 7 days</Text>
+                                    <Text variant="bodySm" tone="subdued">vs. {metrics.ordersPrevWindow} previous {settings.trendWindowDays} days</Text>
                                 </BlockStack>
                             </Card>
 
                             <Card>
                                 <BlockStack gap="200">
-                                    <Text variant="headingSm" as="h3">Inactive Customers (90d+)</Text>
-                                    <Text variant="heading3xl" as="p">{metrics.inactiveCount90}</Text>
+                                    <Text variant="headingSm" as="h3">Inactive Customers ({settings.inactiveDays}d+)</Text>
+                                    <Text variant="heading3xl" as="p">{metrics.inactiveCount}</Text>
                                     <Text variant="bodySm" tone="subdued">Customers with no recent orders</Text>
                                 </BlockStack>
                             </Card>
 
                             <Card>
                                 <BlockStack gap="200">
-                                    <Text variant="headingSm" as="h3">Cancelled Orders (30d)</Text>
-                                    <Text variant="heading3xl" as="p" tone={metrics.cancelled30d > 0 ? 'critical' : undefined}>
-                                        {metrics.cancelled30d}
+                                    <Text variant="headingSm" as="h3">Cancelled Orders ({settings.cancellationWindowDays}d)</Text>
+                                    <Text variant="heading3xl" as="p" tone={metrics.cancelledInWindow > 0 ? 'critical' : undefined}>
+                                        {metrics.cancelledInWindow}
                                     </Text>
-                                    <Text variant="bodySm" tone="subdued">Voids or Refunds in last 30 days</Text>
+                                    <Text variant="bodySm" tone="subdued">Voids or Refunds in last {settings.cancellationWindowDays} days</Text>
                                 </BlockStack>
                             </Card>
                         </InlineGrid>
@@ -201,13 +160,123 @@ export default function StoreHealth() {
                         </InlineGrid>
                     </Layout.Section>
 
+                    <Layout.Section>
+                        <Card>
+                            <BlockStack gap="400">
+                                <InlineGrid columns="1fr auto" gap="200" alignItems="center">
+                                    <BlockStack gap="100">
+                                        <Text variant="headingMd" as="h2">Checkout Recovery</Text>
+                                        <Text variant="bodySm" tone="subdued">
+                                            Share of abandoned checkouts completed later, by the week they were started
+                                        </Text>
+                                    </BlockStack>
+                                    <Link url="/app/abandoned-checkout">View abandoned checkouts</Link>
+                                </InlineGrid>
+                                <InlineGrid columns={['oneThird', 'oneThird', 'oneThird']} gap="400">
+                                    <BlockStack gap="100">
+                                        <Text variant="bodySm" tone="subdued">Recovery rate ({recovery.weeks} weeks)</Text>
+                                        <Text variant="heading2xl" as="p">{`${recovery.rate.toFixed(1)}%`}</Text>
+                                    </BlockStack>
+                                    <BlockStack gap="100">
+                                        <Text variant="bodySm" tone="subdued">Recovered</Text>
+                                        <Text variant="heading2xl" as="p">{`${recovery.recovered} of ${recovery.abandoned}`}</Text>
+                                    </BlockStack>
+                                    <BlockStack gap="100">
+                                        <Text variant="bodySm" tone="subdued">Not recovered</Text>
+                                        <Text variant="heading2xl" as="p" tone={recovery.openValue > 0 ? 'critical' : undefined}>
+                                            {formatMoney(recovery.openValue, recovery.currencyCode)}
+                                        </Text>
+                                    </BlockStack>
+                                </InlineGrid>
+                                {recoveryMarkup}
+                            </BlockStack>
+                        </Card>
+                    </Layout.Section>
+
+                    <Layout.Section>
+                        <BlockStack gap="400">
+                            <BlockStack gap="100">
+                                <Text variant="headingMd" as="h2">Customer Segments</Text>
+                                <Text variant="bodySm" tone="subdued">
+                                    Buyers grouped by recency, frequency and monetary value (RFM)
+                                </Text>
+                            </BlockStack>
+                            <InlineGrid columns={{ xs: 1, sm: 2, md: 3, lg: 5 }} gap="400">
+                                {segmentMarkup}
+                            </InlineGrid>
+                        </BlockStack>
+                    </Layout.Section>
+
+                    <Layout.Section>
+                        <Card padding="0">
+                            <BlockStack>
+                                <div style={{ padding: '16px' }}>
+                                    <InlineGrid columns="1fr auto" gap="200" alignItems="center">
+                                        <BlockStack gap="100">
+                                            <Text variant="headingMd" as="h2">Low Stock</Text>
+                                            <Text variant="bodySm" tone="subdued">
+                                                {stock.outOfStock} out of stock, {stock.lowStock} at or below their reorder threshold ({settings.lowStockThreshold} units unless set per product)
+                                            </Text>
+                                        </BlockStack>
+                                        <Link url="/app/product?inventory=low">View low stock products</Link>
+                                    </InlineGrid>
+                                </div>
+                                <IndexTable
+                                    resourceName={{ singular: 'variant', plural: 'variants' }}
+                                    itemCount={stock.alerts.length}
+                                    headings={[
+                                        { title: 'Product' },
+                                        { title: 'SKU' },
+                                        { title: 'Stock' },
+                                        { title: 'Threshold', alignment: 'end' },
+                                        { title: 'Since' },
+                                    ]}
+                                    selectable={false}
+                                >
+                                    {stock.alerts.length > 0 ? stock.alerts.map((alert, index) => (
+                                        <IndexTable.Row id={String(alert.id)} key={alert.id} position={index}>
+                                            <IndexTable.Cell>
+                                                <Text fontWeight="bold">{alert.productTitle}</Text>
+                                                {alert.variantTitle !== 'Default Title' && (
+                                                    <Text variant="bodyXs" tone="subdued">{alert.variantTitle}</Text>
+                                                )}
+                                            </IndexTable.Cell>
+                                            <IndexTable.Cell>{alert.sku || '-'}</IndexTable.Cell>
+                                            <IndexTable.Cell>
+                                                <Badge tone={alert.level === 'out' ? 'critical' : 'warning'}>
+                                                    {alert.level === 'out' ? 'Out of stock' : `${alert.available} left`}
+                                                </Badge>
+                                            </IndexTable.Cell>
+                                            <IndexTable.Cell>
+                                                <Text as="span" alignment="end" numeric>{alert.threshold}</Text>
+                                            </IndexTable.Cell>
+                                            <IndexTable.Cell>
+                                                <Tooltip content={new Date(alert.since).toString()}>
+                                                    <Text tone="subdued">{new Date(alert.since).toLocaleDateString()}</Text>
+                                                </Tooltip>
+                                            </IndexTable.Cell>
+                                        </IndexTable.Row>
+                                    )) : (
+                                        <IndexTable.Row id="empty-stock" position={0}>
+                                            <IndexTable.Cell colSpan={5}>
+                                                <div style={{ textAlign: 'center', padding: '10px' }}>
+                                                    <Text tone="subdued">No variants are low on stock</Text>
+                                                </div>
+                                            </IndexTable.Cell>
+                                        </IndexTable.Row>
+                                    )}
+                                </IndexTable>
+                            </BlockStack>
+                        </Card>
+                    </Layout.Section>
+
                     <Layout.Section>
                         <InlineGrid columns={['oneHalf', 'oneHalf']} gap="400">
                             <Card padding="0">
                                 <BlockStack>
                                     <div style={{ padding: '16px' }}>
                                         <Text variant="headingMd" as="h2">Refund-Heavy Customers</Text>
-                                        <Text variant="bodySm" tone="subdued">Customers with multiple refunds recently</Text>
+                                        <Text variant="bodySm" tone="subdued">Customers with {settings.refundHeavyMinRefunds}+ refunded orders</Text>
                                     </div>
                                     <IndexTable
                                         resourceName={{ singular: 'customer', plural: 'customers' }}
@@ -245,7 +314,11 @@ export default function StoreHealth() {
                                 <BlockStack>
                                     <div style={{ padding: '16px' }}>
                                         <Text variant="headingMd" as="h2">High-Value At Risk</Text>
-                                        <Text variant="bodySm" tone="subdued">Big spenders inactive for 60+ days</Text>
+                                        <Text variant="bodySm" tone="subdued">
+                                            Spent more than the average customer
+                                            {metrics.averageSpent.length > 0 && ` (${metrics.averageSpent.map((average) => formatMoney(average.amount, average.currencyCode)).join(', ')})`}
+                                            {` and inactive for ${settings.atRiskDays}+ days`}
+                                        </Text>
                                     </div>
                                     <IndexTable
                                         resourceName={{ singular: 'customer', plural: 'customers' }}
@@ -263,7 +336,7 @@ export default function StoreHealth() {
                                                     <Text fontWeight="bold">{row.name}</Text>
                                                 </IndexTable.Cell>
                                                 <IndexTable.Cell>
-                                                    <Text numeric>{row.spent}</Text>
+                                                    <Text numeric>{formatMoney(row.spent, row.currencyCode)}</Text>
                                                 </IndexTable.Cell>
                                                 <IndexTable.Cell>
                                                     <Tooltip content={new Date(row.lastOrder).toDateString()}>
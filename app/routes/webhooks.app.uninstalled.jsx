@@ -1,5 +1,6 @@
 import { authenticate } from "../shopify.server";
 import db from "../db.server";
+import { purgeShopData } from "../models/privacy.server";
 
 export const action = async ({ request }) => {
   const { shop, session, topic } = await authenticate.webhook(request);
@@ -12,5 +13,9 @@ export const action = async ({ request }) => {
     await db.session.deleteMany({ where: { shop } });
   }
 
+  // Delete the store's mirrored customers and orders and everything else the
+  // app keeps for it, which also stops its digests.
+  await purgeShopData(shop);
+
   return new Response();
 };
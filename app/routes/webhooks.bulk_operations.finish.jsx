@@ -0,0 +1,23 @@
+import { authenticate } from "../shopify.server";
+import { processBulkOperation } from "../models/bulk-import.server";
+import { updateSyncState } from "../models/mirror.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // Importing a large result takes longer than Shopify waits for a webhook
+  // response, so acknowledge it straight away and import in the background.
+  // Nothing awaits the import, so its errors are recorded here rather than
+  // left to crash the process.
+  if (admin) {
+    processBulkOperation(admin, shop, payload.admin_graphql_api_id).catch((error) => {
+      console.error(`Bulk import failed for ${shop}`, error);
+      return updateSyncState(shop, { status: "failed", error: error.message })
+        .catch((stateError) => console.error(`Could not record the failed import for ${shop}`, stateError));
+    });
+  }
+
+  return new Response();
+};
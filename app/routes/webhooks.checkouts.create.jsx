@@ -0,0 +1,20 @@
+import { authenticate } from "../shopify.server";
+import { syncAbandonedCheckouts } from "../models/abandoned-checkout.server";
+
+export const action = async ({ request }) => {
+  const { admin, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // The payload doesn't say whether the checkout counts as abandoned, so the
+  // Admin API's list is read instead, from where the last sync stopped. The
+  // sync can take longer than Shopify waits, so it runs in the background;
+  // while one runs, later webhooks only ask it to read again when done.
+  if (admin) {
+    syncAbandonedCheckouts(admin, shop).catch((error) =>
+      console.error(`Could not sync abandoned checkouts for ${shop}`, error),
+    );
+  }
+
+  return new Response();
+};
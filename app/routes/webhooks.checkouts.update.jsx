@@ -0,0 +1,18 @@
+import { authenticate } from "../shopify.server";
+import { syncAbandonedCheckouts } from "../models/abandoned-checkout.server";
+
+export const action = async ({ request }) => {
+  const { admin, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // Completing or editing a checkout changes its row, so the same incremental
+  // sync as checkouts/create picks the change up.
+  if (admin) {
+    syncAbandonedCheckouts(admin, shop).catch((error) =>
+      console.error(`Could not sync abandoned checkouts for ${shop}`, error),
+    );
+  }
+
+  return new Response();
+};
@@ -0,0 +1,17 @@
+import { authenticate } from "../shopify.server";
+import {
+  customerFromWebhook,
+  refreshCustomerTotals,
+  upsertCustomer,
+} from "../models/mirror.server";
+
+export const action = async ({ request }) => {
+  const { payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  const customer = await upsertCustomer(customerFromWebhook(shop, payload));
+  await refreshCustomerTotals(customer.id);
+
+  return new Response();
+};
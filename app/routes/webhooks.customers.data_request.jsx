@@ -0,0 +1,19 @@
+import { authenticate } from "../shopify.server";
+import { getCustomerData } from "../models/privacy.server";
+
+export const action = async ({ request }) => {
+  const { payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // Only counts are logged, so the customer's details don't end up in logs.
+  // The records themselves are on the customer's page in the app.
+  const { customer, orders, notes, tagEvents, checkouts } = await getCustomerData(shop, payload);
+  console.log(
+    `Data held for customer ${payload.customer.id} on ${shop}: ` +
+      `${customer ? 1 : 0} customer, ${orders.length} orders, ${notes.length} notes, ` +
+      `${tagEvents.length} tag changes, ${checkouts.length} abandoned checkouts`,
+  );
+
+  return new Response();
+};
@@ -0,0 +1,12 @@
+import { authenticate } from "../shopify.server";
+import { deleteCustomer } from "../models/mirror.server";
+
+export const action = async ({ request }) => {
+  const { payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  await deleteCustomer(`gid://shopify/Customer/${payload.id}`);
+
+  return new Response();
+};
@@ -0,0 +1,12 @@
+import { authenticate } from "../shopify.server";
+import { redactCustomer } from "../models/privacy.server";
+
+export const action = async ({ request }) => {
+  const { payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  await redactCustomer(shop, payload);
+
+  return new Response();
+};
@@ -0,0 +1,20 @@
+import { authenticate } from "../shopify.server";
+import {
+  customerFromWebhook,
+  recordTagChanges,
+  refreshCustomerTotals,
+  upsertCustomer,
+} from "../models/mirror.server";
+
+export const action = async ({ request }) => {
+  const { payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  const customer = customerFromWebhook(shop, payload);
+  await recordTagChanges(customer);
+  await upsertCustomer(customer);
+  await refreshCustomerTotals(customer.id);
+
+  return new Response();
+};
@@ -0,0 +1,16 @@
+import { authenticate } from "../shopify.server";
+import { recordInventoryChange } from "../models/stock-alert.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // The payload is one location's level, so the variant's total across
+  // locations is read back from the Admin API.
+  if (admin) {
+    await recordInventoryChange(admin, shop, `gid://shopify/InventoryItem/${payload.inventory_item_id}`);
+  }
+
+  return new Response();
+};
@@ -0,0 +1,23 @@
+import { authenticate } from "../shopify.server";
+import {
+  orderFromWebhook,
+  refreshCustomerTotals,
+  upsertOrder,
+} from "../models/mirror.server";
+import { fetchOrderRisk } from "../models/order-risk.server";
+
+export const action = async ({ request }) => {
+  const { admin, payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  const record = orderFromWebhook(shop, payload);
+  // Fraud risk isn't part of the payload, so it's read back from the Admin API.
+  if (admin) {
+    Object.assign(record.order, await fetchOrderRisk(admin, record.order.id));
+  }
+  await upsertOrder(record);
+  await refreshCustomerTotals(record.order.customerId);
+
+  return new Response();
+};
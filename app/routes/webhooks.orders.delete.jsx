@@ -0,0 +1,19 @@
+import { authenticate } from "../shopify.server";
+import db from "../db.server";
+import { deleteOrder, refreshCustomerTotals } from "../models/mirror.server";
+
+export const action = async ({ request }) => {
+  const { payload, topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  // The delete payload only carries the order ID, so look up the customer
+  // before the mirrored order is gone.
+  const id = `gid://shopify/Order/${payload.id}`;
+  const order = await db.order.findUnique({ where: { id }, select: { customerId: true } });
+
+  await deleteOrder(id);
+  await refreshCustomerTotals(order?.customerId);
+
+  return new Response();
+};
@@ -0,0 +1,14 @@
+import { authenticate } from "../shopify.server";
+import db from "../db.server";
+import { purgeShopData } from "../models/privacy.server";
+
+export const action = async ({ request }) => {
+  const { topic, shop } = await authenticate.webhook(request);
+
+  console.log(`Received ${topic} webhook for ${shop}`);
+
+  await db.session.deleteMany({ where: { shop } });
+  await purgeShopData(shop);
+
+  return new Response();
+};
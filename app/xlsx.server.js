@@ -0,0 +1,33 @@
+import { PassThrough } from "stream";
+import ExcelJS from "exceljs";
+import { createReadableStreamFromReadable } from "@react-router/node";
+
+/**
+ * Streams an XLSX download with a single worksheet. Takes the same arguments
+ * as `csvResponse`: `rows` is an async iterable yielding batches of rows.
+ */
+export function xlsxResponse(filename, headers, rows, { sheetName = "Sheet1" } = {}) {
+  const body = new PassThrough();
+  const workbook = new ExcelJS.stream.xlsx.WorkbookWriter({ stream: body, useStyles: true });
+  const sheet = workbook.addWorksheet(sheetName, { views: [{ state: "frozen", ySplit: 1 }] });
+
+  sheet.addRow(headers).font = { bold: true };
+
+  (async () => {
+    for await (const batch of rows) {
+      batch.forEach((values) => sheet.addRow(values).commit());
+    }
+    sheet.commit();
+    await workbook.commit();
+  })().catch((error) => {
+    console.error(`Failed to write ${filename}`, error);
+    body.destroy(error);
+  });
+
+  return new Response(createReadableStreamFromReadable(body), {
+    headers: {
+      "Content-Type": "application/vnd.openxmlformats-officedocument.spreadsheetml.sheet",
+      "Content-Disposition": `attachment; filename="${filename}"`,
+    },
+  });
+}
@@ -0,0 +1,78 @@
+-- CreateTable
+CREATE TABLE "Customer" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "firstName" TEXT,
+    "lastName" TEXT,
+    "email" TEXT,
+    "country" TEXT,
+    "tags" TEXT NOT NULL DEFAULT '',
+    "numberOfOrders" INTEGER NOT NULL DEFAULT 0,
+    "amountSpent" REAL NOT NULL DEFAULT 0,
+    "currencyCode" TEXT,
+    "lastOrderAt" DATETIME,
+    "createdAt" DATETIME NOT NULL,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "Order" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "email" TEXT,
+    "customerId" TEXT,
+    "customerName" TEXT,
+    "processedAt" DATETIME NOT NULL,
+    "cancelledAt" DATETIME,
+    "cancelReason" TEXT,
+    "financialStatus" TEXT,
+    "fulfillmentStatus" TEXT,
+    "totalPrice" REAL NOT NULL DEFAULT 0,
+    "totalRefunded" REAL NOT NULL DEFAULT 0,
+    "currencyCode" TEXT,
+    "createdAt" DATETIME NOT NULL,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateTable
+CREATE TABLE "LineItem" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "orderId" TEXT NOT NULL,
+    "title" TEXT NOT NULL,
+    "quantity" INTEGER NOT NULL,
+    "price" REAL NOT NULL DEFAULT 0,
+    "sku" TEXT,
+    "productId" TEXT,
+    "variantId" TEXT,
+    CONSTRAINT "LineItem_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateTable
+CREATE TABLE "SyncState" (
+    "shop" TEXT NOT NULL PRIMARY KEY,
+    "status" TEXT NOT NULL DEFAULT 'idle',
+    "customersSynced" INTEGER NOT NULL DEFAULT 0,
+    "ordersSynced" INTEGER NOT NULL DEFAULT 0,
+    "error" TEXT,
+    "startedAt" DATETIME,
+    "completedAt" DATETIME
+);
+
+-- CreateIndex
+CREATE INDEX "Customer_shop_idx" ON "Customer"("shop");
+
+-- CreateIndex
+CREATE INDEX "Customer_shop_lastOrderAt_idx" ON "Customer"("shop", "lastOrderAt");
+
+-- CreateIndex
+CREATE INDEX "Order_shop_processedAt_idx" ON "Order"("shop", "processedAt");
+
+-- CreateIndex
+CREATE INDEX "Order_customerId_idx" ON "Order"("customerId");
+
+-- CreateIndex
+CREATE INDEX "LineItem_orderId_idx" ON "LineItem"("orderId");
+
+-- CreateIndex
+CREATE INDEX "LineItem_productId_idx" ON "LineItem"("productId");
@@ -0,0 +1,4 @@
+-- AlterTable
+ALTER TABLE "SyncState" ADD COLUMN "bulkOperationId" TEXT;
+ALTER TABLE "SyncState" ADD COLUMN "objectCount" INTEGER NOT NULL DEFAULT 0;
+ALTER TABLE "SyncState" ADD COLUMN "stage" TEXT;
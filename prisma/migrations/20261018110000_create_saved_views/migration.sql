@@ -0,0 +1,15 @@
+-- CreateTable
+CREATE TABLE "SavedView" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "resource" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "query" TEXT NOT NULL DEFAULT '',
+    "filters" TEXT NOT NULL DEFAULT '{}',
+    "sort" TEXT,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "updatedAt" DATETIME NOT NULL
+);
+
+-- CreateIndex
+CREATE INDEX "SavedView_shop_resource_idx" ON "SavedView"("shop", "resource");
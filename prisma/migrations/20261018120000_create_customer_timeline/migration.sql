@@ -0,0 +1,24 @@
+-- CreateTable
+CREATE TABLE "CustomerNote" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "body" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateTable
+CREATE TABLE "CustomerTagEvent" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "customerId" TEXT NOT NULL,
+    "added" TEXT NOT NULL DEFAULT '',
+    "removed" TEXT NOT NULL DEFAULT '',
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP
+);
+
+-- CreateIndex
+CREATE INDEX "CustomerNote_shop_customerId_idx" ON "CustomerNote"("shop", "customerId");
+
+-- CreateIndex
+CREATE INDEX "CustomerTagEvent_shop_customerId_idx" ON "CustomerTagEvent"("shop", "customerId");
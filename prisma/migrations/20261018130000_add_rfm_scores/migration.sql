@@ -0,0 +1,11 @@
+-- AlterTable
+ALTER TABLE "Customer" ADD COLUMN "rfmFrequency" INTEGER;
+ALTER TABLE "Customer" ADD COLUMN "rfmMonetary" INTEGER;
+ALTER TABLE "Customer" ADD COLUMN "rfmRecency" INTEGER;
+ALTER TABLE "Customer" ADD COLUMN "rfmSegment" TEXT;
+
+-- AlterTable
+ALTER TABLE "SyncState" ADD COLUMN "rfmScoredAt" DATETIME;
+
+-- CreateIndex
+CREATE INDEX "Customer_shop_rfmSegment_idx" ON "Customer"("shop", "rfmSegment");
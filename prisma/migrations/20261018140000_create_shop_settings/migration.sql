@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "ShopSettings" (
+    "shop" TEXT NOT NULL PRIMARY KEY,
+    "trendWindowDays" INTEGER NOT NULL DEFAULT 7,
+    "cancellationWindowDays" INTEGER NOT NULL DEFAULT 30,
+    "atRiskDays" INTEGER NOT NULL DEFAULT 60,
+    "inactiveDays" INTEGER NOT NULL DEFAULT 90,
+    "refundHeavyMinRefunds" INTEGER NOT NULL DEFAULT 2,
+    "highCancellationRate" REAL NOT NULL DEFAULT 10,
+    "updatedAt" DATETIME NOT NULL
+);
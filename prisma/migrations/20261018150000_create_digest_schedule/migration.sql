@@ -0,0 +1,11 @@
+-- CreateTable
+CREATE TABLE "DigestSchedule" (
+    "shop" TEXT NOT NULL PRIMARY KEY,
+    "enabled" BOOLEAN NOT NULL DEFAULT false,
+    "frequency" TEXT NOT NULL DEFAULT 'weekly',
+    "weekday" INTEGER NOT NULL DEFAULT 1,
+    "hour" INTEGER NOT NULL DEFAULT 8,
+    "recipients" TEXT NOT NULL DEFAULT '',
+    "lastSentAt" DATETIME,
+    "updatedAt" DATETIME NOT NULL
+);
@@ -0,0 +1,34 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "lowStockThreshold" INTEGER NOT NULL DEFAULT 10;
+
+-- CreateTable
+CREATE TABLE "StockThreshold" (
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "threshold" INTEGER NOT NULL,
+    "updatedAt" DATETIME NOT NULL,
+
+    PRIMARY KEY ("shop", "productId")
+);
+
+-- CreateTable
+CREATE TABLE "StockAlert" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "variantId" TEXT NOT NULL,
+    "productTitle" TEXT NOT NULL,
+    "variantTitle" TEXT NOT NULL,
+    "sku" TEXT,
+    "level" TEXT NOT NULL,
+    "available" INTEGER NOT NULL,
+    "threshold" INTEGER NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "resolvedAt" DATETIME
+);
+
+-- CreateIndex
+CREATE INDEX "StockAlert_shop_resolvedAt_idx" ON "StockAlert"("shop", "resolvedAt");
+
+-- CreateIndex
+CREATE INDEX "StockAlert_shop_variantId_idx" ON "StockAlert"("shop", "variantId");
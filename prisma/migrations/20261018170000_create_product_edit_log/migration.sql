@@ -0,0 +1,18 @@
+-- CreateTable
+CREATE TABLE "ProductEditLog" (
+    "id" INTEGER NOT NULL PRIMARY KEY AUTOINCREMENT,
+    "shop" TEXT NOT NULL,
+    "batchId" TEXT NOT NULL,
+    "productId" TEXT NOT NULL,
+    "productTitle" TEXT NOT NULL,
+    "before" TEXT NOT NULL,
+    "after" TEXT NOT NULL,
+    "createdAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    "undoneAt" DATETIME
+);
+
+-- CreateIndex
+CREATE INDEX "ProductEditLog_shop_batchId_idx" ON "ProductEditLog"("shop", "batchId");
+
+-- CreateIndex
+CREATE INDEX "ProductEditLog_shop_createdAt_idx" ON "ProductEditLog"("shop", "createdAt");
@@ -0,0 +1,2 @@
+-- AlterTable
+ALTER TABLE "ShopSettings" ADD COLUMN "lateShipmentDays" INTEGER NOT NULL DEFAULT 3;
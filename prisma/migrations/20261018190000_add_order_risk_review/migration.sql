@@ -0,0 +1,20 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN "riskLevel" TEXT;
+ALTER TABLE "Order" ADD COLUMN "riskRecommendation" TEXT;
+
+-- CreateTable
+CREATE TABLE "OrderReview" (
+    "orderId" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "decision" TEXT NOT NULL,
+    "reviewerId" TEXT NOT NULL,
+    "reviewerName" TEXT NOT NULL,
+    "reviewedAt" DATETIME NOT NULL DEFAULT CURRENT_TIMESTAMP,
+    CONSTRAINT "OrderReview_orderId_fkey" FOREIGN KEY ("orderId") REFERENCES "Order" ("id") ON DELETE CASCADE ON UPDATE CASCADE
+);
+
+-- CreateIndex
+CREATE INDEX "Order_shop_riskLevel_idx" ON "Order"("shop", "riskLevel");
+
+-- CreateIndex
+CREATE INDEX "OrderReview_shop_reviewedAt_idx" ON "OrderReview"("shop", "reviewedAt");
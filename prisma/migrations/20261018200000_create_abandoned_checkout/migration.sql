@@ -0,0 +1,23 @@
+-- AlterTable
+ALTER TABLE "SyncState" ADD COLUMN "checkoutsSyncedAt" DATETIME;
+
+-- CreateTable
+CREATE TABLE "AbandonedCheckout" (
+    "id" TEXT NOT NULL PRIMARY KEY,
+    "shop" TEXT NOT NULL,
+    "name" TEXT NOT NULL,
+    "email" TEXT,
+    "customerId" TEXT,
+    "customerName" TEXT,
+    "totalPrice" REAL NOT NULL DEFAULT 0,
+    "currencyCode" TEXT,
+    "itemCount" INTEGER NOT NULL DEFAULT 0,
+    "lineItems" TEXT NOT NULL,
+    "recoveryUrl" TEXT,
+    "createdAt" DATETIME NOT NULL,
+    "updatedAt" DATETIME NOT NULL,
+    "completedAt" DATETIME
+);
+
+-- CreateIndex
+CREATE INDEX "AbandonedCheckout_shop_createdAt_idx" ON "AbandonedCheckout"("shop", "createdAt");
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "Order" ADD COLUMN "presentmentTotalPrice" REAL;
+ALTER TABLE "Order" ADD COLUMN "presentmentCurrencyCode" TEXT;
@@ -0,0 +1,12 @@
+-- Resolve duplicate open alerts, keeping the newest for each variant
+UPDATE "StockAlert" SET "resolvedAt" = "createdAt"
+WHERE "resolvedAt" IS NULL
+  AND "id" NOT IN (SELECT MAX("id") FROM "StockAlert" WHERE "resolvedAt" IS NULL GROUP BY "shop", "variantId");
+
+-- AlterTable
+ALTER TABLE "StockAlert" ADD COLUMN "openKey" TEXT;
+
+UPDATE "StockAlert" SET "openKey" = "shop" || ':' || "variantId" WHERE "resolvedAt" IS NULL;
+
+-- CreateIndex
+CREATE UNIQUE INDEX "StockAlert_openKey_key" ON "StockAlert"("openKey");
@@ -0,0 +1,2 @@
+-- Order webhooks without a presentment total stored the currency on its own
+UPDATE "Order" SET "presentmentCurrencyCode" = NULL WHERE "presentmentTotalPrice" IS NULL;
@@ -0,0 +1,3 @@
+-- AlterTable
+ALTER TABLE "SyncState" ADD COLUMN "checkoutsSyncStartedAt" DATETIME;
+ALTER TABLE "SyncState" ADD COLUMN "checkoutsSyncPending" BOOLEAN NOT NULL DEFAULT false;